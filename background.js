@@ -17,6 +17,8 @@
 // ReMixr Extension Builder - Background Service Worker
 // Manages extension builder state and operations
 
+importScripts('lib/project-store.js');
+
 chrome.runtime.onInstalled.addListener(() => {
   setupSidePanel();
 
@@ -27,11 +29,9 @@ chrome.runtime.onInstalled.addListener(() => {
     contexts: ["all"]
   });
 
-  // Initialize storage if needed
-  chrome.storage.local.get(['extensionProjects'], (result) => {
-    if (!result.extensionProjects) {
-      chrome.storage.local.set({ extensionProjects: [] });
-    }
+  // Initialize the project store, migrating projects saved by older versions
+  ProjectStore.migrate().catch(error => {
+    console.error('Project store migration failed:', error);
   });
 });
 
@@ -91,16 +91,3 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
   return true;
 });
-
-// Helper to manage project storage
-async function saveProject(project) {
-  const { extensionProjects } = await chrome.storage.local.get(['extensionProjects']);
-  const projects = extensionProjects || [];
-  projects.push(project);
-  await chrome.storage.local.set({ extensionProjects: projects });
-}
-
-async function loadProjects() {
-  const { extensionProjects } = await chrome.storage.local.get(['extensionProjects']);
-  return extensionProjects || [];
-}
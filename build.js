@@ -16,8 +16,19 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const acorn = require('acorn');
 
 const BUILD_DIR = path.join(__dirname, 'build');
+const DIST_DIR = path.join(__dirname, 'dist');
+
+// The popup is written as ES modules in src/popup and bundled into one classic script
+const POPUP_SRC_DIR = path.join(__dirname, 'src', 'popup');
+const POPUP_ENTRY = 'main.js';
+const POPUP_BUNDLE = path.join(__dirname, 'popup.js');
+
+// Vendored libraries are minified third-party code; their globals are not ours to check
+const VENDOR_SCRIPT = /(^lib\/codemirror\/|\.min\.js$)/;
 
 // Files and folders to copy
 const INCLUDES = [
@@ -25,16 +36,31 @@ const INCLUDES = [
     'popup.html',
     'popup.js',
     'popup.css',
+    'sandbox.html',
+    'sandbox.js',
     'content.js',
     'background.js',
     'export.js',
     'utils.js',
     'lib',
     'icons',
-    'README.md',
     'LICENSE'
 ];
 
+// Never shipped, wherever they turn up inside an included folder
+const DEV_ONLY = [
+    /(^|\/)\./,              // dotfiles (.DS_Store, .eslintrc, ...)
+    /(^|\/)Thumbs\.db$/,
+    /\.md$/i,
+    /\.map$/,
+    /(^|\/)(test|tests|__tests__)\//,
+    /\.(test|spec)\.js$/
+];
+
+// Fixed timestamp for zip entries so the same files always produce the same archive
+const ZIP_DATE = new Date('2000-01-01T00:00:00Z');
+const WATCH_DEBOUNCE_MS = 200;
+
 function cleanBuild() {
     if (fs.existsSync(BUILD_DIR)) {
         console.log('Cleaning build directory...');
@@ -43,7 +69,12 @@ function cleanBuild() {
     fs.mkdirSync(BUILD_DIR);
 }
 
+function isDevOnly(relativePath) {
+    return DEV_ONLY.some(pattern => pattern.test(relativePath.split(path.sep).join('/')));
+}
+
 function copyRecursive(src, dest) {
+    if (isDevOnly(path.relative(__dirname, src))) return;
     const stats = fs.statSync(src);
     if (stats.isDirectory()) {
         fs.mkdirSync(dest, { recursive: true });
@@ -55,7 +86,475 @@ function copyRecursive(src, dest) {
     }
 }
 
-function build() {
+// ============================================
+// POPUP BUNDLER
+// ============================================
+
+/**
+ * Top-level names a script or module declares
+ * @param {Object} program - acorn Program node
+ * @returns {Array<{name: string, line: number}>}
+ */
+function topLevelNames(program) {
+    const names = [];
+    program.body.forEach(node => {
+        const declaration = node.type === 'ExportNamedDeclaration' ? node.declaration : node;
+        if (!declaration) return;
+
+        if (declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration') {
+            names.push({ name: declaration.id.name, line: declaration.loc.start.line });
+        } else if (declaration.type === 'VariableDeclaration') {
+            declaration.declarations
+                .filter(declarator => declarator.id.type === 'Identifier')
+                .forEach(declarator => names.push({ name: declarator.id.name, line: declarator.loc.start.line }));
+        }
+    });
+    return names;
+}
+
+/**
+ * Parses one popup module and records its imports and exports
+ * @param {string} srcDir - Module directory
+ * @param {string} file - File name within srcDir
+ * @returns {Object} - { file, source, program, imports, exports }
+ */
+function parseModule(srcDir, file) {
+    const source = fs.readFileSync(path.join(srcDir, file), 'utf8');
+    let program;
+    try {
+        program = acorn.parse(source, { ecmaVersion: 'latest', sourceType: 'module', locations: true });
+    } catch (error) {
+        throw new Error(`src/popup/${file}: ${error.message}`);
+    }
+
+    const imports = [];
+    const exports = new Set();
+    program.body.forEach(node => {
+        if (node.type === 'ImportDeclaration') {
+            if (!/^\.\/[\w-]+\.js$/.test(node.source.value)) {
+                throw new Error(`src/popup/${file}:${node.loc.start.line}: only sibling modules can be imported (${node.source.value})`);
+            }
+            node.specifiers.forEach(specifier => {
+                if (specifier.type !== 'ImportSpecifier' || specifier.imported.name !== specifier.local.name) {
+                    throw new Error(`src/popup/${file}:${node.loc.start.line}: use named imports without renaming`);
+                }
+            });
+            imports.push({
+                from: node.source.value.slice(2),
+                names: node.specifiers.map(specifier => specifier.local.name),
+                line: node.loc.start.line
+            });
+        } else if (node.type === 'ExportNamedDeclaration') {
+            if (node.source || !node.declaration) {
+                throw new Error(`src/popup/${file}:${node.loc.start.line}: export declarations directly (export function ...)`);
+            }
+        } else if (node.type === 'ExportDefaultDeclaration' || node.type === 'ExportAllDeclaration') {
+            throw new Error(`src/popup/${file}:${node.loc.start.line}: default and re-exports are not supported`);
+        }
+    });
+
+    program.body
+        .filter(node => node.type === 'ExportNamedDeclaration')
+        .forEach(node => topLevelNames({ body: [node] }).forEach(({ name }) => exports.add(name)));
+
+    return { file, source, program, imports, exports };
+}
+
+/**
+ * Loads the entry module and everything it imports, dependencies first.
+ * Import cycles are allowed: modules only call each other after the whole bundle has run.
+ * @param {string} srcDir - Module directory
+ * @returns {Object[]} - Parsed modules in bundle order
+ */
+function collectModules(srcDir) {
+    const parsed = new Map();
+    const ordered = [];
+
+    const visit = (file) => {
+        if (parsed.has(file)) return;
+        if (!fs.existsSync(path.join(srcDir, file))) {
+            throw new Error(`src/popup/${file} does not exist`);
+        }
+        const module = parseModule(srcDir, file);
+        parsed.set(file, module);
+        module.imports.forEach(({ from }) => visit(from));
+        ordered.push(module);
+    };
+    visit(POPUP_ENTRY);
+
+    ordered.forEach(module => {
+        module.imports.forEach(({ from, names, line }) => {
+            const missing = names.filter(name => !parsed.get(from).exports.has(name));
+            if (missing.length > 0) {
+                throw new Error(`src/popup/${module.file}:${line}: ${from} does not export ${missing.join(', ')}`);
+            }
+        });
+    });
+
+    return ordered;
+}
+
+/**
+ * Classic scripts popup.html loads besides the bundle. They share its global scope.
+ * @returns {string[]} - Paths relative to the repository root
+ */
+function pageScripts() {
+    const html = fs.readFileSync(path.join(__dirname, 'popup.html'), 'utf8');
+    return Array.from(html.matchAll(/<script[^>]*\bsrc="([^"]+)"/g), match => match[1])
+        .filter(src => src !== 'popup.js' && !VENDOR_SCRIPT.test(src));
+}
+
+/**
+ * Fails when two top-level declarations share a name. In the bundle and on the page
+ * they live in one global scope, where a later function silently replaces an earlier one.
+ * @param {Object[]} modules - Parsed popup modules
+ */
+function checkDuplicateNames(modules) {
+    const seen = new Map();
+    const duplicates = [];
+    const record = (name, where) => {
+        if (seen.has(name)) duplicates.push(`'${name}' in ${seen.get(name)} and ${where}`);
+        else seen.set(name, where);
+    };
+
+    pageScripts().forEach(script => {
+        const source = fs.readFileSync(path.join(__dirname, script), 'utf8');
+        const program = acorn.parse(source, { ecmaVersion: 'latest', sourceType: 'script', locations: true });
+        topLevelNames(program).forEach(({ name, line }) => record(name, `${script}:${line}`));
+    });
+    modules.forEach(module => {
+        topLevelNames(module.program).forEach(({ name, line }) => record(name, `src/popup/${module.file}:${line}`));
+    });
+
+    if (duplicates.length > 0) {
+        throw new Error(`Duplicate top-level names:\n  ${duplicates.join('\n  ')}`);
+    }
+}
+
+/**
+ * Turns a module into plain script code: imports are dropped (everything shares the
+ * bundle's scope) and `export` keywords are removed
+ */
+function stripModuleSyntax(module) {
+    const edits = [];
+    module.program.body.forEach(node => {
+        if (node.type === 'ImportDeclaration') {
+            const end = module.source[node.end] === '\n' ? node.end + 1 : node.end;
+            edits.push([node.start, end]);
+        } else if (node.type === 'ExportNamedDeclaration') {
+            edits.push([node.start, node.declaration.start]);
+        }
+    });
+
+    let code = module.source;
+    edits.sort((a, b) => b[0] - a[0]).forEach(([start, end]) => {
+        code = code.slice(0, start) + code.slice(end);
+    });
+    return code;
+}
+
+/**
+ * Bundles src/popup into the classic script popup.html loads
+ * @param {Object} [options] - srcDir to bundle another module directory
+ * @returns {string} - Bundled source
+ */
+function bundlePopup(options = {}) {
+    const modules = collectModules(options.srcDir || POPUP_SRC_DIR);
+    checkDuplicateNames(modules);
+
+    const parts = modules.map(module => `// ---- src/popup/${module.file} ----\n${stripModuleSyntax(module)}`);
+    return `// Generated by build.js from src/popup - edit the modules, not this file\n\n${parts.join('\n')}`;
+}
+
+/**
+ * Minifies the bundle for release. Top-level names stay intact because export.js and
+ * the lib scripts call into the popup through the shared global scope.
+ */
+async function minifyBundle(code) {
+    const { minify } = require('terser');
+    const result = await minify(code, {
+        compress: true,
+        mangle: true,
+        toplevel: false,
+        format: { comments: /^!|@license/ }
+    });
+    return result.code;
+}
+
+// ============================================
+// REMOTE CODE CHECK
+// ============================================
+
+// MV3 only runs code shipped in the package, so a script pulled from a URL fails review and offline.
+// Stylesheets and fonts from a URL still load online, but break offline and tell the host who opened the IDE.
+const REMOTE_URL = /^(https?:)?\/\//i;
+
+function isRemoteString(node) {
+    if (node?.type === 'Literal') return typeof node.value === 'string' && REMOTE_URL.test(node.value);
+    if (node?.type === 'TemplateLiteral') return REMOTE_URL.test(node.quasis[0].value.cooked || '');
+    return false;
+}
+
+function walk(node, visit) {
+    if (!node || typeof node.type !== 'string') return;
+    visit(node);
+    Object.values(node).forEach(value => {
+        if (Array.isArray(value)) value.forEach(child => walk(child, visit));
+        else if (value && typeof value === 'object') walk(value, visit);
+    });
+}
+
+/**
+ * Places a script loads code from a URL: script.src / setAttribute('src') on elements made
+ * with createElement('script'), importScripts() and import() of a URL
+ * @param {string} source - JavaScript source
+ * @returns {number[]} - Line numbers
+ */
+function remoteScriptLines(source) {
+    let program;
+    try {
+        program = acorn.parse(source, { ecmaVersion: 'latest', sourceType: 'script', locations: true });
+    } catch (error) {
+        program = acorn.parse(source, { ecmaVersion: 'latest', sourceType: 'module', locations: true });
+    }
+
+    const scriptElements = new Set();
+    walk(program, node => {
+        if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' &&
+            node.init?.type === 'CallExpression' && node.init.callee.property?.name === 'createElement' &&
+            node.init.arguments[0]?.value?.toLowerCase?.() === 'script') {
+            scriptElements.add(node.id.name);
+        }
+    });
+
+    const lines = [];
+    const isScriptElement = node => node?.type === 'Identifier' && scriptElements.has(node.name);
+    walk(program, node => {
+        const remote =
+            (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression' &&
+                node.left.property.name === 'src' && isScriptElement(node.left.object) && isRemoteString(node.right)) ||
+            (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+                node.callee.property.name === 'setAttribute' && isScriptElement(node.callee.object) &&
+                node.arguments[0]?.value === 'src' && isRemoteString(node.arguments[1])) ||
+            (node.type === 'CallExpression' && node.callee.name === 'importScripts' && node.arguments.some(isRemoteString)) ||
+            (node.type === 'ImportExpression' && isRemoteString(node.source));
+        if (remote) lines.push(node.loc.start.line);
+    });
+    return lines;
+}
+
+/**
+ * Lines of <script src> and <link href> tags that point at a URL; a tag may span lines
+ * @param {string} source - HTML source
+ * @returns {number[]} - Line numbers the tags start on
+ */
+function remoteTagLines(source) {
+    const tags = /<script\b[^>]*\bsrc\s*=\s*["']?(https?:)?\/\/|<link\b[^>]*\bhref\s*=\s*["']?(https?:)?\/\//gi;
+    return [...source.matchAll(tags)].map(match => source.slice(0, match.index).split('\n').length);
+}
+
+/**
+ * Fails when shipped code loads a script, stylesheet or font from the network
+ * @param {string} dir - Build directory
+ */
+function checkRemoteCode(dir) {
+    const findings = [];
+    listFiles(dir).forEach(file => {
+        const source = fs.readFileSync(path.join(dir, file), 'utf8');
+        if (file.endsWith('.html')) {
+            remoteTagLines(source).forEach(line => findings.push(`${file}:${line}`));
+        } else if (file.endsWith('.js')) {
+            let lines;
+            try {
+                lines = remoteScriptLines(source);
+            } catch (error) {
+                throw new Error(`${file}: ${error.message}`);
+            }
+            lines.forEach(line => findings.push(`${file}:${line}`));
+        }
+    });
+
+    if (findings.length > 0) {
+        throw new Error(`Remote scripts are not allowed in Manifest V3 and remote stylesheets fail offline - ship them in the package instead:\n  ${findings.join('\n  ')}`);
+    }
+}
+
+// ============================================
+// RELEASE PACKAGING
+// ============================================
+
+/**
+ * Chrome only accepts 1-4 dot-separated integers as a version. A semver prerelease
+ * (2.1.0-beta.1) ships as version 2.1.0 with the full string as version_name.
+ * @param {string} packageVersion - package.json version
+ * @returns {{version: string, versionName: string|null}}
+ */
+function chromeVersion(packageVersion) {
+    const match = /^(\d+(?:\.\d+){0,3})(?:[-+].+)?$/.exec(packageVersion || '');
+    if (!match || match[1].split('.').some(part => Number(part) > 65535 || /^0\d/.test(part))) {
+        throw new Error(`package.json version "${packageVersion}" can't be used as an extension version`);
+    }
+    return { version: match[1], versionName: match[1] === packageVersion ? null : packageVersion };
+}
+
+/**
+ * Writes the package.json version into the built manifest, so package.json is the one place to bump it
+ * @param {string} dir - Build directory
+ * @param {string} packageVersion - package.json version
+ * @returns {Object} - The stamped manifest
+ */
+function stampManifestVersion(dir, packageVersion) {
+    const manifestPath = path.join(dir, 'manifest.json');
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const { version, versionName } = chromeVersion(packageVersion);
+
+    manifest.version = version;
+    if (versionName) manifest.version_name = versionName;
+    else delete manifest.version_name;
+
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+    return manifest;
+}
+
+/**
+ * Every file path a manifest points at. Wildcard web_accessible_resources are skipped.
+ * @param {Object} manifest - Parsed manifest.json
+ * @returns {string[]} - Paths relative to the extension root
+ */
+function manifestPaths(manifest) {
+    const paths = [];
+    const add = value => {
+        if (typeof value === 'string' && value) paths.push(value.replace(/^\//, ''));
+    };
+    const addIcons = icons => {
+        if (typeof icons === 'string') add(icons);
+        else Object.values(icons || {}).forEach(add);
+    };
+
+    addIcons(manifest.icons);
+    [manifest.action, manifest.browser_action, manifest.page_action].forEach(action => {
+        if (!action) return;
+        addIcons(action.default_icon);
+        add(action.default_popup);
+    });
+    add(manifest.background?.service_worker);
+    (manifest.background?.scripts || []).forEach(add);
+    add(manifest.background?.page);
+    add(manifest.side_panel?.default_path);
+    add(manifest.options_page);
+    add(manifest.options_ui?.page);
+    add(manifest.devtools_page);
+    (manifest.sandbox?.pages || []).forEach(add);
+    Object.values(manifest.chrome_url_overrides || {}).forEach(add);
+    (manifest.content_scripts || []).forEach(entry => {
+        (entry.js || []).forEach(add);
+        (entry.css || []).forEach(add);
+    });
+    (manifest.web_accessible_resources || []).forEach(entry => {
+        (typeof entry === 'string' ? [entry] : entry.resources || [])
+            .filter(resource => !resource.includes('*'))
+            .forEach(add);
+    });
+    if (manifest.default_locale) add(`_locales/${manifest.default_locale}/messages.json`);
+
+    return [...new Set(paths)];
+}
+
+/**
+ * Fails when the built manifest references a file that didn't make it into the build
+ * @param {string} dir - Build directory
+ * @param {Object} manifest - Parsed manifest.json
+ */
+function verifyManifestPaths(dir, manifest) {
+    const missing = manifestPaths(manifest).filter(file => !fs.existsSync(path.join(dir, file)));
+    if (missing.length > 0) {
+        throw new Error(`manifest.json references files missing from the build:\n  ${missing.join('\n  ')}`);
+    }
+}
+
+/**
+ * Files under a directory as sorted, forward-slash relative paths
+ */
+function listFiles(dir, prefix = '') {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .flatMap(entry => {
+            const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+            return entry.isDirectory() ? listFiles(path.join(dir, entry.name), relative) : [relative];
+        })
+        .sort();
+}
+
+function sha256(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * SHA-256 of every built file, so a release can be checked against what was uploaded
+ * @param {string} dir - Build directory
+ * @returns {Object} - { path: hash }
+ */
+function hashFiles(dir) {
+    const hashes = {};
+    listFiles(dir).forEach(file => {
+        hashes[file] = sha256(fs.readFileSync(path.join(dir, file)));
+    });
+    return hashes;
+}
+
+/**
+ * Zips the build directory with manifest.json at the root, as the Chrome Web Store expects
+ * @param {string} dir - Build directory
+ * @returns {Promise<Buffer>}
+ */
+function zipDirectory(dir) {
+    const JSZip = require('./lib/jszip.min.js');
+    const zip = new JSZip();
+    listFiles(dir).forEach(file => {
+        zip.file(file, fs.readFileSync(path.join(dir, file)), { date: ZIP_DATE, createFolders: false });
+    });
+    return zip.generateAsync({
+        type: 'nodebuffer',
+        compression: 'DEFLATE',
+        compressionOptions: { level: 9 },
+        platform: 'UNIX'
+    });
+}
+
+/**
+ * Writes dist/remixr-<version>.zip and the hash manifest next to it
+ * @returns {Promise<string>} - Path of the zip
+ */
+async function packageRelease(manifest, packageVersion) {
+    const baseName = `remixr-${packageVersion}`;
+    const zip = await zipDirectory(BUILD_DIR);
+
+    fs.mkdirSync(DIST_DIR, { recursive: true });
+    const zipPath = path.join(DIST_DIR, `${baseName}.zip`);
+    fs.writeFileSync(zipPath, zip);
+    fs.writeFileSync(path.join(DIST_DIR, `${baseName}.hashes.json`), JSON.stringify({
+        name: manifest.name,
+        version: manifest.version,
+        versionName: manifest.version_name || null,
+        zip: { file: `${baseName}.zip`, sha256: sha256(zip) },
+        files: hashFiles(BUILD_DIR)
+    }, null, 2) + '\n');
+
+    return zipPath;
+}
+
+// ============================================
+// BUILD
+// ============================================
+
+async function build(options = {}) {
+    console.log('Bundling popup...');
+    const bundle = bundlePopup();
+    fs.writeFileSync(POPUP_BUNDLE, bundle);
+    if (options.bundleOnly) {
+        console.log('Bundle written to popup.js');
+        return;
+    }
+
     console.log('Starting build...');
     cleanBuild();
 
@@ -71,7 +570,97 @@ function build() {
         }
     });
 
+    const packageVersion = require('./package.json').version;
+    const manifest = stampManifestVersion(BUILD_DIR, packageVersion);
+    console.log(`Stamped manifest version ${manifest.version}`);
+    verifyManifestPaths(BUILD_DIR, manifest);
+    checkRemoteCode(BUILD_DIR);
+
+    if (options.release) {
+        console.log('Minifying popup.js...');
+        fs.writeFileSync(path.join(BUILD_DIR, 'popup.js'), await minifyBundle(bundle));
+    }
+
+    if (options.package !== false) {
+        const zipPath = await packageRelease(manifest, packageVersion);
+        console.log(`Packaged ${path.relative(__dirname, zipPath)}`);
+    }
+
     console.log('Build complete! Output in /build');
 }
 
-build();
+/**
+ * Rebuilds whenever a source file changes. Packaging is skipped to keep the loop fast.
+ * The generated popup.js is not watched, since every build rewrites it.
+ */
+function watch(options = {}) {
+    const watched = ['src', 'package.json', ...INCLUDES.filter(item => item !== 'popup.js')]
+        .filter(item => fs.existsSync(path.join(__dirname, item)));
+
+    let timer = null;
+    let running = false;
+    let pending = false;
+
+    const rebuild = async () => {
+        if (running) {
+            pending = true;
+            return;
+        }
+        running = true;
+        try {
+            // package.json is cached by require; drop it so version bumps are picked up
+            delete require.cache[require.resolve('./package.json')];
+            await build({ ...options, package: false });
+        } catch (error) {
+            console.error(`Build failed: ${error.message}`);
+        }
+        running = false;
+        if (pending) {
+            pending = false;
+            rebuild();
+        }
+    };
+
+    watched.forEach(item => {
+        const itemPath = path.join(__dirname, item);
+        fs.watch(itemPath, { recursive: fs.statSync(itemPath).isDirectory() }, (event, file) => {
+            if (file && isDevOnly(path.join(item, file.toString()))) return;
+            clearTimeout(timer);
+            timer = setTimeout(rebuild, WATCH_DEBOUNCE_MS);
+        });
+    });
+
+    console.log(`Watching ${watched.join(', ')} for changes...`);
+    return rebuild();
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const options = {
+        release: args.includes('--release'),
+        bundleOnly: args.includes('--bundle-only')
+    };
+    if (args.includes('--watch')) {
+        watch(options);
+    } else {
+        build(options).catch(error => {
+            console.error(`Build failed: ${error.message}`);
+            process.exitCode = 1;
+        });
+    }
+}
+
+module.exports = {
+    build,
+    watch,
+    bundlePopup,
+    minifyBundle,
+    chromeVersion,
+    stampManifestVersion,
+    manifestPaths,
+    verifyManifestPaths,
+    checkRemoteCode,
+    hashFiles,
+    zipDirectory,
+    isDevOnly
+};
@@ -20,6 +20,8 @@
 let inspectorActive = false;
 let overlay = null;
 let lastHighlighted = null;
+// The page and its same-origin frames, which each need the inspector's listeners
+let inspectedDocuments = [];
 
 // Initialize Overlay
 function createOverlay() {
@@ -47,29 +49,16 @@ function createOverlay() {
     document.body.appendChild(overlay);
 }
 
-// Generate unique CSS selector
+// Generate unique CSS selector, reaching into shadow roots and frames (lib/dom-traversal.js)
 function getSelector(el) {
-    if (el.id) return '#' + el.id;
-    if (el.className && typeof el.className === 'string') {
-        const classes = el.className.split(' ').filter(c => c.trim() && !c.includes('hover') && !c.includes('active'));
-        if (classes.length > 0) return '.' + classes.join('.');
-    }
-    let tagName = el.tagName.toLowerCase();
-    let siblingIndex = 1;
-    let sibling = el;
-    while (sibling = sibling.previousElementSibling) {
-        if (sibling.tagName.toLowerCase() === tagName) siblingIndex++;
-    }
-    if (siblingIndex > 1) tagName += `:nth-of-type(${siblingIndex})`;
-
-    return tagName;
+    return getDeepSelector(el);
 }
 
 // Highlight element
 function highlightElement(e) {
     if (!inspectorActive) return;
 
-    const target = e.target;
+    const target = deepEventTarget(e);
     if (target === overlay || target === lastHighlighted) return;
 
     // Remove old highlight
@@ -110,7 +99,7 @@ function handleClick(e) {
     e.preventDefault();
     e.stopPropagation();
 
-    const target = e.target;
+    const target = deepEventTarget(e);
     const selector = getSelector(target);
     const styles = window.getComputedStyle(target);
 
@@ -164,19 +153,73 @@ function toggleInspector(active) {
     createOverlay();
 
     if (active) {
-        document.addEventListener('mouseover', highlightElement);
-        document.addEventListener('click', handleClick, true);
+        inspectedDocuments = collectRoots(document).filter(root => root.nodeType === Node.DOCUMENT_NODE);
+        inspectedDocuments.forEach(doc => {
+            doc.addEventListener('mouseover', highlightElement);
+            doc.addEventListener('click', handleClick, true);
+        });
         overlay.style.display = 'none'; // Hidden until hover
         console.log('ReMixr Inspector: Active');
     } else {
-        document.removeEventListener('mouseover', highlightElement);
-        document.removeEventListener('click', handleClick, true);
+        inspectedDocuments.forEach(doc => {
+            doc.removeEventListener('mouseover', highlightElement);
+            doc.removeEventListener('click', handleClick, true);
+        });
+        inspectedDocuments = [];
         if (overlay) overlay.style.display = 'none';
         if (lastHighlighted) lastHighlighted.style.outline = '';
         console.log('ReMixr Inspector: Inactive');
     }
 }
 
+// ============================================
+// STYLE RECORDER (lib/style-recorder.js)
+// ============================================
+
+// Style edits made in the inspector for this host. They are stored, so they come back as a
+// stylesheet on every visit, and the popup can list, export or clear them.
+let styleEdits = {};
+
+function recordStyleChange(el, selector, property, value) {
+    const original = window.getComputedStyle(el).getPropertyValue(cssPropertyName(property)).trim();
+    styleEdits = recordStyleEdit(styleEdits, selector, property, value, original);
+    applyStyleEdits(document, styleEdits);
+    saveStyleEdits(location.hostname, styleEdits).catch(error => {
+        console.error('ReMixr: could not save style edits', error);
+    });
+}
+
+loadStyleEdits(location.hostname).then(edits => {
+    styleEdits = edits;
+    applyStyleEdits(document, styleEdits);
+});
+
+// Edits cleared or changed from the popup (or another tab on this host)
+chrome.storage.onChanged.addListener((changes, area) => {
+    const change = changes[styleEditsKey(location.hostname)];
+    if (area !== 'local' || !change) return;
+    styleEdits = change.newValue || {};
+    applyStyleEdits(document, styleEdits);
+});
+
+// ============================================
+// NETWORK RECORDER (lib/network-recorder.js)
+// ============================================
+
+// Traffic posted by the recorder the popup installs in the page's main world. It is relayed
+// as it arrives and kept, newest last, so a popup opened later can catch up.
+const NETWORK_LOG_LIMIT = 500;
+let networkLog = [];
+
+window.addEventListener('message', (event) => {
+    if (event.source !== window || event.data?.source !== 'remixr-network') return;
+    networkLog.push(event.data.event);
+    if (networkLog.length > NETWORK_LOG_LIMIT) networkLog = networkLog.slice(-NETWORK_LOG_LIMIT);
+    chrome.runtime.sendMessage({ action: 'networkEvent', event: event.data.event }).catch(() => {
+        // No popup open; the event waits in networkLog
+    });
+});
+
 // Listen for messages
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'toggleInspector') {
@@ -231,11 +274,16 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             console.error('analyzeEmotion error:', error);
             sendResponse(null);
         }
+    } else if (request.action === 'getNetworkLog') {
+        sendResponse({ events: networkLog });
+    } else if (request.action === 'clearNetworkLog') {
+        networkLog = [];
+        sendResponse({ success: true });
     } else if (request.action === 'updateStyle') {
         try {
-            const el = document.querySelector(request.selector);
+            const el = resolveDeepSelector(request.selector);
             if (el) {
-                el.style[request.property] = request.value;
+                recordStyleChange(el, request.selector, request.property, request.value);
                 sendResponse({ success: true });
             } else {
                 sendResponse({ success: false, error: 'Element not found' });
@@ -373,7 +421,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             sendResponse({ status: 'inactive' });
         }
     } else if (request.action === 'toggleImages') {
-        const images = document.querySelectorAll('img');
+        const images = deepQuerySelectorAll('img');
         if (document.body.getAttribute('data-remixr-images') === 'hidden') {
             images.forEach(img => img.style.opacity = '1');
             document.body.removeAttribute('data-remixr-images');
@@ -384,21 +432,21 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             sendResponse({ status: 'hidden' });
         }
     } else if (request.action === 'enableInputs') {
-        const disabled = document.querySelectorAll('input[disabled], button[disabled], textarea[disabled]');
+        const disabled = deepQuerySelectorAll('input[disabled], button[disabled], textarea[disabled]');
         disabled.forEach(el => {
             el.removeAttribute('disabled');
             el.style.border = '2px solid #4ade80';
         });
         sendResponse({ count: disabled.length });
     } else if (request.action === 'showPasswords') {
-        const pwds = document.querySelectorAll('input[type="password"]');
+        const pwds = deepQuerySelectorAll('input[type="password"]');
         pwds.forEach(el => {
             el.type = 'text';
             el.style.border = '2px solid #ef4444';
         });
         sendResponse({ count: pwds.length });
     } else if (request.action === 'killStickies') {
-        const stickies = document.querySelectorAll('*');
+        const stickies = deepElements();
         let count = 0;
         stickies.forEach(el => {
             const style = window.getComputedStyle(el);
@@ -445,7 +493,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             window.remixrZapHandler = (e) => {
                 e.preventDefault();
                 e.stopPropagation();
-                e.target.remove();
+                deepEventTarget(e).remove();
             };
             document.addEventListener('click', window.remixrZapHandler, true);
             document.body.style.cursor = 'crosshair';
@@ -473,7 +521,7 @@ function analyzeSpecimen() {
 
     // Fonts
     const fontSet = new Set();
-    document.querySelectorAll('h1, h2, h3, p, span, a, button').forEach(el => {
+    deepQuerySelectorAll('h1, h2, h3, p, span, a, button').forEach(el => {
         const style = window.getComputedStyle(el);
         const font = style.fontFamily.split(',')[0].replace(/['"]/g, '').trim();
         if (font) fontSet.add(font);
@@ -490,7 +538,7 @@ function analyzeSpecimen() {
     specimen.colors.brand = colors.slice(0, 12);
 
     // UI Specimens
-    const mainButtons = Array.from(document.querySelectorAll('button, .btn, .button')).slice(0, 5);
+    const mainButtons = deepQuerySelectorAll('button, .btn, .button').slice(0, 5);
     specimen.buttons = mainButtons.map(btn => {
         const style = window.getComputedStyle(btn);
         return {
@@ -649,13 +697,14 @@ function handleClick(e) {
     e.preventDefault();
     e.stopPropagation();
 
-    const target = e.target;
+    const target = deepEventTarget(e);
     const selector = getSelector(target);
     const styles = window.getComputedStyle(target);
     const cssVars = getCssVariables(target);
 
     const styleData = {
         selector: selector,
+        locators: getLocators(target),
         tagName: target.tagName.toLowerCase(),
         attributes: Array.from(target.attributes).map(attr => ({ name: attr.name, value: attr.value })),
         variables: cssVars,
@@ -972,7 +1021,7 @@ function extractCompleteObjectModel() {
             cookies: extractCookies()
         },
         customElements: Array.from(new Set(
-            Array.from(document.querySelectorAll('*'))
+            deepElements()
                 .map(el => el.tagName.toLowerCase())
                 .filter(tag => tag.includes('-'))
         )),
@@ -1061,7 +1110,8 @@ function buildDOMSummary(el, maxDepth, currentDepth = 0) {
         class: el.className,
         id: el.id,
         value: el.children.length, // use length as a proxy for value/weight
-        children: Array.from(el.children)
+        children: composedChildren(el)
+            .filter(child => child.nodeType === Node.ELEMENT_NODE)
             .map(child => buildDOMSummary(child, maxDepth, currentDepth + 1))
             .filter(Boolean)
     };
@@ -1101,23 +1151,6 @@ function extractPrototypeChain() {
 // UI FORENSICS & REALITY DISTORTION
 // ============================================
 
-let contrastActive = false;
-function toggleContrastMap() {
-    contrastActive = !contrastActive;
-    if (contrastActive) {
-        const style = document.createElement('style');
-        style.id = 'remixr-contrast-style';
-        style.textContent = `
-            * { background: #000 !important; color: #fff !important; outline: 1px solid #333 !important; }
-            img, video, iframe { filter: grayscale(1) contrast(200%) !important; }
-        `;
-        document.head.appendChild(style);
-    } else {
-        document.getElementById('remixr-contrast-style')?.remove();
-    }
-    return contrastActive;
-}
-
 let snifferActive = false;
 function toggleEventSniffer() {
     snifferActive = !snifferActive;
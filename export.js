@@ -15,7 +15,7 @@
  */
 
 // Extension Export & Packaging System
-// Uses JSZip library loaded from CDN
+// Uses the JSZip copy popup.html loads from lib/jszip.min.js
 
 async function exportExtension() {
   if (!currentProject) {
@@ -23,86 +23,89 @@ async function exportExtension() {
     return;
   }
 
-  showStatus('Creating extension package...', 'info');
+  const target = document.getElementById('export-target')?.value || 'chrome';
+  const { label } = BROWSER_TARGETS[target];
+  const report = targetCompatibilityReport(currentProject, target);
+  renderExportReport(report.issues);
+  if (!report.manifest) {
+    showStatus('Export failed: manifest.json is missing or invalid', 'error');
+    return;
+  }
 
-  try {
-    // Load JSZip if not already loaded
-    if (typeof JSZip === 'undefined') {
-      await loadJSZip();
-    }
+  showStatus(`Creating ${label} extension package...`, 'info');
 
+  try {
     const zip = new JSZip();
+    const slug = currentProject.name.replace(/\s+/g, '_');
+    // Safari packages are the input of Xcode's converter, so the extension goes in a Resources folder
+    const root = target === 'safari' ? `${currentProject.name} Extension/Resources/` : '';
 
-    // Add all project files to zip
+    // Add all project files to zip, with the manifest rewritten for the target browser
     for (const [filename, content] of Object.entries(currentProject.files)) {
-      zip.file(filename, content);
+      zip.file(root + filename, filename === 'manifest.json' ? JSON.stringify(report.manifest, null, 2) : content);
     }
 
-    // Generate and add icons (Premium feature)
-    const icon16 = await generateIconBlob(currentProject.name, 16);
-    const icon48 = await generateIconBlob(currentProject.name, 48);
-    const icon128 = await generateIconBlob(currentProject.name, 128);
+    // Generate icons the project doesn't provide itself; icons made in the icon studio are kept
+    for (const size of ICON_SIZES) {
+      const path = iconFilePath(size);
+      if (!currentProject.files[path]) {
+        zip.file(root + path, await generateIconBlob(currentProject, size));
+      }
+    }
 
-    zip.folder("icons");
-    zip.file("icons/icon16.png", icon16);
-    zip.file("icons/icon48.png", icon48);
-    zip.file("icons/icon128.png", icon128);
+    if (target === 'safari') {
+      zip.file('README.md', safariPackageReadme(currentProject.name));
+    }
 
     // Generate the zip file
     const blob = await zip.generateAsync({ type: 'blob' });
 
     // Download the zip file
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${currentProject.name.replace(/\s+/g, '_')}_extension.zip`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-
-    showStatus('Extension exported successfully!', 'success');
+    downloadBlob(blob, target === 'chrome' ? `${slug}_extension.zip` : `${slug}_${target}_extension.zip`);
+
+    const problems = report.issues.filter(issue => issue.severity === 'error').length;
+    if (problems > 0) {
+      showStatus(`Exported for ${label} with ${problems} compatibility problem(s) - see the export report`, 'warning');
+    } else {
+      showStatus(`Extension exported for ${label}!`, 'success');
+    }
   } catch (error) {
     console.error('Export error:', error);
     showStatus('Export failed: ' + error.message, 'error');
   }
 }
 
-// Generate Icon Blob
-function generateIconBlob(name, size) {
-  return new Promise(resolve => {
-    const canvas = document.createElement('canvas');
-    canvas.width = size;
-    canvas.height = size;
-    const ctx = canvas.getContext('2d');
-
-    // Professional Gradient
-    const grd = ctx.createLinearGradient(0, 0, size, size);
-    grd.addColorStop(0, "#667eea");
-    grd.addColorStop(1, "#764ba2");
-    ctx.fillStyle = grd;
-    ctx.fillRect(0, 0, size, size);
-
-    // Letter
-    ctx.fillStyle = "white";
-    ctx.font = `bold ${Math.round(size * 0.6)}px Arial`;
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
-    ctx.fillText(name.charAt(0).toUpperCase(), size / 2, size / 2);
-
-    canvas.toBlob(resolve);
+// Lists the changes and compatibility problems of the last export under the export buttons
+function renderExportReport(issues) {
+  const list = document.getElementById('export-report');
+  if (!list) return;
+
+  list.innerHTML = '';
+  issues.forEach(issue => {
+    const item = document.createElement('li');
+    item.className = `export-report-item export-report-${issue.severity}`;
+    item.textContent = issue.file ? `${issue.file}:${issue.line} ${issue.message}` : issue.message;
+    list.appendChild(item);
   });
 }
 
-// Load JSZip from CDN
-function loadJSZip() {
-  return new Promise((resolve, reject) => {
-    const script = document.createElement('script');
-    script.src = 'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js';
-    script.onload = resolve;
-    script.onerror = reject;
-    document.head.appendChild(script);
-  });
+// Instructions shipped with Safari packages: Safari only loads extensions wrapped in an app
+function safariPackageReadme(name) {
+  return `# ${name} for Safari
+
+Safari loads web extensions from a macOS or iOS app. Turn this folder into an Xcode project on a Mac:
+
+    xcrun safari-web-extension-converter "${name} Extension/Resources"
+
+Then build and run the app in Xcode, and enable the extension in Safari > Settings > Extensions.
+While testing unsigned builds, turn on Develop > Allow Unsigned Extensions.
+`;
+}
+
+// Generate Icon Blob from the project's glyph icon, or its initial when it has none
+function generateIconBlob(project, size) {
+  const spec = project.icon?.type === 'glyph' ? project.icon : defaultIconSpec(project.name);
+  return renderIconBlob(spec, size);
 }
 
 // Export individual file
@@ -113,7 +116,7 @@ function exportFile(filename) {
   }
 
   const content = currentProject.files[filename];
-  const blob = new Blob([content], { type: 'text/plain' });
+  const blob = content instanceof Blob ? content : new Blob([content], { type: 'text/plain' });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -126,21 +129,113 @@ function exportFile(filename) {
   showStatus(`${filename} downloaded`, 'success');
 }
 
-// Create manifest for Chrome Web Store
-function generateWebStoreManifest() {
-  if (!currentProject) return null;
-
-  const manifest = JSON.parse(currentProject.files['manifest.json'] || '{}');
+// Manifest as submitted to the Chrome Web Store: the project's manifest with a full icon set
+function generateWebStoreManifest(project) {
+  const manifest = JSON.parse(project.files['manifest.json'] || '{}');
 
-  // Ensure required fields for Chrome Web Store
   return {
     ...manifest,
-    icons: manifest.icons || {
-      "16": "icons/icon16.png",
-      "48": "icons/icon48.png",
-      "128": "icons/icon128.png"
-    },
-    version: manifest.version || "1.0.0",
-    description: manifest.description || "Extension description"
+    icons: manifest.icons?.['128']
+      ? manifest.icons
+      : Object.fromEntries(ICON_SIZES.map(size => [String(size), iconFilePath(size)])),
+    version: manifest.version || "1.0.0"
   };
 }
+
+// Start a download for a generated file
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// Decode an image for drawing, or null when there is none
+async function decodeImage(blob) {
+  if (!blob) return null;
+  try {
+    return await loadIconImage(blob);
+  } catch (error) {
+    console.warn('Could not decode image:', error);
+    return null;
+  }
+}
+
+// Export a Chrome Web Store submission kit: the upload package plus listing material
+async function exportStoreKit() {
+  if (!currentProject) {
+    showStatus('No project to export', 'error');
+    return;
+  }
+
+  showStatus('Preparing store submission kit...', 'info');
+
+  try {
+    const files = { ...currentProject.files };
+    const manifest = generateWebStoreManifest(currentProject);
+    files['manifest.json'] = JSON.stringify(manifest, null, 2);
+
+    // The store requires a 128px icon; fill in any size the project doesn't have
+    for (const size of ICON_SIZES) {
+      const path = iconFilePath(size);
+      if (manifest.icons[String(size)] === path && !files[path]) {
+        files[path] = await generateIconBlob(currentProject, size);
+      }
+    }
+
+    const problems = storeListingProblems(files['manifest.json'], files);
+    const errors = problems.filter(problem => problem.severity === 'error');
+    problems.forEach(problem => console[problem.severity === 'error' ? 'error' : 'warn']('Store kit:', problem.message));
+    if (errors.length > 0) {
+      const more = errors.length > 1 ? ` (+${errors.length - 1} more in the console)` : '';
+      showStatus(`Not ready for the store: ${errors[0].message}${more}`, 'error');
+      return;
+    }
+
+    const packageZip = new JSZip();
+    for (const [filename, content] of Object.entries(files)) {
+      packageZip.file(filename, content);
+    }
+
+    const slug = currentProject.name.replace(/\s+/g, '_');
+    const kit = new JSZip();
+    kit.file(`${slug}-${manifest.version}.zip`, await packageZip.generateAsync({ type: 'blob' }));
+    kit.file('store/icon-128x128.png', files[manifest.icons['128']]);
+
+    showStatus('Rendering store images from the preview...', 'info');
+    const screenshot = await decodeImage(await captureSandboxPreview());
+    const icon = await decodeImage(files[manifest.icons['128']]);
+    const colors = currentProject.icon?.type === 'glyph' ? currentProject.icon.colors : defaultIconSpec(manifest.name).colors;
+    for (const image of STORE_IMAGES) {
+      kit.file(image.path, await renderStoreImage({
+        ...image,
+        name: manifest.name,
+        description: manifest.description,
+        colors,
+        icon,
+        screenshot
+      }));
+    }
+
+    kit.file('store/privacy-practices.md', privacyPracticesText(manifest));
+    kit.file('store/permission-justifications.txt', permissionJustificationsText(manifest));
+
+    downloadBlob(await kit.generateAsync({ type: 'blob' }), `${slug}_store_kit.zip`);
+
+    const warnings = problems.length - errors.length;
+    if (!screenshot) {
+      showStatus('Store kit exported - the popup could not be captured, so the images have no screenshot', 'info');
+    } else if (warnings > 0) {
+      showStatus(`Store kit exported with ${warnings} warning${warnings === 1 ? '' : 's'} (see console)`, 'success');
+    } else {
+      showStatus('Store kit exported!', 'success');
+    }
+  } catch (error) {
+    console.error('Store kit error:', error);
+    showStatus('Store kit export failed: ' + error.message, 'error');
+  }
+}
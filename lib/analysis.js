@@ -67,7 +67,7 @@ function analyzeStrategicArchitecture() {
 }
 
 function analyzeDesignSystem() {
-    const classes = Array.from(document.querySelectorAll('*')).map(el => el.className).join(' ');
+    const classes = deepElements().map(el => el.className).join(' ');
     const computed = window.getComputedStyle(document.body);
 
     let system = 'Custom/Unknown';
@@ -79,7 +79,7 @@ function analyzeDesignSystem() {
     if (classes.includes('ant-')) system = 'Ant Design';
 
     // Check for Chaos (too many font sizes or colors)
-    const elements = Array.from(document.querySelectorAll('*')).slice(0, 100);
+    const elements = deepElements().slice(0, 100);
     const fontSizes = new Set(elements.map(el => window.getComputedStyle(el).fontSize));
     const colors = new Set(elements.map(el => window.getComputedStyle(el).color));
 
@@ -96,13 +96,13 @@ function analyzeDesignSystem() {
 }
 
 function analyzeVisualTension() {
-    const leftSide = document.querySelectorAll('*').length / 2; // Rough heuristic
+    const leftSide = deepElements().length / 2; // Rough heuristic
     // Better heuristic: Center of gravity
     let leftWeight = 0;
     let rightWeight = 0;
     const width = window.innerWidth;
 
-    const elements = document.querySelectorAll('img, h1, h2, button');
+    const elements = deepQuerySelectorAll('img, h1, h2, button');
     elements.forEach(el => {
         const rect = el.getBoundingClientRect();
         const center = rect.left + (rect.width / 2);
@@ -128,8 +128,8 @@ function analyzeVisualTension() {
 function scanCompetitorWeaknesses() {
     const weaknesses = [];
 
-    if (document.querySelectorAll('h1').length === 0) weaknesses.push('No H1 Tag (SEO Weakness)');
-    if (document.querySelectorAll('h1').length > 1) weaknesses.push('Multiple H1 Tags (SEO Warning)');
+    if (deepQuerySelectorAll('h1').length === 0) weaknesses.push('No H1 Tag (SEO Weakness)');
+    if (deepQuerySelectorAll('h1').length > 1) weaknesses.push('Multiple H1 Tags (SEO Warning)');
     if (document.querySelectorAll('meta[name="description"]').length === 0) weaknesses.push('Missing Meta Description');
 
     // Check load time markers (navigation timing)
@@ -137,7 +137,7 @@ function scanCompetitorWeaknesses() {
     if (navEntry && navEntry.domInteractive > 2000) weaknesses.push('Slow DOM Interactive (>2s)');
 
     // Missing ALTs
-    const missingAlt = Array.from(document.querySelectorAll('img')).filter(img => !img.alt).length;
+    const missingAlt = deepQuerySelectorAll('img').filter(img => !img.alt).length;
     if (missingAlt > 0) weaknesses.push(`${missingAlt} images missing ALT text (A11y/SEO Weakness)`);
 
     // Insecure Content
@@ -146,7 +146,7 @@ function scanCompetitorWeaknesses() {
     }
 
     // Heavy DOM
-    if (document.querySelectorAll('*').length > 1500) {
+    if (deepElements().length > 1500) {
         weaknesses.push('High DOM Complexity (>1500 nodes)');
     }
 
@@ -162,7 +162,7 @@ function analyzeNeurodynamics() {
     };
 
     // Fitts's Law Estimation (Target size vs distance)
-    const ctas = document.querySelectorAll('button, .btn, [role="button"]');
+    const ctas = deepQuerySelectorAll('button, .btn, [role="button"]');
     let avgSize = 0;
     ctas.forEach(cta => {
         const rect = cta.getBoundingClientRect();
@@ -227,12 +227,12 @@ function analyzeInteractionFriction() {
         score: 0
     };
 
-    const forms = document.querySelectorAll('form');
+    const forms = deepQuerySelectorAll('form');
     forms.forEach(form => {
         friction.formComplexity += form.querySelectorAll('input, select, textarea').length;
     });
 
-    const navs = document.querySelectorAll('nav a').length;
+    const navs = deepQuerySelectorAll('nav a').length;
     friction.navigationDepth = navs > 20 ? 'High' : 'Optimal';
 
     friction.score = Math.min(100, (friction.formComplexity * 5) + (navs * 2));
@@ -241,14 +241,14 @@ function analyzeInteractionFriction() {
 }
 
 function calculateCognitiveBurden() {
-    const allElements = document.querySelectorAll('*');
+    const allElements = deepElements();
     const elements = allElements.length;
     const colors = new Set(Array.from(allElements).slice(0, 100).map(el => window.getComputedStyle(el).color)).size;
     const fonts = new Set(Array.from(allElements).slice(0, 50).map(el => window.getComputedStyle(el).fontFamily)).size;
-    const inputs = document.querySelectorAll('input, select, textarea').length;
+    const inputs = deepQuerySelectorAll('input, select, textarea').length;
 
     // Detect active animations
-    const animations = document.querySelectorAll('*').length - Array.from(document.querySelectorAll('*')).filter(el => window.getComputedStyle(el).animationName === 'none').length;
+    const animations = deepElements().filter(el => window.getComputedStyle(el).animationName !== 'none').length;
 
     let burden = (elements / 150) + (colors * 3) + (fonts * 8) + (inputs * 5) + (animations * 10);
 
@@ -266,7 +266,7 @@ function analyzeConversionArchitecture() {
         deceptiveTriggers: 0
     };
 
-    const ctas = document.querySelectorAll('button, .btn');
+    const ctas = deepQuerySelectorAll('button, .btn');
     ctas.forEach(cta => {
         const text = cta.innerText.toLowerCase();
         if (text.includes('buy') || text.includes('get') || text.includes('start')) {
@@ -283,27 +283,27 @@ function visualizeStrategicMapping() {
     existing.forEach(e => e.remove());
 
     // Highlight conversion drivers
-    document.querySelectorAll('button, .btn').forEach(el => {
+    deepQuerySelectorAll('button, .btn').forEach(el => {
         addStrategicMarker(el, 'Conversion Anchor', '#4ade80');
     });
 
     // Highlight Scarcity/Panic drivers
     const bodyText = document.body.innerText.toLowerCase();
     const scarcityPatterns = ['limited', 'only', 'ends'];
-    document.querySelectorAll('span, p, h1, h2, h3').forEach(el => {
+    deepQuerySelectorAll('span, p, h1, h2, h3').forEach(el => {
         if (scarcityPatterns.some(p => el.innerText.toLowerCase().includes(p))) {
             addStrategicMarker(el, 'Scarcity Bias', '#f87171');
         }
     });
 
     // Highlight data collection
-    document.querySelectorAll('input').forEach(el => {
+    deepQuerySelectorAll('input').forEach(el => {
         addStrategicMarker(el, 'Data Harvest', '#60a5fa');
     });
 }
 
 function addStrategicMarker(el, label, color) {
-    const rect = el.getBoundingClientRect();
+    const rect = topLevelRect(el);
     if (rect.width === 0 || rect.height === 0) return;
 
     const marker = document.createElement('div');
@@ -357,7 +357,7 @@ function analyzePsychologicalPatterns() {
     };
 
     const bodyText = document.body.innerText.toLowerCase();
-    const allElements = Array.from(document.querySelectorAll('*'));
+    const allElements = deepElements();
 
     // Dark Pattern Detection
     const darkPatternKeywords = {
@@ -406,7 +406,7 @@ function analyzePsychologicalPatterns() {
     });
 
     // Social Proof Detection
-    const socialProofElements = document.querySelectorAll('[class*="review"], [class*="rating"], [class*="testimonial"], [class*="customer"]');
+    const socialProofElements = deepQuerySelectorAll('[class*="review"], [class*="rating"], [class*="testimonial"], [class*="customer"]');
     patterns.socialProof = socialProofElements.length;
     if (socialProofElements.length > 0) {
         patterns.persuasionTechniques.push({ type: 'social-proof', instances: socialProofElements.length });
@@ -431,7 +431,7 @@ function analyzePsychologicalPatterns() {
         return style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0';
     });
 
-    const interactiveElements = document.querySelectorAll('button, a, input, select, textarea, [onclick], [role="button"]');
+    const interactiveElements = deepQuerySelectorAll('button, a, input, select, textarea, [onclick], [role="button"]');
     const animations = Array.from(document.styleSheets).reduce((count, sheet) => {
         try {
             const rules = Array.from(sheet.cssRules || []);
@@ -449,9 +449,9 @@ function analyzePsychologicalPatterns() {
     );
 
     // Attention Engineering
-    const popups = document.querySelectorAll('[class*="modal"], [class*="popup"], [class*="overlay"]');
-    const autoplay = document.querySelectorAll('video[autoplay], audio[autoplay]');
-    const notifications = document.querySelectorAll('[class*="notification"], [class*="alert"], [class*="banner"]');
+    const popups = deepQuerySelectorAll('[class*="modal"], [class*="popup"], [class*="overlay"]');
+    const autoplay = deepQuerySelectorAll('video[autoplay], audio[autoplay]');
+    const notifications = deepQuerySelectorAll('[class*="notification"], [class*="alert"], [class*="banner"]');
 
     if (popups.length > 0) patterns.attentionEngineering.push({ type: 'modals', count: popups.length });
     if (autoplay.length > 0) patterns.attentionEngineering.push({ type: 'autoplay-media', count: autoplay.length });
@@ -534,7 +534,7 @@ function analyzeBrandArchetype() {
 }
 
 function extractDominantColors() {
-    const elements = Array.from(document.querySelectorAll('*')).slice(0, 200);
+    const elements = deepElements().slice(0, 200);
     const colors = { backgrounds: {}, text: {} };
 
     elements.forEach(el => {
@@ -633,11 +633,11 @@ function analyzeSoul() {
     });
 
     // Trust signals
-    const trustElements = document.querySelectorAll('[class*="secure"], [class*="verified"], [class*="guarantee"], [class*="trust"]');
+    const trustElements = deepQuerySelectorAll('[class*="secure"], [class*="verified"], [class*="guarantee"], [class*="trust"]');
     soul.trustSignals = trustElements.length;
 
     // Transparency
-    const transparencyElements = document.querySelectorAll('a[href*="privacy"], a[href*="terms"], a[href*="about"]');
+    const transparencyElements = deepQuerySelectorAll('a[href*="privacy"], a[href*="terms"], a[href*="about"]');
     soul.transparencyScore = Math.min(transparencyElements.length * 20, 100);
 
     // Human-centered vs corporate
@@ -690,7 +690,7 @@ function analyzeShadow() {
     };
 
     // Hidden elements
-    const allElements = Array.from(document.querySelectorAll('*'));
+    const allElements = deepElements();
     allElements.forEach(el => {
         const style = window.getComputedStyle(el);
         if ((style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') &&
@@ -711,7 +711,7 @@ function analyzeShadow() {
     ).length;
 
     // Data collection indicators
-    const inputs = Array.from(document.querySelectorAll('input'));
+    const inputs = deepQuerySelectorAll('input');
     inputs.forEach(input => {
         if (input.type === 'email' || input.type === 'tel' || input.name.includes('phone')) {
             shadow.dataCollection.push(input.type || input.name);
@@ -719,7 +719,7 @@ function analyzeShadow() {
     });
 
     // Accessibility violations (shadow in terms of excluding users)
-    const images = Array.from(document.querySelectorAll('img'));
+    const images = deepQuerySelectorAll('img');
     shadow.a11yViolations = images.filter(img => !img.alt || img.alt.trim() === '').length;
 
     // Manipulative design patterns
@@ -735,7 +735,7 @@ function analyzeShadow() {
     }
 
     // Deceptive patterns
-    const buttons = Array.from(document.querySelectorAll('button'));
+    const buttons = deepQuerySelectorAll('button');
     buttons.forEach(btn => {
         const text = btn.innerText.toLowerCase();
         if (text.includes('accept all') || text.includes('agree to all')) {
@@ -848,7 +848,7 @@ function analyzeEmotionalDesign() {
     // Spacing analysis
     const body = document.body;
     const bodyStyle = window.getComputedStyle(body);
-    const containers = Array.from(document.querySelectorAll('div, section, article')).slice(0, 50);
+    const containers = deepQuerySelectorAll('div, section, article').slice(0, 50);
 
     let totalPadding = 0;
     let totalMargin = 0;
@@ -868,7 +868,7 @@ function analyzeEmotionalDesign() {
     };
 
     // Typography mood
-    const headings = document.querySelectorAll('h1, h2, h3');
+    const headings = deepQuerySelectorAll('h1, h2, h3');
     if (headings.length > 0) {
         const h1Style = window.getComputedStyle(headings[0]);
         const fontFamily = h1Style.fontFamily.toLowerCase();
@@ -889,7 +889,7 @@ function analyzeEmotionalDesign() {
     }
 
     // Visual weight
-    const images = document.querySelectorAll('img').length;
+    const images = deepQuerySelectorAll('img').length;
     const text = document.body.innerText.length;
     const ratio = images / Math.max(text / 1000, 1);
 
@@ -900,11 +900,11 @@ function analyzeEmotionalDesign() {
     // Design personality traits
     if (avgPadding > 40) emotion.designPersonality.push('Minimalist');
     if (images > 20) emotion.designPersonality.push('Visual');
-    if (document.querySelectorAll('button, a').length > 50) emotion.designPersonality.push('Interactive');
+    if (deepQuerySelectorAll('button, a').length > 50) emotion.designPersonality.push('Interactive');
     if (avgMargin < 10) emotion.designPersonality.push('Dense');
 
     // Emotional intent
-    const buttons = Array.from(document.querySelectorAll('button, .btn, [role="button"]'));
+    const buttons = deepQuerySelectorAll('button, .btn, [role="button"]');
     const ctaText = buttons.map(b => b.innerText.toLowerCase()).join(' ');
 
     if (ctaText.includes('buy') || ctaText.includes('shop')) emotion.emotionalIntent = 'Conversion-Focused';
@@ -964,7 +964,7 @@ function toggleContrastMap() {
         `;
         document.body.appendChild(contrastOverlay);
 
-        const all = document.querySelectorAll('p, span, a, h1, h2, h3, h4, h5, h6, button');
+        const all = deepQuerySelectorAll('p, span, a, h1, h2, h3, h4, h5, h6, button');
         all.forEach(el => {
             const style = window.getComputedStyle(el);
             const bg = getRecursiveBg(el);
@@ -973,7 +973,7 @@ function toggleContrastMap() {
             try {
                 const ratio = getContrastRatio(fg, bg);
                 if (ratio < 4.5) {
-                    const rect = el.getBoundingClientRect();
+                    const rect = topLevelRect(el);
                     const marker = document.createElement('div');
                     marker.className = 'remixr-contrast-warning';
                     marker.style.cssText = `
@@ -1001,8 +1001,9 @@ function toggleContrastMap() {
 function getRecursiveBg(el) {
     let style = window.getComputedStyle(el);
     let bg = style.backgroundColor;
-    while ((bg === 'rgba(0, 0, 0, 0)' || bg === 'transparent') && el.parentElement) {
-        el = el.parentElement;
+    // Through shadow hosts and frame elements, whose background shows behind the content
+    while ((bg === 'rgba(0, 0, 0, 0)' || bg === 'transparent') && composedParent(el)) {
+        el = composedParent(el);
         style = window.getComputedStyle(el);
         bg = style.backgroundColor;
     }
@@ -1393,8 +1394,8 @@ function extractDOMTree(maxDepth = 10) {
             // Ignore errors for detached nodes
         }
 
-        // Recursively process children
-        for (const child of node.childNodes) {
+        // Recursively process children, including shadow trees and same-origin frames
+        for (const child of composedChildren(node)) {
             const serialized = serializeNode(child, depth + 1);
             if (serialized) element.children.push(serialized);
         }
@@ -1609,7 +1610,7 @@ function extractStateManagement() {
  */
 function extractEventListeners() {
     const listeners = [];
-    const elements = document.querySelectorAll('button, a, input, select, textarea, [onclick], [onchange], [onmouseover], [role="button"]');
+    const elements = deepQuerySelectorAll('button, a, input, select, textarea, [onclick], [onchange], [onmouseover], [role="button"]');
 
     for (const element of Array.from(elements).slice(0, 50)) {
         const elementEvents = [];
@@ -1806,7 +1807,7 @@ function extractComputedStyles() {
  */
 function extractDataAttributes() {
     const dataAttrs = {};
-    const elements = document.querySelectorAll('[data-]');
+    const elements = deepQuerySelectorAll('[data-]');
 
     for (const element of Array.from(elements).slice(0, 100)) {
         const attrs = {};
@@ -1829,7 +1830,7 @@ function extractDataAttributes() {
  */
 function extractCustomElements() {
     const customElements = [];
-    const elements = document.querySelectorAll('*');
+    const elements = deepElements();
 
     for (const element of elements) {
         if (element.tagName.includes('-')) {
@@ -1915,7 +1916,7 @@ function analyzeEmotionalDesign() {
     };
 
     // Typography mood detection
-    const fonts = Array.from(document.querySelectorAll('*'))
+    const fonts = deepElements()
         .map(el => window.getComputedStyle(el).fontFamily)
         .slice(0, 50)
         .join(' ');
@@ -1936,7 +1937,7 @@ function analyzeEmotionalDesign() {
 
     // Spacing psychology (Breathability)
     let totalPad = 0, totalMar = 0, count = 0;
-    document.querySelectorAll('div, section, main').forEach(el => {
+    deepQuerySelectorAll('div, section, main').forEach(el => {
         if (count > 20) return;
         const s = window.getComputedStyle(el);
         totalPad += parseInt(s.padding) || 0;
@@ -1951,8 +1952,8 @@ function analyzeEmotionalDesign() {
     else analysis.spacingAnalysis.feeling = 'Standard/Functional';
 
     // Personality Traits
-    if (document.querySelectorAll('img').length > 10) analysis.designPersonality.push('Visual-Heavy');
-    if (document.querySelectorAll('input').length > 5) analysis.designPersonality.push('Interactive/Utility');
+    if (deepQuerySelectorAll('img').length > 10) analysis.designPersonality.push('Visual-Heavy');
+    if (deepQuerySelectorAll('input').length > 5) analysis.designPersonality.push('Interactive/Utility');
     if (analysis.typographyMood.includes('Classic')) analysis.designPersonality.push('Traditional');
     if (analysis.spacingAnalysis.feeling.includes('Expansive')) analysis.designPersonality.push('Minimalist');
 
@@ -0,0 +1,183 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Browser Targets
+// Converts a Chrome project for Firefox and Safari and reports the APIs those browsers lack
+
+// chrome.* namespaces and methods each browser does not implement. Entries match a whole
+// namespace ('system' covers system.cpu) or one method. Based on MDN's browser
+// compatibility data; recheck it when a browser adds an API.
+const BROWSER_TARGETS = {
+  chrome: {
+    label: 'Chrome',
+    unsupportedApis: []
+  },
+  firefox: {
+    label: 'Firefox',
+    minVersion: '115.0',
+    unsupportedApis: [
+      'accessibilityFeatures', 'certificateProvider', 'contentSettings', 'debugger', 'declarativeContent',
+      'desktopCapture', 'documentScan', 'enterprise', 'fileBrowserHandler', 'fileSystemProvider',
+      'fontSettings', 'gcm', 'instanceID', 'loginState', 'offscreen', 'platformKeys', 'power', 'printing',
+      'printingMetrics', 'processes', 'readingList', 'sidePanel', 'system', 'tabCapture', 'tts', 'ttsEngine',
+      'vpnProvider', 'wallpaper'
+    ]
+  },
+  safari: {
+    label: 'Safari',
+    minVersion: '15.4',
+    unsupportedApis: [
+      'accessibilityFeatures', 'bookmarks', 'browsingData', 'certificateProvider', 'contentSettings',
+      'debugger', 'declarativeContent', 'desktopCapture', 'documentScan', 'downloads', 'enterprise',
+      'fileBrowserHandler', 'fileSystemProvider', 'fontSettings', 'gcm', 'history', 'identity', 'idle',
+      'instanceID', 'loginState', 'management', 'notifications', 'offscreen', 'pageCapture', 'platformKeys',
+      'power', 'printing', 'printingMetrics', 'privacy', 'processes', 'proxy', 'readingList', 'sidePanel',
+      'system', 'tabCapture', 'tabGroups', 'topSites', 'tts', 'ttsEngine', 'vpnProvider', 'wallpaper'
+    ]
+  }
+};
+
+/**
+ * Finds the unsupported-API entry covering a call, if any
+ * @param {string} target - Browser target key
+ * @param {string} api - e.g. 'sidePanel.open' or 'system.cpu'
+ * @returns {string|null}
+ */
+function unsupportedApiFor(target, api) {
+  return BROWSER_TARGETS[target].unsupportedApis.find(entry => api === entry || api.startsWith(`${entry}.`)) || null;
+}
+
+/**
+ * Firefox add-on ID derived from the project name. AMO needs a stable ID, so it is
+ * only generated when the manifest doesn't have one.
+ */
+function defaultGeckoId(name) {
+  const slug = String(name || 'extension').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'extension';
+  return `${slug}@remixr.local`;
+}
+
+/**
+ * Rewrites a Chrome manifest for another browser
+ * @param {Object} manifest - Parsed Chrome manifest.json
+ * @param {string} target - 'chrome', 'firefox' or 'safari'
+ * @returns {{manifest: Object, notes: string[]}} - notes describe each change made
+ */
+function convertManifestForTarget(manifest, target) {
+  const converted = JSON.parse(JSON.stringify(manifest));
+  const notes = [];
+  if (target === 'chrome') return { manifest: converted, notes };
+
+  const settings = converted.browser_specific_settings || {};
+  const permissions = converted.permissions || [];
+  const dropped = permissions.filter(permission => unsupportedApiFor(target, permission));
+  if (dropped.length > 0) {
+    converted.permissions = permissions.filter(permission => !dropped.includes(permission));
+    notes.push(`Removed permissions ${BROWSER_TARGETS[target].label} does not support: ${dropped.join(', ')}`);
+  }
+
+  if (target === 'firefox') {
+    const gecko = { ...settings.gecko };
+    if (!gecko.id) {
+      gecko.id = defaultGeckoId(converted.name);
+      notes.push(`Added add-on ID ${gecko.id} - replace it with your own before submitting to addons.mozilla.org`);
+    }
+    gecko.strict_min_version = gecko.strict_min_version || BROWSER_TARGETS.firefox.minVersion;
+    converted.browser_specific_settings = { ...settings, gecko };
+
+    // Firefox runs Manifest V3 backgrounds as event pages, not service workers
+    const background = converted.background;
+    if (background?.service_worker && !background.scripts) {
+      const { service_worker: worker, ...rest } = background;
+      converted.background = { ...rest, scripts: [worker] };
+      notes.push(`Converted background.service_worker to background.scripts: ["${worker}"]`);
+    }
+
+    if (converted.side_panel) {
+      const sidebar = { default_panel: converted.side_panel.default_path };
+      const title = converted.action?.default_title || converted.name;
+      if (title) sidebar.default_title = title;
+      if (converted.icons) sidebar.default_icon = converted.icons;
+      converted.sidebar_action = sidebar;
+      delete converted.side_panel;
+      notes.push('Rewrote side_panel as sidebar_action');
+    }
+  }
+
+  if (target === 'safari') {
+    const safari = { ...settings.safari };
+    safari.strict_min_version = safari.strict_min_version || BROWSER_TARGETS.safari.minVersion;
+    converted.browser_specific_settings = { ...settings, safari };
+
+    if (converted.side_panel) {
+      delete converted.side_panel;
+      notes.push('Removed side_panel - Safari has no side panel');
+    }
+  }
+
+  return { manifest: converted, notes };
+}
+
+/**
+ * Lists what in a project will not work in a browser: unsupported chrome.* APIs,
+ * background workers that rely on importScripts, and manifest problems after conversion
+ * @param {Object} project - Project with files
+ * @param {string} target - Browser target key
+ * @returns {{manifest: Object|null, issues: Array<{severity: string, message: string, file?: string, line?: number}>}}
+ */
+function targetCompatibilityReport(project, target) {
+  let source;
+  try {
+    source = JSON.parse(project.files['manifest.json']);
+  } catch (e) {
+    return { manifest: null, issues: [{ severity: 'error', message: 'manifest.json is missing or invalid' }] };
+  }
+
+  const { manifest, notes } = convertManifestForTarget(source, target);
+  const label = BROWSER_TARGETS[target].label;
+  const issues = notes.map(message => ({ severity: 'info', message }));
+
+  const validation = validateManifest(manifest, { target });
+  validation.errors.forEach(message => issues.push({ severity: 'error', message }));
+
+  // One entry per API and file, at its first use
+  const seen = new Set();
+  Object.entries(project.files)
+    .filter(([path, content]) => /\.m?js$/.test(path) && typeof content === 'string')
+    .forEach(([path, content]) => {
+      findChromeApiCalls(content).forEach(({ api, line }) => {
+        const entry = unsupportedApiFor(target, api);
+        if (!entry || seen.has(`${path}|${entry}`)) return;
+        seen.add(`${path}|${entry}`);
+        issues.push({ severity: 'error', file: path, line, message: `chrome.${entry} is not available in ${label}` });
+      });
+    });
+
+  const scripts = target === 'firefox' ? manifest.background?.scripts || [] : [];
+  scripts.forEach(path => {
+    const lines = String(project.files[path] || '').split('\n');
+    const line = lines.findIndex(text => /\bimportScripts\s*\(/.test(text));
+    if (line !== -1) {
+      issues.push({
+        severity: 'error',
+        file: path,
+        line: line + 1,
+        message: 'importScripts only exists in service workers - list the imported files in background.scripts instead'
+      });
+    }
+  });
+
+  return { manifest, issues };
+}
@@ -0,0 +1,104 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Line Diff
+// Minimal LCS-based line diff used to review file changes
+
+// Above this many cells the LCS table is skipped and the change is shown as a full replace
+const DIFF_MAX_CELLS = 4000000;
+
+/**
+ * Computes a line-level diff between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - Updated text
+ * @returns {Array<{type: string, text: string}>} - Ops of type 'equal', 'add' or 'remove'
+ */
+function diffLines(oldText, newText) {
+  const a = (oldText || '').split('\n');
+  const b = (newText || '').split('\n');
+  if (!oldText) a.length = 0;
+  if (!newText) b.length = 0;
+
+  // Trim the common prefix and suffix so the table only covers the changed region
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map(text => ({ type: 'equal', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > DIFF_MAX_CELLS) {
+    midA.forEach(text => ops.push({ type: 'remove', text }));
+    midB.forEach(text => ops.push({ type: 'add', text }));
+  } else {
+    ops.push(...lcsDiff(midA, midB));
+  }
+
+  a.slice(endA).forEach(text => ops.push({ type: 'equal', text }));
+  return ops;
+}
+
+/**
+ * Classic dynamic-programming LCS diff over two line arrays
+ */
+function lcsDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      ops.push({ type: 'remove', text: a[i++] });
+    } else {
+      ops.push({ type: 'add', text: b[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: 'remove', text: a[i++] });
+  while (j < m) ops.push({ type: 'add', text: b[j++] });
+
+  return ops;
+}
+
+/**
+ * Summarizes a diff as added/removed line counts
+ * @param {Array<{type: string}>} ops - Output of diffLines
+ * @returns {{added: number, removed: number}}
+ */
+function diffStats(ops) {
+  return {
+    added: ops.filter(op => op.type === 'add').length,
+    removed: ops.filter(op => op.type === 'remove').length
+  };
+}
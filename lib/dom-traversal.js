@@ -0,0 +1,186 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr DOM Traversal
+// Walks a page the way it is rendered - into open shadow roots and same-origin frames - for
+// the analyzers, the Inspector and the style recorder. Selectors that cross those boundaries
+// join one selector per root with ' >>> '.
+// Only function declarations: the func analyzers inject this file on its own, also into pages
+// that already have it as a content script, and a top-level const or let would fail to
+// redeclare. The other content scripts do declare them, so the popup injects those only into
+// tabs that don't have them yet (ensureContentScripts in src/popup/analyzers.js).
+
+/**
+ * Document of a frame, or null when it is cross-origin, not loaded or not a frame
+ * @param {Element} frame
+ * @returns {Document|null}
+ */
+function frameDocument(frame) {
+    try {
+        return frame.contentDocument || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Frame element a document is shown in, or null for the top document and cross-origin frames
+ * @param {Document} doc
+ * @returns {Element|null}
+ */
+function frameElementOf(doc) {
+    try {
+        return doc.defaultView?.frameElement || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * A root and every root inside it: open shadow roots and the documents of same-origin
+ * frames, depth-first in document order
+ * @param {Document|ShadowRoot} [root=document]
+ * @returns {Array<Document|ShadowRoot>}
+ */
+function collectRoots(root = document) {
+    const roots = [root];
+    root.querySelectorAll('*').forEach(el => {
+        if (el.shadowRoot) roots.push(...collectRoots(el.shadowRoot));
+        const doc = el.tagName === 'IFRAME' || el.tagName === 'FRAME' ? frameDocument(el) : null;
+        if (doc) roots.push(...collectRoots(doc));
+    });
+    return roots;
+}
+
+/**
+ * querySelectorAll over a root and every shadow root and frame inside it
+ * @param {string} selector
+ * @param {Document|ShadowRoot} [root=document]
+ * @returns {Element[]}
+ */
+function deepQuerySelectorAll(selector, root = document) {
+    return collectRoots(root).flatMap(scope => Array.from(scope.querySelectorAll(selector)));
+}
+
+/**
+ * Every element of the page, including those in shadow roots and same-origin frames
+ * @param {Document|ShadowRoot} [root=document]
+ * @returns {Element[]}
+ */
+function deepElements(root = document) {
+    return deepQuerySelectorAll('*', root);
+}
+
+/**
+ * Child nodes as rendered: a shadow host's shadow tree before its light DOM children, and
+ * a same-origin frame's document element
+ * @param {Node} node
+ * @returns {Node[]}
+ */
+function composedChildren(node) {
+    if (node.nodeType !== 1) return Array.from(node.childNodes || []);
+    const doc = node.tagName === 'IFRAME' || node.tagName === 'FRAME' ? frameDocument(node) : null;
+    if (doc) return doc.documentElement ? [doc.documentElement] : [];
+    return [...(node.shadowRoot ? node.shadowRoot.childNodes : []), ...node.childNodes];
+}
+
+/**
+ * Parent as rendered: the shadow host for a shadow root's top-level nodes, the frame element
+ * for a frame's document element
+ * @param {Node} node
+ * @returns {Element|null}
+ */
+function composedParent(node) {
+    const parent = node.parentNode;
+    if (!parent) return null;
+    if (parent.nodeType === 11) return parent.host || null;
+    if (parent.nodeType === 9) return frameElementOf(parent);
+    return parent;
+}
+
+/**
+ * The element an event really happened on. Events from shadow trees reach document
+ * listeners retargeted to the host; the composed path still starts at the inner element.
+ * @param {Event} event
+ * @returns {Element}
+ */
+function deepEventTarget(event) {
+    const first = event.composedPath ? event.composedPath()[0] : null;
+    return first && first.nodeType === 1 ? first : event.target;
+}
+
+/**
+ * Bounding rectangle in the top document's viewport, for elements inside frames too
+ * @param {Element} el
+ * @returns {{top: number, left: number, width: number, height: number}}
+ */
+function topLevelRect(el) {
+    const rect = el.getBoundingClientRect();
+    let top = rect.top;
+    let left = rect.left;
+    let frame = frameElementOf(el.ownerDocument);
+    while (frame) {
+        const frameRect = frame.getBoundingClientRect();
+        top += frameRect.top + frame.clientTop;
+        left += frameRect.left + frame.clientLeft;
+        frame = frameElementOf(frame.ownerDocument);
+    }
+    return { top, left, width: rect.width, height: rect.height };
+}
+
+/**
+ * Selector that reaches an element through shadow roots and frames: a unique selector in
+ * each root, outermost first, joined with ' >>> '. Uses getUniqueSelector from
+ * lib/selector-engine.js.
+ * @param {Element} el
+ * @returns {string}
+ */
+function getDeepSelector(el) {
+    const segments = [];
+    let current = el;
+    while (current) {
+        segments.unshift(getUniqueSelector(current));
+        const root = current.getRootNode();
+        current = root.nodeType === 11 ? root.host : root.nodeType === 9 ? frameElementOf(root) : null;
+    }
+    return segments.join(' >>> ');
+}
+
+/**
+ * All elements a selector from getDeepSelector reaches. Each segment is matched inside the
+ * shadow roots or frame documents of the previous segment's matches.
+ * @param {string} selector
+ * @param {Document|ShadowRoot} [root=document]
+ * @returns {Element[]}
+ */
+function resolveDeepSelectorAll(selector, root = document) {
+    const segments = selector.split(' >>> ');
+    return segments.reduce((scopes, segment, index) => {
+        const matches = scopes.flatMap(scope => Array.from(scope.querySelectorAll(segment)));
+        if (index === segments.length - 1) return matches;
+        return matches.map(el => el.shadowRoot || frameDocument(el)).filter(Boolean);
+    }, [root]);
+}
+
+/**
+ * First element a selector from getDeepSelector reaches
+ * @param {string} selector
+ * @param {Document|ShadowRoot} [root=document]
+ * @returns {Element|null}
+ */
+function resolveDeepSelector(selector, root = document) {
+    return resolveDeepSelectorAll(selector, root)[0] || null;
+}
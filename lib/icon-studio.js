@@ -0,0 +1,237 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Icon Studio
+// Renders a project's icons from an uploaded image or a glyph on a gradient, at every size Chrome uses
+
+// 16: favicon and toolbar, 32: Windows, 48: extensions page, 128: install dialog and Web Store
+const ICON_SIZES = [16, 32, 48, 128];
+const ICON_SOURCE_PATH = 'icons/icon.svg';
+const DEFAULT_ICON_COLORS = ['#667eea', '#764ba2'];
+
+// Corner radius and glyph size as fractions of the icon size
+const ICON_CORNER_RATIO = 0.1875;
+const ICON_GLYPH_RATIO = 0.6;
+const ICON_FONT_STACK = '"Segoe UI Emoji", "Apple Color Emoji", "Noto Color Emoji", Arial, sans-serif';
+
+/**
+ * Path of the PNG for one icon size
+ * @param {number} size - Icon size in pixels
+ * @returns {string}
+ */
+function iconFilePath(size) {
+  return `icons/icon${size}.png`;
+}
+
+/**
+ * The icon exports fall back to: the name's first character on the ReMixr gradient
+ * @param {string} name - Project name
+ * @returns {Object} - Glyph icon spec
+ */
+function defaultIconSpec(name) {
+  const glyph = Array.from((name || '').trim())[0] || '?';
+  return { type: 'glyph', glyph: glyph.toUpperCase(), colors: [...DEFAULT_ICON_COLORS] };
+}
+
+/**
+ * Normalizes a CSS color from the palette analyzer to #rrggbb, as color inputs require
+ * @param {string} color - Hex, rgb() or rgba() color
+ * @returns {string|null} - null for unparseable or fully transparent colors
+ */
+function colorToHex(color) {
+  const value = String(color || '').trim().toLowerCase();
+
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(value);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split('').map(d => d + d).join('') : hex[1];
+    return `#${digits}`;
+  }
+
+  const rgb = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/.exec(value);
+  if (!rgb || (rgb[4] !== undefined && Number(rgb[4]) === 0)) return null;
+  return '#' + rgb.slice(1, 4).map(n => Math.min(255, Number(n)).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Distinct colors from a site context's palette, ready for color inputs
+ * @param {Object|null} context - SITE_CONTEXT from extractSiteContext
+ * @param {number} [limit] - Maximum number of colors
+ * @returns {string[]}
+ */
+function paletteFromContext(context, limit = 12) {
+  const colors = (context?.design?.colorPalette || []).map(colorToHex).filter(Boolean);
+  return [...new Set(colors)].slice(0, limit);
+}
+
+function escapeXML(text) {
+  return String(text).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Scalable source for a glyph icon, kept in the project next to the PNGs
+ * @param {Object} spec - Glyph icon spec ({ glyph, colors })
+ * @returns {string} - SVG markup
+ */
+function glyphIconSvg(spec) {
+  const [start, end] = spec.colors;
+  const radius = 128 * ICON_CORNER_RATIO;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="128" height="128" viewBox="0 0 128 128">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="${escapeXML(start)}"/>
+      <stop offset="1" stop-color="${escapeXML(end)}"/>
+    </linearGradient>
+  </defs>
+  <rect width="128" height="128" rx="${radius}" fill="url(#bg)"/>
+  <text x="64" y="64" dy="0.35em" text-anchor="middle" fill="#ffffff" font-size="${128 * ICON_GLYPH_RATIO}"
+    font-weight="bold" font-family='${ICON_FONT_STACK}'>${escapeXML(spec.glyph)}</text>
+</svg>
+`;
+}
+
+/**
+ * Paints a glyph icon onto a canvas context
+ */
+function drawGlyphIcon(ctx, spec, size) {
+  const gradient = ctx.createLinearGradient(0, 0, size, size);
+  gradient.addColorStop(0, spec.colors[0]);
+  gradient.addColorStop(1, spec.colors[1]);
+  ctx.fillStyle = gradient;
+  ctx.beginPath();
+  ctx.roundRect(0, 0, size, size, size * ICON_CORNER_RATIO);
+  ctx.fill();
+
+  ctx.fillStyle = '#ffffff';
+  ctx.font = `bold ${Math.round(size * ICON_GLYPH_RATIO)}px ${ICON_FONT_STACK}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(spec.glyph, size / 2, size / 2);
+}
+
+/**
+ * Paints an image centered and scaled to fit. Large images are halved step by step
+ * first, since a single big downscale drops detail at 16px.
+ */
+function drawImageIcon(ctx, image, size) {
+  const width = image.naturalWidth || image.width || size;
+  const height = image.naturalHeight || image.height || size;
+  const scale = Math.min(size / width, size / height);
+
+  let source = image;
+  let sourceWidth = width;
+  let sourceHeight = height;
+  while (width * scale < sourceWidth / 2) {
+    const step = document.createElement('canvas');
+    step.width = Math.round(sourceWidth / 2);
+    step.height = Math.round(sourceHeight / 2);
+    const stepCtx = step.getContext('2d');
+    stepCtx.imageSmoothingQuality = 'high';
+    stepCtx.drawImage(source, 0, 0, step.width, step.height);
+    source = step;
+    sourceWidth = step.width;
+    sourceHeight = step.height;
+  }
+
+  const drawWidth = width * scale;
+  const drawHeight = height * scale;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(source, (size - drawWidth) / 2, (size - drawHeight) / 2, drawWidth, drawHeight);
+}
+
+/**
+ * Renders one icon size as a PNG
+ * @param {Object} spec - { type: 'glyph', glyph, colors } or { type: 'image' }
+ * @param {number} size - Icon size in pixels
+ * @param {HTMLImageElement} [image] - Decoded upload, for image specs
+ * @returns {Promise<Blob>}
+ */
+function renderIconBlob(spec, size, image) {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+
+  if (spec.type === 'image') drawImageIcon(ctx, image, size);
+  else drawGlyphIcon(ctx, spec, size);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render icon'))), 'image/png');
+  });
+}
+
+/**
+ * Decodes an uploaded PNG or SVG
+ * @param {Blob} blob - Image file
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadIconImage(blob) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`${blob.name || 'Image'} could not be decoded`));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Renders every icon size plus the scalable source when there is one
+ * @param {Object} spec - Icon spec
+ * @param {Object} [upload] - { blob, image } for image specs
+ * @returns {Promise<Object<string, Blob>>} - Icon files keyed by project path
+ */
+async function renderProjectIcons(spec, upload) {
+  const files = {};
+  for (const size of ICON_SIZES) {
+    files[iconFilePath(size)] = await renderIconBlob(spec, size, upload?.image);
+  }
+
+  if (spec.type === 'glyph') {
+    files[ICON_SOURCE_PATH] = new Blob([glyphIconSvg(spec)], { type: 'image/svg+xml' });
+  } else if (upload.blob.type === 'image/svg+xml') {
+    files[ICON_SOURCE_PATH] = upload.blob;
+  }
+  return files;
+}
+
+/**
+ * Points the manifest's icons and toolbar icon at the rendered PNGs
+ * @param {string} manifestText - manifest.json content
+ * @returns {string} - Updated manifest.json content
+ */
+function applyIconsToManifest(manifestText) {
+  let manifest;
+  try {
+    manifest = JSON.parse(manifestText);
+  } catch (e) {
+    throw new Error('manifest.json is not valid JSON');
+  }
+
+  const icons = Object.fromEntries(ICON_SIZES.map(size => [String(size), iconFilePath(size)]));
+  manifest.icons = icons;
+
+  const actionKey = ['action', 'browser_action', 'page_action'].find(key => manifest[key]) ||
+    (manifest.manifest_version === 2 ? 'browser_action' : 'action');
+  manifest[actionKey] = { ...manifest[actionKey], default_icon: { ...icons } };
+
+  return JSON.stringify(manifest, null, 2);
+}
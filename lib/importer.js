@@ -0,0 +1,383 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Extension Importer
+// Reads existing extensions (ZIP, CRX or a local folder) into a project file map
+
+const IMPORT_TEXT_EXTENSIONS = [
+  'js', 'mjs', 'cjs', 'ts', 'json', 'html', 'htm', 'css', 'md', 'txt', 'svg',
+  'xml', 'csv', 'map', 'yml', 'yaml', 'jsx', 'tsx', 'vue', 'svelte'
+];
+
+const IMPORT_MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  ico: 'image/x-icon',
+  woff: 'font/woff',
+  woff2: 'font/woff2',
+  ttf: 'font/ttf',
+  wasm: 'application/wasm'
+};
+
+// Archive noise and Chrome-generated verification data
+const IMPORT_IGNORED_PATH = /(^|\/)(__MACOSX|\.git|_metadata)(\/|$)|(^|\/)(\.DS_Store|Thumbs\.db)$/;
+
+/**
+ * @param {string} path - File path
+ * @returns {boolean} - Whether the file should be imported as text
+ */
+function isTextPath(path) {
+  const ext = path.split('.').pop().toLowerCase();
+  return IMPORT_TEXT_EXTENSIONS.includes(ext) || !path.includes('.');
+}
+
+/**
+ * @param {string} path - File path
+ * @returns {string} - Best-guess MIME type for a binary file
+ */
+function mimeTypeForPath(path) {
+  return IMPORT_MIME_TYPES[path.split('.').pop().toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Returns the ZIP payload of a CRX package; other data is returned unchanged.
+ * CRX2: magic, version, key length, signature length, key, signature.
+ * CRX3: magic, version, header length, protobuf header.
+ * @param {ArrayBuffer} buffer - Package bytes
+ * @returns {ArrayBuffer}
+ * @throws {Error} - On an unknown CRX version
+ */
+function stripCrxHeader(buffer) {
+  const view = new DataView(buffer);
+  const magic = String.fromCharCode(...new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength)));
+  if (magic !== 'Cr24') return buffer;
+
+  const version = view.getUint32(4, true);
+  if (version === 2) {
+    const keyLength = view.getUint32(8, true);
+    const signatureLength = view.getUint32(12, true);
+    return buffer.slice(16 + keyLength + signatureLength);
+  }
+  if (version === 3) {
+    const headerLength = view.getUint32(8, true);
+    return buffer.slice(12 + headerLength);
+  }
+  throw new Error(`Unsupported CRX version ${version}`);
+}
+
+/**
+ * Reads every file in a ZIP (or CRX) archive
+ * @param {ArrayBuffer} buffer - Archive bytes
+ * @returns {Promise<Object<string, string|Blob>>}
+ */
+async function readArchiveFiles(buffer) {
+  if (typeof JSZip === 'undefined') {
+    throw new Error('JSZip is not loaded');
+  }
+
+  const zip = await JSZip.loadAsync(stripCrxHeader(buffer));
+  const files = {};
+
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir || IMPORT_IGNORED_PATH.test(entry.name)) continue;
+
+    files[entry.name] = isTextPath(entry.name)
+      ? await entry.async('string')
+      : new Blob([await entry.async('arraybuffer')], { type: mimeTypeForPath(entry.name) });
+  }
+
+  return unwrapSingleRoot(files);
+}
+
+/**
+ * Reads every file below a directory picked with the File System Access API
+ * @param {FileSystemDirectoryHandle} dirHandle - Directory to read
+ * @param {string} [prefix] - Path of dirHandle relative to the import root
+ * @returns {Promise<Object<string, string|Blob>>}
+ */
+async function readDirectoryFiles(dirHandle, prefix = '') {
+  const files = {};
+
+  for await (const [name, handle] of dirHandle.entries()) {
+    const path = prefix + name;
+    if (IMPORT_IGNORED_PATH.test(path) || name === 'node_modules') continue;
+
+    if (handle.kind === 'directory') {
+      Object.assign(files, await readDirectoryFiles(handle, path + '/'));
+    } else {
+      const file = await handle.getFile();
+      files[path] = isTextPath(path)
+        ? await file.text()
+        : new Blob([file], { type: file.type || mimeTypeForPath(path) });
+    }
+  }
+
+  return prefix ? files : unwrapSingleRoot(files);
+}
+
+/**
+ * Archives are often built from the parent folder, leaving everything under one
+ * top-level directory. Moves that directory's contents up when it holds the manifest.
+ */
+function unwrapSingleRoot(files) {
+  if (files['manifest.json']) return files;
+
+  const roots = new Set(Object.keys(files).map(path => path.split('/')[0]));
+  if (roots.size !== 1) return files;
+
+  const [root] = roots;
+  if (!files[`${root}/manifest.json`]) return files;
+
+  const unwrapped = {};
+  Object.entries(files).forEach(([path, content]) => {
+    unwrapped[path.slice(root.length + 1)] = content;
+  });
+  return unwrapped;
+}
+
+/**
+ * Resolves a __MSG_key__ placeholder against the default locale
+ * @param {string} value - Manifest string
+ * @param {Object} manifest - Parsed manifest
+ * @param {Object} files - Project files
+ * @returns {string}
+ */
+function resolveManifestMessage(value, manifest, files) {
+  const match = typeof value === 'string' && value.match(/^__MSG_(\w+)__$/);
+  if (!match) return value;
+
+  try {
+    const messages = JSON.parse(files[`_locales/${manifest.default_locale || 'en'}/messages.json`]);
+    const entry = Object.entries(messages).find(([key]) => key.toLowerCase() === match[1].toLowerCase());
+    return entry ? entry[1].message : value;
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Checks that imported files form an extension and builds the project
+ * @param {Object<string, string|Blob>} files - Imported files
+ * @param {string} source - Where the files came from, for the project metadata
+ * @returns {{project: Object, validation: Object}}
+ * @throws {Error} - When there is no readable manifest.json
+ */
+function createImportedProject(files, source) {
+  if (Object.keys(files).length === 0) {
+    throw new Error('No files found to import');
+  }
+  if (typeof files['manifest.json'] !== 'string') {
+    throw new Error('No manifest.json found at the root of the extension');
+  }
+
+  let manifest;
+  try {
+    // Chrome tolerates comments in manifest.json
+    manifest = JSON.parse(files['manifest.json'].replace(/^\s*\/\/.*$/gm, ''));
+  } catch (e) {
+    throw new Error(`manifest.json is not valid JSON: ${e.message}`);
+  }
+
+  const validation = validateManifest(manifest);
+  const name = resolveManifestMessage(manifest.name, manifest, files) || 'Imported Extension';
+
+  const project = normalizeProject({
+    name,
+    files,
+    created: Date.now(),
+    importedFrom: source
+  });
+
+  return { project, validation };
+}
+
+// ============================================
+// INSTALLED EXTENSIONS
+// ============================================
+
+/**
+ * Lists installed extensions that can be remixed, unpacked (developer) ones first
+ * @param {boolean} [includeAll] - Also list extensions installed from a store or by policy
+ * @returns {Promise<Object[]>} - chrome.management ExtensionInfo objects
+ */
+async function listRemixableExtensions(includeAll = false) {
+  const all = await chrome.management.getAll();
+  return all
+    .filter(info => info.type === 'extension' && info.id !== chrome.runtime.id)
+    .filter(info => includeAll || info.installType === 'development')
+    .sort((a, b) => {
+      const devFirst = (b.installType === 'development') - (a.installType === 'development');
+      return devFirst || a.name.localeCompare(b.name);
+    });
+}
+
+/**
+ * Collects the file paths a manifest refers to
+ * @param {Object} manifest - Parsed manifest
+ * @returns {string[]}
+ */
+function collectManifestPaths(manifest) {
+  const paths = [];
+  const add = value => {
+    if (typeof value === 'string') paths.push(value);
+    else if (value && typeof value === 'object') Object.values(value).forEach(add);
+  };
+
+  add(manifest.icons);
+  add(manifest.action?.default_icon);
+  add(manifest.action?.default_popup);
+  add(manifest.background?.service_worker);
+  add(manifest.options_page);
+  add(manifest.options_ui?.page);
+  add(manifest.side_panel?.default_path);
+  add(manifest.devtools_page);
+  add(manifest.chrome_url_overrides);
+  (manifest.content_scripts || []).forEach(cs => {
+    add(cs.js);
+    add(cs.css);
+  });
+  (manifest.web_accessible_resources || []).forEach(entry => {
+    (entry.resources || []).filter(path => !path.includes('*')).forEach(add);
+  });
+  (manifest.sandbox?.pages || []).forEach(add);
+  if (manifest.default_locale) add(`_locales/${manifest.default_locale}/messages.json`);
+
+  return paths;
+}
+
+/**
+ * Finds local files referenced by an HTML page or a JS module
+ * @param {string} content - File content
+ * @param {string} path - Path of the file, used to resolve relative references
+ * @returns {string[]} - Referenced paths relative to the extension root
+ */
+function collectFileReferences(content, path) {
+  const refs = [];
+  const patterns = path.endsWith('.js') || path.endsWith('.mjs')
+    ? [/(?:import|export)\s[^'"]*?from\s*['"]([^'"]+)['"]/g, /import\s*\(?\s*['"]([^'"]+)['"]/g, /importScripts\(\s*['"]([^'"]+)['"]/g]
+    : [/\b(?:src|href)\s*=\s*["']([^"'#?]+)/gi];
+
+  patterns.forEach(pattern => {
+    let match;
+    while ((match = pattern.exec(content)) !== null) refs.push(match[1]);
+  });
+
+  const dir = path.includes('/') ? path.slice(0, path.lastIndexOf('/') + 1) : '';
+  return refs
+    .filter(ref => !/^(?:[a-z][\w+.-]*:|\/\/)/i.test(ref))
+    .map(ref => resolveRelativePath(ref.startsWith('/') ? ref.slice(1) : dir + ref));
+}
+
+/**
+ * Collapses ./ and ../ segments
+ */
+function resolveRelativePath(path) {
+  const parts = [];
+  path.split('/').forEach(part => {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  });
+  return parts.join('/');
+}
+
+/**
+ * Builds a manifest from chrome.management data when manifest.json itself is not readable
+ */
+function manifestFromExtensionInfo(info) {
+  const manifest = {
+    manifest_version: 3,
+    name: info.name,
+    version: info.version,
+    description: info.description || ''
+  };
+  if (info.permissions?.length) manifest.permissions = info.permissions;
+  if (info.hostPermissions?.length) manifest.host_permissions = info.hostPermissions;
+  return manifest;
+}
+
+/**
+ * Pulls an installed extension's source through its chrome-extension:// package URL.
+ * Chrome only serves files the extension exposes as web accessible resources,
+ * so anything else is skipped and reported. Without a readable manifest.json the manifest
+ * is rebuilt from the extension info and manifestError says why.
+ * @param {Object} info - chrome.management ExtensionInfo
+ * @returns {Promise<{files: Object, skipped: string[], manifestReadable: boolean, manifestError: string|null}>}
+ */
+async function readInstalledExtensionFiles(info) {
+  const baseUrl = `chrome-extension://${info.id}/`;
+  const files = {};
+  const skipped = [];
+
+  const fetchFile = async (path) => {
+    try {
+      const response = await fetch(baseUrl + path);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return isTextPath(path)
+        ? await response.text()
+        : new Blob([await response.arrayBuffer()], { type: mimeTypeForPath(path) });
+    } catch (e) {
+      return null;
+    }
+  };
+
+  let manifest = null;
+  let manifestError = null;
+  const manifestText = await fetchFile('manifest.json');
+  if (manifestText === null) {
+    manifestError = 'manifest.json not found';
+  } else {
+    try {
+      manifest = JSON.parse(manifestText.replace(/^\s*\/\/.*$/gm, ''));
+    } catch (e) {
+      manifestError = `manifest.json is not valid JSON (${e.message})`;
+    }
+  }
+
+  const manifestReadable = !!manifest;
+  if (manifestReadable) {
+    files['manifest.json'] = manifestText;
+  } else {
+    manifest = manifestFromExtensionInfo(info);
+    files['manifest.json'] = JSON.stringify(manifest, null, 2);
+    skipped.push('manifest.json');
+  }
+
+  const queue = collectManifestPaths(manifest).map(resolveRelativePath);
+  if (info.optionsUrl?.startsWith(baseUrl)) queue.push(info.optionsUrl.slice(baseUrl.length));
+  const visited = new Set(['manifest.json']);
+
+  while (queue.length > 0) {
+    const path = queue.shift();
+    if (!path || visited.has(path)) continue;
+    visited.add(path);
+
+    const content = await fetchFile(path);
+    if (content === null) {
+      skipped.push(path);
+      continue;
+    }
+
+    files[path] = content;
+    if (typeof content === 'string' && /\.(html?|m?js)$/.test(path)) {
+      queue.push(...collectFileReferences(content, path));
+    }
+  }
+
+  return { files, skipped, manifestReadable, manifestError };
+}
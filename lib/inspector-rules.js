@@ -0,0 +1,181 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Inspector Rules
+// Turns an element picked with the Inspector into a rule in the project's content script.
+// Uses cssPropertyName from lib/style-recorder.js and contentScriptMatchesUrl from lib/tab-runner.js
+
+// Project script holding the rules, registered in a content_scripts entry of its own
+const INSPECTOR_RULES_SCRIPT = 'inspector-rules.js';
+
+const INSPECTOR_RULE_TYPES = {
+  hide: 'Hide it',
+  restyle: 'Restyle it',
+  replaceText: 'Replace its text',
+  injectButton: 'Add a button next to it',
+  observe: 'Watch it for changes'
+};
+
+// Added to the rules script once, before its first rule. Rules run on elements already on
+// the page and on ones added later, so they keep working on single-page apps.
+const INSPECTOR_RULE_HELPER = `// Runs apply once for every element matching selector on host, including elements added later.
+// Selectors picked inside shadow roots or frames join one selector per root with ' >>> '.
+function remixrApplyRule(host, selector, apply) {
+  if (location.hostname !== host) return;
+  const applied = new WeakSet();
+  const observed = new WeakSet();
+  const observer = new MutationObserver(() => run());
+  const watch = root => {
+    if (observed.has(root)) return;
+    observed.add(root);
+    observer.observe(root, { childList: true, subtree: true });
+  };
+  const innerRoot = element => {
+    try {
+      return element.shadowRoot || element.contentDocument;
+    } catch (e) {
+      return null;
+    }
+  };
+  const run = () => {
+    const segments = selector.split(' >>> ');
+    const last = segments.pop();
+    let roots = [document];
+    segments.forEach(segment => {
+      roots.forEach(watch);
+      roots = roots.flatMap(root => Array.from(root.querySelectorAll(segment))).map(innerRoot).filter(Boolean);
+    });
+    roots.forEach(root => {
+      watch(root);
+      root.querySelectorAll(last).forEach(element => {
+        if (applied.has(element)) return;
+        applied.add(element);
+        apply(element);
+      });
+    });
+  };
+  run();
+}
+`;
+
+/**
+ * Match pattern covering every page of a URL's host
+ * @param {string} url - Page the element was picked on
+ * @returns {string} - e.g. '*://news.example.com/*'
+ */
+function hostMatchPattern(url) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    throw new Error('Rules can only target http and https pages');
+  }
+  return `*://${hostname}/*`;
+}
+
+// Single-quoted JavaScript string literal, matching the style of the generated code
+function jsString(value) {
+  return "'" + JSON.stringify(String(value)).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'") + "'";
+}
+
+/**
+ * Content-script code for one rule
+ * @param {Object} rule
+ * @param {string} rule.type - A key of INSPECTOR_RULE_TYPES
+ * @param {string} rule.selector - CSS selector of the picked element
+ * @param {string} rule.host - Hostname the rule runs on
+ * @param {Object} [rule.styles] - restyle: property/value pairs
+ * @param {string} [rule.text] - replaceText: the new text; injectButton: the button label
+ * @returns {string}
+ */
+function inspectorRuleCode(rule) {
+  const body = {
+    hide: () => [
+      "element.style.setProperty('display', 'none', 'important');"
+    ],
+    restyle: () => Object.entries(rule.styles || {}).map(([name, value]) =>
+      `element.style.setProperty(${jsString(cssPropertyName(name))}, ${jsString(value)}, 'important');`),
+    replaceText: () => [
+      `element.textContent = ${jsString(rule.text || '')};`
+    ],
+    injectButton: () => [
+      "const button = document.createElement('button');",
+      `button.textContent = ${jsString(rule.text || 'Action')};`,
+      "button.addEventListener('click', () => {",
+      "  // Replace with what the button should do",
+      "  console.log('[ReMixr] Button clicked for', element);",
+      '});',
+      "element.insertAdjacentElement('afterend', button);"
+    ],
+    observe: () => [
+      'new MutationObserver(mutations => {',
+      `  console.log(${jsString(`[ReMixr] ${rule.selector} changed`)}, mutations);`,
+      '}).observe(element, { childList: true, subtree: true, characterData: true, attributes: true });'
+    ]
+  }[rule.type];
+  if (!body) throw new Error(`Unknown rule type: ${rule.type}`);
+
+  return [
+    `// Inspector rule (${rule.type}): ${rule.selector} on ${rule.host}`,
+    `remixrApplyRule(${jsString(rule.host)}, ${jsString(rule.selector)}, element => {`,
+    ...body().map(line => '  ' + line),
+    '});',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Adds a rule to the project's inspector rules script, which has a content_scripts entry of
+ * its own, so the picked host only gets the rules and none of the project's other scripts.
+ * The host is added to that entry's matches when they don't cover it yet.
+ * @param {Object} files - Project files
+ * @param {Object} rule - See inspectorRuleCode; host is taken from url
+ * @param {string} url - Page the element was picked on
+ * @returns {{files: Object, script: string, pattern: string|null}} - The changed files, the
+ *   script the rule went into and the match pattern added to the manifest, if any
+ */
+function addInspectorRule(files, rule, url) {
+  let manifest;
+  try {
+    manifest = JSON.parse(files['manifest.json']);
+  } catch (e) {
+    throw new Error('manifest.json is not valid JSON');
+  }
+
+  const host = new URL(url).hostname;
+  const pattern = hostMatchPattern(url);
+  const script = INSPECTOR_RULES_SCRIPT;
+  manifest.content_scripts = manifest.content_scripts || [];
+  let entry = manifest.content_scripts.find(contentScript => contentScript.js?.includes(script));
+  if (!entry) {
+    entry = { matches: [], js: [script] };
+    manifest.content_scripts.push(entry);
+  }
+  entry.matches = entry.matches || [];
+
+  const covered = contentScriptMatchesUrl(url, entry);
+  if (!covered) entry.matches.push(pattern);
+
+  let code = typeof files[script] === 'string' ? files[script] : '';
+  if (!code.includes('function remixrApplyRule(')) {
+    code = (code ? code.replace(/\n*$/, '\n\n') : '') + INSPECTOR_RULE_HELPER;
+  }
+  code += '\n' + inspectorRuleCode({ ...rule, host });
+
+  return {
+    files: { 'manifest.json': JSON.stringify(manifest, null, 2), [script]: code },
+    script,
+    pattern: covered ? null : pattern
+  };
+}
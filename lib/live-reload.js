@@ -0,0 +1,157 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Live Reload
+// Writes a project to a local folder and adds a reload agent so the loaded
+// unpacked extension picks up every change without re-exporting
+
+const LIVE_RELOAD_STAMP_FILE = 'remixr-version.json';
+const LIVE_RELOAD_AGENT_FILE = 'remixr-background.js';
+const LIVE_RELOAD_POLL_MS = 500;
+const LIVE_RELOAD_AGENT_START = '// >>> ReMixr reload agent (added to dev folder builds only)';
+const LIVE_RELOAD_AGENT_END = '// <<< ReMixr reload agent';
+
+/**
+ * Service worker snippet that polls the version stamp and reloads the extension when it changes.
+ * Unpacked extensions serve files straight from disk, so the stamp is always current.
+ * @returns {string}
+ */
+function buildReloadAgent() {
+  return `${LIVE_RELOAD_AGENT_START}
+(() => {
+  let remixrVersion = null;
+  setInterval(async () => {
+    // Any extension API call keeps the service worker from being suspended while idle
+    chrome.runtime.getPlatformInfo(() => {});
+    try {
+      const response = await fetch(chrome.runtime.getURL('${LIVE_RELOAD_STAMP_FILE}'), { cache: 'no-store' });
+      const { version } = await response.json();
+      if (remixrVersion !== null && version !== remixrVersion) chrome.runtime.reload();
+      remixrVersion = version;
+    } catch (e) {
+      // Stamp is mid-write; try again on the next tick
+    }
+  }, ${LIVE_RELOAD_POLL_MS});
+})();
+${LIVE_RELOAD_AGENT_END}
+`;
+}
+
+/**
+ * Builds the files written to the dev folder: the project plus the reload agent and stamp.
+ * The agent goes at the top of the service worker; projects without one get a small
+ * worker of their own. The project itself is never modified.
+ * @param {Object<string, string|Blob>} files - Project files
+ * @param {number} version - Value written to the version stamp
+ * @returns {Object<string, string|Blob>}
+ */
+function buildDevFolderFiles(files, version) {
+  const output = { ...files };
+  let manifest;
+  try {
+    manifest = JSON.parse(files['manifest.json']);
+  } catch (e) {
+    // Without a readable manifest the agent can't be wired up; write the files as they are
+    return output;
+  }
+
+  const worker = manifest.background?.service_worker;
+  if (worker && typeof files[worker] === 'string') {
+    output[worker] = buildReloadAgent() + '\n' + files[worker];
+  } else {
+    manifest.background = { ...manifest.background, service_worker: LIVE_RELOAD_AGENT_FILE };
+    output[LIVE_RELOAD_AGENT_FILE] = buildReloadAgent();
+    output['manifest.json'] = JSON.stringify(manifest, null, 2);
+  }
+
+  output[LIVE_RELOAD_STAMP_FILE] = JSON.stringify({ version });
+  return output;
+}
+
+/**
+ * Writes files into a directory, skipping files unchanged since the last write and
+ * deleting files that were removed. The version stamp is written last so the agent
+ * only reloads once everything else is on disk.
+ * @param {FileSystemDirectoryHandle} dirHandle - Target directory (readwrite permission granted)
+ * @param {Object<string, string|Blob>} files - Files to write
+ * @param {Map<string, string|Blob>} written - Contents from the previous write; updated in place
+ * @returns {Promise<number>} - Number of files written or deleted
+ */
+async function writeFilesToDirectory(dirHandle, files, written) {
+  let changes = 0;
+  const paths = Object.keys(files).filter(path => path !== LIVE_RELOAD_STAMP_FILE);
+
+  for (const path of paths) {
+    if (written.get(path) === files[path]) continue;
+    await writeFileAtPath(dirHandle, path, files[path]);
+    written.set(path, files[path]);
+    changes++;
+  }
+
+  for (const path of Array.from(written.keys())) {
+    if (path in files) continue;
+    await removeFileAtPath(dirHandle, path);
+    written.delete(path);
+    changes++;
+  }
+
+  if (changes > 0 && files[LIVE_RELOAD_STAMP_FILE]) {
+    await writeFileAtPath(dirHandle, LIVE_RELOAD_STAMP_FILE, files[LIVE_RELOAD_STAMP_FILE]);
+  }
+  return changes;
+}
+
+async function writeFileAtPath(dirHandle, path, content) {
+  const parts = path.split('/');
+  const name = parts.pop();
+  let dir = dirHandle;
+  for (const part of parts) {
+    dir = await dir.getDirectoryHandle(part, { create: true });
+  }
+
+  const fileHandle = await dir.getFileHandle(name, { create: true });
+  const writable = await fileHandle.createWritable();
+  await writable.write(content);
+  await writable.close();
+}
+
+async function removeFileAtPath(dirHandle, path) {
+  const parts = path.split('/');
+  const name = parts.pop();
+  try {
+    let dir = dirHandle;
+    for (const part of parts) {
+      dir = await dir.getDirectoryHandle(part);
+    }
+    await dir.removeEntry(name);
+  } catch (e) {
+    // Already gone
+  }
+}
+
+/**
+ * Makes sure the page may write to a stored directory handle.
+ * Asking for permission needs a user gesture, so background syncs only query it.
+ * @param {FileSystemDirectoryHandle} dirHandle - Directory handle
+ * @param {boolean} interactive - Whether a permission prompt may be shown
+ * @returns {Promise<boolean>}
+ */
+async function ensureDirectoryWritable(dirHandle, interactive) {
+  const options = { mode: 'readwrite' };
+  if (await dirHandle.queryPermission(options) === 'granted') return true;
+  if (!interactive) return false;
+  return (await dirHandle.requestPermission(options)) === 'granted';
+}
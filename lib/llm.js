@@ -0,0 +1,205 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr LLM Provider Layer
+// Talks to OpenAI-compatible, Anthropic-style and local Ollama endpoints
+
+const LLM_SETTINGS_KEY = 'llmSettings';
+const LLM_REQUEST_TIMEOUT = 120000;
+
+const LLM_DEFAULT_SETTINGS = {
+  provider: 'none',
+  endpoint: '',
+  model: '',
+  apiKey: '',
+  temperature: 0.4,
+  maxTokens: 4096
+};
+
+/**
+ * Provider adapters. Each one knows how to shape a chat request for its API
+ * and how to pull the reply text back out of the response body.
+ * Messages always use the { role, content } shape with an optional leading system message.
+ */
+const LLM_PROVIDERS = {
+  openai: {
+    label: 'OpenAI-compatible',
+    defaultEndpoint: 'https://api.openai.com/v1/chat/completions',
+    defaultModel: 'gpt-4o-mini',
+    requiresKey: true,
+    buildRequest(settings, messages) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (settings.apiKey) headers['Authorization'] = `Bearer ${settings.apiKey}`;
+
+      return {
+        headers,
+        body: {
+          model: settings.model || this.defaultModel,
+          messages,
+          temperature: settings.temperature,
+          max_tokens: settings.maxTokens
+        }
+      };
+    },
+    parseResponse(json) {
+      return json.choices?.[0]?.message?.content || '';
+    }
+  },
+
+  anthropic: {
+    label: 'Anthropic Messages',
+    defaultEndpoint: 'https://api.anthropic.com/v1/messages',
+    defaultModel: 'claude-3-5-sonnet-latest',
+    requiresKey: true,
+    buildRequest(settings, messages) {
+      const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+      const headers = {
+        'Content-Type': 'application/json',
+        'anthropic-version': '2023-06-01',
+        // Required for calls made straight from an extension page
+        'anthropic-dangerous-direct-browser-access': 'true'
+      };
+      if (settings.apiKey) headers['x-api-key'] = settings.apiKey;
+
+      const body = {
+        model: settings.model || this.defaultModel,
+        messages: messages.filter(m => m.role !== 'system'),
+        temperature: settings.temperature,
+        max_tokens: settings.maxTokens
+      };
+      if (system) body.system = system;
+
+      return { headers, body };
+    },
+    parseResponse(json) {
+      return (json.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    }
+  },
+
+  ollama: {
+    label: 'Local (Ollama)',
+    defaultEndpoint: 'http://localhost:11434/api/chat',
+    defaultModel: 'llama3.1',
+    requiresKey: false,
+    buildRequest(settings, messages) {
+      return {
+        headers: { 'Content-Type': 'application/json' },
+        body: {
+          model: settings.model || this.defaultModel,
+          messages,
+          stream: false,
+          options: {
+            temperature: settings.temperature,
+            num_predict: settings.maxTokens
+          }
+        }
+      };
+    },
+    parseResponse(json) {
+      return json.message?.content || '';
+    }
+  }
+};
+
+/**
+ * Loads the LLM provider settings from Chrome storage
+ * @returns {Promise<Object>} - Settings merged over the defaults
+ */
+async function loadLLMSettings() {
+  const result = await chrome.storage.local.get([LLM_SETTINGS_KEY]);
+  return { ...LLM_DEFAULT_SETTINGS, ...(result[LLM_SETTINGS_KEY] || {}) };
+}
+
+/**
+ * Persists the LLM provider settings to Chrome storage
+ * @param {Object} settings - Settings to store
+ */
+async function saveLLMSettings(settings) {
+  await chrome.storage.local.set({ [LLM_SETTINGS_KEY]: { ...LLM_DEFAULT_SETTINGS, ...settings } });
+}
+
+/**
+ * Checks whether the settings point at a usable provider
+ * @param {Object} settings - LLM settings
+ * @returns {boolean}
+ */
+function isLLMConfigured(settings) {
+  if (!settings) return false;
+  const provider = LLM_PROVIDERS[settings.provider];
+  if (!provider) return false;
+  return !provider.requiresKey || !!settings.apiKey;
+}
+
+/**
+ * Sends a chat request to the configured provider
+ * @param {Array<{role: string, content: string}>} messages - Conversation, optionally led by a system message
+ * @param {Object} settings - LLM settings (see loadLLMSettings)
+ * @returns {Promise<string>} - The model's reply text
+ */
+async function callLLM(messages, settings) {
+  const provider = LLM_PROVIDERS[settings.provider];
+  if (!provider) {
+    throw new Error('No AI provider configured');
+  }
+
+  const endpoint = settings.endpoint || provider.defaultEndpoint;
+  const { headers, body } = provider.buildRequest(settings, messages);
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), LLM_REQUEST_TIMEOUT);
+
+  let response;
+  try {
+    response = await fetch(endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`${provider.label} request timed out`);
+    }
+    throw new Error(`${provider.label} unreachable at ${endpoint}: ${error.message}`);
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`${provider.label} returned ${response.status}${detail ? ': ' + detail.slice(0, 200) : ''}`);
+  }
+
+  const text = provider.parseResponse(await response.json());
+  if (!text) {
+    throw new Error(`${provider.label} returned an empty response`);
+  }
+  return text;
+}
+
+/**
+ * Pulls the body of the first fenced code block out of a model reply.
+ * Replies without fences are returned trimmed as-is.
+ * @param {string} text - Model reply
+ * @returns {string}
+ */
+function extractCodeBlock(text) {
+  const match = text.match(/```[\w.+-]*[^\n]*\n([\s\S]*?)```/);
+  return (match ? match[1] : text).trim();
+}
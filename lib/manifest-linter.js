@@ -0,0 +1,513 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Manifest Linter
+// Schema-driven Manifest V3 checks with file cross-references and source line mapping
+
+const KNOWN_PERMISSIONS = [
+  'activeTab', 'alarms', 'audio', 'background', 'bookmarks', 'browsingData', 'certificateProvider',
+  'clipboardRead', 'clipboardWrite', 'contentSettings', 'contextMenus', 'cookies', 'debugger',
+  'declarativeContent', 'declarativeNetRequest', 'declarativeNetRequestFeedback',
+  'declarativeNetRequestWithHostAccess', 'desktopCapture', 'dns', 'documentScan', 'downloads',
+  'downloads.open', 'downloads.ui', 'enterprise.deviceAttributes', 'enterprise.hardwarePlatform',
+  'enterprise.networkingAttributes', 'enterprise.platformKeys', 'favicon', 'fileBrowserHandler',
+  'fileSystemProvider', 'fontSettings', 'gcm', 'geolocation', 'history', 'identity', 'identity.email',
+  'idle', 'loginState', 'management', 'nativeMessaging', 'notifications', 'offscreen', 'pageCapture',
+  'platformKeys', 'power', 'printerProvider', 'printing', 'printingMetrics', 'privacy', 'processes',
+  'proxy', 'readingList', 'runtime', 'scripting', 'search', 'sessions', 'sidePanel', 'storage',
+  'system.cpu', 'system.display', 'system.memory', 'system.storage', 'tabCapture', 'tabGroups', 'tabs',
+  'topSites', 'tts', 'ttsEngine', 'unlimitedStorage', 'userScripts', 'vpnProvider', 'wallpaper',
+  'webAuthenticationProxy', 'webNavigation', 'webRequest', 'webRequestAuthProvider', 'webRequestBlocking'
+];
+
+const MATCH_PATTERN = /^(\*|https?|file|ftp|wss?|urn):\/\/(\*|\*\.[^/*]+|[^/*]*)\/.*$/;
+const VERSION_PATTERN = /^\d+(\.\d+){0,3}$/;
+const KEY_COMBO_PATTERN = /^(Alt|Ctrl|Command|MacCtrl)(\+Shift)?\+([A-Z0-9]|Comma|Period|Home|End|PageUp|PageDown|Space|Insert|Delete|Up|Down|Left|Right|Media\w+|F\d{1,2})$|^Media\w+$/;
+
+/**
+ * Schema node helpers. A node is { type, ... } where type is one of
+ * string, number, integer, boolean, array, object, any. Extra fields:
+ *   required   - keys an object must contain
+ *   properties - known keys of an object
+ *   values     - schema for every value of an object (maps such as icons)
+ *   items      - schema for array items
+ *   enum, pattern, maxLength - value constraints (maxLength only warns)
+ *   file       - value is a path into the project; 'html', 'js', 'css', 'json' or 'image'
+ *   removed    - key is not supported in MV3 (error with this hint)
+ *   check      - custom (value, report, node) hook for rules the schema can't express;
+ *                node is { path, context } so checks can lint sub-values with lintNode
+ */
+const schemaString = (extra = {}) => ({ type: 'string', ...extra });
+const schemaFile = kind => ({ type: 'string', file: kind });
+const schemaArray = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const schemaObject = (properties, extra = {}) => ({ type: 'object', properties, ...extra });
+
+const MATCH_PATTERN_SCHEMA = schemaString({
+  pattern: MATCH_PATTERN,
+  patternHint: 'a match pattern such as https://*.example.com/*',
+  allow: ['<all_urls>']
+});
+const ICON_SET_SCHEMA = { type: 'object', values: schemaFile('image') };
+
+const WEB_ACCESSIBLE_ENTRY_SCHEMA = schemaObject({
+  resources: schemaArray(schemaString({ file: 'any', glob: true }), { minItems: 1 }),
+  matches: schemaArray(MATCH_PATTERN_SCHEMA),
+  extension_ids: schemaArray(schemaString()),
+  use_dynamic_url: { type: 'boolean' }
+}, {
+  required: ['resources'],
+  check(entry, report) {
+    if (!entry.matches && !entry.extension_ids) {
+      report('error', 'web_accessible_resources entry needs matches or extension_ids');
+    }
+  }
+});
+
+const MANIFEST_SCHEMA = schemaObject({
+  manifest_version: { type: 'integer', enum: [3] },
+  name: schemaString({ maxLength: 75 }),
+  version: schemaString({ pattern: VERSION_PATTERN, patternHint: '1 to 4 dot-separated integers' }),
+  description: schemaString({ maxLength: 132 }),
+  short_name: schemaString({ maxLength: 12 }),
+  version_name: schemaString(),
+  default_locale: schemaString(),
+  author: { type: 'any' },
+  homepage_url: schemaString(),
+  update_url: schemaString(),
+  key: schemaString(),
+  minimum_chrome_version: schemaString({ pattern: VERSION_PATTERN, patternHint: 'a Chrome version such as 114' }),
+  offline_enabled: { type: 'boolean' },
+  incognito: schemaString({ enum: ['spanning', 'split', 'not_allowed'] }),
+  icons: ICON_SET_SCHEMA,
+
+  action: schemaObject({
+    default_icon: { type: 'any', check: checkIconValue },
+    default_title: schemaString(),
+    default_popup: schemaFile('html')
+  }),
+  browser_action: { type: 'any', removed: 'browser_action was replaced by "action" in Manifest V3' },
+  page_action: { type: 'any', removed: 'page_action was replaced by "action" in Manifest V3' },
+
+  background: schemaObject({
+    service_worker: schemaFile('js'),
+    type: schemaString({ enum: ['module'] }),
+    scripts: { type: 'any', removed: 'Chrome MV3 uses background.service_worker instead of background.scripts' },
+    page: { type: 'any', removed: 'Background pages are not supported in Manifest V3 - use background.service_worker' },
+    persistent: { type: 'any', removed: 'background.persistent is not supported (service workers are non-persistent)' }
+  }),
+
+  content_scripts: schemaArray(schemaObject({
+    matches: schemaArray(MATCH_PATTERN_SCHEMA, { minItems: 1 }),
+    exclude_matches: schemaArray(MATCH_PATTERN_SCHEMA),
+    include_globs: schemaArray(schemaString()),
+    exclude_globs: schemaArray(schemaString()),
+    js: schemaArray(schemaFile('js')),
+    css: schemaArray(schemaFile('css')),
+    run_at: schemaString({ enum: ['document_start', 'document_end', 'document_idle'] }),
+    all_frames: { type: 'boolean' },
+    match_about_blank: { type: 'boolean' },
+    match_origin_as_fallback: { type: 'boolean' },
+    world: schemaString({ enum: ['ISOLATED', 'MAIN'] })
+  }, {
+    required: ['matches'],
+    check(value, report) {
+      if (!value.js && !value.css) report('warning', 'Content script has no js or css files');
+    }
+  })),
+
+  content_security_policy: {
+    type: 'any',
+    check(value, report) {
+      if (typeof value === 'string') {
+        report('error', 'content_security_policy must be an object with extension_pages and/or sandbox in Manifest V3');
+        return;
+      }
+      if (!value || typeof value !== 'object') {
+        report('error', 'content_security_policy must be an object');
+        return;
+      }
+      Object.keys(value).forEach(key => {
+        if (!['extension_pages', 'sandbox'].includes(key)) {
+          report('warning', `Unknown content_security_policy key "${key}"`, [key]);
+        }
+      });
+      const pages = value.extension_pages;
+      if (typeof pages === 'string') {
+        const scriptSrc = (pages.match(/script-src([^;]*)/) || [])[1] || '';
+        if (/'unsafe-eval'|'unsafe-inline'/.test(scriptSrc)) {
+          report('error', 'extension_pages may not allow unsafe-eval or unsafe-inline scripts', ['extension_pages']);
+        }
+        if (/https?:\/\/|\s\*(\s|$)/.test(scriptSrc)) {
+          report('error', 'extension_pages may not load remote scripts in Manifest V3', ['extension_pages']);
+        }
+      }
+    }
+  },
+  cross_origin_embedder_policy: schemaObject({ value: schemaString() }),
+  cross_origin_opener_policy: schemaObject({ value: schemaString() }),
+
+  commands: {
+    type: 'object',
+    values: schemaObject({
+      suggested_key: {
+        type: 'object',
+        properties: ['default', 'windows', 'mac', 'chromeos', 'linux'].reduce((acc, platform) => {
+          acc[platform] = schemaString({ pattern: KEY_COMBO_PATTERN, patternHint: 'a shortcut such as Ctrl+Shift+Y' });
+          return acc;
+        }, {})
+      },
+      description: schemaString(),
+      global: { type: 'boolean' }
+    }),
+    check(value, report) {
+      const withKeys = Object.values(value).filter(command => command && command.suggested_key);
+      if (withKeys.length > 4) {
+        report('error', `Only 4 commands may have a suggested_key (found ${withKeys.length})`);
+      }
+      Object.entries(value).forEach(([name, command]) => {
+        if (!name.startsWith('_execute_') && command && !command.description) {
+          report('warning', `Command "${name}" needs a description`, [name]);
+        }
+      });
+    }
+  },
+
+  declarative_net_request: schemaObject({
+    rule_resources: schemaArray(schemaObject({
+      id: schemaString(),
+      enabled: { type: 'boolean' },
+      path: schemaFile('json')
+    }, { required: ['id', 'enabled', 'path'] }))
+  }),
+
+  web_accessible_resources: schemaArray({
+    type: 'any',
+    check(value, report, node) {
+      if (typeof value === 'string') {
+        report('error', 'web_accessible_resources entries must be objects with resources and matches in Manifest V3');
+        return;
+      }
+      lintNode(value, WEB_ACCESSIBLE_ENTRY_SCHEMA, node.path, node.context);
+    }
+  }),
+
+  permissions: schemaArray(schemaString({
+    check(value, report) {
+      if (value === '<all_urls>' || value.includes('://')) {
+        report('error', `"${value}" is a host pattern - move it to host_permissions`);
+      } else if (!KNOWN_PERMISSIONS.includes(value)) {
+        report('warning', `Unknown permission "${value}"`);
+      } else if (value === 'webRequestBlocking') {
+        report('warning', 'webRequestBlocking is only available to policy-installed extensions in MV3 - use declarativeNetRequest');
+      }
+    }
+  })),
+  optional_permissions: schemaArray(schemaString({ enum: KNOWN_PERMISSIONS, enumSeverity: 'warning' })),
+  host_permissions: schemaArray(MATCH_PATTERN_SCHEMA),
+  optional_host_permissions: schemaArray(MATCH_PATTERN_SCHEMA),
+
+  options_page: schemaFile('html'),
+  options_ui: schemaObject({ page: schemaFile('html'), open_in_tab: { type: 'boolean' } }, { required: ['page'] }),
+  devtools_page: schemaFile('html'),
+  side_panel: schemaObject({ default_path: schemaFile('html') }),
+  chrome_url_overrides: schemaObject({
+    newtab: schemaFile('html'),
+    history: schemaFile('html'),
+    bookmarks: schemaFile('html')
+  }, {
+    check(value, report) {
+      if (Object.keys(value).length > 1) report('error', 'chrome_url_overrides may override only one page');
+    }
+  }),
+  chrome_settings_overrides: { type: 'object' },
+  sandbox: schemaObject({ pages: schemaArray(schemaFile('html')), content_security_policy: schemaString() }),
+  storage: schemaObject({ managed_schema: schemaFile('json') }),
+
+  omnibox: schemaObject({ keyword: schemaString() }, { required: ['keyword'] }),
+  externally_connectable: schemaObject({
+    ids: schemaArray(schemaString()),
+    matches: schemaArray(MATCH_PATTERN_SCHEMA),
+    accepts_tls_channel_id: { type: 'boolean' }
+  }),
+  oauth2: schemaObject({ client_id: schemaString(), scopes: schemaArray(schemaString()) }, { required: ['client_id'] }),
+  tts_engine: schemaObject({ voices: schemaArray({ type: 'object' }) }),
+  file_browser_handlers: schemaArray({ type: 'object' }),
+  file_system_provider_capabilities: { type: 'object' },
+  import: schemaArray(schemaObject({ id: schemaString(), minimum_version: schemaString() }, { required: ['id'] })),
+  export: schemaObject({ allowlist: schemaArray(schemaString()) }),
+  requirements: { type: 'object' },
+  input_components: schemaArray({ type: 'object' }),
+  nacl_modules: { type: 'any', removed: 'Native Client modules are no longer supported' },
+  event_rules: { type: 'any', removed: 'event_rules is not supported - use declarativeContent at runtime' }
+}, {
+  required: ['manifest_version', 'name', 'version']
+});
+
+/**
+ * default_icon is either one path or a map of sizes to paths
+ */
+function checkIconValue(value, report, node) {
+  if (typeof value === 'string') {
+    lintNode(value, schemaFile('image'), node.path, node.context);
+  } else if (value && typeof value === 'object') {
+    lintNode(value, ICON_SET_SCHEMA, node.path, node.context);
+  } else {
+    report('error', 'default_icon must be a path or a map of sizes to paths');
+  }
+}
+
+/**
+ * Lints manifest.json text against the schema and the project's files
+ * @param {string} text - manifest.json source
+ * @param {Object<string, string|Blob>} files - Project files, for reference checks
+ * @returns {Array<{severity: string, message: string, path: Array, line: number}>} - Sorted by line
+ */
+function lintManifest(text, files = {}) {
+  let manifest;
+  try {
+    manifest = JSON.parse(text);
+  } catch (e) {
+    return [{ severity: 'error', message: `Invalid JSON: ${e.message}`, path: [], line: jsonErrorLine(text, e) }];
+  }
+
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    return [{ severity: 'error', message: 'manifest.json must contain a JSON object', path: [], line: 0 }];
+  }
+
+  const context = { files, diagnostics: [] };
+  lintNode(manifest, MANIFEST_SCHEMA, [], context);
+
+  if (manifest.name && manifest.name.length > 45 && manifest.name.length <= 75) {
+    context.diagnostics.push({ severity: 'info', message: 'Names over 45 characters are truncated in most UI', path: ['name'] });
+  }
+  if (!manifest.icons) {
+    context.diagnostics.push({ severity: 'info', message: 'No icons specified - ReMixr will generate default icons', path: [] });
+  }
+
+  const lines = mapJsonPathsToLines(text);
+  return context.diagnostics
+    .map(diagnostic => ({ ...diagnostic, line: lineForPath(lines, diagnostic.path) }))
+    .sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Validates one value against a schema node, recursing into objects and arrays
+ */
+function lintNode(value, schema, path, context) {
+  const report = (severity, message, subPath = []) => {
+    context.diagnostics.push({ severity, message, path: [...path, ...subPath] });
+  };
+  const label = path.length ? path.join('.') : 'manifest';
+
+  if (schema.removed) {
+    report('error', `${label}: ${schema.removed}`);
+    return;
+  }
+
+  if (!matchesType(value, schema.type)) {
+    report('error', `${label} must be ${schema.type === 'integer' ? 'an integer' : `a${/^[aeiou]/.test(schema.type) ? 'n' : ''} ${schema.type}`}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    report(schema.enumSeverity || 'error', `${label} must be one of: ${schema.enum.slice(0, 6).join(', ')}${schema.enum.length > 6 ? ', …' : ''}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.pattern && !schema.pattern.test(value) && !(schema.allow || []).includes(value)) {
+      report('error', `${label} "${value}" is not ${schema.patternHint || 'valid'}`);
+    }
+    if (schema.maxLength && value.length > schema.maxLength) {
+      report('warning', `${label} exceeds ${schema.maxLength} characters`);
+    }
+    if (schema.file) {
+      checkFileReference(value, schema, report, context.files);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      report('error', `${label} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => lintNode(item, schema.items, [...path, index], context));
+    }
+  } else if (value && typeof value === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) report('error', `Missing required field: ${path.length ? label + '.' : ''}${key}`);
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      if (schema.properties && schema.properties[key]) {
+        lintNode(child, schema.properties[key], [...path, key], context);
+      } else if (schema.values) {
+        lintNode(child, schema.values, [...path, key], context);
+      } else if (schema.properties) {
+        report('warning', `Unknown key "${key}"${path.length ? ` in ${label}` : ''}`, [key]);
+      }
+    });
+  }
+
+  if (schema.check) {
+    schema.check(value, report, { path, context });
+  }
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number';
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+/**
+ * Checks that a referenced file exists and has a plausible type
+ */
+function checkFileReference(value, schema, report, files) {
+  const path = value.replace(/^\.?\//, '');
+  if (/^[a-z][\w+.-]*:/i.test(path)) {
+    report('error', `"${value}" must be a path inside the extension, not a URL`);
+    return;
+  }
+
+  if (schema.glob && path.includes('*')) {
+    const pattern = new RegExp('^' + path.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+    if (!Object.keys(files).some(name => pattern.test(name))) {
+      report('warning', `No project files match "${value}"`);
+    }
+    return;
+  }
+
+  if (!(path in files)) {
+    report('error', `File not found in project: ${value}`);
+    return;
+  }
+
+  const ext = path.split('.').pop().toLowerCase();
+  const expected = {
+    html: ['html', 'htm'],
+    js: ['js', 'mjs'],
+    css: ['css'],
+    json: ['json'],
+    image: ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'ico']
+  }[schema.file];
+
+  if (expected && !expected.includes(ext)) {
+    report('warning', schema.file === 'image' && ext === 'svg'
+      ? `Chrome does not render SVG icons: ${value}`
+      : `Expected a ${schema.file} file: ${value}`);
+  }
+}
+
+/**
+ * Line (0-based) of a JSON.parse error, from the position in its message
+ */
+function jsonErrorLine(text, error) {
+  const lineMatch = error.message.match(/line (\d+)/);
+  if (lineMatch) return parseInt(lineMatch[1], 10) - 1;
+
+  const positionMatch = error.message.match(/position (\d+)/);
+  if (positionMatch) {
+    return text.slice(0, parseInt(positionMatch[1], 10)).split('\n').length - 1;
+  }
+  return 0;
+}
+
+/**
+ * Walks JSON source and records the line each key (or array item) starts on
+ * @param {string} text - Valid JSON
+ * @returns {Map<string, number>} - Keyed by path segments joined with "/"
+ */
+function mapJsonPathsToLines(text) {
+  const lines = new Map();
+  let pos = 0;
+  let line = 0;
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) {
+      if (text[pos] === '\n') line++;
+      pos++;
+    }
+  };
+
+  const readString = () => {
+    const start = pos;
+    pos++;
+    while (pos < text.length && text[pos] !== '"') {
+      if (text[pos] === '\\') pos++;
+      pos++;
+    }
+    pos++;
+    return JSON.parse(text.slice(start, pos));
+  };
+
+  const readValue = (path) => {
+    skipWhitespace();
+    lines.set(path.join('/'), line);
+    const char = text[pos];
+
+    if (char === '{') {
+      pos++;
+      skipWhitespace();
+      while (text[pos] !== '}' && pos < text.length) {
+        const keyLine = line;
+        const key = readString();
+        skipWhitespace();
+        pos++; // :
+        readValue([...path, key]);
+        lines.set([...path, key].join('/'), keyLine);
+        skipWhitespace();
+        if (text[pos] === ',') pos++;
+        skipWhitespace();
+      }
+      pos++;
+    } else if (char === '[') {
+      pos++;
+      skipWhitespace();
+      let index = 0;
+      while (text[pos] !== ']' && pos < text.length) {
+        readValue([...path, index++]);
+        skipWhitespace();
+        if (text[pos] === ',') pos++;
+        skipWhitespace();
+      }
+      pos++;
+    } else if (char === '"') {
+      readString();
+    } else {
+      while (pos < text.length && !/[\s,\]}]/.test(text[pos])) pos++;
+    }
+  };
+
+  readValue([]);
+  return lines;
+}
+
+/**
+ * Finds the line for a path, falling back to the nearest ancestor that has one
+ */
+function lineForPath(lines, path) {
+  for (let length = path.length; length >= 0; length--) {
+    const key = path.slice(0, length).join('/');
+    if (lines.has(key)) return lines.get(key);
+  }
+  return 0;
+}
@@ -0,0 +1,454 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Network Recorder
+// Opt-in capture of a page's fetch, XMLHttpRequest, WebSocket and EventSource traffic.
+// installNetworkRecorder runs in the page's main world, where the page's own network APIs
+// live, and posts each event to the window; content.js relays them to the popup, which
+// merges them into a timeline.
+
+const NETWORK_KINDS = ['fetch', 'xhr', 'websocket', 'eventsource'];
+
+const NETWORK_RECORDER_DEFAULTS = {
+  // Bodies and frames are cut at this many characters
+  maxBodyLength: 4096,
+  // Frames kept per WebSocket or EventSource; later ones are only counted
+  maxFrames: 200,
+  // Header, query, form and JSON names whose values are replaced with [redacted]
+  sensitivePattern: 'authorization|cookie|passw(or)?d|secret|token|api[-_]?key|access[-_]?key|private[-_]?key|session|csrf|xsrf|credential|signature'
+};
+
+/**
+ * Wraps the page's fetch, XMLHttpRequest, WebSocket and EventSource so their traffic is
+ * posted to the window as { source: 'remixr-network', event }. Serialized by
+ * chrome.scripting and run in the page's main world, so it must be self-contained.
+ * Installing again only updates the options and resumes a stopped recorder; the wrappers
+ * stay until the page reloads and pass calls straight through while stopped.
+ * @param {Object} options - NETWORK_RECORDER_DEFAULTS or overrides of it
+ * @returns {{installed: boolean}} - false when the page already had the recorder
+ */
+function installNetworkRecorder(options) {
+  const existing = window.__remixrNetworkRecorder;
+  if (existing) {
+    existing.options = options;
+    existing.active = true;
+    return { installed: false };
+  }
+
+  const recorder = { options, active: true };
+  window.__remixrNetworkRecorder = recorder;
+  const session = Math.random().toString(36).slice(2, 8);
+  let lastId = 0;
+  const nextId = () => `${session}-${++lastId}`;
+
+  const post = event => {
+    window.postMessage({ source: 'remixr-network', event: { time: Date.now(), ...event } }, '*');
+  };
+  const isSensitive = name => new RegExp(recorder.options.sensitivePattern, 'i').test(name);
+
+  // ---- Redaction and size caps ----
+
+  const redactUrl = url => {
+    try {
+      const parsed = new URL(url, location.href);
+      parsed.searchParams.forEach((value, name) => {
+        if (isSensitive(name)) parsed.searchParams.set(name, '[redacted]');
+      });
+      return parsed.href;
+    } catch (e) {
+      return String(url);
+    }
+  };
+
+  const redactHeaders = entries => {
+    const headers = {};
+    for (const [name, value] of entries) {
+      headers[name.toLowerCase()] = isSensitive(name) ? '[redacted]' : value;
+    }
+    return headers;
+  };
+
+  const redactJson = value => {
+    if (Array.isArray(value)) return value.map(redactJson);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.entries(value).map(([name, inner]) =>
+      [name, isSensitive(name) ? '[redacted]' : redactJson(inner)]));
+  };
+
+  // Complete JSON and form bodies are parsed; anything else, including bodies cut at the
+  // size cap, has "name": value and name=value pairs replaced in place
+  const redactText = text => {
+    try {
+      return JSON.stringify(redactJson(JSON.parse(text)));
+    } catch (e) {
+      // Not complete JSON
+    }
+    if (/^[^\s=&]+=[^\s&]*(&[^\s=&]+=[^\s&]*)*$/.test(text)) {
+      const params = new URLSearchParams(text);
+      params.forEach((value, name) => {
+        if (isSensitive(name)) params.set(name, '[redacted]');
+      });
+      return params.toString();
+    }
+    return text
+      .replace(/("([^"]*)"\s*:\s*)("(?:[^"\\]|\\.)*"|[^,}\]\s]+)/g,
+        (pair, prefix, name) => isSensitive(name) ? `${prefix}"[redacted]"` : pair)
+      .replace(/(^|[?&\s])([^=&\s]+)=([^&\s]*)/g,
+        (pair, start, name) => isSensitive(name) ? `${start}${name}=[redacted]` : pair);
+  };
+
+  const captureText = (text, truncated = false) => {
+    const max = recorder.options.maxBodyLength;
+    const cut = truncated || text.length > max;
+    return { text: redactText(cut ? text.slice(0, max) : text), size: text.length, truncated: cut };
+  };
+
+  const describeBinary = (label, size) => ({ text: `[${label}${size == null ? '' : `, ${size} bytes`}]`, size, truncated: false });
+
+  const captureBody = body => {
+    if (body == null) return null;
+    if (typeof body === 'string') return captureText(body);
+    if (body instanceof URLSearchParams) return captureText(body.toString());
+    if (typeof FormData !== 'undefined' && body instanceof FormData) {
+      const params = new URLSearchParams();
+      body.forEach((value, name) => params.append(name, typeof value === 'string' ? value : `[file ${value.name}]`));
+      return captureText(params.toString());
+    }
+    if (typeof Blob !== 'undefined' && body instanceof Blob) return describeBinary(body.type || 'Blob', body.size);
+    if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return describeBinary('binary', body.byteLength);
+    if (typeof Document !== 'undefined' && body instanceof Document) return captureText(body.documentElement.outerHTML);
+    return describeBinary(Object.prototype.toString.call(body).slice(8, -1), null);
+  };
+
+  const isTextType = type => !type || /json|text|xml|javascript|x-www-form-urlencoded|graphql/i.test(type);
+
+  // Reads at most maxBodyLength characters of a text response's clone, so streaming
+  // responses don't hold the recorder
+  const readResponseText = async response => {
+    if (!response.body || !response.body.getReader) return captureText(await response.text());
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      text += decoder.decode(value, { stream: true });
+      if (text.length > recorder.options.maxBodyLength) {
+        reader.cancel();
+        return captureText(text, true);
+      }
+    }
+    return captureText(text + decoder.decode());
+  };
+
+  const elapsed = started => Math.round(performance.now() - started);
+
+  // ---- fetch ----
+
+  const originalFetch = window.fetch;
+  if (originalFetch) {
+    window.fetch = function (input, init) {
+      if (!recorder.active) return originalFetch.apply(this, arguments);
+
+      const id = nextId();
+      const started = performance.now();
+      const request = typeof Request !== 'undefined' && input instanceof Request ? input : null;
+      const headers = new Headers(init?.headers || request?.headers || {});
+      post({
+        id,
+        kind: 'fetch',
+        phase: 'request',
+        method: String(init?.method || request?.method || 'GET').toUpperCase(),
+        url: redactUrl(request ? request.url : String(input)),
+        requestHeaders: redactHeaders(headers.entries()),
+        requestBody: captureBody(init?.body)
+      });
+
+      return originalFetch.apply(this, arguments).then(response => {
+        post({
+          id,
+          kind: 'fetch',
+          phase: 'response',
+          status: response.status,
+          statusText: response.statusText,
+          responseHeaders: redactHeaders(response.headers.entries()),
+          duration: elapsed(started)
+        });
+        // Only text is read, so only text is cloned: a clone nobody reads would keep a
+        // second copy of every download or stream for as long as the page reads the original
+        const type = response.headers.get('content-type') || '';
+        if (isTextType(type)) {
+          readResponseText(response.clone())
+            .then(responseBody => post({ id, kind: 'fetch', phase: 'body', responseBody }))
+            .catch(() => {
+              // Body was aborted or already used by a service worker; status is enough
+            });
+        } else {
+          const length = response.headers.get('content-length');
+          post({ id, kind: 'fetch', phase: 'body', responseBody: describeBinary(type.split(';')[0], length ? Number(length) : null) });
+        }
+        return response;
+      }, error => {
+        post({ id, kind: 'fetch', phase: 'error', error: String(error?.message || error), duration: elapsed(started) });
+        throw error;
+      });
+    };
+  }
+
+  // ---- XMLHttpRequest ----
+
+  if (window.XMLHttpRequest) {
+    const xhrProto = window.XMLHttpRequest.prototype;
+    const { open, send, setRequestHeader } = xhrProto;
+    const requests = new WeakMap();
+
+    xhrProto.open = function (method, url) {
+      requests.set(this, { method: String(method).toUpperCase(), url: String(url), headers: [] });
+      return open.apply(this, arguments);
+    };
+    xhrProto.setRequestHeader = function (name, value) {
+      requests.get(this)?.headers.push([name, value]);
+      return setRequestHeader.apply(this, arguments);
+    };
+    xhrProto.send = function (body) {
+      const info = requests.get(this);
+      if (info && recorder.active) {
+        const id = nextId();
+        const started = performance.now();
+        post({
+          id,
+          kind: 'xhr',
+          phase: 'request',
+          method: info.method,
+          url: redactUrl(info.url),
+          requestHeaders: redactHeaders(info.headers),
+          requestBody: captureBody(body)
+        });
+
+        this.addEventListener('loadend', () => {
+          if (this.status === 0) {
+            post({ id, kind: 'xhr', phase: 'error', error: 'Network error or aborted', duration: elapsed(started) });
+            return;
+          }
+          const responseHeaders = this.getAllResponseHeaders().trim().split(/[\r\n]+/).filter(Boolean)
+            .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()]);
+          let responseBody;
+          if (this.responseType === '' || this.responseType === 'text') {
+            responseBody = captureText(this.responseText);
+          } else if (this.responseType === 'json') {
+            responseBody = captureText(JSON.stringify(this.response));
+          } else {
+            responseBody = captureBody(this.response);
+          }
+          post({
+            id,
+            kind: 'xhr',
+            phase: 'response',
+            status: this.status,
+            statusText: this.statusText,
+            responseHeaders: redactHeaders(responseHeaders),
+            responseBody,
+            duration: elapsed(started)
+          });
+        });
+      }
+      return send.apply(this, arguments);
+    };
+  }
+
+  // ---- WebSocket and EventSource ----
+
+  // Frames after maxFrames are counted, not posted
+  const frameCounter = (id, kind) => {
+    let frames = 0;
+    return (direction, data, type) => {
+      if (!recorder.active || ++frames > recorder.options.maxFrames) return;
+      const body = typeof data === 'string' ? captureText(data) : captureBody(data);
+      post({ id, kind, phase: 'frame', direction, type, body });
+    };
+  };
+
+  if (window.WebSocket) {
+    const OriginalWebSocket = window.WebSocket;
+    const sockets = new WeakMap();
+    window.WebSocket = class WebSocket extends OriginalWebSocket {
+      constructor(url) {
+        super(...arguments);
+        if (!recorder.active) return;
+
+        const id = nextId();
+        const frame = frameCounter(id, 'websocket');
+        sockets.set(this, frame);
+        post({ id, kind: 'websocket', phase: 'request', method: 'WS', url: redactUrl(String(url)) });
+        this.addEventListener('open', () => post({ id, kind: 'websocket', phase: 'open', status: 101 }));
+        this.addEventListener('message', event => frame('received', event.data));
+        this.addEventListener('error', () => post({ id, kind: 'websocket', phase: 'error', error: 'Connection error' }));
+        this.addEventListener('close', event => post({ id, kind: 'websocket', phase: 'close', code: event.code }));
+      }
+
+      send(data) {
+        sockets.get(this)?.('sent', data);
+        return super.send(data);
+      }
+    };
+  }
+
+  if (window.EventSource) {
+    const OriginalEventSource = window.EventSource;
+    const sources = new WeakMap();
+    window.EventSource = class EventSource extends OriginalEventSource {
+      constructor(url) {
+        super(...arguments);
+        if (!recorder.active) return;
+
+        const id = nextId();
+        const frame = frameCounter(id, 'eventsource');
+        const watched = new Set();
+        // Named events only reach listeners for their name, so each name the page listens
+        // for is watched as it is added
+        const watch = type => {
+          if (watched.has(type)) return;
+          watched.add(type);
+          super.addEventListener(type, event => frame('received', event.data, type));
+        };
+        sources.set(this, watch);
+        post({ id, kind: 'eventsource', phase: 'request', method: 'GET', url: redactUrl(String(url)) });
+        watch('message');
+        super.addEventListener('open', () => post({ id, kind: 'eventsource', phase: 'open', status: 200 }));
+        super.addEventListener('error', () => post({ id, kind: 'eventsource', phase: 'error', error: 'Connection error' }));
+      }
+
+      addEventListener(type, listener, options) {
+        if (!['open', 'error'].includes(type)) sources.get(this)?.(type);
+        return super.addEventListener(type, listener, options);
+      }
+    };
+  }
+
+  return { installed: true };
+}
+
+/**
+ * Stops a recorder installed with installNetworkRecorder. Runs in the page's main world.
+ * @returns {boolean} - Whether the page had a recorder
+ */
+function stopNetworkRecorder() {
+  const recorder = window.__remixrNetworkRecorder;
+  if (recorder) recorder.active = false;
+  return Boolean(recorder);
+}
+
+// ============================================
+// TIMELINE
+// ============================================
+
+/**
+ * Folds one recorder event into the timeline. Events of a request share its id: the
+ * request starts an entry, later phases fill in status, headers, bodies and frames.
+ * @param {Map<string, Object>} timeline - Entries by id, in the order they started
+ * @param {Object} event - As posted by installNetworkRecorder
+ * @returns {Object} - The updated entry
+ */
+function mergeNetworkEvent(timeline, event) {
+  let entry = timeline.get(event.id);
+  if (!entry) {
+    entry = {
+      id: event.id,
+      kind: event.kind,
+      method: event.method || '',
+      url: event.url || '',
+      start: event.time,
+      end: null,
+      status: null,
+      statusText: '',
+      error: null,
+      requestHeaders: {},
+      requestBody: null,
+      responseHeaders: {},
+      responseBody: null,
+      frames: []
+    };
+    timeline.set(event.id, entry);
+  }
+
+  switch (event.phase) {
+    case 'request':
+      Object.assign(entry, {
+        method: event.method,
+        url: event.url,
+        start: event.time,
+        requestHeaders: event.requestHeaders || {},
+        requestBody: event.requestBody || null
+      });
+      break;
+    case 'response':
+      Object.assign(entry, {
+        status: event.status,
+        statusText: event.statusText || '',
+        responseHeaders: event.responseHeaders || {},
+        end: entry.start + (event.duration ?? event.time - entry.start)
+      });
+      if (event.responseBody) entry.responseBody = event.responseBody;
+      break;
+    case 'body':
+      entry.responseBody = event.responseBody;
+      break;
+    case 'open':
+      entry.status = event.status;
+      break;
+    case 'frame':
+      entry.frames.push({ time: event.time, direction: event.direction, type: event.type || null, body: event.body });
+      break;
+    case 'error':
+      entry.error = event.error;
+      entry.end = event.duration != null ? entry.start + event.duration : event.time;
+      break;
+    case 'close':
+      entry.end = event.time;
+      entry.closeCode = event.code;
+      break;
+  }
+  return entry;
+}
+
+/**
+ * Whether an entry failed: a network error or an HTTP error status
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+function isFailedNetworkEntry(entry) {
+  return Boolean(entry.error) || entry.status >= 400;
+}
+
+/**
+ * Timeline entries matching the filters
+ * @param {Object[]} entries
+ * @param {Object} [filter]
+ * @param {string} [filter.query] - Matched against URL, method and status, case-insensitive
+ * @param {string} [filter.kind='all'] - One of NETWORK_KINDS, or 'all'
+ * @param {boolean} [filter.failedOnly=false]
+ * @returns {Object[]}
+ */
+function filterNetworkEntries(entries, filter = {}) {
+  const query = (filter.query || '').trim().toLowerCase();
+  return entries.filter(entry => {
+    if (filter.kind && filter.kind !== 'all' && entry.kind !== filter.kind) return false;
+    if (filter.failedOnly && !isFailedNetworkEntry(entry)) return false;
+    if (!query) return true;
+    return [entry.url, entry.method, String(entry.status ?? '')].some(value => value.toLowerCase().includes(query));
+  });
+}
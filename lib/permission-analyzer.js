@@ -0,0 +1,250 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Permission Analyzer
+// Infers required permissions from chrome.* calls in a project's JavaScript
+
+/**
+ * API namespace -> permission it requires. Namespaces that need no permission
+ * (runtime, i18n, action, windows, tabs, ...) are simply absent.
+ */
+const API_PERMISSIONS = {
+  alarms: 'alarms',
+  bookmarks: 'bookmarks',
+  browsingData: 'browsingData',
+  contentSettings: 'contentSettings',
+  contextMenus: 'contextMenus',
+  cookies: 'cookies',
+  debugger: 'debugger',
+  declarativeContent: 'declarativeContent',
+  declarativeNetRequest: 'declarativeNetRequest',
+  desktopCapture: 'desktopCapture',
+  documentScan: 'documentScan',
+  downloads: 'downloads',
+  fontSettings: 'fontSettings',
+  gcm: 'gcm',
+  history: 'history',
+  identity: 'identity',
+  idle: 'idle',
+  management: 'management',
+  notifications: 'notifications',
+  offscreen: 'offscreen',
+  pageCapture: 'pageCapture',
+  power: 'power',
+  printerProvider: 'printerProvider',
+  printing: 'printing',
+  privacy: 'privacy',
+  proxy: 'proxy',
+  readingList: 'readingList',
+  scripting: 'scripting',
+  search: 'search',
+  sessions: 'sessions',
+  sidePanel: 'sidePanel',
+  storage: 'storage',
+  'system.cpu': 'system.cpu',
+  'system.display': 'system.display',
+  'system.memory': 'system.memory',
+  'system.storage': 'system.storage',
+  tabCapture: 'tabCapture',
+  tabGroups: 'tabGroups',
+  topSites: 'topSites',
+  tts: 'tts',
+  ttsEngine: 'ttsEngine',
+  userScripts: 'userScripts',
+  webNavigation: 'webNavigation',
+  webRequest: 'webRequest'
+};
+
+// Individual methods whose permission differs from their namespace
+const METHOD_PERMISSIONS = {
+  'runtime.connectNative': 'nativeMessaging',
+  'runtime.sendNativeMessage': 'nativeMessaging',
+  'downloads.open': 'downloads.open',
+  'downloads.setUiOptions': 'downloads.ui'
+};
+
+// Methods that only work on pages the extension has host access to
+const HOST_ACCESS_METHODS = [
+  'scripting.executeScript', 'scripting.insertCSS', 'scripting.removeCSS',
+  'tabs.captureVisibleTab', 'cookies.get', 'cookies.getAll', 'cookies.set', 'cookies.remove'
+];
+
+// Declared permissions that have no API namespace, so their use can't be seen in code
+const IMPLICIT_PERMISSIONS = [
+  'activeTab', 'background', 'clipboardRead', 'clipboardWrite', 'geolocation', 'unlimitedStorage',
+  'declarativeNetRequestWithHostAccess', 'declarativeNetRequestFeedback', 'identity.email',
+  'webRequestBlocking', 'webRequestAuthProvider', 'tabs', 'favicon'
+];
+
+// Manifest keys that only work with a permission declared, whether or not code calls its API.
+// Any one of the listed permissions counts as used while the key is present.
+const MANIFEST_KEY_PERMISSIONS = {
+  declarative_net_request: ['declarativeNetRequest', 'declarativeNetRequestWithHostAccess'],
+  side_panel: ['sidePanel'],
+  tts_engine: ['ttsEngine'],
+  oauth2: ['identity']
+};
+
+/**
+ * Removes comments from JavaScript while leaving strings and template literals intact,
+ * keeping newlines so line numbers still line up
+ * @param {string} code - JavaScript source
+ * @returns {string}
+ */
+function stripJsComments(code) {
+  let out = '';
+  let i = 0;
+
+  while (i < code.length) {
+    const char = code[i];
+    const next = code[i + 1];
+
+    if (char === '/' && next === '/') {
+      while (i < code.length && code[i] !== '\n') i++;
+    } else if (char === '/' && next === '*') {
+      i += 2;
+      while (i < code.length && !(code[i] === '*' && code[i + 1] === '/')) {
+        if (code[i] === '\n') out += '\n';
+        i++;
+      }
+      i += 2;
+    } else if (char === '"' || char === "'" || char === '`') {
+      const start = i++;
+      while (i < code.length && code[i] !== char) {
+        if (code[i] === '\\') i++;
+        i++;
+      }
+      out += code.slice(start, ++i);
+    } else {
+      out += char;
+      i++;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Finds chrome.* / browser.* API uses in one file
+ * @param {string} code - JavaScript source
+ * @returns {Array<{api: string, namespace: string, line: number}>} - e.g. { api: 'tabs.query', namespace: 'tabs', line: 12 }
+ */
+function findChromeApiCalls(code) {
+  const calls = [];
+  const pattern = /\b(?:chrome|browser)\s*\.\s*([a-zA-Z]+)(?:\s*\.\s*([a-zA-Z]+))?/g;
+  const lines = stripJsComments(code).split('\n');
+
+  lines.forEach((text, index) => {
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const [, first, second] = match;
+      const api = second ? `${first}.${second}` : first;
+      // Two-level namespaces such as system.cpu
+      const namespace = second && API_PERMISSIONS[api] ? api : first;
+      calls.push({ api, namespace, line: index + 1 });
+    }
+  });
+
+  return calls;
+}
+
+/**
+ * Compares the permissions the code needs with those the manifest declares
+ * @param {Object} project - Project with files
+ * @returns {{used: Object, missing: string[], unused: string[], hostAccess: Array, error: string|null}}
+ *   used maps each required permission to the call sites that need it
+ */
+function analyzeProjectPermissions(project) {
+  let manifest;
+  try {
+    manifest = JSON.parse(project.files['manifest.json']);
+  } catch (e) {
+    return { used: {}, missing: [], unused: [], hostAccess: [], error: 'manifest.json is missing or invalid' };
+  }
+
+  const used = {};
+  const hostAccess = [];
+
+  Object.entries(project.files)
+    .filter(([path, content]) => /\.m?js$/.test(path) && typeof content === 'string')
+    .forEach(([path, content]) => {
+      findChromeApiCalls(content).forEach(({ api, namespace, line }) => {
+        const permission = METHOD_PERMISSIONS[api] || API_PERMISSIONS[namespace];
+        if (permission) {
+          if (!used[permission]) used[permission] = [];
+          used[permission].push({ file: path, line, api });
+        }
+        if (HOST_ACCESS_METHODS.includes(api)) {
+          hostAccess.push({ file: path, line, api });
+        }
+      });
+    });
+
+  const declared = manifest.permissions || [];
+  const optional = manifest.optional_permissions || [];
+
+  const missing = Object.keys(used).filter(permission =>
+    !declared.includes(permission) && !optional.includes(permission) &&
+    // declarativeNetRequestWithHostAccess covers the declarativeNetRequest API
+    !(permission === 'declarativeNetRequest' && declared.includes('declarativeNetRequestWithHostAccess'))
+  );
+
+  const requiredByManifest = Object.entries(MANIFEST_KEY_PERMISSIONS)
+    .filter(([key]) => manifest[key] !== undefined)
+    .flatMap(([, permissions]) => permissions);
+
+  const unused = declared.filter(permission =>
+    !used[permission] && !requiredByManifest.includes(permission) &&
+    !IMPLICIT_PERMISSIONS.includes(permission) && !permission.includes('://')
+  );
+
+  const hasHostAccess = declared.includes('activeTab') ||
+    (manifest.host_permissions || []).length > 0 ||
+    (manifest.optional_host_permissions || []).length > 0;
+
+  return {
+    used,
+    missing,
+    unused,
+    hostAccess: hasHostAccess ? [] : hostAccess,
+    error: null
+  };
+}
+
+/**
+ * Rewrites manifest.json with missing permissions added and unused ones removed
+ * @param {string} manifestText - Current manifest.json
+ * @param {Object} analysis - Result of analyzeProjectPermissions
+ * @returns {string} - Updated manifest.json
+ */
+function applyPermissionFixes(manifestText, analysis) {
+  const manifest = JSON.parse(manifestText);
+  const permissions = (manifest.permissions || [])
+    .filter(permission => !analysis.unused.includes(permission))
+    .concat(analysis.missing);
+
+  if (analysis.hostAccess.length > 0 && !permissions.includes('activeTab')) {
+    permissions.push('activeTab');
+  }
+
+  if (permissions.length > 0) {
+    manifest.permissions = permissions;
+  } else {
+    delete manifest.permissions;
+  }
+
+  return JSON.stringify(manifest, null, 2);
+}
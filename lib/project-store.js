@@ -0,0 +1,710 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Project Store
+// Single home for saved projects: stable IDs, versioned schema and migrations.
+// Loaded by the side panel and by the background service worker (importScripts).
+// Projects live in IndexedDB (one record per file, Blobs allowed); chrome.storage is the fallback.
+
+const PROJECT_STORE_KEY = 'projectStore';
+const PROJECT_DB_NAME = 'remixr';
+const PROJECT_DB_VERSION = 3;
+const PROJECT_HISTORY_KEY = 'projectHistory';
+
+// Oldest snapshots beyond this are folded into the next one
+const PROJECT_SNAPSHOT_LIMIT = 50;
+
+// Keys written by older builds: the dashboard used an array under extensionProjects,
+// the wizard used a separate array under projects
+const LEGACY_PROJECT_KEYS = ['extensionProjects', 'projects'];
+
+/**
+ * Schema migrations, applied in order to bring stored data up to date.
+ * Each receives the store data and the raw storage snapshot and returns the new data.
+ * Stored shape: { schemaVersion, projects: { [id]: project } }
+ * Project shape: { id, name, files: { path: string|Blob }, created, modified, ...metadata }
+ */
+const PROJECT_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Merge legacy extensionProjects and wizard projects keys',
+    migrate(data, raw) {
+      const projects = { ...data.projects };
+      LEGACY_PROJECT_KEYS.forEach(key => {
+        (raw[key] || []).forEach(legacy => {
+          const project = normalizeProject(legacy);
+          if (!projects[project.id]) projects[project.id] = project;
+        });
+      });
+      return { ...data, projects };
+    }
+  }
+];
+
+const PROJECT_SCHEMA_VERSION = PROJECT_MIGRATIONS[PROJECT_MIGRATIONS.length - 1].version;
+
+/**
+ * Creates a stable, unique project ID
+ * @returns {string}
+ */
+function createProjectId() {
+  const random = typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID().slice(0, 8)
+    : Math.random().toString(36).slice(2, 10);
+  return `proj-${Date.now().toString(36)}-${random}`;
+}
+
+/**
+ * Converts any known project shape into the current one.
+ * Handles wizard projects (files as [{ name, content }], manifest kept separately,
+ * ISO date strings) and dashboard projects without IDs.
+ * @param {Object} raw - Project as found in storage
+ * @returns {Object} - Normalized project
+ */
+function normalizeProject(raw) {
+  const { index, manifest, files: rawFiles, ...rest } = raw;
+
+  let files = {};
+  if (Array.isArray(rawFiles)) {
+    rawFiles.forEach(file => { files[file.name] = file.content; });
+  } else if (rawFiles && typeof rawFiles === 'object') {
+    files = { ...rawFiles };
+  }
+
+  if (manifest && !files['manifest.json']) {
+    files['manifest.json'] = typeof manifest === 'string' ? manifest : JSON.stringify(manifest, null, 2);
+  }
+
+  const toTime = value => {
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(time) ? time : Date.now();
+  };
+  const created = toTime(raw.created);
+
+  return {
+    ...rest,
+    id: raw.id || createProjectId(),
+    name: raw.name || 'Untitled Extension',
+    files,
+    created,
+    modified: raw.modified ? toTime(raw.modified) : created
+  };
+}
+
+/**
+ * Copies a project for editing. Metadata is deep-copied; file contents are shared
+ * because strings and Blobs are immutable, which keeps stored Blobs recognizable on save.
+ * @param {Object} project - Project to copy
+ * @returns {Object}
+ */
+function cloneProject(project) {
+  const { files, ...meta } = project;
+  return { ...structuredClone(meta), files: { ...files } };
+}
+
+/**
+ * Checks whether a file's content is binary (stored as a Blob)
+ * @param {*} content - File content
+ * @returns {boolean}
+ */
+function isBinaryContent(content) {
+  return typeof Blob !== 'undefined' && content instanceof Blob;
+}
+
+// Signatures of Blobs read from or written to IndexedDB, so unchanged assets are not rewritten
+const storedBlobSignatures = new WeakMap();
+
+/**
+ * Signature used to skip writing unchanged files.
+ * Strings are hashed; Blobs are only known when they came from the store.
+ * @returns {string|null} - null when the content must be written
+ */
+function fileSignature(content) {
+  if (isBinaryContent(content)) {
+    return storedBlobSignatures.get(content) || null;
+  }
+
+  const text = String(content);
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return `text:${text.length}:${(hash >>> 0).toString(16)}`;
+}
+
+/**
+ * Snapshot signature: like fileSignature, but Blobs never seen by the store
+ * fall back to size and type so the fallback backend doesn't record them on every save
+ */
+function snapshotSignature(content) {
+  return fileSignature(content) || `blob:${content.size}:${content.type}`;
+}
+
+/**
+ * Whether two versions of a file hold the same content. A Blob read back from a snapshot is
+ * never the Blob the open project holds, so Blobs are compared by their snapshot signature.
+ * @param {string|Blob|undefined} a - File content, undefined when the file is absent
+ * @param {string|Blob|undefined} b - File content, undefined when the file is absent
+ * @returns {boolean}
+ */
+function sameFileContent(a, b) {
+  if (!isBinaryContent(a) || !isBinaryContent(b)) return a === b;
+  return snapshotSignature(a) === snapshotSignature(b);
+}
+
+/**
+ * Rebuilds project files by applying snapshot deltas in order
+ * @param {Object[]} snapshots - Snapshot records, oldest first
+ * @returns {Object<string, {content: *, signature: string}>}
+ */
+function replaySnapshots(snapshots) {
+  const state = {};
+  snapshots.forEach(snapshot => {
+    Object.entries(snapshot.changes).forEach(([path, change]) => {
+      if (change) state[path] = change;
+      else delete state[path];
+    });
+  });
+  return state;
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolves once a transaction commits
+ */
+function idbTransactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Encodes a Blob for chrome.storage, which only holds JSON
+ */
+async function encodeBlob(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return { __blob: btoa(binary), type: blob.type };
+}
+
+/**
+ * Reverses encodeBlob; other values pass through
+ */
+function decodeFileContent(value) {
+  if (!value || typeof value !== 'object' || typeof value.__blob !== 'string') return value;
+  const binary = atob(value.__blob);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type: value.type || '' });
+}
+
+/**
+ * Project without its files, as listed on the dashboard
+ */
+function projectSummary(project) {
+  const { files, ...meta } = project;
+  return { ...meta, fileCount: Object.keys(files || {}).length };
+}
+
+// ============================================
+// CHROME.STORAGE BACKEND (FALLBACK)
+// ============================================
+
+const StorageProjectBackend = {
+  name: 'chrome.storage',
+
+  /**
+   * Reads the store, running any pending migrations first.
+   * Legacy keys are removed once their projects have been merged.
+   * @returns {Promise<Object>} - Store data at PROJECT_SCHEMA_VERSION
+   */
+  async read() {
+    const raw = await chrome.storage.local.get([PROJECT_STORE_KEY, ...LEGACY_PROJECT_KEYS]);
+    let data = raw[PROJECT_STORE_KEY] || { schemaVersion: 0, projects: {} };
+
+    const pending = PROJECT_MIGRATIONS.filter(m => m.version > data.schemaVersion);
+    const hasLegacy = LEGACY_PROJECT_KEYS.some(key => raw[key] !== undefined);
+    if (pending.length === 0 && !hasLegacy) return data;
+
+    pending.forEach(migration => {
+      data = { ...migration.migrate(data, raw), schemaVersion: migration.version };
+    });
+
+    // Legacy keys written by an outdated build after migration are merged again
+    if (pending.length === 0) {
+      data = PROJECT_MIGRATIONS[0].migrate(data, raw);
+    }
+
+    await chrome.storage.local.set({ [PROJECT_STORE_KEY]: data });
+    if (hasLegacy) await chrome.storage.local.remove(LEGACY_PROJECT_KEYS);
+    return data;
+  },
+
+  async list() {
+    const { projects } = await this.read();
+    return Object.values(projects).map(projectSummary);
+  },
+
+  async get(id) {
+    const { projects } = await this.read();
+    const project = projects[id];
+    if (!project) return null;
+
+    const files = {};
+    Object.entries(project.files).forEach(([path, content]) => {
+      files[path] = decodeFileContent(content);
+    });
+    return { ...project, files };
+  },
+
+  async save(project) {
+    const data = await this.read();
+    const files = {};
+    for (const [path, content] of Object.entries(project.files)) {
+      files[path] = isBinaryContent(content) ? await encodeBlob(content) : content;
+    }
+    data.projects[project.id] = { ...project, files };
+    await chrome.storage.local.set({ [PROJECT_STORE_KEY]: data });
+  },
+
+  async remove(id) {
+    const data = await this.read();
+    delete data.projects[id];
+    await chrome.storage.local.set({ [PROJECT_STORE_KEY]: data });
+  },
+
+  async listSnapshots(projectId) {
+    const { [PROJECT_HISTORY_KEY]: history = {} } = await chrome.storage.local.get([PROJECT_HISTORY_KEY]);
+    return (history[projectId] || []).map(snapshot => {
+      const changes = {};
+      Object.entries(snapshot.changes).forEach(([path, change]) => {
+        changes[path] = change && { ...change, content: decodeFileContent(change.content) };
+      });
+      return { ...snapshot, changes };
+    });
+  },
+
+  async writeSnapshots(projectId, put, removedIds) {
+    const { [PROJECT_HISTORY_KEY]: history = {} } = await chrome.storage.local.get([PROJECT_HISTORY_KEY]);
+    const byId = new Map((history[projectId] || []).map(snapshot => [snapshot.id, snapshot]));
+
+    for (const snapshot of put) {
+      const changes = {};
+      for (const [path, change] of Object.entries(snapshot.changes)) {
+        changes[path] = change && {
+          ...change,
+          content: isBinaryContent(change.content) ? await encodeBlob(change.content) : change.content
+        };
+      }
+      byId.set(snapshot.id, { ...snapshot, changes });
+    }
+    removedIds.forEach(id => byId.delete(id));
+
+    history[projectId] = Array.from(byId.values()).sort((a, b) => a.createdAt - b.createdAt);
+    await chrome.storage.local.set({ [PROJECT_HISTORY_KEY]: history });
+  },
+
+  async removeSnapshots(projectId) {
+    const { [PROJECT_HISTORY_KEY]: history = {} } = await chrome.storage.local.get([PROJECT_HISTORY_KEY]);
+    delete history[projectId];
+    await chrome.storage.local.set({ [PROJECT_HISTORY_KEY]: history });
+  },
+
+  // Directory handles can't be serialized to chrome.storage, so they only last for the session
+  async getDevFolder() {
+    return null;
+  },
+
+  async setDevFolder() {}
+};
+
+// ============================================
+// INDEXEDDB BACKEND
+// ============================================
+
+/**
+ * Database layout:
+ *   projects - project metadata keyed by id (no file contents)
+ *   files    - { projectId, path, content, signature } keyed by [projectId, path]
+ *   snapshots - { id, projectId, createdAt, message, changes } (v2)
+ *   devFolders - { projectId, handle } directory a project is synced to for live reload (v3)
+ */
+const IndexedDBProjectBackend = {
+  name: 'indexedDB',
+  db: null,
+
+  /**
+   * Opens (and on first use creates) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  async open() {
+    if (this.db) return this.db;
+
+    const request = indexedDB.open(PROJECT_DB_NAME, PROJECT_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('projects')) {
+        db.createObjectStore('projects', { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains('files')) {
+        const files = db.createObjectStore('files', { keyPath: ['projectId', 'path'] });
+        files.createIndex('projectId', 'projectId');
+      }
+      if (!db.objectStoreNames.contains('snapshots')) {
+        const snapshots = db.createObjectStore('snapshots', { keyPath: 'id' });
+        snapshots.createIndex('projectId', 'projectId');
+      }
+      if (!db.objectStoreNames.contains('devFolders')) {
+        db.createObjectStore('devFolders', { keyPath: 'projectId' });
+      }
+    };
+    request.onblocked = () => console.warn('Project database upgrade blocked by another open ReMixr page');
+
+    this.db = await idbRequest(request);
+    this.db.onversionchange = () => {
+      this.db.close();
+      this.db = null;
+    };
+    return this.db;
+  },
+
+  async list() {
+    const db = await this.open();
+    return idbRequest(db.transaction('projects').objectStore('projects').getAll());
+  },
+
+  async get(id) {
+    const db = await this.open();
+    const tx = db.transaction(['projects', 'files']);
+    const [meta, records] = await Promise.all([
+      idbRequest(tx.objectStore('projects').get(id)),
+      idbRequest(tx.objectStore('files').index('projectId').getAll(id))
+    ]);
+    if (!meta) return null;
+
+    const { fileCount, ...project } = meta;
+    const files = {};
+    records.forEach(record => {
+      if (isBinaryContent(record.content)) {
+        storedBlobSignatures.set(record.content, record.signature);
+      }
+      files[record.path] = record.content;
+    });
+    return { ...project, files };
+  },
+
+  /**
+   * Writes only the files whose content changed and deletes files that were removed
+   */
+  async save(project) {
+    const db = await this.open();
+
+    const existing = await idbRequest(
+      db.transaction('files').objectStore('files').index('projectId').getAll(project.id)
+    );
+    const previous = new Map(existing.map(record => [record.path, record.signature]));
+
+    const tx = db.transaction(['projects', 'files'], 'readwrite');
+    const filesStore = tx.objectStore('files');
+    tx.objectStore('projects').put(projectSummary(project));
+
+    Object.entries(project.files).forEach(([path, content]) => {
+      let signature = fileSignature(content);
+      if (signature && previous.get(path) === signature) return;
+
+      if (isBinaryContent(content) && !signature) {
+        signature = `blob:${content.size}:${Date.now().toString(36)}:${Math.random().toString(36).slice(2, 8)}`;
+        storedBlobSignatures.set(content, signature);
+      }
+      filesStore.put({ projectId: project.id, path, content, signature });
+    });
+
+    previous.forEach((signature, path) => {
+      if (!(path in project.files)) filesStore.delete([project.id, path]);
+    });
+
+    await idbTransactionDone(tx);
+  },
+
+  async remove(id) {
+    const db = await this.open();
+    const tx = db.transaction(['projects', 'files'], 'readwrite');
+    const filesStore = tx.objectStore('files');
+    tx.objectStore('projects').delete(id);
+
+    const keys = await idbRequest(filesStore.index('projectId').getAllKeys(id));
+    keys.forEach(key => filesStore.delete(key));
+    await idbTransactionDone(tx);
+  },
+
+  async listSnapshots(projectId) {
+    const db = await this.open();
+    const snapshots = await idbRequest(
+      db.transaction('snapshots').objectStore('snapshots').index('projectId').getAll(projectId)
+    );
+    return snapshots.sort((a, b) => a.createdAt - b.createdAt);
+  },
+
+  async writeSnapshots(projectId, put, removedIds) {
+    const db = await this.open();
+    const tx = db.transaction('snapshots', 'readwrite');
+    const store = tx.objectStore('snapshots');
+    put.forEach(snapshot => store.put(snapshot));
+    removedIds.forEach(id => store.delete(id));
+    await idbTransactionDone(tx);
+  },
+
+  async removeSnapshots(projectId) {
+    const db = await this.open();
+    const tx = db.transaction('snapshots', 'readwrite');
+    const store = tx.objectStore('snapshots');
+    const keys = await idbRequest(store.index('projectId').getAllKeys(projectId));
+    keys.forEach(key => store.delete(key));
+    await idbTransactionDone(tx);
+  },
+
+  async getDevFolder(projectId) {
+    const db = await this.open();
+    const record = await idbRequest(db.transaction('devFolders').objectStore('devFolders').get(projectId));
+    return record ? record.handle : null;
+  },
+
+  async setDevFolder(projectId, handle) {
+    const db = await this.open();
+    const tx = db.transaction('devFolders', 'readwrite');
+    if (handle) tx.objectStore('devFolders').put({ projectId, handle });
+    else tx.objectStore('devFolders').delete(projectId);
+    await idbTransactionDone(tx);
+  },
+
+  /**
+   * Moves projects kept in chrome.storage (current or legacy keys) into the database
+   */
+  async importFromStorage() {
+    const raw = await chrome.storage.local.get([PROJECT_STORE_KEY, ...LEGACY_PROJECT_KEYS]);
+    const hasStored = [PROJECT_STORE_KEY, ...LEGACY_PROJECT_KEYS].some(key => raw[key] !== undefined);
+    if (!hasStored) return;
+
+    const summaries = await StorageProjectBackend.list();
+    for (const summary of summaries) {
+      await this.save(await StorageProjectBackend.get(summary.id));
+    }
+    await chrome.storage.local.remove(PROJECT_STORE_KEY);
+  }
+};
+
+// ============================================
+// PUBLIC STORE
+// ============================================
+
+const ProjectStore = {
+  backendPromise: null,
+
+  /**
+   * Picks the backend once: IndexedDB when it opens, chrome.storage otherwise
+   * @returns {Promise<Object>}
+   */
+  backend() {
+    if (!this.backendPromise) {
+      this.backendPromise = (async () => {
+        if (typeof indexedDB !== 'undefined') {
+          try {
+            await IndexedDBProjectBackend.open();
+            await IndexedDBProjectBackend.importFromStorage();
+            return IndexedDBProjectBackend;
+          } catch (error) {
+            console.warn('IndexedDB unavailable, storing projects in chrome.storage:', error);
+          }
+        }
+        return StorageProjectBackend;
+      })();
+    }
+    return this.backendPromise;
+  },
+
+  /**
+   * Runs pending migrations (used on install/update)
+   */
+  async migrate() {
+    const backend = await this.backend();
+    if (backend === StorageProjectBackend) await backend.read();
+  },
+
+  /**
+   * Lists project summaries (no file contents), most recently modified first
+   * @returns {Promise<Object[]>}
+   */
+  async list() {
+    const backend = await this.backend();
+    const projects = await backend.list();
+    return projects.sort((a, b) => b.modified - a.modified);
+  },
+
+  /**
+   * @param {string} id - Project ID
+   * @returns {Promise<Object|null>} - Full project including files
+   */
+  async get(id) {
+    const backend = await this.backend();
+    return backend.get(id);
+  },
+
+  /**
+   * Inserts or replaces a project and records a snapshot of what changed.
+   * Projects without an ID are given one.
+   * @param {Object} project - Project to store
+   * @param {Object} [options] - { message } attached to the snapshot
+   * @returns {Promise<Object>} - The stored project
+   */
+  async save(project, options = {}) {
+    const backend = await this.backend();
+    const stored = normalizeProject({ ...project, modified: Date.now() });
+    await backend.save(stored);
+    await this.recordSnapshot(backend, stored, options.message);
+    return stored;
+  },
+
+  /**
+   * Stores the file-level delta against the previous snapshot.
+   * Saves that change nothing are not recorded.
+   */
+  async recordSnapshot(backend, project, message) {
+    const snapshots = await backend.listSnapshots(project.id);
+    const previous = replaySnapshots(snapshots);
+
+    const changes = {};
+    Object.entries(project.files).forEach(([path, content]) => {
+      const signature = snapshotSignature(content);
+      if (previous[path]?.signature !== signature) changes[path] = { content, signature };
+    });
+    Object.keys(previous).forEach(path => {
+      if (!(path in project.files)) changes[path] = null;
+    });
+
+    if (snapshots.length > 0 && Object.keys(changes).length === 0) return null;
+
+    const snapshot = {
+      id: `snap-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      projectId: project.id,
+      createdAt: project.modified,
+      message: message || '',
+      changes
+    };
+    const put = [snapshot];
+    const removedIds = [];
+
+    // Fold the oldest snapshot into the next so replay still yields the same files
+    if (snapshots.length + 1 > PROJECT_SNAPSHOT_LIMIT) {
+      const [oldest, next] = snapshots;
+      const merged = Object.entries({ ...oldest.changes, ...next.changes })
+        .filter(([, change]) => change !== null);
+      put.push({ ...next, changes: Object.fromEntries(merged) });
+      removedIds.push(oldest.id);
+    }
+
+    await backend.writeSnapshots(project.id, put, removedIds);
+    return snapshot;
+  },
+
+  /**
+   * Lists a project's snapshots, newest first
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array<{id, createdAt, message, added: string[], modified: string[], deleted: string[]}>>}
+   */
+  async listSnapshots(projectId) {
+    const backend = await this.backend();
+    const snapshots = await backend.listSnapshots(projectId);
+    const seen = new Set();
+
+    return snapshots.map(snapshot => {
+      const summary = { id: snapshot.id, createdAt: snapshot.createdAt, message: snapshot.message, added: [], modified: [], deleted: [] };
+      Object.entries(snapshot.changes).forEach(([path, change]) => {
+        if (!change) {
+          summary.deleted.push(path);
+          seen.delete(path);
+        } else {
+          summary[seen.has(path) ? 'modified' : 'added'].push(path);
+          seen.add(path);
+        }
+      });
+      return summary;
+    }).reverse();
+  },
+
+  /**
+   * Rebuilds the files of a project as they were at a snapshot
+   * @param {string} projectId - Project ID
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {Promise<Object<string, string|Blob>|null>}
+   */
+  async getSnapshotFiles(projectId, snapshotId) {
+    const backend = await this.backend();
+    const snapshots = await backend.listSnapshots(projectId);
+    const index = snapshots.findIndex(snapshot => snapshot.id === snapshotId);
+    if (index === -1) return null;
+
+    const files = {};
+    Object.entries(replaySnapshots(snapshots.slice(0, index + 1))).forEach(([path, { content, signature }]) => {
+      if (isBinaryContent(content)) storedBlobSignatures.set(content, signature);
+      files[path] = content;
+    });
+    return files;
+  },
+
+  /**
+   * Directory the project is written to for live reload
+   * @param {string} projectId - Project ID
+   * @returns {Promise<FileSystemDirectoryHandle|null>}
+   */
+  async getDevFolder(projectId) {
+    const backend = await this.backend();
+    return backend.getDevFolder(projectId);
+  },
+
+  /**
+   * @param {string} projectId - Project ID
+   * @param {FileSystemDirectoryHandle|null} handle - Directory to remember, or null to forget it
+   */
+  async setDevFolder(projectId, handle) {
+    const backend = await this.backend();
+    await backend.setDevFolder(projectId, handle);
+  },
+
+  /**
+   * Deletes a project, its history and its live reload folder link
+   * @param {string} id - Project ID to delete
+   */
+  async remove(id) {
+    const backend = await this.backend();
+    await backend.remove(id);
+    await backend.removeSnapshots(id);
+    await backend.setDevFolder(id, null);
+  }
+};
@@ -0,0 +1,210 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Structured Response Parser
+// Turns AI output (JSON file maps or fenced code blocks) into project files
+
+const FILE_PATH_PATTERN = /^[\w@.-]+(?:\/[\w@.-]+)*\.(?:json|js|mjs|html|htm|css|md|txt|svg)$/i;
+
+// Fallback names for unlabelled blocks, keyed by fence language
+const DEFAULT_FILENAMES = {
+  json: 'manifest.json',
+  html: 'popup.html',
+  css: 'styles.css'
+};
+
+/**
+ * Parses a model response into a file map
+ * @param {string} text - Raw model output
+ * @returns {{files: Object<string, string>, format: string}} - Parsed files and the detected format
+ * @throws {Error} - When no files can be recovered from the response
+ */
+function parseGeneratedFiles(text) {
+  if (!text || !text.trim()) {
+    throw new Error('Response is empty');
+  }
+
+  const jsonFiles = parseJsonFileMap(text);
+  if (jsonFiles) {
+    return { files: jsonFiles, format: 'json' };
+  }
+
+  const fencedFiles = parseFencedFiles(text);
+  if (Object.keys(fencedFiles).length > 0) {
+    return { files: fencedFiles, format: 'fenced' };
+  }
+
+  throw new Error('No files found in response - expected a JSON file map or fenced code blocks');
+}
+
+/**
+ * Reads a JSON file map, either the whole response or a ```json block.
+ * Accepts { "files": { path: content } }, { path: content } and
+ * [{ "path"|"name": ..., "content": ... }] shapes.
+ */
+function parseJsonFileMap(text) {
+  const candidates = [text.trim()];
+  const blockPattern = /```json[^\n]*\n([\s\S]*?)```/gi;
+  let match;
+  while ((match = blockPattern.exec(text)) !== null) {
+    candidates.push(match[1].trim());
+  }
+
+  for (const candidate of candidates) {
+    let parsed;
+    try {
+      parsed = JSON.parse(candidate);
+    } catch (e) {
+      continue;
+    }
+
+    const files = normalizeFileMap(parsed?.files || parsed);
+    if (files) return files;
+  }
+  return null;
+}
+
+/**
+ * Normalizes a parsed JSON value into { path: content }, or null when it is not a file map.
+ * A bare manifest object is not a file map.
+ */
+function normalizeFileMap(value) {
+  if (!value || typeof value !== 'object') return null;
+
+  const entries = Array.isArray(value)
+    ? value.map(item => [item?.path || item?.name || item?.filename, item?.content])
+    : Object.entries(value);
+
+  if (entries.length === 0) return null;
+
+  const files = {};
+  for (const [rawPath, content] of entries) {
+    const path = normalizeFilePath(rawPath);
+    if (!path || content === undefined || content === null) return null;
+    files[path] = typeof content === 'string' ? content : JSON.stringify(content, null, 2);
+  }
+  return files;
+}
+
+/**
+ * Collects fenced code blocks that can be tied to a filename
+ */
+function parseFencedFiles(text) {
+  const files = {};
+  const blockPattern = /```([^\n`]*)\n([\s\S]*?)```/g;
+  let match;
+
+  while ((match = blockPattern.exec(text)) !== null) {
+    const info = match[1].trim();
+    let body = match[2];
+    const language = info.split(/\s+/)[0].toLowerCase();
+
+    let path = filenameFromInfo(info);
+
+    if (!path) {
+      const firstLine = body.split('\n')[0];
+      path = filenameFromComment(firstLine);
+      if (path) body = body.slice(firstLine.length + 1);
+    }
+
+    if (!path) {
+      path = filenameFromPrecedingLine(text.slice(0, match.index));
+    }
+
+    if (!path && DEFAULT_FILENAMES[language] && !files[DEFAULT_FILENAMES[language]]) {
+      path = DEFAULT_FILENAMES[language];
+    }
+
+    if (path) {
+      files[path] = body.replace(/\n$/, '');
+    }
+  }
+
+  return files;
+}
+
+/**
+ * ```popup.js, ```js popup.js, ```js title="popup.js" or ```js filename=popup.js
+ */
+function filenameFromInfo(info) {
+  const attr = info.match(/(?:title|file|filename|path)=["']?([^"'\s]+)/i);
+  if (attr) return normalizeFilePath(attr[1]);
+
+  for (const token of info.split(/\s+/)) {
+    const path = normalizeFilePath(token);
+    if (path) return path;
+  }
+  return null;
+}
+
+/**
+ * // popup.js, // File: popup.js, /* styles.css *\/, <!-- popup.html -->, # notes.md
+ */
+function filenameFromComment(line) {
+  const match = line.trim().match(/^(?:\/\/|\/\*|<!--|#)\s*(?:file(?:name)?:\s*)?([^\s*]+?)\s*(?:\*\/|-->)?$/i);
+  return match ? normalizeFilePath(match[1]) : null;
+}
+
+/**
+ * **popup.js**, ### `popup.js`, File: popup.js - the last non-empty line before a fence
+ */
+function filenameFromPrecedingLine(before) {
+  const lines = before.split('\n').map(l => l.trim()).filter(Boolean);
+  const last = lines[lines.length - 1];
+  if (!last || last.length > 120) return null;
+
+  const match = last.match(/([\w@.-]+(?:\/[\w@.-]+)*\.[a-z]{2,4})[`*:]*\s*$/i);
+  return match ? normalizeFilePath(match[1]) : null;
+}
+
+/**
+ * Strips leading ./ and / and rejects anything that is not a safe relative file path
+ */
+function normalizeFilePath(raw) {
+  if (typeof raw !== 'string') return null;
+  const path = raw.trim().replace(/^`|`$/g, '').replace(/^\.?\//, '');
+  if (path.split('/').includes('..')) return null;
+  return FILE_PATH_PATTERN.test(path) ? path : null;
+}
+
+/**
+ * Validates parsed files with the manifest and JavaScript validators
+ * @param {Object<string, string>} files - Parsed files
+ * @returns {Object<string, {errors: string[], warnings: string[]}>} - Results keyed by path
+ */
+function validateGeneratedFiles(files) {
+  const results = {};
+
+  for (const [path, content] of Object.entries(files)) {
+    const result = { errors: [], warnings: [] };
+
+    if (path === 'manifest.json') {
+      try {
+        const validation = validateManifest(JSON.parse(content));
+        result.errors.push(...validation.errors);
+        result.warnings.push(...validation.warnings);
+      } catch (e) {
+        result.errors.push(`Invalid JSON: ${e.message}`);
+      }
+    } else if (/\.m?js$/.test(path)) {
+      result.errors.push(...validateJavaScript(content).errors);
+    }
+
+    results[path] = result;
+  }
+
+  return results;
+}
@@ -0,0 +1,236 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Selector Engine
+// Builds short, unique and stable locators for inspected elements: a CSS selector, an XPath
+// and, when the element has distinctive text, a text locator
+
+// Attributes written for tests and accessibility, in order of preference. They rarely
+// change between deploys, unlike classes and layout.
+const STABLE_ATTRIBUTES = [
+    'data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-qa',
+    'aria-label', 'name', 'aria-labelledby', 'role', 'title', 'alt', 'placeholder', 'for'
+];
+
+// Attributes whose values are element IDs, which may themselves be generated
+const ID_REFERENCE_ATTRIBUTES = ['aria-labelledby', 'for'];
+
+// Class and ID names produced by CSS-in-JS, CSS modules and frameworks. They change on
+// every build, so a selector using them breaks on the next deploy.
+const GENERATED_NAME_PATTERNS = [
+    /^(css|sc|jsx|emotion|svelte|tw|styled|ember|ng-tns)-/i, // emotion, styled-components, styled-jsx, svelte, ember
+    /^(makeStyles|jss|Mui[A-Za-z]+)-[A-Za-z]+-\d+$/, // JSS / Material UI
+    /__[A-Za-z0-9_-]{5,}$/, // CSS modules: Button_root__a1B2c
+    /^_[A-Za-z0-9]{5,}$/, // webpack hashed names
+    /^:r[0-9a-z]*:$/, // React useId
+    /[0-9a-f]{8}-[0-9a-f]{4}-/i, // UUIDs
+    /\d{3,}/, // counters such as item-4821
+    /^(?=.*\d)(?=.*[a-z])(?=.*[A-Z])[A-Za-z0-9]{5,8}$/ // short mixed-case hashes: bKjIwx, a1B2c3
+];
+
+// Classes that describe transient state rather than what the element is
+const STATE_CLASS_PATTERN = /(^|[-_])(hover|active|focus|focused|selected|open|opened|visible|hidden|disabled|checked|current|loading)($|[-_])|^is-|^has-/i;
+
+const TEXT_LOCATOR_MAX_LENGTH = 60;
+
+/**
+ * Whether a class or ID looks machine-generated
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isGeneratedName(name) {
+    return GENERATED_NAME_PATTERNS.some(pattern => pattern.test(name));
+}
+
+/**
+ * Escapes a CSS identifier (CSS.escape isn't available in every context)
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeCssIdentifier(value) {
+    return String(value)
+        .replace(/[^a-zA-Z0-9_\u00a0-\uffff-]/g, char => '\\' + char)
+        .replace(/^(-?)(\d)/, (match, dash, digit) => `${dash}\\3${digit} `)
+        .replace(/^-$/, '\\-');
+}
+
+function quoteCssString(value) {
+    return '"' + String(value).replace(/["\\]/g, '\\$&').replace(/\n/g, '\\a ') + '"';
+}
+
+function quoteXPathString(value) {
+    if (!value.includes('"')) return `"${value}"`;
+    if (!value.includes("'")) return `'${value}'`;
+    return `concat("${value.split('"').join('", \'"\', "')}")`;
+}
+
+/**
+ * Whether a selector matches exactly one element, and that element is the given one
+ * @param {string} selector
+ * @param {Element} el
+ * @param {Document|ShadowRoot|Element} [root] - Defaults to the element's document or shadow root
+ * @returns {boolean}
+ */
+function isUniqueSelector(selector, el, root = el.getRootNode()) {
+    try {
+        const matches = root.querySelectorAll(selector);
+        return matches.length === 1 && matches[0] === el;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Stable classes of an element, state and generated names removed
+function stableClasses(el) {
+    return Array.from(el.classList).filter(name => !isGeneratedName(name) && !STATE_CLASS_PATTERN.test(name));
+}
+
+function nthOfType(el) {
+    let index = 1;
+    let sibling = el;
+    while ((sibling = sibling.previousElementSibling)) {
+        if (sibling.tagName === el.tagName) index++;
+    }
+    return index;
+}
+
+/**
+ * Selectors for one element on its own, most stable first. Every candidate matches the
+ * element; none is guaranteed unique.
+ * @param {Element} el
+ * @returns {string[]}
+ */
+function selectorCandidates(el) {
+    const tag = el.tagName.toLowerCase();
+    const candidates = [];
+
+    if (el.id && !isGeneratedName(el.id)) candidates.push('#' + escapeCssIdentifier(el.id));
+
+    STABLE_ATTRIBUTES.forEach(attr => {
+        const value = el.getAttribute(attr);
+        if (value && value.length <= 80 && !(ID_REFERENCE_ATTRIBUTES.includes(attr) && isGeneratedName(value))) {
+            candidates.push(`${tag}[${attr}=${quoteCssString(value)}]`);
+        }
+    });
+
+    candidates.push(tag);
+
+    const classes = stableClasses(el).map(escapeCssIdentifier);
+    classes.slice(0, 3).forEach(name => candidates.push(`${tag}.${name}`));
+    if (classes.length > 1) candidates.push(tag + '.' + classes.slice(0, 2).join('.'));
+
+    return candidates;
+}
+
+/**
+ * Builds the shortest unique CSS selector for an element within its document or shadow
+ * root. The element is tried on its own first; when nothing about it is unique, the
+ * selector is anchored on the nearest ancestor that is, with nth-of-type only where
+ * siblings can't be told apart otherwise.
+ * @param {Element} el
+ * @returns {string}
+ */
+function getUniqueSelector(el) {
+    const root = el.getRootNode();
+    const path = [];
+    let current = el;
+
+    while (current && current.nodeType === 1) {
+        const suffix = path.length > 0 ? ' > ' + path.join(' > ') : '';
+        const unique = selectorCandidates(current).find(candidate => isUniqueSelector(candidate + suffix, el, root));
+        if (unique) return unique + suffix;
+
+        // The simplest step that picks this element out of its siblings; top-level elements
+        // of a shadow root have the root's children as siblings
+        const parent = current.parentElement;
+        const siblings = Array.from((parent || root).children);
+        const step = selectorCandidates(current).find(candidate =>
+            siblings.filter(child => child.matches(candidate)).length === 1
+        ) || `${current.tagName.toLowerCase()}:nth-of-type(${nthOfType(current)})`;
+        path.unshift(step);
+        current = parent;
+    }
+
+    return path.join(' > ');
+}
+
+/**
+ * XPath for an element, anchored on the nearest ancestor with a stable ID
+ * @param {Element} el
+ * @returns {string}
+ */
+function getXPath(el) {
+    const steps = [];
+    let current = el;
+
+    while (current && current.nodeType === 1) {
+        if (current.id && !isGeneratedName(current.id) &&
+            current.ownerDocument.querySelectorAll('#' + escapeCssIdentifier(current.id)).length === 1) {
+            steps.unshift(`//*[@id=${quoteXPathString(current.id)}]`);
+            return steps.join('/');
+        }
+
+        const tag = current.tagName.toLowerCase();
+        const sameTag = current.parentElement
+            ? Array.from(current.parentElement.children).filter(child => child.tagName === current.tagName)
+            : [current];
+        steps.unshift(sameTag.length > 1 ? `${tag}[${sameTag.indexOf(current) + 1}]` : tag);
+        current = current.parentElement;
+    }
+
+    return '/' + steps.join('/');
+}
+
+/**
+ * XPath matching the element by its visible text, when the element has text of its own
+ * (not only its children's), that text is short and no other element of the same tag has it
+ * @param {Element} el
+ * @returns {string|null}
+ */
+function getTextLocator(el) {
+    const ownText = Array.from(el.childNodes).some(node => node.nodeType === 3 && node.textContent.trim());
+    if (!ownText) return null;
+
+    const text = (el.textContent || '').replace(/\s+/g, ' ').trim();
+    if (!text || text.length > TEXT_LOCATOR_MAX_LENGTH) return null;
+    if (text.includes('"') && text.includes("'")) return null;
+
+    const tag = el.tagName.toLowerCase();
+    const locator = `//${tag}[normalize-space()=${quoteXPathString(text)}]`;
+    try {
+        const result = el.ownerDocument.evaluate(locator, el.ownerDocument, null, 7, null); // ORDERED_NODE_SNAPSHOT_TYPE
+        return result.snapshotLength === 1 && result.snapshotItem(0) === el ? locator : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * All locators for an element. The CSS selector reaches into shadow roots and frames
+ * (getDeepSelector in lib/dom-traversal.js); XPath can't, so elements behind those
+ * boundaries only get the CSS selector.
+ * @param {Element} el
+ * @returns {{css: string, xpath: string|null, text: string|null}}
+ */
+function getLocators(el) {
+    const css = getDeepSelector(el);
+    const crossesBoundary = css.includes(' >>> ');
+    return {
+        css,
+        xpath: crossesBoundary ? null : getXPath(el),
+        text: crossesBoundary ? null : getTextLocator(el)
+    };
+}
@@ -0,0 +1,323 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Store Kit
+// Listing material for a Chrome Web Store submission: checks, promotional images,
+// the privacy practices questionnaire and permission justifications
+
+// The screenshot size and the small promo tile size the store asks for
+const STORE_IMAGES = [
+  { path: 'store/screenshot-1280x800.png', width: 1280, height: 800 },
+  { path: 'store/promo-tile-440x280.png', width: 440, height: 280 }
+];
+
+// User data categories on the store's privacy practices tab
+const STORE_DATA_CATEGORIES = [
+  'Personally identifiable information',
+  'Health information',
+  'Financial and payment information',
+  'Authentication information',
+  'Personal communications',
+  'Location',
+  'Web history',
+  'User activity',
+  'Website content'
+];
+
+// What each permission is for, worded to complete "uses <permission> to ...", and the data
+// categories it can reach. Permissions not listed get a generic sentence to edit.
+const PERMISSION_PURPOSES = {
+  activeTab: { use: 'access the page in the current tab when the user invokes the extension', data: ['Website content'] },
+  alarms: { use: 'schedule periodic background work', data: [] },
+  background: { use: 'keep running after the browser window is closed', data: [] },
+  bookmarks: { use: 'read and organize the user\'s bookmarks', data: ['Web history'] },
+  browsingData: { use: 'clear browsing data the user chooses to remove', data: [] },
+  clipboardRead: { use: 'read text the user copied into the extension', data: ['User activity'] },
+  clipboardWrite: { use: 'copy results to the clipboard', data: [] },
+  contextMenus: { use: 'add its actions to the right-click menu', data: [] },
+  cookies: { use: 'read and change cookies on the sites it works with', data: ['Authentication information'] },
+  debugger: { use: 'inspect and instrument pages the user chooses', data: ['Website content', 'Web history'] },
+  declarativeNetRequest: { use: 'block or modify network requests with declarative rules', data: [] },
+  declarativeNetRequestWithHostAccess: { use: 'modify network requests on the sites it has access to', data: [] },
+  downloads: { use: 'save files the user exports', data: [] },
+  geolocation: { use: 'use the user\'s location', data: ['Location'] },
+  history: { use: 'read the user\'s browsing history', data: ['Web history'] },
+  identity: { use: 'sign the user in with their account', data: ['Authentication information'] },
+  'identity.email': { use: 'read the email address of the signed-in user', data: ['Personally identifiable information'] },
+  idle: { use: 'detect when the user is idle', data: ['User activity'] },
+  management: { use: 'list and manage the user\'s installed extensions', data: [] },
+  nativeMessaging: { use: 'exchange messages with a companion desktop application', data: [] },
+  notifications: { use: 'show desktop notifications', data: [] },
+  offscreen: { use: 'run DOM work in an offscreen document', data: [] },
+  pageCapture: { use: 'save pages the user chooses as MHTML', data: ['Website content'] },
+  scripting: { use: 'run its scripts on pages the user visits', data: ['Website content'] },
+  sessions: { use: 'list and restore recently closed tabs', data: ['Web history'] },
+  sidePanel: { use: 'show its interface in the browser side panel', data: [] },
+  storage: { use: 'save the user\'s settings and data locally', data: [] },
+  tabCapture: { use: 'capture the contents of the current tab', data: ['Website content'] },
+  tabGroups: { use: 'organize tabs into groups', data: [] },
+  tabs: { use: 'read the URL and title of open tabs', data: ['Web history'] },
+  topSites: { use: 'show the user\'s most visited sites', data: ['Web history'] },
+  unlimitedStorage: { use: 'store more data locally than the default quota allows', data: [] },
+  webNavigation: { use: 'follow page navigation in tabs', data: ['Web history'] },
+  webRequest: { use: 'observe network requests made by pages', data: ['Web history', 'User activity'] }
+};
+
+/**
+ * Store requirements on top of the manifest linter
+ * @param {string} manifestText - manifest.json to submit
+ * @param {Object<string, string|Blob>} files - Files in the package
+ * @returns {Array<{severity: string, message: string}>} - Errors and warnings; errors block submission
+ */
+function storeListingProblems(manifestText, files) {
+  const problems = lintManifest(manifestText, files)
+    .filter(diagnostic => diagnostic.severity !== 'info')
+    .map(({ severity, message }) => ({ severity, message }));
+
+  let manifest;
+  try {
+    manifest = JSON.parse(manifestText);
+  } catch (e) {
+    return problems;
+  }
+
+  if (manifest.manifest_version !== 3) {
+    problems.push({ severity: 'error', message: 'The Chrome Web Store only accepts Manifest V3 extensions' });
+  }
+  if (!String(manifest.description || '').trim()) {
+    problems.push({ severity: 'error', message: 'A description is required - it is shown in the store listing' });
+  }
+  if (!manifest.icons?.['128']) {
+    problems.push({ severity: 'error', message: 'A 128x128 icon is required' });
+  }
+  if ((manifest.permissions || []).includes('<all_urls>') || (manifest.host_permissions || []).some(isBroadHostPattern)) {
+    problems.push({ severity: 'warning', message: 'Access to all sites triggers an in-depth review - narrow host_permissions if you can' });
+  }
+  return problems;
+}
+
+function isBroadHostPattern(pattern) {
+  return pattern === '<all_urls>' || /^(\*|https?):\/\/\*\//.test(pattern);
+}
+
+/**
+ * Sites the extension can read and change, from host permissions and content scripts
+ * @param {Object} manifest - Parsed manifest.json
+ * @returns {string[]}
+ */
+function declaredHostAccess(manifest) {
+  const patterns = [
+    ...(manifest.host_permissions || []),
+    ...(manifest.content_scripts || []).flatMap(entry => entry.matches || [])
+  ];
+  return [...new Set(patterns)];
+}
+
+/**
+ * One justification per declared permission, plus host access
+ * @param {Object} manifest - Parsed manifest.json
+ * @returns {Array<{permission: string, text: string, data: string[]}>}
+ */
+function permissionJustifications(manifest) {
+  const name = manifest.name || 'This extension';
+  const justifications = (manifest.permissions || []).map(permission => {
+    const purpose = PERMISSION_PURPOSES[permission] || { use: `use the chrome.${permission} API`, data: [] };
+    return { permission, text: `${name} uses ${permission} to ${purpose.use}.`, data: purpose.data };
+  });
+
+  const hosts = declaredHostAccess(manifest);
+  if (hosts.length > 0) {
+    justifications.push({
+      permission: 'Host permissions',
+      text: `${name} reads and changes content on ${hosts.join(', ')} to provide its features on those pages.`,
+      data: ['Website content']
+    });
+  }
+  return justifications;
+}
+
+/**
+ * permission-justifications.txt: text to paste into the store's justification fields
+ * @param {Object} manifest - Parsed manifest.json
+ * @returns {string}
+ */
+function permissionJustificationsText(manifest) {
+  const justifications = permissionJustifications(manifest);
+  const lines = [
+    `Permission justifications - ${manifest.name} ${manifest.version}`,
+    'Generated by ReMixr from manifest.json. Review and edit each entry before submitting.',
+    ''
+  ];
+  if (justifications.length === 0) {
+    lines.push('No permissions or host access are declared.');
+  }
+  justifications.forEach(({ permission, text }) => {
+    lines.push(`[${permission}]`, text, '');
+  });
+  return lines.join('\n').trimEnd() + '\n';
+}
+
+/**
+ * privacy-practices.md: the store's privacy practices questionnaire, answered from the
+ * declared permissions. Data categories are what the permissions could reach; the
+ * developer still confirms what is actually collected.
+ * @param {Object} manifest - Parsed manifest.json
+ * @returns {string}
+ */
+function privacyPracticesText(manifest) {
+  const justifications = permissionJustifications(manifest);
+  const reachedBy = category => justifications
+    .filter(justification => justification.data.includes(category))
+    .map(justification => justification.permission);
+
+  const sections = [
+    `# Privacy practices - ${manifest.name} ${manifest.version}`,
+    'Generated by ReMixr from manifest.json. Review every answer before submitting.',
+    '## Single purpose',
+    manifest.description || '_Describe the one thing this extension does._',
+    '## Permission justifications',
+    justifications.length > 0
+      ? justifications.map(({ permission, text }) => `- **${permission}**: ${text}`).join('\n')
+      : 'No permissions or host access are declared.',
+    '## Remote code',
+    'No, I am not using remote code. All JavaScript is included in the package (Manifest V3 does not allow remotely hosted code).',
+    '## Data usage',
+    'Categories the declared permissions can reach are checked. Uncheck any the extension does not collect or transmit.',
+    STORE_DATA_CATEGORIES.map(category => {
+      const permissions = reachedBy(category);
+      return permissions.length > 0
+        ? `- [x] ${category} (via ${permissions.join(', ')})`
+        : `- [ ] ${category}`;
+    }).join('\n'),
+    '## Certifications',
+    [
+      '- [ ] I do not sell or transfer user data to third parties, outside of the approved use cases',
+      '- [ ] I do not use or transfer user data for purposes that are unrelated to my item\'s single purpose',
+      '- [ ] I do not use or transfer user data to determine creditworthiness or for lending purposes'
+    ].join('\n')
+  ];
+  return sections.join('\n\n') + '\n';
+}
+
+/**
+ * Splits text into lines that fit a width
+ */
+function wrapCanvasText(ctx, text, maxWidth, maxLines) {
+  const lines = [];
+  let line = '';
+  String(text || '').split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (ctx.measureText(candidate).width > maxWidth && line) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) lines.push(line);
+
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = lines[maxLines - 1].replace(/\s*\S*$/, '…');
+  }
+  return lines;
+}
+
+/**
+ * Renders a promotional image: name, icon and description on the icon's gradient,
+ * with the popup screenshot framed on the right when there is one
+ * @param {Object} options - width, height, name, description, colors ([start, end]),
+ *   icon and screenshot (decoded images, either may be null)
+ * @returns {Promise<Blob>} - PNG
+ */
+function renderStoreImage(options) {
+  const { width, height, name, description, colors, icon, screenshot } = options;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  const gradient = ctx.createLinearGradient(0, 0, width, height);
+  gradient.addColorStop(0, colors[0]);
+  gradient.addColorStop(1, colors[1]);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, width, height);
+
+  const padding = Math.round(height * 0.1);
+  const textWidth = screenshot ? width * 0.45 - padding : width - padding * 2;
+  // The small tile is too small for a description to be legible
+  const showDescription = width >= 1000;
+  let y = padding;
+
+  if (icon) {
+    const iconSize = Math.round(height * 0.16);
+    ctx.drawImage(icon, padding, y, iconSize, iconSize);
+    y += iconSize + padding * 0.4;
+  }
+
+  ctx.fillStyle = '#ffffff';
+  ctx.textBaseline = 'top';
+  const titleSize = Math.round(height * (showDescription ? 0.07 : 0.1));
+  ctx.font = `bold ${titleSize}px Arial, sans-serif`;
+  wrapCanvasText(ctx, name, textWidth, 2).forEach(line => {
+    ctx.fillText(line, padding, y);
+    y += titleSize * 1.2;
+  });
+
+  if (showDescription && description) {
+    const bodySize = Math.round(height * 0.035);
+    ctx.font = `${bodySize}px Arial, sans-serif`;
+    ctx.globalAlpha = 0.9;
+    y += bodySize;
+    wrapCanvasText(ctx, description, textWidth, 5).forEach(line => {
+      ctx.fillText(line, padding, y);
+      y += bodySize * 1.4;
+    });
+    ctx.globalAlpha = 1;
+  }
+
+  if (screenshot) {
+    const areaX = width * 0.5;
+    const areaWidth = width * 0.5 - padding;
+    const areaHeight = height - padding * 2;
+    const scale = Math.min(areaWidth / screenshot.width, areaHeight / screenshot.height);
+    const shotWidth = screenshot.width * scale;
+    const shotHeight = screenshot.height * scale;
+    const x = areaX + (areaWidth - shotWidth) / 2;
+    const shotY = (height - shotHeight) / 2;
+
+    ctx.save();
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.35)';
+    ctx.shadowBlur = padding * 0.4;
+    ctx.shadowOffsetY = padding * 0.1;
+    ctx.fillStyle = '#ffffff';
+    ctx.beginPath();
+    ctx.roundRect(x, shotY, shotWidth, shotHeight, 8);
+    ctx.fill();
+    ctx.restore();
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.roundRect(x, shotY, shotWidth, shotHeight, 8);
+    ctx.clip();
+    ctx.drawImage(screenshot, x, shotY, shotWidth, shotHeight);
+    ctx.restore();
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render store image'))), 'image/png');
+  });
+}
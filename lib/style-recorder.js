@@ -0,0 +1,213 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Style Recorder
+// Keeps the inspector's style edits per host, re-applies them as a stylesheet whenever the
+// host is visited, and turns them into a per-host stylesheet in a project
+
+const STYLE_EDITS_PREFIX = 'styleEdits_';
+const STYLE_EDITS_ELEMENT_ID = 'remixr-style-edits';
+
+/**
+ * chrome.storage.local key holding a host's edits
+ * @param {string} host
+ * @returns {string}
+ */
+function styleEditsKey(host) {
+  return STYLE_EDITS_PREFIX + host;
+}
+
+/**
+ * CSS property name for a style name from the inspector panel: camelCase is converted,
+ * custom properties are kept as they are
+ * @param {string} name - e.g. 'backgroundColor' or '--brand-color'
+ * @returns {string}
+ */
+function cssPropertyName(name) {
+  return name.startsWith('--') ? name : name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+/**
+ * Records one edit. Edits are keyed by selector, then CSS property, and keep the value
+ * the page had before the first edit so the stylesheet can show what changed. Setting a
+ * property back to that value, or to nothing, removes the edit.
+ * @param {Object} edits - { [selector]: { [property]: { value, original } } }
+ * @param {string} selector
+ * @param {string} property - Style name, camelCase or CSS
+ * @param {string} value
+ * @param {string} [original] - Computed value before this edit
+ * @returns {Object} - The updated edits (a copy)
+ */
+function recordStyleEdit(edits, selector, property, value, original = '') {
+  const name = cssPropertyName(property);
+  const declarations = { ...edits[selector] };
+  const first = declarations[name] ? declarations[name].original : original;
+
+  if (!value || value === first) {
+    delete declarations[name];
+  } else {
+    declarations[name] = { value, original: first };
+  }
+
+  const updated = { ...edits, [selector]: declarations };
+  if (Object.keys(declarations).length === 0) delete updated[selector];
+  return updated;
+}
+
+/**
+ * Stylesheet of the edits. Declarations are !important so they win over the page's own rules.
+ * @param {Object} edits
+ * @param {Object} [options]
+ * @param {boolean} [options.annotate=false] - Note each original value in a comment
+ * @returns {string}
+ */
+function styleEditsToCss(edits, options = {}) {
+  return Object.entries(edits).map(([selector, declarations]) => {
+    const lines = Object.entries(declarations).map(([name, { value, original }]) => {
+      const note = options.annotate && original ? ` /* was ${original} */` : '';
+      return `  ${name}: ${value} !important;${note}`;
+    });
+    return `${selector} {\n${lines.join('\n')}\n}\n`;
+  }).join('\n');
+}
+
+/**
+ * Reads a host's recorded edits
+ * @param {string} host
+ * @returns {Promise<Object>}
+ */
+async function loadStyleEdits(host) {
+  const key = styleEditsKey(host);
+  const result = await chrome.storage.local.get([key]);
+  return result[key] || {};
+}
+
+/**
+ * Stores a host's edits, removing the key when there are none left
+ * @param {string} host
+ * @param {Object} edits
+ */
+async function saveStyleEdits(host, edits) {
+  const key = styleEditsKey(host);
+  if (Object.keys(edits).length === 0) {
+    await chrome.storage.local.remove(key);
+  } else {
+    await chrome.storage.local.set({ [key]: edits });
+  }
+}
+
+/**
+ * Puts the edits on a page as style elements, replacing the previous ones. A stylesheet does
+ * not reach into shadow roots or frames, so edits whose selector crosses one (see
+ * lib/dom-traversal.js) go into a style element inside that root, under their last segment.
+ * @param {Document} doc
+ * @param {Object} edits
+ */
+function applyStyleEdits(doc, edits) {
+  const sheets = new Map([[doc, {}]]);
+  Object.entries(edits).forEach(([selector, declarations]) => {
+    const segments = selector.split(' >>> ');
+    const last = segments.pop();
+    const scopes = segments.length === 0 ? [doc] : resolveDeepSelectorAll(segments.join(' >>> '), doc)
+      .map(host => host.shadowRoot || frameDocument(host))
+      .filter(Boolean);
+    scopes.forEach(scope => {
+      if (!sheets.has(scope)) sheets.set(scope, {});
+      sheets.get(scope)[last] = declarations;
+    });
+  });
+
+  deepQuerySelectorAll(`#${STYLE_EDITS_ELEMENT_ID}`, doc).forEach(style => {
+    const scopeEdits = sheets.get(style.getRootNode());
+    if (!scopeEdits || Object.keys(scopeEdits).length === 0) style.remove();
+  });
+  sheets.forEach((scopeEdits, scope) => {
+    if (Object.keys(scopeEdits).length === 0) return;
+    let style = scope.querySelector(`#${STYLE_EDITS_ELEMENT_ID}`);
+    if (!style) {
+      style = (scope.ownerDocument || scope).createElement('style');
+      style.id = STYLE_EDITS_ELEMENT_ID;
+      (scope.nodeType === 9 ? scope.head || scope.documentElement : scope).appendChild(style);
+    }
+    style.textContent = styleEditsToCss(scopeEdits);
+  });
+}
+
+/**
+ * Project path of a host's recorded stylesheet
+ * @param {string} host
+ * @returns {string} - e.g. 'styles/shop.example.com.css'
+ */
+function styleEditsPath(host) {
+  return `styles/${host}.css`;
+}
+
+/**
+ * Adds a host's edits to a project as its own stylesheet, registered in a content_scripts
+ * entry that matches only that host, so one site's edits never reach another. Exporting
+ * again replaces the stylesheet.
+ * Edits inside shadow roots or frames are left out: a content script stylesheet only
+ * reaches the top document's light DOM.
+ * Uses hostMatchPattern from lib/inspector-rules.js and contentScriptMatchesUrl from
+ * lib/tab-runner.js.
+ * @param {Object} files - Project files
+ * @param {Object} edits
+ * @param {string} url - A page of the host
+ * @returns {{files: Object, path: string, pattern: string|null, skipped: number}} - Changed
+ *   files, the stylesheet's path, the match pattern added to the manifest if the host's entry
+ *   didn't cover it yet, and how many selectors were left out
+ */
+function addStyleEditsToProject(files, edits, url) {
+  let manifest;
+  try {
+    manifest = JSON.parse(files['manifest.json']);
+  } catch (e) {
+    throw new Error('manifest.json is not valid JSON');
+  }
+
+  const exportable = {};
+  let skipped = 0;
+  Object.entries(edits).forEach(([selector, declarations]) => {
+    if (selector.includes(' >>> ')) {
+      skipped++;
+    } else {
+      exportable[selector] = declarations;
+    }
+  });
+
+  const host = new URL(url).hostname;
+  const path = styleEditsPath(host);
+  const pattern = hostMatchPattern(url);
+  const entries = manifest.content_scripts = manifest.content_scripts || [];
+  let entry = entries.find(contentScript => contentScript.css?.includes(path));
+  if (!entry) {
+    entry = { matches: [], css: [path] };
+    entries.push(entry);
+  }
+  entry.matches = entry.matches || [];
+  const covered = contentScriptMatchesUrl(url, entry);
+  if (!covered) entry.matches.push(pattern);
+
+  return {
+    files: {
+      'manifest.json': JSON.stringify(manifest, null, 2),
+      [path]: `/* ReMixr style edits: ${host} */\n${styleEditsToCss(exportable)}`
+    },
+    path,
+    pattern: covered ? null : pattern,
+    skipped
+  };
+}
@@ -0,0 +1,267 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Tab Runner
+// Injects a project's content_scripts into a live tab so they can be tried without exporting.
+// Project code isn't part of ReMixr's package, so chrome.scripting can't run it in the
+// isolated world (it only takes packaged files or functions, and eval is blocked there).
+// The userScripts API runs it in a world of its own; without it, the page's main world is
+// the only place left, which behaves less like a loaded extension.
+
+const RUN_AT_ORDER = ['document_start', 'document_end', 'document_idle'];
+
+// How a run differs from the project loaded as an extension, by the world it ran in
+const TAB_RUN_LIMITATIONS = {
+  USER_SCRIPT: [
+    'Scripts run in a user script world: isolated from the page and its Content Security Policy, with chrome.runtime messaging but no other chrome.* APIs',
+    'The page has already loaded, so run_at only sets the order the scripts run in'
+  ],
+  MAIN: [
+    'Allow User Scripts is off for ReMixr (chrome://extensions), so scripts run in the page\'s own JavaScript world',
+    'They have no chrome.* APIs and share globals with the page',
+    'Pages whose Content Security Policy blocks inline scripts block them entirely',
+    'The page has already loaded, so run_at only sets the order the scripts run in'
+  ]
+};
+
+/**
+ * Converts a match pattern (https://*.example.com/path*) to a RegExp
+ * @param {string} pattern - Match pattern
+ * @returns {RegExp|null} - null for invalid patterns
+ */
+function matchPatternToRegExp(pattern) {
+  if (pattern === '<all_urls>') return /^(?:https?|file|ftp|wss?):\/\//;
+
+  const match = /^(\*|https?|file|ftp|wss?):\/\/(\*|\*\.[^/*]+|[^/*]*)(\/.*)$/.exec(pattern);
+  if (!match) return null;
+
+  const [, scheme, host, path] = match;
+  const escape = text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  const schemeSource = scheme === '*' ? 'https?' : scheme;
+  let hostSource;
+  if (host === '*') {
+    hostSource = '[^/]*';
+  } else if (host.startsWith('*.')) {
+    hostSource = `(?:[^/]*\\.)?${escape(host.slice(2))}`;
+  } else {
+    hostSource = escape(host);
+  }
+  const pathSource = path.split('*').map(escape).join('.*');
+
+  // Ports never affect matching
+  return new RegExp(`^${schemeSource}://${hostSource}(?::\\d+)?${pathSource}$`);
+}
+
+/**
+ * Converts an include_globs / exclude_globs entry (* and ?) to a RegExp
+ */
+function globToRegExp(glob) {
+  const source = glob.split('').map(char => {
+    if (char === '*') return '.*';
+    if (char === '?') return '.';
+    return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Checks a URL against one content_scripts entry the way Chrome does:
+ * matches minus exclude_matches, then narrowed by include_globs / exclude_globs
+ * @param {string} url - Page URL
+ * @param {Object} entry - content_scripts entry
+ * @returns {boolean}
+ */
+function contentScriptMatchesUrl(url, entry) {
+  const test = pattern => matchPatternToRegExp(pattern)?.test(url) || false;
+
+  if (!(entry.matches || []).some(test)) return false;
+  if ((entry.exclude_matches || []).some(test)) return false;
+  if (entry.include_globs && !entry.include_globs.some(glob => globToRegExp(glob).test(url))) return false;
+  if ((entry.exclude_globs || []).some(glob => globToRegExp(glob).test(url))) return false;
+  return true;
+}
+
+/**
+ * Picks the content scripts that would run on a URL, in run_at order
+ * @param {Object} project - Project with files
+ * @param {string} url - Page URL
+ * @returns {{entries: Array, missing: string[], error: string|null}}
+ *   entries hold runAt, allFrames and the css/js sources ({path, code})
+ */
+function collectContentScripts(project, url) {
+  let manifest;
+  try {
+    manifest = JSON.parse(project.files['manifest.json']);
+  } catch (e) {
+    return { entries: [], missing: [], error: 'manifest.json is missing or invalid' };
+  }
+
+  const declared = manifest.content_scripts || [];
+  if (declared.length === 0) {
+    return { entries: [], missing: [], error: 'The manifest declares no content_scripts' };
+  }
+
+  const missing = [];
+  const readSources = paths => (paths || []).flatMap(path => {
+    const code = project.files[path];
+    if (typeof code !== 'string') {
+      missing.push(path);
+      return [];
+    }
+    return [{ path, code }];
+  });
+
+  const entries = declared
+    .filter(entry => contentScriptMatchesUrl(url, entry))
+    .map(entry => ({
+      runAt: RUN_AT_ORDER.includes(entry.run_at) ? entry.run_at : 'document_idle',
+      allFrames: entry.all_frames === true,
+      css: readSources(entry.css),
+      js: readSources(entry.js)
+    }))
+    .sort((a, b) => RUN_AT_ORDER.indexOf(a.runAt) - RUN_AT_ORDER.indexOf(b.runAt));
+
+  return { entries, missing, error: null };
+}
+
+/**
+ * Runs one script in the page's main world, for when the userScripts API is unavailable.
+ * Serialized by chrome.scripting, so it must be self-contained.
+ * Waits for the document state run_at asks for, then adds the code as a script element:
+ * extension pages can't eval, but the page's main world can run inline code unless its
+ * CSP forbids it, which the marker check detects.
+ * @returns {Promise<{error: string|null}>}
+ */
+function runScriptInPage(code, path, runAt) {
+  const ready = () => {
+    if (runAt === 'document_start') return Promise.resolve();
+    const state = runAt === 'document_end' ? 'interactive' : 'complete';
+    if (document.readyState === 'complete' || document.readyState === state) return Promise.resolve();
+    return new Promise(resolve => {
+      const check = () => {
+        if (document.readyState === 'complete' || document.readyState === state) {
+          document.removeEventListener('readystatechange', check);
+          resolve();
+        }
+      };
+      document.addEventListener('readystatechange', check);
+    });
+  };
+
+  return ready().then(() => {
+    const marker = `remixr_${Math.random().toString(36).slice(2)}`;
+    let error = null;
+    const onError = (e) => { error = e.message; };
+
+    const script = document.createElement('script');
+    script.textContent = `window.${marker} = true;\n${code}\n//# sourceURL=remixr-project/${path}`;
+    window.addEventListener('error', onError);
+    (document.head || document.documentElement).appendChild(script);
+    window.removeEventListener('error', onError);
+    script.remove();
+
+    if (!window[marker]) return { error: "Blocked by the page's Content Security Policy" };
+    delete window[marker];
+    return { error };
+  });
+}
+
+/**
+ * Whether project scripts can run through the userScripts API. Besides the permission, it
+ * needs the user to turn on Allow User Scripts for ReMixr (Developer mode before Chrome 138);
+ * until then every call throws.
+ * @returns {Promise<boolean>}
+ */
+async function userScriptsAvailable() {
+  if (!chrome.userScripts?.execute) return false;
+  try {
+    await chrome.userScripts.getScripts();
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Injects the matching content scripts into a tab, in a user script world when the
+ * userScripts API is available and in the page's main world otherwise
+ * @param {Object} project - Project with files
+ * @param {Object} tab - Target tab (id and url)
+ * @returns {Promise<{tabId: number, world: string, limitations: string[], css: Array, results: Array, missing: string[]}>}
+ *   css records what was inserted so it can be removed again; results lists each file's
+ *   outcome; limitations say how the run differs from a loaded extension
+ */
+async function runContentScriptsOnTab(project, tab) {
+  const { entries, missing, error } = collectContentScripts(project, tab.url || '');
+  if (error) throw new Error(error);
+  if (entries.length === 0) throw new Error('No content_scripts entry matches this page');
+
+  const world = await userScriptsAvailable() ? 'USER_SCRIPT' : 'MAIN';
+  const injection = { tabId: tab.id, world, limitations: TAB_RUN_LIMITATIONS[world], css: [], results: [], missing };
+  if (world === 'USER_SCRIPT') {
+    await chrome.userScripts.configureWorld({ messaging: true });
+  }
+
+  for (const entry of entries) {
+    const target = { tabId: tab.id, allFrames: entry.allFrames };
+
+    // Like Chrome, a group's CSS goes in before its scripts
+    for (const { path, code } of entry.css) {
+      await chrome.scripting.insertCSS({ target, css: code });
+      injection.css.push({ target, css: code });
+      injection.results.push({ path, error: null });
+    }
+
+    for (const { path, code } of entry.js) {
+      if (world === 'USER_SCRIPT') {
+        const frames = await chrome.userScripts.execute({
+          target,
+          world: 'USER_SCRIPT',
+          injectImmediately: entry.runAt === 'document_start',
+          js: [{ code: `${code}\n//# sourceURL=remixr-project/${path}` }]
+        });
+        const failed = frames.find(frame => frame.error);
+        injection.results.push({ path, error: failed ? failed.error : null });
+      } else {
+        const frames = await chrome.scripting.executeScript({
+          target,
+          world: 'MAIN',
+          func: runScriptInPage,
+          args: [code, path, entry.runAt]
+        });
+        const failed = frames.find(frame => frame.result?.error);
+        injection.results.push({ path, error: failed ? failed.result.error : null });
+      }
+    }
+  }
+
+  return injection;
+}
+
+/**
+ * Removes injected styles and reloads the tab, which also discards injected scripts
+ * @param {Object} injection - Result of runContentScriptsOnTab
+ */
+async function undoContentScripts(injection) {
+  for (const { target, css } of injection.css) {
+    try {
+      await chrome.scripting.removeCSS({ target, css });
+    } catch (e) {
+      // Tab navigated away; the reload below clears it anyway
+    }
+  }
+  await chrome.tabs.reload(injection.tabId);
+}
@@ -0,0 +1,213 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Validation
+// Manifest, JavaScript and permission checks shared by the builder, importer and response parser
+
+// ============================================================================
+// VALIDATION & ERROR HANDLING UTILITIES (Phase 2 Feature)
+// ============================================================================
+
+/**
+ * Validates a manifest.json object for the browser it will be exported to. Chrome
+ * requires Manifest V3; Firefox and Safari still load Manifest V2.
+ * @param {Object} manifest - The manifest object to validate
+ * @param {Object} [options]
+ * @param {string} [options.target='chrome'] - 'chrome', 'firefox' or 'safari'
+ * @returns {Object} - { valid: boolean, errors: string[], warnings: string[] }
+ */
+function validateManifest(manifest, options = {}) {
+  const target = options.target || 'chrome';
+  const errors = [];
+  const warnings = [];
+  const isV3 = manifest.manifest_version === 3;
+  // Chrome holds every manifest to the V3 rules; other targets only when it declares V3
+  const v3Rules = target === 'chrome' || isV3;
+
+  // Required fields
+  if (!manifest.manifest_version) {
+    errors.push('Missing required field: manifest_version');
+  } else if (target === 'chrome' && !isV3) {
+    errors.push('Chrome only supports Manifest V3 (manifest_version: 3)');
+  } else if (manifest.manifest_version === 2) {
+    warnings.push('Manifest V2 is deprecated - prefer manifest_version: 3');
+  } else if (!isV3) {
+    errors.push(`Unknown manifest_version: ${manifest.manifest_version}`);
+  }
+
+  if (!manifest.name || manifest.name.trim() === '') {
+    errors.push('Missing required field: name');
+  } else if (manifest.name.length > 45) {
+    warnings.push('Extension name exceeds recommended length (45 chars)');
+  }
+
+  if (!manifest.version) {
+    errors.push('Missing required field: version');
+  } else if (!/^\d+(\.\d+){0,3}$/.test(manifest.version)) {
+    errors.push('Invalid version format (use X.Y.Z format)');
+  }
+
+  if (!manifest.description || manifest.description.trim() === '') {
+    warnings.push('Missing recommended field: description');
+  } else if (manifest.description.length > 132) {
+    warnings.push('Description exceeds Chrome Web Store limit (132 chars)');
+  }
+
+  // Icons validation
+  if (!manifest.icons) {
+    warnings.push('No icons specified - ReMixr will generate default icons');
+  }
+
+  // Permission auditing
+  if (manifest.permissions) {
+    const dangerousPermissions = ['<all_urls>', 'webRequest', 'webRequestBlocking', 'proxy', 'debugger', 'management'];
+    const sensitive = manifest.permissions.filter(p => dangerousPermissions.includes(p));
+    if (sensitive.length > 0) {
+      warnings.push(`Sensitive permissions detected: ${sensitive.join(', ')} - Users may be cautious`);
+    }
+
+    if (manifest.permissions.includes('tabs') && !manifest.permissions.includes('activeTab')) {
+      warnings.push('Consider using "activeTab" instead of "tabs" for better privacy');
+    }
+  }
+
+  // Host permissions audit
+  if (manifest.host_permissions) {
+    if (manifest.host_permissions.includes('<all_urls>') ||
+      (manifest.host_permissions.includes('https://*/*') && manifest.host_permissions.includes('http://*/*'))) {
+      warnings.push('Extension requests access to ALL websites - consider limiting scope');
+    }
+  }
+
+  // Background validation - Chrome runs service workers, Firefox runs event pages
+  if (manifest.background) {
+    if (target === 'firefox') {
+      if (!manifest.background.scripts && !manifest.background.page) {
+        errors.push('Firefox requires background.scripts or background.page (it does not run background.service_worker)');
+      }
+    } else if (target === 'chrome' && !manifest.background.service_worker) {
+      errors.push('Manifest V3 requires background.service_worker (not background.scripts)');
+    }
+    if (v3Rules && manifest.background.persistent !== undefined) {
+      errors.push('Manifest V3 does not support background.persistent (service workers are non-persistent)');
+    }
+  }
+
+  // Content scripts validation
+  if (manifest.content_scripts) {
+    manifest.content_scripts.forEach((cs, idx) => {
+      if (!cs.matches || cs.matches.length === 0) {
+        errors.push(`content_scripts[${idx}]: Missing required field "matches"`);
+      }
+      if (!cs.js && !cs.css) {
+        warnings.push(`content_scripts[${idx}]: No js or css files specified`);
+      }
+    });
+  }
+
+  // Action validation (replaces browser_action/page_action)
+  if (v3Rules && (manifest.browser_action || manifest.page_action)) {
+    errors.push('Manifest V3 uses "action" instead of "browser_action" or "page_action"');
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Validates JavaScript code for common errors
+ * @param {string} code - JavaScript code to validate
+ * @returns {Object} - { valid: boolean, errors: string[] }
+ */
+function validateJavaScript(code) {
+  const errors = [];
+
+  try {
+    // Basic syntax check using Function constructor
+    new Function(code);
+  } catch (e) {
+    errors.push(`Syntax Error: ${e.message}`);
+  }
+
+  // Check for common mistakes
+  if (code.includes('eval(')) {
+    errors.push('Security: eval() is not allowed in Chrome extensions (CSP violation)');
+  }
+
+  if (code.match(/innerHTML\s*=\s*[^"']/) && code.includes('document.write')) {
+    errors.push('Security: Unsafe HTML injection detected - use textContent or sanitize input');
+  }
+
+  // Check for Manifest V2 API usage
+  if (code.includes('chrome.browserAction')) {
+    errors.push('API: chrome.browserAction is deprecated - use chrome.action in Manifest V3');
+  }
+
+  if (code.includes('chrome.extension')) {
+    errors.push('API: chrome.extension is deprecated - use chrome.runtime');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Audits permissions and provides recommendations
+ * @param {Object} manifest - The manifest object
+ * @returns {Object} - { score: number, recommendations: string[] }
+ */
+function auditPermissions(manifest) {
+  const recommendations = [];
+  let score = 100; // Start with perfect score
+
+  const permissions = manifest.permissions || [];
+  const hostPermissions = manifest.host_permissions || [];
+
+  // Overly broad permissions
+  if (hostPermissions.includes('<all_urls>')) {
+    score -= 30;
+    recommendations.push('🔴 Avoid <all_urls> - specify exact domains you need');
+  }
+
+  if (permissions.includes('tabs') && !permissions.includes('activeTab')) {
+    score -= 15;
+    recommendations.push('🟡 Consider activeTab instead of tabs for privacy');
+  }
+
+  if (permissions.includes('history')) {
+    score -= 10;
+    recommendations.push('🟡 History permission is sensitive - ensure users understand why');
+  }
+
+  if (permissions.includes('cookies')) {
+    score -= 10;
+    recommendations.push('🟡 Cookies permission can access authentication - handle securely');
+  }
+
+  // Good practices
+  if (permissions.includes('activeTab')) {
+    recommendations.push('🟢 Good: Using activeTab for on-demand access');
+  }
+
+  if (permissions.includes('storage') && !permissions.includes('unlimitedStorage')) {
+    recommendations.push('🟢 Good: Using storage with default quota limits');
+  }
+
+  if (permissions.length === 0 && hostPermissions.length === 0) {
+    score = 100;
+    recommendations.push('🟢 Excellent: Minimal permissions (most secure)');
+  }
+
+  return { score: Math.max(0, score), recommendations };
+}
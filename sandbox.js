@@ -0,0 +1,616 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Sandbox Runtime
+// Runs a project's popup (and background worker) inside a manifest sandbox page with a
+// mocked chrome.* API. The mock in each frame forwards every call to this host, which
+// keeps the in-memory state and reports each call to the side panel's log pane.
+
+// ============================================
+// MOCK (runs inside each project frame)
+// ============================================
+
+/**
+ * Installs window.chrome in a project frame. Serialized with toString() into the
+ * frame document, so it must not reference anything outside its own body.
+ * @param {string} frame - Frame name ('popup' or 'background')
+ * @param {Object} manifest - Parsed project manifest
+ */
+function installChromeMock(frame, manifest) {
+  const pending = new Map();
+  const listeners = {};
+  let nextCallId = 1;
+
+  const post = (data) => parent.postMessage({ source: 'remixr-mock', frame, ...data }, '*');
+
+  const call = (api, args) => new Promise((resolve, reject) => {
+    const id = nextCallId++;
+    pending.set(id, { resolve, reject });
+    post({ type: 'call', id, api, args: JSON.parse(JSON.stringify(args === undefined ? [] : args)) });
+  });
+
+  // Supports both callback and promise styles, like the real API
+  const method = (api) => (...args) => {
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    const result = call(api, args);
+    if (!callback) return result;
+    result.then(value => callback(value), error => {
+      chrome.runtime.lastError = { message: error.message };
+      callback();
+      chrome.runtime.lastError = undefined;
+    });
+  };
+
+  const event = (name) => {
+    listeners[name] = [];
+    return {
+      addListener: fn => listeners[name].push(fn),
+      removeListener: fn => { listeners[name] = listeners[name].filter(l => l !== fn); },
+      hasListener: fn => listeners[name].includes(fn),
+      hasListeners: () => listeners[name].length > 0
+    };
+  };
+
+  const storageArea = (area) => ({
+    get: method(`storage.${area}.get`),
+    set: method(`storage.${area}.set`),
+    remove: method(`storage.${area}.remove`),
+    clear: method(`storage.${area}.clear`),
+    getBytesInUse: method(`storage.${area}.getBytesInUse`),
+    onChanged: event(`storage.${area}.onChanged`)
+  });
+
+  const mocked = {
+    runtime: {
+      id: 'remixr-sandbox',
+      lastError: undefined,
+      getURL: path => path,
+      getManifest: () => manifest,
+      sendMessage: method('runtime.sendMessage'),
+      openOptionsPage: method('runtime.openOptionsPage'),
+      reload: method('runtime.reload'),
+      onMessage: event('runtime.onMessage'),
+      onInstalled: event('runtime.onInstalled'),
+      onStartup: event('runtime.onStartup')
+    },
+    storage: {
+      local: storageArea('local'),
+      sync: storageArea('sync'),
+      session: storageArea('session'),
+      onChanged: event('storage.onChanged')
+    },
+    tabs: {
+      query: method('tabs.query'),
+      get: method('tabs.get'),
+      create: method('tabs.create'),
+      update: method('tabs.update'),
+      remove: method('tabs.remove'),
+      reload: method('tabs.reload'),
+      sendMessage: method('tabs.sendMessage'),
+      onUpdated: event('tabs.onUpdated'),
+      onActivated: event('tabs.onActivated'),
+      onCreated: event('tabs.onCreated'),
+      onRemoved: event('tabs.onRemoved')
+    },
+    notifications: {
+      create: method('notifications.create'),
+      clear: method('notifications.clear'),
+      getAll: method('notifications.getAll'),
+      onClicked: event('notifications.onClicked'),
+      onClosed: event('notifications.onClosed')
+    },
+    contextMenus: {
+      create: method('contextMenus.create'),
+      update: method('contextMenus.update'),
+      remove: method('contextMenus.remove'),
+      removeAll: method('contextMenus.removeAll'),
+      onClicked: event('contextMenus.onClicked')
+    },
+    action: {
+      setBadgeText: method('action.setBadgeText'),
+      setBadgeBackgroundColor: method('action.setBadgeBackgroundColor'),
+      setTitle: method('action.setTitle'),
+      onClicked: event('action.onClicked')
+    }
+  };
+
+  // Namespaces that aren't mocked still log, so missing coverage shows up in the pane
+  const chrome = new Proxy(mocked, {
+    get(target, namespace) {
+      if (namespace in target) return target[namespace];
+      return new Proxy({}, {
+        get: (_, member) => method(`${String(namespace)}.${String(member)}`)
+      });
+    }
+  });
+  window.chrome = chrome;
+  window.browser = chrome;
+
+  window.addEventListener('message', (e) => {
+    const data = e.data;
+    if (!data || data.source !== 'remixr-host') return;
+
+    if (data.type === 'result' && pending.has(data.id)) {
+      const { resolve, reject } = pending.get(data.id);
+      pending.delete(data.id);
+      if (data.error) reject(new Error(data.error));
+      else resolve(data.result);
+    }
+
+    if (data.type === 'event') {
+      const fns = listeners[data.name] || [];
+      if (data.name !== 'runtime.onMessage') {
+        fns.forEach(fn => fn(...data.args));
+        return;
+      }
+
+      // onMessage listeners answer through sendResponse, possibly asynchronously (return true)
+      let responded = false;
+      const sendResponse = (value) => {
+        if (responded) return;
+        responded = true;
+        post({ type: 'response', replyId: data.replyId, handled: true, value });
+      };
+      const keepOpen = fns.map(fn => fn(...data.args, sendResponse)).some(result => result === true);
+      if (!keepOpen && !responded) {
+        post({ type: 'response', replyId: data.replyId, handled: false });
+      }
+    }
+  });
+
+  // Page output and errors go to the log pane too
+  ['log', 'info', 'warn', 'error'].forEach(level => {
+    const original = console[level].bind(console);
+    console[level] = (...args) => {
+      original(...args);
+      post({ type: 'console', level, text: args.map(a => typeof a === 'string' ? a : JSON.stringify(a)).join(' ') });
+    };
+  });
+  window.addEventListener('error', e => post({ type: 'console', level: 'error', text: e.message }));
+  window.addEventListener('unhandledrejection', e => post({ type: 'console', level: 'error', text: String(e.reason) }));
+}
+
+// ============================================
+// HOST
+// ============================================
+
+const SANDBOX_TAB = { id: 1, windowId: 1, index: 0, active: true, url: 'https://example.com/', title: 'Example Domain', status: 'complete' };
+
+// In-memory browser state, kept across reboots until the side panel resets it
+let sandboxState = createSandboxState();
+let sandboxFrames = {};
+let pendingReplies = new Map();
+let nextReplyId = 1;
+
+// Resolves once the latest boot has mounted its frames; each frame's load is tracked separately
+let bootDone = Promise.resolve();
+const frameLoads = new WeakMap();
+
+function createSandboxState() {
+  return {
+    storage: { local: {}, sync: {}, session: {} },
+    tabs: [{ ...SANDBOX_TAB }],
+    notifications: {},
+    contextMenus: {},
+    badge: { text: '', color: null, title: '' },
+    nextTabId: 2,
+    nextNotificationId: 1
+  };
+}
+
+/**
+ * Sends a log entry to the side panel
+ */
+function logToPanel(entry) {
+  parent.postMessage({ source: 'remixr-sandbox', time: Date.now(), ...entry }, '*');
+}
+
+/**
+ * Delivers an event to listeners in every frame (or every frame but one)
+ */
+function dispatchToFrames(name, args, exceptFrame) {
+  Object.entries(sandboxFrames).forEach(([frame, element]) => {
+    if (frame !== exceptFrame) {
+      element.contentWindow.postMessage({ source: 'remixr-host', type: 'event', name, args }, '*');
+    }
+  });
+}
+
+/**
+ * Reads a storage area the way chrome.storage.get interprets its keys argument
+ */
+function readStorage(area, keys) {
+  const data = sandboxState.storage[area];
+  if (keys === null || keys === undefined) return { ...data };
+  if (typeof keys === 'string') keys = [keys];
+  if (Array.isArray(keys)) {
+    return Object.fromEntries(keys.filter(key => key in data).map(key => [key, data[key]]));
+  }
+  return Object.fromEntries(Object.entries(keys).map(([key, fallback]) => [key, key in data ? data[key] : fallback]));
+}
+
+function writeStorage(area, updates) {
+  const data = sandboxState.storage[area];
+  const changes = {};
+  Object.entries(updates).forEach(([key, value]) => {
+    changes[key] = value === undefined
+      ? { oldValue: data[key] }
+      : { oldValue: data[key], newValue: value };
+    if (value === undefined) delete data[key];
+    else data[key] = value;
+  });
+  dispatchToFrames(`storage.${area}.onChanged`, [changes]);
+  dispatchToFrames('storage.onChanged', [changes, area]);
+}
+
+/**
+ * runtime.sendMessage: delivered to the other frames' onMessage listeners.
+ * Resolves with the first response, or undefined once every frame has declined.
+ */
+function relayRuntimeMessage(message, fromFrame) {
+  const targets = Object.keys(sandboxFrames).filter(frame => frame !== fromFrame);
+  if (targets.length === 0) return Promise.resolve(undefined);
+
+  return new Promise(resolve => {
+    const replyId = nextReplyId++;
+    pendingReplies.set(replyId, { resolve, remaining: targets.length });
+    targets.forEach(frame => {
+      sandboxFrames[frame].contentWindow.postMessage({
+        source: 'remixr-host',
+        type: 'event',
+        name: 'runtime.onMessage',
+        args: [message, { id: 'remixr-sandbox', url: `${fromFrame}.html` }],
+        replyId
+      }, '*');
+    });
+  });
+}
+
+/**
+ * Mocked API implementations, keyed by "namespace.method"
+ */
+const SANDBOX_HANDLERS = {
+  'runtime.sendMessage': ([message], frame) => relayRuntimeMessage(message, frame),
+  'runtime.openOptionsPage': () => undefined,
+  'runtime.reload': () => undefined,
+
+  'tabs.query': ([query = {}]) => sandboxState.tabs.filter(tab =>
+    Object.entries(query).every(([key, value]) => key === 'currentWindow' || key === 'lastFocusedWindow' || tab[key] === value)),
+  'tabs.get': ([tabId]) => {
+    const tab = sandboxState.tabs.find(t => t.id === tabId);
+    if (!tab) throw new Error(`No tab with id: ${tabId}`);
+    return tab;
+  },
+  'tabs.create': ([props = {}]) => {
+    const tab = { ...SANDBOX_TAB, id: sandboxState.nextTabId++, index: sandboxState.tabs.length, active: props.active !== false, url: props.url || 'chrome://newtab/', title: props.url || 'New Tab' };
+    sandboxState.tabs.push(tab);
+    dispatchToFrames('tabs.onCreated', [tab]);
+    return tab;
+  },
+  'tabs.update': ([tabId, props = {}]) => {
+    const tab = sandboxState.tabs.find(t => t.id === (typeof tabId === 'number' ? tabId : SANDBOX_TAB.id));
+    if (!tab) throw new Error(`No tab with id: ${tabId}`);
+    Object.assign(tab, typeof tabId === 'number' ? props : tabId);
+    dispatchToFrames('tabs.onUpdated', [tab.id, props, tab]);
+    return tab;
+  },
+  'tabs.remove': ([tabIds]) => {
+    [].concat(tabIds).forEach(id => {
+      sandboxState.tabs = sandboxState.tabs.filter(t => t.id !== id);
+      dispatchToFrames('tabs.onRemoved', [id, { windowId: 1, isWindowClosing: false }]);
+    });
+  },
+  'tabs.reload': () => undefined,
+  // There are no content scripts in the sandbox, so nothing receives the message
+  'tabs.sendMessage': () => {
+    throw new Error('Could not establish connection. Receiving end does not exist.');
+  },
+
+  'notifications.create': ([id, options]) => {
+    if (typeof id !== 'string') {
+      options = id;
+      id = `notification-${sandboxState.nextNotificationId++}`;
+    }
+    sandboxState.notifications[id] = options;
+    return id;
+  },
+  'notifications.clear': ([id]) => {
+    const existed = id in sandboxState.notifications;
+    delete sandboxState.notifications[id];
+    return existed;
+  },
+  'notifications.getAll': () => ({ ...sandboxState.notifications }),
+
+  'contextMenus.create': ([props = {}]) => {
+    const id = props.id || `menu-${Object.keys(sandboxState.contextMenus).length + 1}`;
+    sandboxState.contextMenus[id] = props;
+    return id;
+  },
+  'contextMenus.update': ([id, props]) => {
+    Object.assign(sandboxState.contextMenus[id] || {}, props);
+  },
+  'contextMenus.remove': ([id]) => {
+    delete sandboxState.contextMenus[id];
+  },
+  'contextMenus.removeAll': () => {
+    sandboxState.contextMenus = {};
+  },
+
+  'action.setBadgeText': ([details]) => { sandboxState.badge.text = details.text; },
+  'action.setBadgeBackgroundColor': ([details]) => { sandboxState.badge.color = details.color; },
+  'action.setTitle': ([details]) => { sandboxState.badge.title = details.title; }
+};
+
+['local', 'sync', 'session'].forEach(area => {
+  SANDBOX_HANDLERS[`storage.${area}.get`] = ([keys]) => readStorage(area, keys);
+  SANDBOX_HANDLERS[`storage.${area}.set`] = ([items]) => writeStorage(area, items);
+  SANDBOX_HANDLERS[`storage.${area}.remove`] = ([keys]) => {
+    writeStorage(area, Object.fromEntries([].concat(keys).map(key => [key, undefined])));
+  };
+  SANDBOX_HANDLERS[`storage.${area}.clear`] = () => {
+    writeStorage(area, Object.fromEntries(Object.keys(sandboxState.storage[area]).map(key => [key, undefined])));
+  };
+  SANDBOX_HANDLERS[`storage.${area}.getBytesInUse`] = () => JSON.stringify(sandboxState.storage[area]).length;
+});
+
+/**
+ * Runs a mocked call from a frame and sends the result back
+ */
+async function handleMockCall(data, sourceWindow) {
+  const handler = SANDBOX_HANDLERS[data.api];
+  let result;
+  let error = null;
+
+  try {
+    if (!handler) throw new Error(`chrome.${data.api} is not available in the sandbox`);
+    result = await handler(data.args, data.frame);
+  } catch (e) {
+    error = e.message;
+  }
+
+  logToPanel({ kind: 'call', frame: data.frame, api: data.api, args: data.args, result, error });
+  sourceWindow.postMessage({ source: 'remixr-host', type: 'result', id: data.id, result, error }, '*');
+}
+
+function handleMockResponse(data) {
+  const pending = pendingReplies.get(data.replyId);
+  if (!pending) return;
+
+  if (data.handled) {
+    pendingReplies.delete(data.replyId);
+    pending.resolve(data.value);
+  } else if (--pending.remaining === 0) {
+    pendingReplies.delete(data.replyId);
+    pending.resolve(undefined);
+  }
+}
+
+// ============================================
+// BOOT
+// ============================================
+
+/**
+ * Reads a Blob as a data: URL so it can be referenced from srcdoc
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Resolves a path referenced from a page to a project file path
+ */
+function resolveProjectPath(ref, fromPath) {
+  if (/^(?:[a-z][\w+.-]*:|\/\/|#)/i.test(ref)) return null;
+  const dir = fromPath.includes('/') ? fromPath.slice(0, fromPath.lastIndexOf('/') + 1) : '';
+  const parts = [];
+  (ref.startsWith('/') ? ref.slice(1) : dir + ref).split(/[?#]/)[0].split('/').forEach(part => {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  });
+  return parts.join('/');
+}
+
+/**
+ * Builds a self-contained document: the chrome mock first, then the page with its
+ * local scripts and stylesheets inlined and assets turned into data URLs
+ */
+function buildFrameDocument(frame, html, pagePath, files, assets, manifest) {
+  const escapeScript = code => code.replace(/<\/script/gi, '<\\/script');
+  const mock = `<script>(${installChromeMock.toString()})(${JSON.stringify(frame)}, ${escapeScript(JSON.stringify(manifest))});</script>`;
+
+  let page = html
+    .replace(/<script([^>]*)\bsrc\s*=\s*["']([^"']+)["']([^>]*)>\s*<\/script>/gi, (match, before, src, after) => {
+      const path = resolveProjectPath(src, pagePath);
+      if (!path || typeof files[path] !== 'string') return match;
+      return `<script${before}${after} data-src="${path}">\n${escapeScript(files[path])}\n</script>`;
+    })
+    .replace(/<link([^>]*)\bhref\s*=\s*["']([^"']+)["']([^>]*)>/gi, (match, before, href, after) => {
+      const path = resolveProjectPath(href, pagePath);
+      if (!path || !/stylesheet/i.test(before + after) || typeof files[path] !== 'string') return match;
+      return `<style data-href="${path}">\n${files[path]}\n</style>`;
+    })
+    .replace(/\b(src|href)\s*=\s*["']([^"']+)["']/gi, (match, attr, ref) => {
+      const path = resolveProjectPath(ref, pagePath);
+      return path && assets[path] ? `${attr}="${assets[path]}"` : match;
+    });
+
+  if (/<head[^>]*>/i.test(page)) {
+    page = page.replace(/<head[^>]*>/i, head => `${head}\n${mock}`);
+  } else {
+    page = mock + page;
+  }
+  return page;
+}
+
+/**
+ * Creates a frame for one part of the project
+ */
+function mountFrame(frame, srcdoc, visible) {
+  const element = document.createElement('iframe');
+  element.className = visible ? 'sandbox-frame' : 'sandbox-frame sandbox-frame-hidden';
+  element.title = `${frame} (sandboxed)`;
+  element.srcdoc = srcdoc;
+  frameLoads.set(element, new Promise(resolve => element.addEventListener('load', resolve, { once: true })));
+  document.getElementById('sandbox-root').appendChild(element);
+  sandboxFrames[frame] = element;
+}
+
+/**
+ * (Re)starts the project: the background worker (if it's a classic script) and the popup
+ * @param {Object<string, string|Blob>} files - Project files
+ */
+async function bootProject(files) {
+  document.getElementById('sandbox-root').innerHTML = '';
+  sandboxFrames = {};
+  pendingReplies = new Map();
+
+  let manifest;
+  try {
+    manifest = JSON.parse(files['manifest.json']);
+  } catch (e) {
+    logToPanel({ kind: 'console', frame: 'sandbox', level: 'error', text: 'manifest.json is missing or invalid' });
+    return;
+  }
+
+  const assets = {};
+  for (const [path, content] of Object.entries(files)) {
+    if (typeof content !== 'string') assets[path] = await blobToDataUrl(content);
+  }
+
+  const worker = manifest.background?.service_worker;
+  if (worker && typeof files[worker] === 'string') {
+    if (manifest.background.type === 'module') {
+      logToPanel({ kind: 'console', frame: 'sandbox', level: 'warn', text: 'Module service workers are not run in the sandbox' });
+    } else {
+      const html = `<!DOCTYPE html><html><head></head><body><script src="${worker}"></script></body></html>`;
+      mountFrame('background', buildFrameDocument('background', html, '', files, assets, manifest), false);
+    }
+  }
+
+  const popupPath = manifest.action?.default_popup || manifest.side_panel?.default_path ||
+    (files['popup.html'] ? 'popup.html' : null);
+  if (!popupPath || typeof files[popupPath] !== 'string') {
+    logToPanel({ kind: 'console', frame: 'sandbox', level: 'warn', text: 'No popup or side panel page to show' });
+    return;
+  }
+
+  mountFrame('popup', buildFrameDocument('popup', files[popupPath], popupPath, files, assets, manifest), true);
+  logToPanel({ kind: 'boot', frame: 'sandbox', text: `Booted ${popupPath}${sandboxFrames.background ? ` with ${worker}` : ''}` });
+}
+
+// ============================================
+// SNAPSHOTS
+// ============================================
+
+// Size used when the preview is hidden and the popup has no layout to measure
+const SNAPSHOT_DEFAULT_SIZE = { width: 400, height: 500 };
+// Chrome's popup size limits
+const SNAPSHOT_MAX_SIZE = { width: 800, height: 600 };
+// Time the popup's own scripts get to render before it is captured
+const SNAPSHOT_SETTLE_MS = 500;
+
+/**
+ * Draws a document as a PNG by serializing it into an SVG foreignObject. Scripts are
+ * dropped and form state is copied into attributes so the image shows what the user sees.
+ * @param {Document} doc - Project frame document
+ * @returns {Promise<Blob>}
+ */
+function renderDocumentImage(doc) {
+  const root = doc.documentElement;
+  const width = Math.min(root.scrollWidth || SNAPSHOT_DEFAULT_SIZE.width, SNAPSHOT_MAX_SIZE.width);
+  const height = Math.min(root.scrollHeight || SNAPSHOT_DEFAULT_SIZE.height, SNAPSHOT_MAX_SIZE.height);
+
+  const clone = root.cloneNode(true);
+  const fields = root.querySelectorAll('input, textarea, select');
+  const cloneFields = clone.querySelectorAll('input, textarea, select');
+  fields.forEach((field, index) => {
+    const copy = cloneFields[index];
+    if (field.type === 'checkbox' || field.type === 'radio') {
+      copy.toggleAttribute('checked', field.checked);
+    } else if (field.tagName === 'TEXTAREA') {
+      copy.textContent = field.value;
+    } else if (field.tagName === 'SELECT') {
+      Array.from(copy.options).forEach((option, i) => option.toggleAttribute('selected', field.options[i].selected));
+    } else {
+      copy.setAttribute('value', field.value);
+    }
+  });
+  clone.querySelectorAll('script').forEach(script => script.remove());
+
+  const markup = new XMLSerializer().serializeToString(clone);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<foreignObject width="100%" height="100%">${markup}</foreignObject></svg>`;
+
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      // Twice the popup's size, so the store images stay sharp when scaled up
+      const canvas = document.createElement('canvas');
+      canvas.width = width * 2;
+      canvas.height = height * 2;
+      const ctx = canvas.getContext('2d');
+      ctx.scale(2, 2);
+      ctx.drawImage(image, 0, 0);
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the snapshot'))), 'image/png');
+    };
+    image.onerror = () => reject(new Error('The popup could not be rendered as an image'));
+    image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+  });
+}
+
+/**
+ * Captures the booted popup and posts it to the side panel
+ * @param {number} id - Request ID echoed in the reply
+ */
+async function snapshotPopup(id) {
+  const reply = result => parent.postMessage({ source: 'remixr-sandbox', kind: 'snapshot', id, ...result }, '*');
+  try {
+    await bootDone;
+    const frame = sandboxFrames.popup;
+    if (!frame) throw new Error('No popup page to capture');
+    await frameLoads.get(frame);
+    await new Promise(resolve => setTimeout(resolve, SNAPSHOT_SETTLE_MS));
+    reply({ blob: await renderDocumentImage(frame.contentDocument) });
+  } catch (error) {
+    reply({ error: error.message });
+  }
+}
+
+window.addEventListener('message', (e) => {
+  const data = e.data;
+  if (!data) return;
+
+  if (data.source === 'remixr-panel') {
+    if (data.type === 'boot') bootDone = bootProject(data.files);
+    if (data.type === 'snapshot') snapshotPopup(data.id);
+    if (data.type === 'reset') sandboxState = createSandboxState();
+    if (data.type === 'state') logToPanel({ kind: 'state', frame: 'sandbox', state: sandboxState });
+    return;
+  }
+
+  if (data.source === 'remixr-mock') {
+    if (data.type === 'call') handleMockCall(data, e.source);
+    if (data.type === 'response') handleMockResponse(data);
+    if (data.type === 'console') logToPanel({ kind: 'console', frame: data.frame, level: data.level, text: data.text });
+  }
+});
+
+parent.postMessage({ source: 'remixr-sandbox', kind: 'ready' }, '*');
@@ -0,0 +1,1890 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Popup - Analyzers
+// Page analysis scans and their result views
+
+// ANALYSIS TOOLS
+
+/**
+ * Injects the manifest's content scripts into a tab that doesn't have them yet, like tabs
+ * opened before ReMixr was installed. They declare top-level consts and lets that a second
+ * injection would fail to redeclare, so content.js's recordStyleChange is checked first.
+ * @param {number} tabId - Tab to inject into
+ */
+export async function ensureContentScripts(tabId) {
+  const [probe] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => typeof recordStyleChange === 'function'
+  });
+  if (probe && probe.result) return;
+
+  const [entry] = chrome.runtime.getManifest().content_scripts;
+  await chrome.scripting.executeScript({ target: { tabId }, files: entry.js });
+}
+
+export async function toggleInspector(active) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return;
+
+  chrome.tabs.sendMessage(tab.id, {
+    action: 'toggleInspector',
+    state: active
+  });
+}
+
+const LOCATOR_LABELS = { css: 'CSS', xpath: 'XPath', text: 'Text' };
+
+/**
+ * Lists the inspected element's locators in the inspector panel, each copied on click
+ * @param {{css: string, xpath: string, text: string|null}} locators - From lib/selector-engine.js
+ */
+export function renderInspectorLocators(locators) {
+  const list = document.getElementById('inspector-locators');
+  if (!list) return;
+
+  list.innerHTML = '';
+  Object.entries(LOCATOR_LABELS).forEach(([key, label]) => {
+    if (!locators?.[key]) return;
+    const row = document.createElement('button');
+    row.type = 'button';
+    row.className = 'inspector-locator';
+    row.title = `Copy ${label} locator`;
+    const name = document.createElement('span');
+    name.className = 'inspector-locator-type';
+    name.textContent = label;
+    const value = document.createElement('code');
+    value.textContent = locators[key];
+    row.append(name, value);
+    row.addEventListener('click', () => {
+      navigator.clipboard.writeText(locators[key]).then(() => {
+        showStatus(`${label} locator copied`, 'success');
+      });
+    });
+    list.appendChild(row);
+  });
+}
+
+export async function runAnalysis(type) {
+  showStatus(`Running ${type} scan...`, 'info');
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+  // New psychological analyses use message-based communication with content.js
+  const messageBasedAnalyses = ['psyche', 'archetype', 'soul', 'shadow', 'rhetoric', 'emotion', 'strategy', 'specimen', 'omniscience'];
+
+  if (messageBasedAnalyses.includes(type)) {
+    const actionMap = {
+      'psyche': 'analyzePsyche',
+      'archetype': 'analyzeArchetype',
+      'soul': 'analyzeSoul',
+      'shadow': 'analyzeShadow',
+      'rhetoric': 'analyzeRhetoric',
+      'emotion': 'analyzeEmotion',
+      'strategy': 'analyzeStrategy',
+      'specimen': 'analyzeSpecimen',
+      'omniscience': 'analyzeOmniscience'
+    };
+
+    try {
+      await ensureContentScripts(tab.id);
+
+      // Small delay to ensure content script is ready
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const response = await chrome.tabs.sendMessage(tab.id, { action: actionMap[type] });
+      if (response) {
+        showStatus(`${type} scan complete`, 'success');
+        displayAnalysisResults(type, response);
+      } else {
+        showStatus(`${type} scan returned no data`, 'error');
+      }
+    } catch (error) {
+      console.error('Analysis error:', error);
+      showStatus('Error: ' + error.message, 'error');
+    }
+    return;
+  }
+
+  // Original analyses use script injection
+  let func;
+  switch (type) {
+    case 'structure': func = analyzeStructure; break;
+    case 'palette': func = analyzePalette; break;
+    case 'assets': func = analyzeAssets; break;
+    case 'fonts': func = analyzeFonts; break;
+    case 'storage': func = analyzeStorage; break;
+    case 'workers': func = analyzeWorkers; break;
+    case 'perf': func = analyzePerf; break;
+    case 'stack': func = analyzeStack; break;
+    case 'visualize': func = analyzeDomTree; break;
+    case 'sequence': func = analyzeSequence; break;
+    case 'a11y': func = analyzeA11y; break;
+    case 'seo': func = analyzeSEO; break;
+    case 'code': func = analyzeCode; break;
+    case 'net': func = analyzeNetwork; break;
+  }
+
+  // The injected analyzers walk shadow roots and frames with lib/dom-traversal.js, which
+  // pages opened before ReMixr was installed don't have as a content script yet
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      files: ['lib/dom-traversal.js']
+    });
+  } catch (error) {
+    console.error('Analysis error:', error);
+    showStatus('Error: ' + error.message, 'error');
+    return;
+  }
+
+  chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: func
+  }, (results) => {
+    if (results && results[0]) {
+      displayAnalysisResults(type, results[0].result);
+    }
+  });
+}
+
+// Analysis Functions (Injected)
+// They run in the page after lib/dom-traversal.js, so they reach into open shadow roots and
+// same-origin frames with deepElements, deepQuerySelectorAll and composedChildren
+function analyzeStructure() {
+  const nodes = deepElements();
+
+  const depth = (n) => {
+    let d = 0;
+    while ((n = composedParent(n))) d++;
+    return d;
+  };
+  let maxDepth = 0;
+  nodes.forEach(el => maxDepth = Math.max(maxDepth, depth(el)));
+
+  const tags = {};
+  nodes.forEach(el => {
+    const tag = el.tagName.toLowerCase();
+    tags[tag] = (tags[tag] || 0) + 1;
+  });
+
+  const sortedTags = Object.entries(tags).sort((a, b) => b[1] - a[1]);
+
+  return {
+    totalElements: nodes.length,
+    maxDepth,
+    topTags: sortedTags,
+    title: document.title,
+    description: document.querySelector('meta[name="description"]')?.content || 'None'
+  };
+}
+
+function analyzePalette() {
+  const all = deepElements();
+  const colors = {};
+  const backgrounds = {};
+
+  all.forEach(el => {
+    const style = window.getComputedStyle(el);
+    const color = style.color;
+    const bg = style.backgroundColor;
+
+    if (color && color !== 'rgba(0, 0, 0, 0)') colors[color] = (colors[color] || 0) + 1;
+    if (bg && bg !== 'rgba(0, 0, 0, 0)') backgrounds[bg] = (backgrounds[bg] || 0) + 1;
+  });
+
+  const process = (obj) => Object.entries(obj)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 6)
+    .map(([c]) => c);
+
+  return {
+    text: process(colors),
+    backgrounds: process(backgrounds)
+  };
+}
+
+function analyzeAssets() {
+  const imageElements = deepQuerySelectorAll('img');
+  const images = imageElements.map(img => ({
+    src: img.src,
+    width: img.naturalWidth || img.clientWidth,
+    height: img.naturalHeight || img.clientHeight,
+    alt: img.alt || 'No alt text',
+    type: img.src.split('.').pop().split(/[?#]/)[0].toUpperCase() || 'IMG',
+    broken: img.naturalWidth === 0 && img.src !== ''
+  })).filter(img => img.src);
+
+  // Add SVGs
+  const svgs = deepQuerySelectorAll('svg').length;
+
+  // Background images
+  const bgImages = [];
+  deepElements().forEach(el => {
+    const bg = window.getComputedStyle(el).backgroundImage;
+    if (bg && bg !== 'none' && bg.includes('url')) {
+      const url = bg.match(/url\(['"]?([^'"]+)['"]?\)/)?.[1];
+      if (url) bgImages.push(url);
+    }
+  });
+
+  const scripts = Array.from(document.querySelectorAll('script')).map(s => s.src).filter(Boolean);
+  const css = Array.from(document.querySelectorAll('link[rel="stylesheet"]')).map(l => l.href).filter(Boolean);
+
+  return {
+    images,
+    svgs,
+    bgImages: [...new Set(bgImages)],
+    imageCount: images.length,
+    scriptCount: scripts.length,
+    cssCount: css.length,
+    brokenCount: images.filter(i => i.broken).length
+  };
+}
+
+function analyzeFonts() {
+  const fonts = {};
+  deepElements().forEach(el => {
+    const font = window.getComputedStyle(el).fontFamily.split(',')[0].replace(/['"]/g, '');
+    if (font) fonts[font] = (fonts[font] || 0) + 1;
+  });
+
+  return Object.entries(fonts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 5)
+    .map(([f, c]) => ({ font: f, count: c }));
+}
+
+function analyzeStorage() {
+  const getStorageSize = (storage) => {
+    let t = 0;
+    for (let x in storage) t += (storage[x].length + x.length) * 2;
+    return (t / 1024).toFixed(2);
+  };
+
+  return {
+    lsCount: localStorage.length,
+    lsSize: getStorageSize(localStorage),
+    ssCount: sessionStorage.length,
+    ssSize: getStorageSize(sessionStorage),
+    cookies: document.cookie.split(';').filter(c => c.trim()).length,
+    lsItems: Object.entries(localStorage).map(([k, v]) => ({ k, v: v.slice(0, 50) })),
+    ssItems: Object.entries(sessionStorage).map(([k, v]) => ({ k, v: v.slice(0, 50) }))
+  };
+}
+
+async function analyzeWorkers() {
+  if ('serviceWorker' in navigator) {
+    const regs = await navigator.serviceWorker.getRegistrations();
+    return {
+      count: regs.length,
+      active: regs.map(r => ({
+        scope: r.scope,
+        state: r.active ? r.active.state : 'installing'
+      }))
+    };
+  }
+  return { count: 0, notSupported: true };
+}
+
+function analyzePerf() {
+  const perf = window.performance;
+  const nav = perf.getEntriesByType('navigation')[0] || {};
+  const res = perf.getEntriesByType('resource');
+
+  const totalJS = res.filter(r => r.initiatorType === 'script').length;
+  const totalImg = res.filter(r => r.initiatorType === 'img').length;
+  const totalXHR = res.filter(r => r.initiatorType === 'xmlhttprequest' || r.initiatorType === 'fetch').length;
+
+  return {
+    loadTime: (nav.loadEventEnd - nav.startTime).toFixed(0),
+    domReady: (nav.domContentLoadedEventEnd - nav.startTime).toFixed(0),
+    resources: { js: totalJS, img: totalImg, xhr: totalXHR }
+  };
+}
+
+function analyzeStack() {
+  const stack = [];
+  if (window.React || document.querySelector('[data-reactroot], [id^="react-"]')) stack.push('React');
+  if (window.Vue || document.querySelector('[data-v-]')) stack.push('Vue');
+  if (window.angular || document.querySelector('.ng-binding, [ng-app], [data-ng-app]')) stack.push('Angular');
+  if (window.jQuery || window.$) stack.push('jQuery');
+  if (document.querySelector('meta[name="generator"][content*="WordPress"]')) stack.push('WordPress');
+  if (window.Shopify) stack.push('Shopify');
+  if (window.next) stack.push('Next.js');
+  if (document.getElementById('__nuxt')) stack.push('Nuxt');
+
+  return stack.length ? stack : ['Unknown / Custom'];
+}
+
+function analyzeDomTree() {
+  // Simplified DOM Tree Extractor for D3
+  const traverse = (node, depth = 0) => {
+    if (depth > 4) return null; // Limit depth for perf
+
+    // Ignore text nodes, comments, scripts
+    if (node.nodeType !== 1) return null;
+    const tag = node.tagName.toLowerCase();
+    if (['script', 'style', 'svg', 'path', 'g'].includes(tag)) return null;
+
+    const children = [];
+    composedChildren(node).forEach(child => {
+      const c = traverse(child, depth + 1);
+      if (c) children.push(c);
+    });
+
+    return {
+      name: tag,
+      id: node.id || '',
+      class: node.className && typeof node.className === 'string' ? node.className.split(' ')[0] : '',
+      value: children.length + 1,
+      children: children.length ? children : null
+    };
+  };
+
+  return traverse(document.body);
+}
+
+function analyzeA11y() {
+  const images = deepQuerySelectorAll('img');
+  const missingAlt = images.filter(img => !img.alt).map(img => ({ src: img.src.split('/').pop() || 'Inline', full: img.src }));
+
+  const buttons = deepQuerySelectorAll('button, [role="button"]');
+  const smallButtons = buttons.filter(btn => {
+    const r = btn.getBoundingClientRect();
+    return r.width < 24 || r.height < 24;
+  }).map(btn => ({ text: btn.innerText.trim().slice(0, 20) || 'Icon Button', tag: btn.tagName }));
+
+  const inputs = deepQuerySelectorAll('input, select, textarea');
+  const unlabelled = inputs.filter(input => {
+    // Labels only point at inputs in their own document or shadow root
+    if (input.id && input.getRootNode().querySelector(`label[for="${input.id}"]`)) return false;
+    if (input.closest('label')) return false;
+    if (input.getAttribute('aria-label') || input.getAttribute('aria-labelledby')) return false;
+    return true;
+  }).map(input => ({ placeholder: input.placeholder || 'No Placeholder', name: input.name || input.id || 'Unnamed' }));
+
+  return {
+    images: { total: images.length, missingAlt },
+    buttons: { total: buttons.length, tooSmall: smallButtons },
+    inputs: { total: inputs.length, unlabelled },
+    ariaElements: deepQuerySelectorAll('[aria-label], [aria-labelledby], [role]').length
+  };
+}
+
+function analyzeSEO() {
+  const meta = (name) => document.querySelector(`meta[name="${name}"], meta[property="og:${name}"]`)?.content;
+  const headings = {};
+  ['H1', 'H2', 'H3', 'H4', 'H5', 'H6'].forEach(h => {
+    headings[h] = deepQuerySelectorAll(h).length;
+  });
+
+  const links = deepQuerySelectorAll('a');
+  const internal = links.filter(a => a.href.includes(window.location.hostname)).length;
+  const external = links.length - internal;
+
+  return {
+    title: document.title,
+    description: meta('description') || 'Missing',
+    ogTitle: meta('title') || 'Missing',
+    headings,
+    links: {
+      total: links.length,
+      internal,
+      external,
+      list: links.slice(0, 20).map(a => ({ text: a.innerText.trim().slice(0, 30) || 'Unnamed', href: a.href }))
+    },
+    lang: document.documentElement.lang || 'Not set',
+    meta: Array.from(document.querySelectorAll('meta')).map(m => ({
+      name: m.name || m.getAttribute('property') || 'Unknown',
+      content: m.content
+    })).filter(m => m.content).slice(0, 10)
+  };
+}
+
+function analyzeSequence() {
+  const steps = [];
+  const actors = ['User', 'DOM', 'Logic', 'API'];
+
+  // 1. Initial Load
+  steps.push({ from: 'User', to: 'DOM', label: 'HTTP GET /', type: 'request' });
+  steps.push({ from: 'DOM', to: 'Logic', label: 'Parse HTML & Scripts', type: 'call' });
+
+  // 2. State Detection
+  if (window.React || document.querySelector('[data-reactroot]')) {
+    steps.push({ from: 'Logic', to: 'DOM', label: 'Mount VirtualDOM', type: 'response' });
+  }
+
+  // 3. Data Fetching (Reconstructed from performance entries)
+  const resources = window.performance.getEntriesByType('resource');
+  const fetches = resources.filter(r => r.initiatorType === 'fetch' || r.initiatorType === 'xmlhttprequest').slice(0, 3);
+
+  fetches.forEach(req => {
+    const name = req.name.split('/').pop().split('?')[0] || 'API';
+    steps.push({ from: 'Logic', to: 'API', label: `fetch(${name})`, type: 'request' });
+    steps.push({ from: 'API', to: 'Logic', label: 'JSON Data', type: 'response' });
+    steps.push({ from: 'Logic', to: 'DOM', label: 'Update View', type: 'response' });
+  });
+
+  // 4. Interaction Points
+  const buttons = deepQuerySelectorAll('button').length;
+  if (buttons > 0) {
+    steps.push({ from: 'User', to: 'DOM', label: `Click Interaction (${buttons} entry pts)`, type: 'call' });
+    steps.push({ from: 'DOM', to: 'Logic', label: 'Event Handler', type: 'call' });
+  }
+
+  return { actors, steps };
+}
+
+function analyzeCode() {
+  const scripts = Array.from(document.querySelectorAll('script'));
+  const data = {
+    total: scripts.length,
+    external: scripts.filter(s => s.src).length,
+    inline: scripts.filter(s => !s.src).length,
+    modules: scripts.filter(s => s.type === 'module').length,
+    async: scripts.filter(s => s.async).length,
+    defer: scripts.filter(s => s.defer).length,
+    sources: scripts.filter(s => s.src).map(s => {
+      try {
+        const url = new URL(s.src);
+        return {
+          host: url.hostname,
+          path: url.pathname.split('/').pop() || 'index',
+          size: '?' // Browser doesn't expose script size easily without Fetch
+        };
+      } catch (e) { return { host: 'unknown', path: s.src }; }
+    })
+  };
+  return data;
+}
+
+function analyzeNetwork() {
+  const resources = window.performance.getEntriesByType('resource');
+  const apiCalls = resources.filter(r => r.initiatorType === 'fetch' || r.initiatorType === 'xmlhttprequest');
+
+  return apiCalls.map(r => ({
+    name: r.name ? r.name.split('/').pop().split('?')[0] : 'Unknown',
+    url: r.name,
+    type: r.initiatorType.toUpperCase(),
+    duration: Math.round(r.duration),
+    size: r.transferSize ? (r.transferSize / 1024).toFixed(1) + ' KB' : 'Cached',
+    status: r.responseStatus || '200?'
+  }));
+}
+
+// Render Results
+function displayAnalysisResults(type, data) {
+  const container = document.getElementById('analysis-results');
+  const content = document.getElementById('result-content');
+  const d3Container = document.getElementById('d3-container');
+  const title = document.getElementById('result-title');
+
+  container.style.display = 'flex';
+  d3Container.style.display = type === 'visualize' ? 'flex' : 'none';
+  content.style.display = type === 'visualize' ? 'none' : 'block';
+  title.textContent = `${type.charAt(0).toUpperCase() + type.slice(1)} Audit`;
+
+  window.SITE_CONTEXT = window.SITE_CONTEXT || {};
+  window.SITE_CONTEXT[type] = data;
+
+  if (type === 'sequence') { renderSequenceDiagram(data); return; }
+  if (type === 'visualize') { setTimeout(() => renderD3Graph(data), 100); return; }
+
+  let html = '';
+
+  const createDeepDive = (id, statsHtml, detailHtml, options = {}) => {
+    const hasSearch = options.search !== false;
+    const hasExport = options.export !== false;
+
+    return `
+    <div class="analysis-item">
+      <div class="analysis-header">
+        <div class="header-metrics">${statsHtml}</div>
+        ${hasSearch || hasExport ? `
+          <div class="dive-actions">
+            ${hasSearch ? '<input type="text" class="search-box-inline" placeholder="Search..." data-search="' + id + '">' : ''}
+            ${hasExport ? '<button class="dive-btn" data-action="export" data-dive="' + id + '">Export</button>' : ''}
+            <button class="dive-btn" data-action="copy" data-dive="${id}">Copy</button>
+          </div>
+        ` : ''}
+      </div>
+      ${options.title ? '<div class="section-title">' + options.title + '</div>' : ''}
+      <div class="dive-content" data-content="${id}">
+        ${detailHtml}
+      </div>
+    </div>
+  `;
+  };
+
+  if (type === 'structure') {
+    const detailHtml = `
+      <div class="stats-grid">
+        <div class="stat-card">
+          <span class="stat-value">${data.totalElements}</span>
+          <span class="stat-label">Total Nodes</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.maxDepth}</span>
+          <span class="stat-label">Max Depth</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.topTags.length}</span>
+          <span class="stat-label">Tag Types</span>
+        </div>
+      </div>
+      <div class="chart-container">
+        <div class="bar-chart">
+          ${data.topTags.slice(0, 10).map(([tag, count]) => {
+      const pct = (count / data.totalElements * 100).toFixed(1);
+      return `
+              <div class="bar-chart-item">
+                <div class="bar-chart-label">&lt;${tag}&gt;</div>
+                <div class="bar-chart-bar">
+                  <div class="bar-chart-fill" style="width: ${pct}%">${count}</div>
+                </div>
+              </div>
+            `;
+    }).join('')}
+        </div>
+      </div>
+      <div class="data-table-wrapper">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Element</th>
+              <th>Count</th>
+              <th>Percentage</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${data.topTags.map(([tag, count]) => `
+              <tr>
+                <td>&lt;${tag}&gt;</td>
+                <td>${count}</td>
+                <td>${(count / data.totalElements * 100).toFixed(2)}%</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+
+    html = createDeepDive('struct',
+      `<strong>${data.totalElements}</strong> Nodes · <strong>${data.maxDepth}</strong> Depth · <strong>${data.topTags.length}</strong> Types`,
+      detailHtml,
+      { title: 'DOM Structure Analysis', search: true, export: true }
+    );
+  } else if (type === 'palette') {
+    const detailHtml = `
+      <div class="dive-section">
+        <div class="palette-group">
+          <strong>Text Colors (${data.text.length})</strong>
+          <div class="swatches">
+            ${data.text.map(c => `<div class="swatch" style="background:${c}" title="${c}" data-color="${c}"></div>`).join('')}
+          </div>
+        </div>
+      </div>
+      <div class="dive-section">
+        <div class="palette-group">
+          <strong>Background Colors (${data.backgrounds.length})</strong>
+          <div class="swatches">
+            ${data.backgrounds.map(c => `<div class="swatch" style="background:${c}" title="${c}" data-color="${c}"></div>`).join('')}
+          </div>
+        </div>
+      </div>
+      <div class="dive-section">
+        <div class="dive-section-header">
+          <h5>Color Distribution</h5>
+        </div>
+        <div class="stats-grid">
+          <div class="stat-card">
+            <span class="stat-value">${data.text.length + data.backgrounds.length}</span>
+            <span class="stat-label">Total Colors</span>
+          </div>
+          <div class="stat-card">
+            <span class="stat-value">${data.text.length}</span>
+            <span class="stat-label">Text</span>
+          </div>
+          <div class="stat-card">
+            <span class="stat-value">${data.backgrounds.length}</span>
+            <span class="stat-label">Backgrounds</span>
+          </div>
+        </div>
+      </div>
+    `;
+
+    html = createDeepDive('palette-dive',
+      `<strong>${data.text.length}</strong> Text · <strong>${data.backgrounds.length}</strong> Background · <strong>${data.text.length + data.backgrounds.length}</strong> Total`,
+      detailHtml,
+      { title: 'Color Palette', search: false, export: true }
+    );
+  } else if (type === 'assets') {
+    const detailHtml = `
+      <div class="stats-grid">
+        <div class="stat-card">
+          <span class="stat-value">${data.imageCount}</span>
+          <span class="stat-label">Images</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.svgs}</span>
+          <span class="stat-label">SVG</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.cssCount}</span>
+          <span class="stat-label">Stylesheets</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.jsCount || 0}</span>
+          <span class="stat-label">Scripts</span>
+        </div>
+      </div>
+      <div class="dive-section">
+        <div class="dive-section-header">
+          <h5>Resource Inventory</h5>
+        </div>
+        <div class="data-table-wrapper" style="max-height: 350px;">
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Type</th>
+                <th>Resource</th>
+                <th>Dimensions</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${data.images.slice(0, 50).map(img => `
+                <tr>
+                  <td><span class="metric-badge"><span class="icon">🖼️</span> IMG</span></td>
+                  <td style="font-size:10px; font-family: var(--mono-font);">${img.src.split('/').pop().slice(0, 40)}</td>
+                  <td><span class="metric-badge">${img.width}×${img.height}</span></td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    `;
+
+    html = createDeepDive('assets-overview',
+      `<strong>${data.imageCount + data.svgs}</strong> Images · <strong>${data.cssCount}</strong> CSS · <strong>${data.jsCount || 0}</strong> JS`,
+      detailHtml,
+      { title: 'Asset Analysis', search: true, export: true }
+    );
+  } else if (type === 'storage') {
+    const detailHtml = `
+      <div class="stats-grid">
+        <div class="stat-card">
+          <span class="stat-value">${data.lsSize} KB</span>
+          <span class="stat-label">LocalStorage</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.cookies}</span>
+          <span class="stat-label">Cookies</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.lsItems.length}</span>
+          <span class="stat-label">LS Items</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.ssItems.length}</span>
+          <span class="stat-label">SS Items</span>
+        </div>
+      </div>
+      <div class="dive-section">
+        <div class="dive-section-header">
+          <h5>LocalStorage</h5>
+        </div>
+        <div class="data-table-wrapper">
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Key</th>
+                <th>Value</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${data.lsItems.length > 0 ? data.lsItems.map(i => `
+                <tr>
+                  <td>${i.k}</td>
+                  <td style="max-width: 300px; overflow: hidden; text-overflow: ellipsis;">${i.v}</td>
+                </tr>
+              `).join('') : '<tr><td colspan="2" style="text-align: center; opacity: 0.5;">Empty</td></tr>'}
+            </tbody>
+          </table>
+        </div>
+      </div>
+      <div class="dive-section">
+        <div class="dive-section-header">
+          <h5>SessionStorage</h5>
+        </div>
+        <div class="data-table-wrapper">
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Key</th>
+                <th>Value</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${data.ssItems.length > 0 ? data.ssItems.map(i => `
+                <tr>
+                  <td>${i.k}</td>
+                  <td style="max-width: 300px; overflow: hidden; text-overflow: ellipsis;">${i.v}</td>
+                </tr>
+              `).join('') : '<tr><td colspan="2" style="text-align: center; opacity: 0.5;">Empty</td></tr>'}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    `;
+
+    html = createDeepDive('storage-dive',
+      `<span>LS: <strong>${data.lsSize} KB</strong></span> · <span>Cookies: <strong>${data.cookies}</strong></span> · <span>Items: <strong>${data.lsItems.length + data.ssItems.length}</strong></span>`,
+      detailHtml,
+      { title: 'Storage Analysis', search: true, export: true }
+    );
+  } else if (type === 'perf') {
+    const getLoadTimeColor = (ms) => {
+      if (ms < 1000) return 'severity-low';
+      if (ms < 3000) return 'severity-med';
+      return 'severity-high';
+    };
+
+    const detailHtml = `
+      <div class="stats-grid">
+        <div class="stat-card">
+          <span class="stat-value ${getLoadTimeColor(data.loadTime)}">${data.loadTime}ms</span>
+          <span class="stat-label">Load Time</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.domReady}ms</span>
+          <span class="stat-label">DOM Ready</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.resources.js}</span>
+          <span class="stat-label">JS Files</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.resources.img}</span>
+          <span class="stat-label">Images</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.resources.xhr}</span>
+          <span class="stat-label">XHR</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.resources.css || 0}</span>
+          <span class="stat-label">CSS</span>
+        </div>
+      </div>
+      <div class="dive-section">
+        <div class="dive-section-header">
+          <h5>Performance Timeline</h5>
+        </div>
+        <div class="chart-container">
+          <div class="bar-chart">
+            <div class="bar-chart-item">
+              <div class="bar-chart-label">DNS</div>
+              <div class="bar-chart-bar">
+                <div class="bar-chart-fill" style="width: ${Math.min((data.dns || 100) / 10, 100)}%">${data.dns || 'N/A'}</div>
+              </div>
+            </div>
+            <div class="bar-chart-item">
+              <div class="bar-chart-label">Connect</div>
+              <div class="bar-chart-bar">
+                <div class="bar-chart-fill" style="width: ${Math.min((data.connect || 200) / 10, 100)}%">${data.connect || 'N/A'}</div>
+              </div>
+            </div>
+            <div class="bar-chart-item">
+              <div class="bar-chart-label">DOM Ready</div>
+              <div class="bar-chart-bar">
+                <div class="bar-chart-fill" style="width: ${Math.min(data.domReady / 50, 100)}%">${data.domReady}ms</div>
+              </div>
+            </div>
+            <div class="bar-chart-item">
+              <div class="bar-chart-label">Load</div>
+              <div class="bar-chart-bar">
+                <div class="bar-chart-fill" style="width: ${Math.min(data.loadTime / 50, 100)}%; background: ${data.loadTime < 1000 ? 'linear-gradient(135deg, #10b981 0%, #059669 100%)' : 'linear-gradient(135deg, #f59e0b 0%, #d97706 100%)'}">${data.loadTime}ms</div>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    html = createDeepDive('perf-metrics',
+      `<span>Load: <span class="${getLoadTimeColor(data.loadTime)}">${data.loadTime}ms</span></span> · <span>DOM: <strong>${data.domReady}ms</strong></span> · <span>Resources: <strong>${data.resources.js + data.resources.img + data.resources.xhr}</strong></span>`,
+      detailHtml,
+      { title: 'Performance Metrics', search: false, export: true }
+    );
+  } else if (type === 'a11y') {
+    const totalFlaws = data.images.missingAlt.length + data.buttons.tooSmall.length + data.inputs.unlabelled.length;
+    const score = Math.max(0, 100 - (totalFlaws * 5));
+    const getScoreColor = (score) => {
+      if (score >= 80) return 'severity-low';
+      if (score >= 50) return 'severity-med';
+      return 'severity-high';
+    };
+
+    const detailHtml = `
+      <div class="stats-grid">
+        <div class="stat-card">
+          <span class="stat-value ${getScoreColor(score)}">${score}</span>
+          <span class="stat-label">A11y Score</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value ${totalFlaws > 0 ? 'severity-high' : 'severity-low'}">${totalFlaws}</span>
+          <span class="stat-label">Issues</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.images.missingAlt.length}</span>
+          <span class="stat-label">Missing Alt</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.buttons.tooSmall.length}</span>
+          <span class="stat-label">Small Buttons</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.inputs.unlabelled.length}</span>
+          <span class="stat-label">Unlabelled</span>
+        </div>
+      </div>
+      ${totalFlaws > 0 ? `
+        <div class="dive-section">
+          <div class="dive-section-header">
+            <h5>Accessibility Issues</h5>
+          </div>
+          <div class="data-table-wrapper">
+            <table class="data-table">
+              <thead>
+                <tr>
+                  <th>Severity</th>
+                  <th>Issue</th>
+                  <th>Element</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${data.images.missingAlt.map(img => `
+                  <tr>
+                    <td><span class="severity-high">HIGH</span></td>
+                    <td>Missing Alt Text</td>
+                    <td style="font-size:10px; font-family: var(--mono-font);">${img.src.split('/').pop().slice(0, 30)}</td>
+                  </tr>
+                `).join('')}
+                ${data.buttons.tooSmall.map(btn => `
+                  <tr>
+                    <td><span class="severity-med">MEDIUM</span></td>
+                    <td>Button Too Small</td>
+                    <td style="font-size:10px;">${btn.text || '(no text)'}</td>
+                  </tr>
+                `).join('')}
+                ${data.inputs.unlabelled.map(inp => `
+                  <tr>
+                    <td><span class="severity-med">MEDIUM</span></td>
+                    <td>Input Not Labelled</td>
+                    <td style="font-size:10px;">${inp.name || inp.type || 'input'}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ` : `
+        <div class="dive-section" style="text-align: center; padding: 40px;">
+          <div style="font-size: 48px; margin-bottom: 16px;">✓</div>
+          <div style="color: var(--success-color); font-size: 16px; font-weight: 700;">Accessibility Compliant</div>
+          <div style="color: var(--text-dim); margin-top: 8px;">No major issues detected</div>
+        </div>
+      `}
+    `;
+
+    html = createDeepDive('a11y-audit',
+      `<span>Score: <span class="${getScoreColor(score)}">${score}/100</span></span> · <span>Issues: <span class="${totalFlaws > 0 ? 'severity-high' : 'severity-low'}">${totalFlaws}</span></span>`,
+      detailHtml,
+      { title: 'Accessibility Audit', search: true, export: true }
+    );
+  } else if (type === 'seo') {
+    html = createDeepDive('seo-meta',
+      `<span>Title: <span style="font-size:9px; color:var(--accent-color)">${data.title}</span></span>`,
+      `<div class="stat-row"><span>Description</span> <span style="font-size:9px; color:var(--text-dim)">${data.description}</span></div>
+        <h5 style="margin-top:12px; font-size:10px; color:var(--accent-color)">Meta & Link Profile</h5>
+        <table class="data-table">
+          ${data.meta.map(m => `<tr><td>${m.name}</td><td>${m.content}</td></tr>`).join('')}
+          ${data.links.list.map(l => `<tr><td>LINK</td><td>${l.text}</td></tr>`).join('')}
+        </table>`
+    );
+  } else if (type === 'code') {
+    const extPct = Math.round((data.external / data.total) * 100) || 0;
+    html = createDeepDive('code-trace',
+      `<span>Total Scripts: <strong>${data.total}</strong></span> · <span>External: <strong>${extPct}%</strong></span>`,
+      `<div style="height:6px; display:flex; border-radius:2px; overflow:hidden; margin:8px 0; background:#333;">
+          <div style="width:${extPct}%; background:var(--accent-color);"></div>
+          <div style="width:${100 - extPct}%; background:orange;"></div>
+        </div>
+        <div style="flex:1; overflow-y:auto; background:rgba(0,0,0,0.2); border-radius:var(--radius); padding:10px;">
+          ${data.sources.map(s => `
+            <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:8px; border-bottom:1px solid #333; padding-bottom:6px;">
+              <div>
+                <div style="color:var(--accent-color); font-weight:bold; font-size:11px;">${s.host}</div>
+                <div style="opacity:0.5; font-size:9px;">${s.path}</div>
+              </div>
+              <span class="tag-badge" style="background:#222; margin:0;">JS</span>
+            </div>
+          `).join('')}
+        </div>`
+    );
+  } else if (type === 'net' || type === 'network') {
+    if (data.length === 0) {
+      html = '<div class="empty-state">No API traffic detected since page load. Use the 📡 Live Network Recorder for methods, headers, bodies and status codes.</div>';
+    } else {
+      html = createDeepDive('net-log',
+        `<span>Active Traffic: <strong>${data.length} Requests</strong></span>`,
+        `<div style="flex:1; overflow-y:auto; padding-right:4px;">
+            ${data.map(req => `
+              <div style="background:rgba(255,255,255,0.03); padding:10px; border-radius:var(--radius); margin-bottom:8px; border-left:3px solid ${req.type === 'FETCH' ? '#10b981' : '#6366f1'};">
+                <div style="display:flex; justify-content:space-between; align-items:flex-start; margin-bottom:6px;">
+                  <strong style="font-size:12px; color:#fff;">${req.name}</strong>
+                  <span class="tag-badge" style="background:#222; font-size:9px; border-color:#444;">${req.type}</span>
+                </div>
+                <div style="font-size:10px; opacity:0.6; word-break:break-all; margin-bottom:8px; font-family:var(--mono-font);">${req.url}</div>
+                <div style="display:flex; gap:12px; font-size:11px;">
+                  <span title="Duration">⏱️ ${req.duration}ms</span>
+                  <span title="Size">📦 ${req.size}</span>
+                  <span style="color:#4ade80" title="Status">✓ ${req.status}</span>
+                </div>
+              </div>
+            `).join('')}
+          </div>`
+      );
+    }
+  } else if (type === 'stack') {
+    html = createDeepDive('stack-tech',
+      `<strong>Detected Technologies:</strong>`,
+      `<div style="display:flex; flex-wrap:wrap; gap:8px; margin-top:10px;">
+          ${data.map(tech => `
+            <div class="tag-badge" style="background:var(--accent-color); color: white; padding: 4px 10px; font-size: 11px;">
+              ${tech}
+            </div>
+          `).join('')}
+        </div>`,
+      { title: 'Technology Stack', search: false, export: true }
+    );
+  } else if (type === 'psyche') {
+    const totalPatterns = data.darkPatterns.length + data.persuasionTechniques.length;
+    const loadScore = Math.max(0, 100 - Math.floor(data.cognitiveLoad / 10));
+
+    const detailHtml = `
+      <div class="stats-grid">
+        <div class="stat-card">
+          <span class="stat-value severity-${data.darkPatterns.length > 5 ? 'high' : data.darkPatterns.length > 2 ? 'med' : 'low'}">${data.darkPatterns.length}</span>
+          <span class="stat-label">Dark Patterns</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.persuasionTechniques.length}</span>
+          <span class="stat-label">Persuasion Tech.</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value severity-${loadScore < 50 ? 'high' : loadScore < 75 ? 'med' : 'low'}">${data.cognitiveLoad}</span>
+          <span class="stat-label">Cognitive Load</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.urgencySignals}</span>
+          <span class="stat-label">Urgency Signals</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.scarcity}</span>
+          <span class="stat-label">Scarcity</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.socialProof}</span>
+          <span class="stat-label">Social Proof</span>
+        </div>
+      </div>
+      ${data.darkPatterns.length > 0 ? `
+        <div class="dive-section">
+          <div class="dive-section-header">
+            <h5>⚠️ Dark Patterns Detected</h5>
+          </div>
+          <div class="data-table-wrapper">
+            <table class="data-table">
+              <thead>
+                <tr>
+                  <th>Pattern Type</th>
+                  <th>Trigger</th>
+                  <th>Severity</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${data.darkPatterns.map(p => `
+                  <tr>
+                    <td style="font-weight: 600; text-transform: capitalize;">${p.type.replace(/-/g, ' ')}</td>
+                    <td style="font-size: 11px;">"${p.trigger}"</td>
+                    <td><span class="severity-${p.severity}">${p.severity.toUpperCase()}</span></td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ` : ''}
+      <div class="dive-section">
+        <div class="dive-section-header">
+          <h5>Persuasion Techniques</h5>
+        </div>
+        ${data.persuasionTechniques.map(tech => `
+          <div class="data-row">
+            <span class="label">${tech.type.replace(/-/g, ' ')}</span>
+            <span class="value">${tech.instances} instances</span>
+          </div>
+        `).join('')}
+      </div>
+      ${data.attentionEngineering.length > 0 ? `
+        <div class="dive-section">
+          <div class="dive-section-header">
+            <h5>Attention Engineering</h5>
+          </div>
+          ${data.attentionEngineering.map(item => `
+            <div class="metric-badge">
+              <span class="icon">⚡</span>
+              ${item.type.replace(/-/g, ' ')}: ${item.count}
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+    `;
+
+    html = createDeepDive('psyche-analysis',
+      `<span>Patterns: <strong class="severity-${totalPatterns > 10 ? 'high' : totalPatterns > 5 ? 'med' : 'low'}">${totalPatterns}</strong></span> · <span>Load: <strong>${data.cognitiveLoad}</strong></span> · <span>Dark: <strong class="severity-${data.darkPatterns.length > 5 ? 'high' : data.darkPatterns.length > 2 ? 'med' : 'low'}">${data.darkPatterns.length}</strong></span>`,
+      detailHtml,
+      { title: 'Psychological Pattern Analysis', search: true, export: true }
+    );
+  } else if (type === 'archetype') {
+    const detailHtml = `
+      <div class="stats-grid">
+        ${data.primary ? `
+          <div class="stat-card">
+            <span class="stat-value">${data.primary.type.toUpperCase()}</span>
+            <span class="stat-label">Primary Archetype</span>
+          </div>
+        ` : ''}
+        ${data.secondary ? `
+          <div class="stat-card">
+            <span class="stat-value" style="font-size: 24px;">${data.secondary.type.toUpperCase()}</span>
+            <span class="stat-label">Secondary</span>
+          </div>
+        ` : ''}
+        ${data.tertiary ? `
+          <div class="stat-card">
+            <span class="stat-value" style="font-size: 20px;">${data.tertiary.type.toUpperCase()}</span>
+            <span class="stat-label">Tertiary</span>
+          </div>
+        ` : ''}
+      </div>
+      <div class="dive-section">
+        <div class="dive-section-header">
+          <h5>Brand Personality</h5>
+        </div>
+        <div style="padding: 20px; background: rgba(99, 102, 241, 0.1); border-radius: 12px; border: 1px solid rgba(99, 102, 241, 0.3); margin-bottom: 20px;">
+          <div style="font-size: 15px; font-weight: 600; color: var(--text-primary); margin-bottom: 8px;">
+            ${data.personality}
+          </div>
+        </div>
+      </div>
+      <div class="dive-section">
+        <div class="dive-section-header">
+          <h5>Archetype Scores</h5>
+        </div>
+        <div class="bar-chart">
+          ${Object.entries(data.allScores)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, 8)
+        .map(([archetype, score]) => {
+          const maxScore = Math.max(...Object.values(data.allScores));
+          const pct = (score / maxScore * 100).toFixed(1);
+          return `
+                <div class="bar-chart-item">
+                  <div class="bar-chart-label">${archetype.charAt(0).toUpperCase() + archetype.slice(1)}</div>
+                  <div class="bar-chart-bar">
+                    <div class="bar-chart-fill" style="width: ${pct}%">${score}</div>
+                  </div>
+                </div>
+              `;
+        }).join('')}
+        </div>
+      </div>
+      <div class="dive-section">
+        <div class="dive-section-header">
+          <h5>Dominant Colors</h5>
+        </div>
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
+          <div>
+            <strong style="font-size: 12px; color: var(--text-secondary); display: block; margin-bottom: 8px;">Backgrounds</strong>
+            <div class="swatches">
+              ${data.dominantColors.backgrounds.map(([color]) => `
+                <div class="swatch" style="background: ${color}" title="${color}" data-color="${color}"></div>
+              `).join('')}
+            </div>
+          </div>
+          <div>
+            <strong style="font-size: 12px; color: var(--text-secondary); display: block; margin-bottom: 8px;">Text</strong>
+            <div class="swatches">
+              ${data.dominantColors.text.map(([color]) => `
+                <div class="swatch" style="background: ${color}" title="${color}" data-color="${color}"></div>
+              `).join('')}
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    html = createDeepDive('archetype-analysis',
+      `<span>Primary: <strong>${data.primary ? data.primary.type.toUpperCase() : 'N/A'}</strong></span> · <span>Score: <strong>${data.primary ? data.primary.score : 0}</strong></span>`,
+      detailHtml,
+      { title: 'Brand Archetype Analysis', search: false, export: true }
+    );
+  } else if (type === 'soul') {
+    const authenticityScore = Math.max(0, Math.min(100, data.authenticity));
+    const humanScore = Math.round((data.humanCentered / Math.max(data.corporateness, 1)) * 100);
+
+    const detailHtml = `
+      <div class="stats-grid">
+        <div class="stat-card">
+          <span class="stat-value severity-${authenticityScore > 70 ? 'low' : authenticityScore > 40 ? 'med' : 'high'}">${authenticityScore}</span>
+          <span class="stat-label">Authenticity</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.transparencyScore}</span>
+          <span class="stat-label">Transparency</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.coherence}</span>
+          <span class="stat-label">Coherence</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.trustSignals}</span>
+          <span class="stat-label">Trust Signals</span>
+        </div>
+      </div>
+      <div class="dive-section">
+        <div class="dive-section-header">
+          <h5>Core Identity</h5>
+        </div>
+        <div class="data-row">
+          <span class="label">Primary Intention</span>
+          <span class="value">${data.intention}</span>
+        </div>
+        <div class="data-row">
+          <span class="label">Purpose</span>
+          <span class="value">${data.purpose}</span>
+        </div>
+        <div class="data-row">
+          <span class="label">Orientation</span>
+          <span class="value">${data.humanCentered > data.corporateness ? 'Human-Centered' : 'Corporate-Centered'}</span>
+        </div>
+      </div>
+      <div class="dive-section">
+        <div class="dive-section-header">
+          <h5>Human vs Corporate Balance</h5>
+        </div>
+        <div class="progress-bar">
+          <div class="progress-fill" style="width: ${humanScore}%; background: ${humanScore > 60 ? 'linear-gradient(90deg, #10b981 0%, #059669 100%)' : 'linear-gradient(90deg, #6366f1 0%, #8b5cf6 100%)'}"></div>
+        </div>
+        <div style="display: flex; justify-content: space-between; margin-top: 8px; font-size: 11px; color: var(--text-dim);">
+          <span>Corporate: ${data.corporateness}</span>
+          <span>Human: ${data.humanCentered}</span>
+        </div>
+      </div>
+    `;
+
+    html = createDeepDive('soul-analysis',
+      `<span>Authenticity: <strong class="severity-${authenticityScore > 70 ? 'low' : authenticityScore > 40 ? 'med' : 'high'}">${authenticityScore}</strong></span> · <span>Intent: <strong>${data.intention}</strong></span> · <span>Trust: <strong>${data.trustSignals}</strong></span>`,
+      detailHtml,
+      { title: 'Soul Analysis', search: false, export: true }
+    );
+  } else if (type === 'shadow') {
+    const shadowScore = data.deceptivePatterns.length + data.manipulativeDesign.length + (data.hiddenCosts ? 5 : 0);
+
+    const detailHtml = `
+      <div class="stats-grid">
+        <div class="stat-card">
+          <span class="stat-value severity-${shadowScore > 10 ? 'high' : shadowScore > 5 ? 'med' : 'low'}">${shadowScore}</span>
+          <span class="stat-label">Shadow Score</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.invisibleTrackers}</span>
+          <span class="stat-label">Trackers</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.deceptivePatterns.length}</span>
+          <span class="stat-label">Deceptive Patterns</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.hiddenElements.length}</span>
+          <span class="stat-label">Hidden Elements</span>
+        </div>
+      </div>
+      ${data.manipulativeDesign.length > 0 ? `
+        <div class="dive-section">
+          <div class="dive-section-header">
+            <h5>🎭 Manipulative Design</h5>
+          </div>
+          ${data.manipulativeDesign.map(design => `
+            <div class="metric-badge">
+              <span class="icon">⚠️</span>
+              ${design}
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+      ${data.deceptivePatterns.length > 0 ? `
+        <div class="dive-section">
+          <div class="dive-section-header">
+            <h5>Deceptive Patterns</h5>
+          </div>
+          <div class="data-table-wrapper">
+            <table class="data-table">
+              <thead>
+                <tr>
+                  <th>Pattern</th>
+                  <th>Element</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${data.deceptivePatterns.map(pattern => `
+                  <tr>
+                    <td>${pattern.type}</td>
+                    <td>${pattern.element}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ` : ''}
+      <div class="dive-section">
+        <div class="dive-section-header">
+          <h5>Data Collection</h5>
+        </div>
+        ${data.dataCollection.length > 0 ?
+        data.dataCollection.map(type => `
+            <div class="metric-badge">
+              ${type}
+            </div>
+          `).join('') :
+        '<div style="color: var(--text-dim); text-align: center; padding: 20px;">No explicit data collection detected</div>'
+      }
+      </div>
+      ${data.hiddenCosts ? `
+        <div style="padding: 16px; background: rgba(239, 68, 68, 0.1); border-radius: 12px; border: 1px solid rgba(239, 68, 68, 0.3); margin-top: 16px;">
+          <div style="font-weight: 600; color: var(--danger-color); margin-bottom: 4px;">⚠️ Hidden Costs Detected</div>
+          <div style="font-size: 12px; color: var(--text-secondary);">This site may contain hidden pricing or fees</div>
+        </div>
+      ` : ''}
+    `;
+
+    html = createDeepDive('shadow-analysis',
+      `<span>Shadow: <strong class="severity-${shadowScore > 10 ? 'high' : shadowScore > 5 ? 'med' : 'low'}">${shadowScore}</strong></span> · <span>Trackers: <strong>${data.invisibleTrackers}</strong></span> · <span>Deceptive: <strong>${data.deceptivePatterns.length}</strong></span>`,
+      detailHtml,
+      { title: 'Shadow Analysis', search: true, export: true }
+    );
+  } else if (type === 'rhetoric') {
+    const detailHtml = `
+      <div class="stats-grid">
+        <div class="stat-card">
+          <span class="stat-value">${data.readingLevel}</span>
+          <span class="stat-label">Reading Ease</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.wordCount}</span>
+          <span class="stat-label">Words</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${Math.round(data.avgSentenceLength)}</span>
+          <span class="stat-label">Avg Sentence</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.imperatives}</span>
+          <span class="stat-label">Commands</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.questions}</span>
+          <span class="stat-label">Questions</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.emotionalWords}</span>
+          <span class="stat-label">Emotional Words</span>
+        </div>
+      </div>
+      <div class="dive-section">
+        <div class="dive-section-header">
+          <h5>Linguistic Profile</h5>
+        </div>
+        <div class="data-row">
+          <span class="label">Tone</span>
+          <span class="value">${data.tone}</span>
+        </div>
+        <div class="data-row">
+          <span class="label">Command Density</span>
+          <span class="value">${((data.imperatives / data.wordCount) * 100).toFixed(2)}%</span>
+        </div>
+        <div class="data-row">
+          <span class="label">Question Density</span>
+          <span class="value">${((data.questions / data.wordCount) * 100).toFixed(2)}%</span>
+        </div>
+      </div>
+      ${data.rhetoricalDevices.length > 0 ? `
+        <div class="dive-section">
+          <div class="dive-section-header">
+            <h5>Rhetorical Devices</h5>
+          </div>
+          ${data.rhetoricalDevices.map(device => `
+            <div class="metric-badge">
+              ${device}
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+    `;
+
+    html = createDeepDive('rhetoric-analysis',
+      `<span>Tone: <strong>${data.tone}</strong></span> · <span>Reading: <strong>${data.readingLevel}</strong></span> · <span>Commands: <strong>${data.imperatives}</strong></span>`,
+      detailHtml,
+      { title: 'Rhetorical Analysis', search: false, export: true }
+    );
+  } else if (type === 'emotion') {
+    const detailHtml = `
+      <div class="dive-section">
+        <div class="dive-section-header">
+          <h5>Emotional Design Profile</h5>
+        </div>
+        <div class="data-row">
+          <span class="label">Typography Mood</span>
+          <span class="value">${data.typographyMood}</span>
+        </div>
+        <div class="data-row">
+          <span class="label">Visual Weight</span>
+          <span class="value">${data.visualWeight}</span>
+        </div>
+        <div class="data-row">
+          <span class="label">Emotional Intent</span>
+          <span class="value">${data.emotionalIntent}</span>
+        </div>
+      </div>
+      <div class="dive-section">
+        <div class="dive-section-header">
+          <h5>Spacing Psychology</h5>
+        </div>
+        <div class="stats-grid">
+          <div class="stat-card">
+            <span class="stat-value">${data.spacingAnalysis.avgPadding}px</span>
+            <span class="stat-label">Avg Padding</span>
+          </div>
+          <div class="stat-card">
+            <span class="stat-value">${data.spacingAnalysis.avgMargin}px</span>
+            <span class="stat-label">Avg Margin</span>
+          </div>
+        </div>
+        <div style="padding: 16px; background: rgba(99, 102, 241, 0.1); border-radius: 12px; border: 1px solid rgba(99, 102, 241, 0.3); margin-top: 12px;">
+          <div style="font-weight: 600; color: var(--text-primary); margin-bottom: 4px;">Feeling</div>
+          <div style="font-size: 13px; color: var(--text-secondary);">${data.spacingAnalysis.feeling}</div>
+        </div>
+      </div>
+      <div class="dive-section">
+        <div class="dive-section-header">
+          <h5>Color Psychology</h5>
+        </div>
+        ${Object.entries(data.colorPsychology).map(([color, emotion]) => `
+          <div class="data-row">
+            <span class="label" style="text-transform: capitalize;">${color}</span>
+            <span class="value">${emotion}</span>
+          </div>
+        `).join('')}
+      </div>
+      ${data.designPersonality.length > 0 ? `
+        <div class="dive-section">
+          <div class="dive-section-header">
+            <h5>Design Personality</h5>
+          </div>
+          ${data.designPersonality.map(trait => `
+            <div class="metric-badge">
+              ${trait}
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+    `;
+
+    html = createDeepDive('emotion-analysis',
+      `<span>Mood: <strong>${data.typographyMood}</strong></span> · <span>Intent: <strong>${data.emotionalIntent}</strong></span> · <span>Space: <strong>${data.spacingAnalysis.feeling}</strong></span>`,
+      detailHtml,
+      { title: 'Emotional Design Analysis', search: false, export: true }
+    );
+  } else if (type === 'strategy') {
+    const detailHtml = `
+      <div class="stats-grid">
+        <div class="stat-card">
+          <span class="stat-value ${data.cognitiveBurden > 70 ? 'severity-high' : 'severity-low'}">${data.cognitiveBurden}</span>
+          <span class="stat-label">Cognitive Burden</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.designSystem ? data.designSystem.detected.split(' ')[0] : 'N/A'}</span>
+          <span class="stat-label">Design System</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.visualTension ? data.visualTension.balance : 'N/A'}</span>
+          <span class="stat-label">Visual Balance</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${data.interactionFriction.score}</span>
+          <span class="stat-label">Friction Score</span>
+        </div>
+      </div>
+
+      <div class="dive-section">
+        <div class="dive-section-header">
+          <h5>Strategic Briefing</h5>
+        </div>
+        <div class="report-box" style="background: rgba(99, 102, 241, 0.05); padding: 15px; border-radius: 8px; border-left: 4px solid var(--accent-color);">
+          <div style="font-weight: 700; color: var(--accent-color); margin-bottom: 12px; font-size: 13px;">⚡ Remix Opportunity Matrix</div>
+          ${data.remixOpportunities.length > 0 ? data.remixOpportunities.map(opp => `
+            <div style="margin-bottom: 16px; padding-bottom: 12px; border-bottom: 1px solid rgba(255,255,255,0.05);">
+              <div style="font-size: 12px; font-weight: 700; color: #fff; margin-bottom: 4px;">${opp.target} <span style="font-weight:400; opacity: 0.6;">/// ${opp.type}</span></div>
+              <div style="font-size: 11px; opacity: 0.8; margin-bottom: 6px;">${opp.rationale}</div>
+              <div style="font-size: 11px; color: var(--accent-color); background: rgba(99, 102, 241, 0.1); padding: 6px 8px; border-radius: 4px; display: inline-block;">
+                <span style="font-weight: 700;">Action:</span> ${opp.action || 'Manual review required'}
+              </div>
+            </div>
+          `).join('') : '<div style="opacity: 0.5;">No critical optimization hooks detected.</div>'}
+        </div>
+      </div>
+
+      <div class="dive-section">
+        <div class="dive-section-header">
+          <h5>Deep Technical Forensics</h5>
+        </div>
+        <div class="data-row">
+            <span class="label">Design System</span>
+            <span class="value">${data.designSystem ? data.designSystem.detected : 'N/A'} (Cohesion: ${data.designSystem ? data.designSystem.cohesionScore : 0}%)</span>
+        </div>
+        ${data.visualTension ? `
+        <div class="data-row">
+            <span class="label">Visual Center of Gravity</span>
+            <span class="value">${data.visualTension.dominance}-Dominant</span>
+        </div>` : ''}
+        <div class="data-row">
+            <span class="label">Fitts's Law Compliance</span>
+            <span class="value">${data.neurodynamicFlow.fittsLawCompliance}%</span>
+        </div>
+        <div class="data-row">
+            <span class="label">Linguistic Anchors</span>
+            <span class="value">${data.linguisticAnchors.authorityAnchors} (Authority), ${data.linguisticAnchors.lossAversion} (Loss)</span>
+        </div>
+      </div>
+
+      ${data.competitorWeaknesses && data.competitorWeaknesses.length > 0 ? `
+      <div class="dive-section">
+         <div class="dive-section-header">
+           <h5 style="color: var(--danger-color);">Competitor Weaknesses (Exploit These)</h5>
+         </div>
+         <ul style="list-style: none; padding: 0; margin: 0;">
+           ${data.competitorWeaknesses.map(weakness => `
+             <li style="font-size: 11px; color: #ecaeb4; margin-bottom: 6px; padding-left: 12px; position: relative;">
+               <span style="position: absolute; left: 0; font-size: 8px; top: 3px;">🔴</span> ${weakness}
+             </li>
+           `).join('')}
+         </ul>
+      </div>` : ''}
+
+      <div class="dive-section" style="margin-top: 20px;">
+        <button id="visualize-strategy-btn" class="btn btn-primary btn-small" style="width: 100%;">
+          <span class="icon">👁️</span> Visualize On-Page Strategy
+        </button>
+      </div>
+    `;
+
+    html = createDeepDive('strategy-audit',
+      `<span>Burden: <strong class="${data.cognitiveBurden > 70 ? 'severity-high' : 'severity-low'}">${data.cognitiveBurden}</strong></span> · <span>Friction: <strong>${data.interactionFriction.score}</strong></span> · <span>Remix Hooks: <strong>${data.remixOpportunities.length}</strong></span>`,
+      detailHtml,
+      { title: 'Strategic Engineering Audit', search: false, export: true }
+    );
+  } else if (type === 'specimen') {
+    const detailHtml = `
+      <div class="specimen-container" style="background: var(--bg-secondary); padding: 20px; border-radius: 12px; border: 1px solid rgba(255,255,255,0.05);">
+        
+        <!-- Typography Section -->
+        <div class="specimen-section" style="margin-bottom: 30px;">
+          <h5 style="color: var(--accent-color); font-size: 10px; text-transform: uppercase; letter-spacing: 1px; margin-bottom: 15px;">Typography Specimens</h5>
+          ${data.fonts.map(font => `
+            <div style="margin-bottom: 20px; border-bottom: 1px solid rgba(255,255,255,0.03); padding-bottom: 15px;">
+              <div style="font-family: '${font}', sans-serif; font-size: 24px; color: var(--text-primary); margin-bottom: 4px;">
+                The quick brown fox jumps over the lazy dog.
+              </div>
+              <div style="font-size: 10px; color: var(--text-dim); font-family: var(--mono-font);">${font}</div>
+            </div>
+          `).join('')}
+        </div>
+
+        <!-- Color Palette Section -->
+        <div class="specimen-section" style="margin-bottom: 30px;">
+          <h5 style="color: var(--accent-color); font-size: 10px; text-transform: uppercase; letter-spacing: 1px; margin-bottom: 15px;">Brand Palette</h5>
+          <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 10px;">
+            ${data.colors.brand.map(color => `
+              <div class="swatch-card" style="cursor: pointer;" data-color="${color}">
+                <div style="height: 40px; background: ${color}; border-radius: 6px; border: 1px solid rgba(255,255,255,0.1); margin-bottom: 4px;"></div>
+                <div style="font-size: 9px; color: var(--text-dim); text-align: center; font-family: var(--mono-font);">${color}</div>
+              </div>
+            `).join('')}
+          </div>
+        </div>
+
+        <!-- Component Specimens -->
+        <div class="specimen-section">
+          <h5 style="color: var(--accent-color); font-size: 10px; text-transform: uppercase; letter-spacing: 1px; margin-bottom: 15px;">UI Components</h5>
+          <div style="display: flex; flex-wrap: wrap; gap: 15px;">
+            ${data.buttons.map(btn => `
+              <div style="padding: 10px; background: rgba(0,0,0,0.1); border-radius: 8px; border: 1px solid rgba(255,255,255,0.02); flex: 1; min-width: 120px; display: flex; flex-direction: column; align-items: center; justify-content: center;">
+                <button style="
+                  background: ${btn.bg};
+                  color: ${btn.color};
+                  border-radius: ${btn.radius};
+                  padding: ${btn.padding};
+                  border: none;
+                  font-family: '${btn.font}', sans-serif;
+                  font-size: 12px;
+                  margin-bottom: 10px;
+                  cursor: pointer;
+                ">${btn.text}</button>
+                <div style="font-size: 8px; color: var(--text-dim); text-align: center;">
+                  R: ${btn.radius} | P: ${btn.padding}
+                </div>
+              </div>
+            `).join('')}
+          </div>
+        </div>
+
+      </div>
+    `;
+
+    html = createDeepDive('brand-specimen',
+      `<span>Fonts: <strong>${data.fonts.length}</strong></span> · <span>Colors: <strong>${data.colors.brand.length}</strong></span> · <span>Btns: <strong>${data.buttons.length}</strong></span>`,
+      detailHtml,
+      { title: 'Brand Style Guide Specimen', search: false, export: true }
+    );
+  }
+
+  else if (type === 'omniscience') {
+    const detailHtml = `
+      <div style="background: linear-gradient(180deg, rgba(20,20,30,0.8) 0%, rgba(20,20,30,0.95) 100%); border-radius: 12px; padding: 20px; border: 1px solid rgba(99, 102, 241, 0.2);">
+        
+        <!-- Header -->
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 24px; border-bottom: 1px solid rgba(255,255,255,0.1); padding-bottom: 15px;">
+           <div>
+             <h4 style="margin: 0; font-size: 18px; color: #fff;">🧿 Omniscient Blueprint</h4>
+             <span style="font-size: 10px; color: var(--text-dim); font-family: var(--mono-font);">TARGET: ${data.domain.toUpperCase()}</span>
+           </div>
+           <div style="text-align: right;">
+             <div style="font-size: 24px; font-weight: 800; color: var(--accent-color);">${data.strategy.cognitiveBurden}</div>
+             <div style="font-size: 9px; text-transform: uppercase;">Cognitive Burden</div>
+           </div>
+        </div>
+
+        <!-- The 3 Pillars Grid -->
+        <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 15px; margin-bottom: 24px;">
+           
+           <!-- Pillar 1: Strategic (The Mind) -->
+           <div style="background: rgba(255,255,255,0.03); border-radius: 8px; padding: 12px; border: 1px solid rgba(255,255,255,0.05);">
+             <h5 style="color: #60a5fa; font-size: 11px; margin-bottom: 10px; text-transform: uppercase;">🧠 Strategic Mind</h5>
+             <div style="font-size: 10px; margin-bottom: 6px; display: flex; justify-content: space-between;">
+               <span>Design System</span>
+               <span style="color: #fff;">${data.strategy.designSystem ? data.strategy.designSystem.detected : 'N/A'}</span>
+             </div>
+             <div style="font-size: 10px; margin-bottom: 6px; display: flex; justify-content: space-between;">
+               <span>Friction</span>
+               <span style="color: ${data.strategy.interactionFriction.score > 50 ? '#f87171' : '#4ade80'}">${data.strategy.interactionFriction.score}/100</span>
+             </div>
+             <div style="font-size: 10px; display: flex; justify-content: space-between;">
+               <span>Opportunities</span>
+               <span style="color: #fff;">${data.strategy.remixOpportunities.length} Detected</span>
+             </div>
+           </div>
+
+           <!-- Pillar 2: Psyche (The Soul) -->
+           <div style="background: rgba(255,255,255,0.03); border-radius: 8px; padding: 12px; border: 1px solid rgba(255,255,255,0.05);">
+             <h5 style="color: #c084fc; font-size: 11px; margin-bottom: 10px; text-transform: uppercase;">👻 Psyche & Soul</h5>
+             <div style="font-size: 10px; margin-bottom: 6px; display: flex; justify-content: space-between;">
+               <span>Archetype</span>
+               <span style="color: #fff;">${data.archetype && data.archetype.primary ? data.archetype.primary.type : 'Unknown'}</span>
+             </div>
+             <div style="font-size: 10px; margin-bottom: 6px; display: flex; justify-content: space-between;">
+               <span>Tone</span>
+               <span style="color: #fff;">${data.rhetoric.tone}</span>
+             </div>
+             <div style="font-size: 10px; display: flex; justify-content: space-between;">
+               <span>Dark Patterns</span>
+               <span style="color: ${data.psyche.darkPatterns.length > 0 ? '#f87171' : '#4ade80'}">${data.psyche.darkPatterns.length}</span>
+             </div>
+           </div>
+
+           <!-- Pillar 3: Visual (The Body) -->
+           <div style="background: rgba(255,255,255,0.03); border-radius: 8px; padding: 12px; border: 1px solid rgba(255,255,255,0.05);">
+             <h5 style="color: #34d399; font-size: 11px; margin-bottom: 10px; text-transform: uppercase;">👁️ Visual Body</h5>
+             <div style="font-size: 10px; margin-bottom: 6px; display: flex; justify-content: space-between;">
+               <span>Palette</span>
+               <span style="display:flex; gap:2px;">
+                  ${data.specimen.colors.brand.slice(0, 3).map(c => `<span style="width:8px; height:8px; background:${c}; display:inline-block; border-radius:50%;"></span>`).join('')}
+               </span>
+             </div>
+             <div style="font-size: 10px; margin-bottom: 6px; display: flex; justify-content: space-between;">
+               <span>Balance</span>
+               <span style="color: #fff;">${data.strategy.visualTension ? data.strategy.visualTension.balance : 'N/A'}</span>
+             </div>
+             <div style="font-size: 10px; display: flex; justify-content: space-between;">
+               <span>Components</span>
+               <span style="color: #fff;">${data.specimen.buttons.length} Extracted</span>
+             </div>
+           </div>
+        </div>
+
+        <!-- Remix Matrix (The Action Plan) -->
+        <div style="margin-bottom: 20px;">
+          <h5 style="font-size: 10px; color: var(--text-dim); margin-bottom: 10px; text-transform: uppercase;">⚡ Remix Action Matrix</h5>
+          ${data.strategy.remixOpportunities.length > 0 ? data.strategy.remixOpportunities.map(opp => `
+             <div style="background: rgba(99, 102, 241, 0.1); border-left: 3px solid var(--accent-color); padding: 10px; margin-bottom: 8px; border-radius: 0 4px 4px 0;">
+                <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+                   <strong style="color: #fff; font-size: 11px;">${opp.target}</strong>
+                   <span style="font-size: 9px; opacity: 0.7; border: 1px solid rgba(255,255,255,0.2); padding: 1px 4px; border-radius: 4px;">${opp.type}</span>
+                </div>
+                <div style="font-size: 10px; color: var(--text-secondary); margin-bottom: 6px;">${opp.rationale}</div>
+                <div style="font-size: 10px; color: var(--accent-color); font-weight: 700;">👉 ${opp.action || 'Remix this element.'}</div>
+             </div>
+          `).join('') : '<div style="padding: 10px; text-align: center; color: var(--text-dim); font-size: 11px;">No critical remix opportunities detected. The canvas is blank.</div>'}
+        </div>
+
+        <!-- Specimen Strip -->
+        ${data.specimen ? `
+        <div>
+          <h5 style="font-size: 10px; color: var(--text-dim); margin-bottom: 10px; text-transform: uppercase;">🧬 DNA Specimen</h5>
+          <div style="display: flex; gap: 10px; overflow-x: auto; padding-bottom: 5px;">
+             ${data.specimen.fonts.slice(0, 3).map(f => `
+                <div style="background: #000; padding: 6px 10px; border-radius: 4px; border: 1px solid #333; font-size: 10px; white-space: nowrap;">Aa ${f}</div>
+             `).join('')}
+             ${data.specimen.colors.brand.slice(0, 5).map(c => `
+                <div style="background: ${c}; width: 24px; height: 24px; border-radius: 4px; border: 1px solid rgba(255,255,255,0.1);"></div>
+             `).join('')}
+          </div>
+        </div>` : ''}
+
+      </div>
+    `;
+
+    html = createDeepDive('omniscience-blueprint',
+      `<span>Burden: <strong>${data.strategy.cognitiveBurden}</strong></span> · <span>Actions: <strong>${data.strategy.remixOpportunities.length}</strong></span> · <span>Dark Patterns: <strong>${data.psyche.darkPatterns.length}</strong></span>`,
+      detailHtml,
+      { title: 'The Omniscient Blueprint', search: false, export: true }
+    );
+  }
+
+  content.innerHTML = html;
+
+  // Add search functionality
+  content.querySelectorAll('.search-box-inline').forEach(input => {
+    input.addEventListener('input', (e) => {
+      const searchTerm = e.target.value.toLowerCase();
+      const diveId = e.target.dataset.search;
+      const diveContent = document.querySelector(`[data-content="${diveId}"]`);
+
+      if (diveContent) {
+        const items = diveContent.querySelectorAll('tr, .data-row, .bar-chart-item');
+        items.forEach(item => {
+          const text = item.textContent.toLowerCase();
+          item.style.display = text.includes(searchTerm) ? '' : 'none';
+        });
+      }
+    });
+  });
+
+  // Add copy functionality
+  content.querySelectorAll('[data-action="copy"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const diveId = btn.dataset.dive;
+      const diveContent = document.querySelector(`[data-content="${diveId}"]`);
+      if (diveContent) {
+        const text = diveContent.innerText;
+        navigator.clipboard.writeText(text).then(() => {
+          showStatus('Copied to clipboard!', 'success');
+          btn.innerHTML = '✓ Copied';
+          setTimeout(() => {
+            btn.innerHTML = '📋 Copy';
+          }, 2000);
+        });
+      }
+    });
+  });
+
+  // Add export functionality
+  content.querySelectorAll('[data-action="export"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const diveId = btn.dataset.dive;
+      const diveContent = document.querySelector(`[data-content="${diveId}"]`);
+      if (diveContent) {
+        const text = diveContent.innerText;
+        const blob = new Blob([text], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${diveId}-data-${Date.now()}.txt`;
+        a.click();
+        URL.revokeObjectURL(url);
+        showStatus('Exported successfully!', 'success');
+      }
+    });
+  });
+
+  // Add color swatch click to copy
+  content.querySelectorAll('.swatch').forEach(swatch => {
+    swatch.addEventListener('click', () => {
+      const color = swatch.dataset.color || swatch.style.background;
+      navigator.clipboard.writeText(color).then(() => {
+        showStatus(`Copied ${color}`, 'success');
+      });
+    });
+  });
+
+  // Add table sorting
+  content.querySelectorAll('.data-table th').forEach((th, index) => {
+    th.addEventListener('click', () => {
+      const table = th.closest('table');
+      const tbody = table.querySelector('tbody');
+      const rows = Array.from(tbody.querySelectorAll('tr'));
+      const isNumeric = rows[0]?.cells[index]?.textContent.match(/^\\d+/);
+
+      rows.sort((a, b) => {
+        const aVal = a.cells[index]?.textContent || '';
+        const bVal = b.cells[index]?.textContent || '';
+
+        if (isNumeric) {
+          return parseFloat(bVal) - parseFloat(aVal);
+        }
+        return aVal.localeCompare(bVal);
+      });
+
+      rows.forEach(row => tbody.appendChild(row));
+      showStatus('Table sorted', 'info');
+    });
+  });
+
+  // Add Strategy Visualization button listener
+  const vizBtn = content.querySelector('#visualize-strategy-btn');
+  if (vizBtn) {
+    vizBtn.addEventListener('click', async () => {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tab) {
+        chrome.tabs.sendMessage(tab.id, { action: 'visualizeStrategy' });
+        showStatus('Strategic highlights active on page', 'info');
+      }
+    });
+  }
+}
+
+function renderD3Graph(rootData) {
+  const container = document.getElementById('d3-container');
+
+  const draw = () => {
+    container.innerHTML = '';
+    const rect = container.getBoundingClientRect();
+    if (rect.width < 10 || rect.height < 10) { setTimeout(draw, 50); return; }
+
+    const width = rect.width;
+    const height = rect.height;
+    const nodes = [];
+    const links = [];
+
+    function flatten(node, parentIndex = null) {
+      const i = nodes.length;
+      nodes.push({ id: i, name: node.name, class: node.class, r: Math.min(node.value * 2 + 5, 25) });
+      if (parentIndex !== null) links.push({ source: parentIndex, target: i });
+      if (node.children) node.children.forEach(c => flatten(c, i));
+    }
+    flatten(rootData);
+
+    const maxNodes = 600;
+    if (nodes.length > maxNodes) { nodes.length = maxNodes; links.length = maxNodes; }
+
+    const svg = d3.select("#d3-container").append("svg")
+      .attr("width", "100%").attr("height", "100%")
+      .attr("viewBox", `0 0 ${width} ${height}`).style("cursor", "move");
+
+    const g = svg.append("g");
+    svg.call(d3.zoom().on("zoom", ({ transform }) => g.attr("transform", transform)));
+
+    const simulation = d3.forceSimulation(nodes)
+      .force("link", d3.forceLink(links).id(d => d.id).distance(50))
+      .force("charge", d3.forceManyBody().strength(-80))
+      .force("center", d3.forceCenter(width / 2, height / 2))
+      .force("collide", d3.forceCollide().radius(d => d.r + 5));
+
+    const link = g.append("g").attr("stroke", "#475569").attr("stroke-opacity", 0.6)
+      .selectAll("line").data(links).join("line");
+
+    const node = g.append("g").selectAll("circle").data(nodes).join("circle")
+      .attr("r", d => d.r)
+      .attr("fill", d => d.name === 'div' ? '#667eea' : d.name === 'a' ? '#10b981' : d.name === 'img' ? '#f43f5e' : '#cbd5e1')
+      .call(d3.drag()
+        .on("start", (event, d) => { if (!event.active) simulation.alphaTarget(0.3).restart(); d.fx = d.x; d.fy = d.y; })
+        .on("drag", (event, d) => { d.fx = event.x; d.fy = event.y; })
+        .on("end", (event, d) => { if (!event.active) simulation.alphaTarget(0); d.fx = null; d.fy = null; }));
+
+    const label = g.append("g").selectAll("text").data(nodes).join("text")
+      .text(d => d.name).attr("font-size", "8px").attr("fill", "#fff")
+      .attr("text-anchor", "middle").style("pointer-events", "none");
+
+    simulation.on("tick", () => {
+      link.attr("x1", d => d.source.x).attr("y1", d => d.source.y).attr("x2", d => d.target.x).attr("y2", d => d.target.y);
+      node.attr("cx", d => d.x).attr("cy", d => d.y);
+      label.attr("x", d => d.x).attr("y", d => d.y + 3);
+    });
+  };
+  draw();
+}
+
+function renderSequenceDiagram(data) {
+  const content = document.getElementById('result-content');
+  const { actors, steps } = data;
+
+  let html = `<div class="sequence-viz">
+    <div class="sequence-actors">
+      ${actors.map(a => `<div class="actor"><span>${a}</span></div>`).join('')}
+    </div>
+    <div class="sequence-flow">`;
+
+  steps.forEach(step => {
+    const fromIdx = actors.indexOf(step.from);
+    const toIdx = actors.indexOf(step.to);
+    const left = Math.min(fromIdx, toIdx) * (100 / (actors.length - 1));
+    const width = Math.abs(toIdx - fromIdx) * (100 / (actors.length - 1));
+    const isReverse = toIdx < fromIdx;
+
+    html += `
+      <div class="sequence-step ${step.type}" style="left:${left}%; width:${width}%">
+        <div class="step-line ${isReverse ? 'reverse' : ''}"></div>
+        <div class="step-label" style="text-align:${isReverse ? 'right' : 'left'}">${step.label}</div>
+      </div>
+    `;
+  });
+
+  html += `</div></div>`;
+  content.innerHTML = html;
+}
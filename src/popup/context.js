@@ -0,0 +1,784 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Popup - Site Context
+// Site context extraction, scoring, caching and prompt building
+
+import { currentProject } from './state.js';
+import { runAnalysis } from './analyzers.js';
+
+// ============================================
+// SITE_CONTEXT AGGREGATION SYSTEM (Phase 2B)
+// ============================================
+
+/**
+ * Aggregate all analysis results into unified SITE_CONTEXT object
+ * This is the foundation for LLM-augmented code generation
+ */
+export async function extractSiteContext() {
+  showStatus('Extracting comprehensive site context...', 'info');
+
+  const startTime = Date.now();
+  const context = {
+    metadata: {
+      url: '',
+      timestamp: Date.now(),
+      extractionTime: 0,
+      qualityScore: 0
+    },
+    structure: null,
+    design: null,
+    tech: null,
+    code: null,
+    interactions: null,
+    psychology: null,
+    performance: null,
+    quality: null
+  };
+
+  try {
+    // Get current tab URL
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    context.metadata.url = tab.url;
+
+    // Run all analyses in parallel (except content.js ones)
+    const analyses = [
+      runAnalysis('structure'),
+      runAnalysis('palette'),
+      runAnalysis('stack'),
+      runAnalysis('code'),
+      runAnalysis('perf'),
+      runAnalysis('a11y'),
+      runAnalysis('seo')
+    ];
+
+    // Wait for completion (analyses will populate window.SITE_CONTEXT)
+    await Promise.all(analyses);
+
+    // Small delay to ensure all data is captured
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    // Aggregate from window.SITE_CONTEXT
+    const raw = window.SITE_CONTEXT || {};
+
+    // STRUCTURE: DOM analysis
+    if (raw.structure) {
+      context.structure = {
+        totalNodes: raw.structure.totalElements || 0,
+        maxDepth: raw.structure.maxDepth || 0,
+        tagDistribution: Object.fromEntries((raw.structure.topTags || []).slice(0, 20)),
+        title: raw.structure.title || '',
+        description: raw.structure.description || ''
+      };
+    }
+
+    // DESIGN: Visual design system
+    if (raw.palette) {
+      context.design = {
+        colorPalette: [...(raw.palette.text || []), ...(raw.palette.backgrounds || [])],
+        typography: {
+          fonts: [] // Will be populated from additional scans
+        }
+      };
+    }
+
+    // TECH STACK
+    if (raw.stack) {
+      context.tech = {
+        frameworks: Array.isArray(raw.stack) ? raw.stack : [],
+        libraries: []
+      };
+    }
+
+    // CODE PATTERNS
+    if (raw.code) {
+      context.code = {
+        totalScripts: raw.code.total || 0,
+        externalScripts: raw.code.external || 0,
+        inlineScripts: raw.code.inline || 0,
+        modules: raw.code.modules || 0,
+        async: raw.code.async || 0,
+        defer: raw.code.defer || 0,
+        sources: (raw.code.sources || []).map(s => s.host).slice(0, 20)
+      };
+    }
+
+    // INTERACTIONS: Forms, CTAs, Navigation (from SEO links)
+    if (raw.seo && raw.seo.links) {
+      context.interactions = {
+        totalLinks: raw.seo.links.total || 0,
+        internalLinks: raw.seo.links.internal || 0,
+        externalLinks: raw.seo.links.external || 0,
+        headingStructure: raw.seo.headings || {}
+      };
+    }
+
+    // PSYCHOLOGY: Dark patterns, persuasion (from psyche scan)
+    if (raw.psyche) {
+      context.psychology = {
+        darkPatterns: (raw.psyche.darkPatterns || []).map(p => p.type),
+        persuasionTechniques: raw.psyche.persuasionTechniques || [],
+        cognitiveLoad: raw.psyche.cognitiveLoad || 0,
+        urgencySignals: raw.psyche.urgencySignals || 0,
+        socialProof: raw.psyche.socialProof || 0,
+        scarcity: raw.psyche.scarcity || 0
+      };
+    }
+
+    // PERFORMANCE
+    if (raw.perf) {
+      context.performance = {
+        loadTime: raw.perf.loadTime || 0,
+        domReady: raw.perf.domReady || 0,
+        resources: raw.perf.resources || {}
+      };
+    }
+
+    // QUALITY: A11y & SEO
+    if (raw.a11y && raw.seo) {
+      context.quality = {
+        a11yIssues: {
+          missingAlt: (raw.a11y.missingAlt || []).length,
+          smallButtons: (raw.a11y.smallButtons || []).length,
+          unlabelledInputs: (raw.a11y.unlabelled || []).length
+        },
+        seoData: {
+          title: raw.seo.title || '',
+          description: raw.seo.description || '',
+          lang: raw.seo.lang || 'en'
+        }
+      };
+    }
+
+    // Calculate extraction time
+    context.metadata.extractionTime = Date.now() - startTime;
+
+    // Calculate quality score
+    context.metadata.qualityScore = calculateContextQuality(context);
+
+    // Cache to Chrome storage
+    await cacheContext(context);
+
+    // Display results
+    displayContextExtraction(context);
+
+    showStatus(`Context extracted (Quality: ${context.metadata.qualityScore}%)`, 'success');
+
+    return context;
+
+  } catch (error) {
+    console.error('Context extraction error:', error);
+    showStatus('Context extraction failed: ' + error.message, 'error');
+    return null;
+  }
+}
+
+/**
+ * Calculate context quality score (0-100)
+ * Based on completeness of extracted data
+ */
+function calculateContextQuality(context) {
+  let score = 0;
+  let maxScore = 0;
+
+  // Structure (20 points)
+  maxScore += 20;
+  if (context.structure) {
+    if (context.structure.totalNodes > 0) score += 10;
+    if (context.structure.maxDepth > 0) score += 5;
+    if (Object.keys(context.structure.tagDistribution || {}).length > 0) score += 5;
+  }
+
+  // Design (15 points)
+  maxScore += 15;
+  if (context.design) {
+    if ((context.design.colorPalette || []).length > 0) score += 10;
+    if ((context.design.typography?.fonts || []).length > 0) score += 5;
+  }
+
+  // Tech Stack (10 points)
+  maxScore += 10;
+  if (context.tech && (context.tech.frameworks || []).length > 0) {
+    score += 10;
+  }
+
+  // Code Patterns (15 points)
+  maxScore += 15;
+  if (context.code) {
+    if (context.code.totalScripts > 0) score += 10;
+    if ((context.code.sources || []).length > 0) score += 5;
+  }
+
+  // Interactions (10 points)
+  maxScore += 10;
+  if (context.interactions && context.interactions.totalLinks > 0) {
+    score += 10;
+  }
+
+  // Psychology (10 points)
+  maxScore += 10;
+  if (context.psychology) {
+    if ((context.psychology.darkPatterns || []).length > 0) score += 5;
+    if ((context.psychology.persuasionTechniques || []).length > 0) score += 5;
+  }
+
+  // Performance (10 points)
+  maxScore += 10;
+  if (context.performance && context.performance.loadTime > 0) {
+    score += 10;
+  }
+
+  // Quality (10 points)
+  maxScore += 10;
+  if (context.quality) {
+    if (context.quality.a11yIssues) score += 5;
+    if (context.quality.seoData) score += 5;
+  }
+
+  return Math.round((score / maxScore) * 100);
+}
+
+/**
+ * Compress context for LLM (target: <4000 tokens)
+ * Prioritizes most valuable data for code generation
+ */
+function compressContextForLLM(context) {
+  const compressed = {
+    url: context.metadata.url,
+    // Structure (essential)
+    structure: {
+      nodes: context.structure?.totalNodes || 0,
+      depth: context.structure?.maxDepth || 0,
+      topTags: Object.entries(context.structure?.tagDistribution || {}).slice(0, 10).map(([tag, count]) => `${tag}:${count}`)
+    },
+    // Design (essential)
+    colors: (context.design?.colorPalette || []).slice(0, 8),
+    // Tech (essential for context)
+    tech: (context.tech?.frameworks || []).join(', '),
+    // Code (important patterns)
+    scripts: {
+      total: context.code?.totalScripts || 0,
+      external: context.code?.externalScripts || 0,
+      hosts: (context.code?.sources || []).slice(0, 5)
+    },
+    // Psychology (key patterns only)
+    patterns: {
+      dark: (context.psychology?.darkPatterns || []).slice(0, 5),
+      persuasion: (context.psychology?.persuasionTechniques || []).slice(0, 5)
+    },
+    // Quality indicators
+    quality: context.metadata.qualityScore
+  };
+
+  return compressed;
+}
+
+/**
+ * Generate LLM system prompt with context injection
+ */
+export function generateLLMPrompt(context, userRequest) {
+  const compressed = compressContextForLLM(context);
+
+  const prompt = `You are an expert Chrome Extension developer with deep knowledge of the target website.
+
+## SITE CONTEXT (Reverse-Engineered)
+URL: ${compressed.url}
+Quality Score: ${compressed.quality}%
+
+### Structure
+- DOM Nodes: ${compressed.structure.nodes}
+- Max Depth: ${compressed.structure.depth}
+- Top Elements: ${compressed.structure.topTags.join(', ')}
+
+### Visual Design
+- Color Palette: ${compressed.colors.join(', ')}
+
+### Technology Stack
+${compressed.tech || 'Unknown/Custom'}
+
+### Code Patterns
+- Total Scripts: ${compressed.scripts.total} (${compressed.scripts.external} external)
+- Script Hosts: ${compressed.scripts.hosts.join(', ')}
+
+### Psychological Patterns
+${compressed.patterns.dark.length > 0 ? `- Dark Patterns: ${compressed.patterns.dark.join(', ')}` : ''}
+${compressed.patterns.persuasion.length > 0 ? `- Persuasion: ${compressed.patterns.persuasion.join(', ')}` : ''}
+
+---
+
+## USER REQUEST
+${userRequest}
+
+## YOUR TASK
+Generate a Chrome Extension (Manifest V3) that addresses the user's request while respecting the site's structure and patterns identified above. Provide complete, production-ready code.`;
+
+  return prompt;
+}
+
+/**
+ * Cache context to Chrome storage for reuse
+ */
+async function cacheContext(context) {
+  try {
+    const cacheKey = `context_${new URL(context.metadata.url).hostname}`;
+    await chrome.storage.local.set({
+      [cacheKey]: {
+        data: context,
+        timestamp: Date.now()
+      }
+    });
+    console.log('Context cached:', cacheKey);
+  } catch (error) {
+    console.error('Context caching error:', error);
+  }
+}
+
+/**
+ * Retrieve cached context
+ */
+export async function getCachedContext(url) {
+  try {
+    const cacheKey = `context_${new URL(url).hostname}`;
+    const result = await chrome.storage.local.get(cacheKey);
+
+    if (result[cacheKey]) {
+      const cached = result[cacheKey];
+      const age = Date.now() - cached.timestamp;
+
+      // Cache valid for 1 hour
+      if (age < 3600000) {
+        return cached.data;
+      }
+    }
+
+    return null;
+  } catch (error) {
+    console.error('Context retrieval error:', error);
+    return null;
+  }
+}
+
+/**
+ * Retrieve the cached context for the active tab, if any
+ */
+export async function getActiveTabContext() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.url || !/^https?:/.test(tab.url)) return null;
+  return getCachedContext(tab.url);
+}
+
+/**
+ * Fingerprint the parts of a context that shape generated code.
+ * Metadata such as timing and quality score is left out so re-extracting an
+ * unchanged site produces the same fingerprint.
+ */
+function fingerprintContext(context) {
+  const { url, quality, ...signal } = compressContextForLLM(context);
+  return hashString(JSON.stringify(signal));
+}
+
+/**
+ * Record which context snapshot produced a project
+ */
+export function createContextSnapshot(context) {
+  return {
+    url: context.metadata.url,
+    host: new URL(context.metadata.url).hostname,
+    extractedAt: context.metadata.timestamp,
+    qualityScore: context.metadata.qualityScore,
+    fingerprint: fingerprintContext(context),
+    summary: compressContextForLLM(context)
+  };
+}
+
+/**
+ * Show which site context the Builder will use, and flag projects whose
+ * source site has changed since they were generated
+ */
+export async function updateBuilderContextStatus() {
+  const status = document.getElementById('builder-context-status');
+  const regenerateBtn = document.getElementById('regenerate-btn');
+  if (!status || !regenerateBtn) return;
+
+  status.classList.remove('drifted');
+  regenerateBtn.classList.toggle('regenerate-btn-hidden', !currentProject?.generation);
+
+  const snapshot = currentProject?.generation?.context;
+  if (snapshot) {
+    const latest = await getCachedContext(snapshot.url);
+    if (latest && fingerprintContext(latest) !== snapshot.fingerprint) {
+      status.textContent = `⚠️ ${snapshot.host} has changed since this project was generated`;
+      status.classList.add('drifted');
+    } else {
+      status.textContent = `Generated from ${snapshot.host} context (${new Date(snapshot.extractedAt).toLocaleString()})`;
+    }
+    return;
+  }
+
+  const context = await getActiveTabContext();
+  status.textContent = context
+    ? `Using ${new URL(context.metadata.url).hostname} context (quality ${context.metadata.qualityScore}%)`
+    : 'No site context cached - run 🔮 in the Inspector to ground generation';
+}
+
+/**
+ * Display context extraction results
+ */
+function displayContextExtraction(context) {
+  const container = document.getElementById('analysis-results');
+  const content = document.getElementById('result-content');
+  const title = document.getElementById('result-title');
+
+  container.style.display = 'flex';
+  content.style.display = 'block';
+  title.textContent = 'SITE_CONTEXT Extraction';
+
+  const qualityClass = context.metadata.qualityScore >= 80 ? 'success' :
+    context.metadata.qualityScore >= 60 ? 'warning' : 'error';
+
+  const html = `
+    <div class="analysis-item">
+      <div class="analysis-header">
+        <div class="header-metrics">
+          <span>Quality Score: <strong style="color: ${qualityClass === 'success' ? '#10b981' : qualityClass === 'warning' ? '#f59e0b' : '#ef4444'}">${context.metadata.qualityScore}%</strong></span>
+          <span>Extraction Time: <strong>${(context.metadata.extractionTime / 1000).toFixed(2)}s</strong></span>
+        </div>
+        <div class="dive-actions">
+          <button class="dive-btn" data-action="copy-llm-prompt">Copy LLM Prompt</button>
+          <button class="dive-btn" data-action="export" data-dive="context">Export</button>
+        </div>
+      </div>
+
+      <div class="dive-content">
+        <div class="stats-grid" style="grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));">
+          <div class="stat-card">
+            <span class="stat-value">${context.structure?.totalNodes || 0}</span>
+            <span class="stat-label">DOM Nodes</span>
+          </div>
+          <div class="stat-card">
+            <span class="stat-value">${(context.design?.colorPalette || []).length}</span>
+            <span class="stat-label">Colors</span>
+          </div>
+          <div class="stat-card">
+            <span class="stat-value">${(context.tech?.frameworks || []).length}</span>
+            <span class="stat-label">Frameworks</span>
+          </div>
+          <div class="stat-card">
+            <span class="stat-value">${context.code?.totalScripts || 0}</span>
+            <span class="stat-label">Scripts</span>
+          </div>
+          <div class="stat-card">
+            <span class="stat-value">${context.performance?.loadTime || 0}ms</span>
+            <span class="stat-label">Load Time</span>
+          </div>
+          <div class="stat-card">
+            <span class="stat-value">${(context.psychology?.darkPatterns || []).length}</span>
+            <span class="stat-label">Dark Patterns</span>
+          </div>
+        </div>
+
+        ${context.metadata.qualityScore < 80 ? `
+          <div class="dive-section" style="background: rgba(245, 158, 11, 0.1); border-left: 3px solid #f59e0b; padding: 12px; margin-top: 16px;">
+            <h5 style="color: #f59e0b; font-size: 11px; margin-bottom: 8px;">⚠️ Quality Warning</h5>
+            <p style="font-size: 10px; color: var(--text-secondary); margin: 0;">
+              Context quality is below optimal (${context.metadata.qualityScore}%). Run additional scans (Psyche, Network, Archetype) to improve context richness for LLM generation.
+            </p>
+          </div>
+        ` : ''}
+
+        <div class="dive-section" style="margin-top: 16px;">
+          <h5 style="color: var(--accent-color); font-size: 11px; margin-bottom: 10px;">📋 Extracted Context Summary</h5>
+          <table class="data-table" style="font-size: 10px;">
+            <tr>
+              <td><strong>Structure</strong></td>
+              <td>${context.structure?.totalNodes || 0} nodes, ${context.structure?.maxDepth || 0} depth</td>
+            </tr>
+            <tr>
+              <td><strong>Tech Stack</strong></td>
+              <td>${(context.tech?.frameworks || []).join(', ') || 'Unknown'}</td>
+            </tr>
+            <tr>
+              <td><strong>Code</strong></td>
+              <td>${context.code?.totalScripts || 0} scripts (${context.code?.externalScripts || 0} external)</td>
+            </tr>
+            <tr>
+              <td><strong>Performance</strong></td>
+              <td>${context.performance?.loadTime || 0}ms load, ${context.performance?.domReady || 0}ms DOM ready</td>
+            </tr>
+            <tr>
+              <td><strong>SEO</strong></td>
+              <td>${context.quality?.seoData?.title?.substring(0, 40) || 'N/A'}...</td>
+            </tr>
+          </table>
+        </div>
+
+        <div class="dive-section" style="margin-top: 16px; background: rgba(102, 126, 234, 0.05); padding: 12px; border-radius: 8px;">
+          <h5 style="color: #667eea; font-size: 11px; margin-bottom: 8px;">🤖 Ready for LLM Integration</h5>
+          <p style="font-size: 10px; color: var(--text-secondary); margin: 0;">
+            This context can be injected into LLM prompts (GPT-4, Claude) to generate site-specific Chrome Extensions. 
+            The compressed context is ~${Math.round(JSON.stringify(compressContextForLLM(context)).length / 4)} tokens.
+          </p>
+        </div>
+      </div>
+    </div>
+  `;
+
+  content.innerHTML = html;
+
+  // Store context globally for prompt generation
+  window.EXTRACTED_CONTEXT = context;
+
+  // Add event listener for LLM prompt copy
+  document.querySelector('[data-action="copy-llm-prompt"]')?.addEventListener('click', () => {
+    const userRequest = prompt('What extension feature do you want to build?', 'Block ads and distracting elements');
+    if (userRequest) {
+      const llmPrompt = generateLLMPrompt(context, userRequest);
+      navigator.clipboard.writeText(llmPrompt);
+      showStatus('LLM prompt copied! Paste into ChatGPT/Claude', 'success');
+    }
+  });
+}
+
+// Show status message in the professional status bar
+// Status message handled by utils.js via showStatus()
+
+// ============================================
+// EXTRACTION RESULTS DISPLAY
+// ============================================
+
+export function displayExtractionResults(extraction) {
+  const resultContent = document.getElementById('result-content');
+  if (!resultContent) return;
+
+  // Store globally for other actions
+  window.lastExtraction = extraction;
+
+  const html = `
+    <div class="extraction-results">
+      <div class="extraction-section">
+        <h4>🌐 Website Metadata</h4>
+        <div class="metadata-grid">
+          <div><strong>URL:</strong> ${extraction.metadata.url}</div>
+          <div><strong>Domain:</strong> ${extraction.metadata.domain}</div>
+          <div><strong>Viewport:</strong> ${extraction.metadata.viewport.width}x${extraction.metadata.viewport.height}</div>
+          <div><strong>Extracted:</strong> ${new Date(extraction.metadata.timestamp).toLocaleString()}</div>
+        </div>
+      </div>
+
+      <div class="extraction-section">
+        <h4>⚛️ Frameworks Detected</h4>
+        ${extraction.frameworks.detected.length > 0 ? `
+          <ul class="framework-list">
+            ${extraction.frameworks.detected.map(fw => `
+              <li><strong>${fw}</strong> ${extraction.frameworks.versions[fw] ? `v${extraction.frameworks.versions[fw]}` : ''}</li>
+            `).join('')}
+          </ul>
+        ` : '<p class="empty">No frameworks detected</p>'}
+      </div>
+
+      <div class="extraction-section">
+        <h4>🗄️ State Management</h4>
+        <div class="state-info">
+          ${extraction.stateManagement.redux ? '<div>✓ Redux detected</div>' : ''}
+          ${extraction.stateManagement.vuex ? '<div>✓ Vuex detected</div>' : ''}
+          ${extraction.stateManagement.mobx ? '<div>✓ MobX detected</div>' : ''}
+          ${!extraction.stateManagement.redux && !extraction.stateManagement.vuex && !extraction.stateManagement.mobx ?
+      '<p class="empty">No state management detected</p>' : ''}
+        </div>
+      </div>
+
+      <div class="extraction-section">
+        <h4>🌍 Global Variables</h4>
+        <div class="globals-count">
+          Found ${Object.keys(extraction.globalVariables).length} custom global variables
+        </div>
+        <button id="copy-globals-btn" class="btn btn-small btn-secondary">
+          Copy Globals JSON
+        </button>
+      </div>
+
+      <div class="extraction-section">
+        <h4>💾 Storage</h4>
+        <div class="storage-grid">
+          <div><strong>localStorage:</strong> ${Object.keys(extraction.storage.localStorage).length} items</div>
+          <div><strong>sessionStorage:</strong> ${Object.keys(extraction.storage.sessionStorage).length} items</div>
+          <div><strong>Cookies:</strong> ${Object.keys(extraction.storage.cookies).length} cookies</div>
+        </div>
+      </div>
+
+      <div class="extraction-section">
+        <h4>🎯 Custom Elements</h4>
+        ${extraction.customElements.length > 0 ? `
+          <div class="custom-elements-count">${extraction.customElements.length} Web Components found</div>
+        ` : '<p class="empty">No custom elements detected</p>'}
+      </div>
+
+      <div class="extraction-actions">
+        <button id="download-json-btn" class="btn btn-primary">
+          📥 Download Complete Extraction (JSON)
+        </button>
+        <button id="download-ai-btn" class="btn btn-secondary">
+          🤖 Download AI Context (Markdown)
+        </button>
+        <button id="copy-all-btn" class="btn btn-secondary">
+          📋 Copy to Clipboard
+        </button>
+      </div>
+    </div>
+  `;
+
+  resultContent.innerHTML = html;
+
+  // Add Event Listeners (Safe approach)
+  document.getElementById('copy-globals-btn')?.addEventListener('click', () => {
+    copyToClipboard(JSON.stringify(extraction.globalVariables, null, 2));
+  });
+
+  document.getElementById('download-json-btn')?.addEventListener('click', () => {
+    downloadExtraction();
+  });
+
+  document.getElementById('download-ai-btn')?.addEventListener('click', () => {
+    downloadAIContext();
+  });
+
+  document.getElementById('copy-all-btn')?.addEventListener('click', () => {
+    copyToClipboard(JSON.stringify(extraction, null, 2));
+  });
+}
+
+
+export function generateAIContext(extraction) {
+  const md = `# Website Analysis Context
+**Generated by ReMixr** | ${new Date().toLocaleString()}
+
+## Overview
+- **URL:** ${extraction.metadata.url}
+- **Domain:** ${extraction.metadata.domain}
+- **User Agent:** ${extraction.metadata.userAgent}
+- **Viewport:** ${extraction.metadata.viewport.width}x${extraction.metadata.viewport.height}
+
+## Frameworks & Libraries
+${extraction.frameworks.detected.length > 0 ? extraction.frameworks.detected.map(fw =>
+    `- **${fw}** ${extraction.frameworks.versions[fw] ? `(v${extraction.frameworks.versions[fw]})` : ''}`
+  ).join('\n') : '_No frameworks detected_'}
+
+## State Management
+${extraction.stateManagement.redux ? '- Redux: Detected\n' : ''}${extraction.stateManagement.vuex ? '- Vuex: Detected\n' : ''}${extraction.stateManagement.mobx ? '- MobX: Detected\n' : ''}${!extraction.stateManagement.redux && !extraction.stateManagement.vuex && !extraction.stateManagement.mobx ? '_No state management detected_' : ''}
+
+## Global Variables
+Found ${Object.keys(extraction.globalVariables).length} custom global variables:
+
+\`\`\`javascript
+${Object.keys(extraction.globalVariables).slice(0, 20).map(key =>
+    `window.${key} // ${extraction.globalVariables[key].type}`
+  ).join('\n')}
+\`\`\`
+
+## Storage
+- **localStorage:** ${Object.keys(extraction.storage.localStorage).length} items
+- **sessionStorage:** ${Object.keys(extraction.storage.sessionStorage).length} items
+- **Cookies:** ${Object.keys(extraction.storage.cookies).length} cookies
+
+## API Endpoints
+${extraction.apiEndpoints.detected.length > 0 ?
+      extraction.apiEndpoints.detected.slice(0, 10).map(url => `- ${url}`).join('\n') :
+      '_No API endpoints detected_'}
+
+${extraction.apiEndpoints.baseUrl ? `\n**Base URL:** ${extraction.apiEndpoints.baseUrl}\n` : ''}${extraction.apiEndpoints.graphql ? '**GraphQL:** Detected\n' : ''}
+
+## DOM Structure
+- **Total Elements:** ${countDOMElements(extraction.domTree)}
+- **Custom Elements:** ${extraction.customElements.length}
+
+## Computed Styles (Key Elements)
+\`\`\`css
+${Object.entries(extraction.computedStyles).map(([selector, styles]) =>
+        `${selector} {\n${Object.entries(styles).map(([prop, value]) => `  ${prop}: ${value};`).join('\n')}\n}`
+      ).join('\n\n')}
+\`\`\`
+
+## Data Attributes
+Found ${Object.keys(extraction.dataAttributes).length} elements with data attributes.
+
+## Prototype Chain
+${Object.entries(extraction.prototypes).map(([name, methods]) =>
+        `### ${name}\nMethods: ${methods.length}`
+      ).join('\n\n')}
+
+---
+
+## Complete Extraction Data
+
+For the full extraction data including component trees, event listeners, and deep object introspection, see the accompanying JSON file.
+
+### Usage with AI Assistants
+
+This context provides a comprehensive overview of the website's architecture, frameworks, and object model. Use this information to:
+
+1. **Understand the tech stack** and make informed decisions about integration
+2. **Identify state management patterns** for data flow analysis
+3. **Discover available APIs** and global objects for extension development
+4. **Analyze the DOM structure** for scraping or automation
+5. **Extract design tokens** from computed styles
+
+### Next Steps
+
+1. Review the frameworks and versions to ensure compatibility
+2. Examine the global variables for potential integration points
+3. Analyze the API endpoints for data access patterns
+4. Study the component trees (if available) for architecture insights
+5. Use the complete JSON extraction for deep analysis
+
+---
+
+*Generated by ReMixr - The Meta-Extension Builder*
+`;
+
+  return md;
+}
+
+function countDOMElements(node) {
+  if (!node) return 0;
+  let count = 1;
+  if (node.children) {
+    for (const child of node.children) {
+      count += countDOMElements(child);
+    }
+  }
+  return count;
+}
+
+function downloadExtraction() {
+  if (window.lastExtraction) {
+    downloadAsFile(
+      JSON.stringify(window.lastExtraction, null, 2),
+      `${window.lastExtraction.metadata.domain}_extraction.json`,
+      'application/json'
+    );
+  }
+}
+
+function downloadAIContext() {
+  if (window.lastExtraction) {
+    const context = generateAIContext(window.lastExtraction);
+    downloadAsFile(
+      context,
+      `${window.lastExtraction.metadata.domain}_context.md`,
+      'text/markdown'
+    );
+  }
+}
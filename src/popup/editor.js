@@ -0,0 +1,474 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Popup - Editor
+// Code editor, lint markers, assets, file review and the sandboxed preview
+
+import {
+  cmEditor,
+  currentFile,
+  currentProject,
+  setCurrentFile,
+  setCurrentProject
+} from './state.js';
+import { switchTab } from './main.js';
+import { closeSnapshotDiff, updateFileTree } from './projects.js';
+
+/**
+ * CodeMirror mode for a file, limited to the modes popup.html loads from lib/codemirror/mode
+ * @param {string} filename - Project file path
+ * @returns {string|Object} - Mode name or spec; 'text/plain' when no mode applies
+ */
+function editorModeFor(filename) {
+  const extension = filename.split('.').pop().toLowerCase();
+  if (extension === 'html' || extension === 'htm') return 'htmlmixed';
+  if (extension === 'css') return 'css';
+  if (extension === 'json') return { name: 'javascript', json: true };
+  if (extension === 'js' || extension === 'mjs') return 'javascript';
+  if (extension === 'xml' || extension === 'svg') return 'xml';
+  return 'text/plain';
+}
+
+// Load file into editor
+/**
+ * Loads a file from the current project into the CodeMirror editor.
+ * @param {string} filename - Name of the file to load
+ */
+export function loadFileIntoEditor(filename) {
+  if (!currentProject) return;
+
+  setCurrentFile(filename);
+  const fileHeader = document.getElementById('current-file');
+
+  const content = currentProject.files[filename] || '';
+  fileHeader.textContent = filename;
+
+  // Binary assets are previewed instead of edited
+  const editorContainer = document.getElementById('editor-container');
+  editorContainer?.classList.toggle('showing-asset', isBinaryContent(content));
+  if (isBinaryContent(content)) {
+    showAssetPreview(filename, content);
+    return;
+  }
+
+  if (cmEditor) {
+    cmEditor.setOption('mode', editorModeFor(filename));
+    cmEditor.setValue(content);
+    setTimeout(() => cmEditor.refresh(), 10);
+    updateLintMarkers();
+  }
+}
+
+// Line handles that currently carry a lint background class
+let lintedLines = [];
+
+/**
+ * Lints manifest.json and shows the results as gutter markers in the editor.
+ * Other files get their markers cleared.
+ */
+export function updateLintMarkers() {
+  if (!cmEditor) return;
+
+  cmEditor.clearGutter('lint-gutter');
+  lintedLines.forEach(handle => cmEditor.removeLineClass(handle, 'background'));
+  lintedLines = [];
+
+  if (!currentProject || currentFile !== 'manifest.json') return;
+
+  const byLine = new Map();
+  lintManifest(cmEditor.getValue(), currentProject.files).forEach(diagnostic => {
+    if (!byLine.has(diagnostic.line)) byLine.set(diagnostic.line, []);
+    byLine.get(diagnostic.line).push(diagnostic);
+  });
+
+  const rank = { error: 2, warning: 1, info: 0 };
+  byLine.forEach((diagnostics, line) => {
+    const severity = diagnostics.reduce((worst, d) => rank[d.severity] > rank[worst] ? d.severity : worst, 'info');
+    const marker = document.createElement('div');
+    marker.className = `lint-marker lint-marker-${severity}`;
+    marker.textContent = severity === 'error' ? '●' : severity === 'warning' ? '▲' : 'ℹ';
+    marker.title = diagnostics.map(d => `${d.severity}: ${d.message}`).join('\n');
+
+    cmEditor.setGutterMarker(line, 'lint-gutter', marker);
+    if (severity !== 'info') {
+      lintedLines.push(cmEditor.addLineClass(line, 'background', `lint-line-${severity}`));
+    }
+  });
+}
+
+let assetPreviewUrl = null;
+
+/**
+ * Shows a binary file in the asset preview pane
+ * @param {string} filename - Path of the asset
+ * @param {Blob} blob - Asset content
+ */
+function showAssetPreview(filename, blob) {
+  const preview = document.getElementById('asset-preview');
+  if (!preview) return;
+
+  if (assetPreviewUrl) URL.revokeObjectURL(assetPreviewUrl);
+  assetPreviewUrl = URL.createObjectURL(blob);
+
+  const isImage = blob.type.startsWith('image/') || /\.(png|jpe?g|gif|webp|svg|ico)$/i.test(filename);
+  preview.innerHTML = `
+    ${isImage ? `<img class="asset-preview-image" src="${assetPreviewUrl}" alt="${escapeHTML(filename)}">` : ''}
+    <div class="asset-preview-meta">${escapeHTML(filename)} · ${blob.type || 'binary'} · ${formatBytes(blob.size)}</div>
+  `;
+}
+
+/**
+ * Adds files picked by the user to the project as binary assets
+ * @param {FileList} fileList - Files from the asset input
+ */
+export function addProjectAssets(fileList) {
+  if (!currentProject) {
+    showStatus('Create or open a project first', 'error');
+    return;
+  }
+
+  const files = Array.from(fileList || []);
+  if (files.length === 0) return;
+
+  files.forEach(file => {
+    currentProject.files[file.name] = file;
+  });
+
+  updateFileTree();
+  loadFileIntoEditor(files[0].name);
+  showStatus(`Added ${files.length} asset${files.length === 1 ? '' : 's'} - save to keep them`, 'success');
+}
+
+// ============================================
+// FILE REVIEW (AI OUTPUT INGEST)
+// ============================================
+
+let pendingReview = null;
+
+// Unchanged runs longer than this are folded in the diff view
+export const REVIEW_CONTEXT_LINES = 3;
+
+/**
+ * Opens the review panel for a set of proposed files.
+ * Nothing is written to the project until the user applies the selection.
+ * @param {Object<string, string>} files - Proposed file contents keyed by path
+ * @param {Object} options - { title, onApply(appliedPaths) }
+ */
+export function openFileReview(files, options = {}) {
+  pendingReview = {
+    files,
+    validation: validateGeneratedFiles(files),
+    onApply: options.onApply
+  };
+
+  document.getElementById('review-title').textContent = options.title || 'REVIEW CHANGES';
+  document.getElementById('review-paste').style.display = 'none';
+  document.getElementById('review-apply').disabled = false;
+  showReviewPanel();
+  renderFileReview();
+}
+
+/**
+ * Opens the review panel in paste mode so output from an external model can be ingested
+ */
+export function openResponseImport() {
+  pendingReview = null;
+  document.getElementById('review-title').textContent = 'IMPORT AI RESPONSE';
+  document.getElementById('review-paste').style.display = 'flex';
+  document.getElementById('review-paste-input').value = '';
+  document.getElementById('review-files').innerHTML = '';
+  document.getElementById('review-apply').disabled = true;
+  switchTab('code');
+  showReviewPanel();
+}
+
+/**
+ * Parses the pasted response and moves on to the per-file review
+ */
+export function parsePastedResponse() {
+  const text = document.getElementById('review-paste-input').value;
+  try {
+    const { files, format } = parseGeneratedFiles(text);
+    openFileReview(files, { title: 'IMPORT AI RESPONSE' });
+    showStatus(`Parsed ${Object.keys(files).length} files (${format})`, 'success');
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+}
+
+function showReviewPanel() {
+  closeSnapshotDiff();
+  document.getElementById('editor-container').style.display = 'none';
+  document.getElementById('review-container').classList.remove('review-container-hidden');
+}
+
+export function closeFileReview() {
+  pendingReview = null;
+  document.getElementById('review-container').classList.add('review-container-hidden');
+  document.getElementById('editor-container').style.display = 'block';
+  cmEditor?.refresh();
+}
+
+/**
+ * Renders one card per proposed file with its status, validation results and a line diff
+ */
+function renderFileReview() {
+  const container = document.getElementById('review-files');
+  const existing = currentProject?.files || {};
+
+  container.innerHTML = Object.entries(pendingReview.files).map(([path, content]) => {
+    const before = typeof existing[path] === 'string' ? existing[path] : '';
+    const status = !(path in existing) ? 'new' : before === content ? 'unchanged' : 'modified';
+    const ops = diffLines(before, content);
+    const stats = diffStats(ops);
+    const { errors, warnings } = pendingReview.validation[path];
+
+    const issues = [
+      ...errors.map(e => `<li class="review-issue error">${escapeHTML(e)}</li>`),
+      ...warnings.map(w => `<li class="review-issue warning">${escapeHTML(w)}</li>`)
+    ].join('');
+
+    return `
+      <div class="review-file">
+        <label class="review-file-header">
+          <input type="checkbox" data-review-path="${escapeHTML(path)}" ${status === 'unchanged' ? 'disabled' : 'checked'}>
+          <span class="review-status ${status}">${status}</span>
+          <code class="review-path">${escapeHTML(path)}</code>
+          <span class="review-stats"><span class="diff-add">+${stats.added}</span> <span class="diff-remove">-${stats.removed}</span></span>
+        </label>
+        ${issues ? `<ul class="review-issues">${issues}</ul>` : ''}
+        ${status === 'unchanged' ? '' : `<pre class="review-diff">${renderDiffLines(ops)}</pre>`}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Renders diff ops as HTML lines, folding long unchanged runs
+ * @param {Array<{type: string, text: string}>} ops - Output of diffLines
+ * @returns {string}
+ */
+function renderDiffLines(ops) {
+  const lines = [];
+  let i = 0;
+
+  while (i < ops.length) {
+    if (ops[i].type !== 'equal') {
+      const sign = ops[i].type === 'add' ? '+' : '-';
+      lines.push(`<span class="diff-line diff-${ops[i].type}">${sign} ${escapeHTML(ops[i].text)}</span>`);
+      i++;
+      continue;
+    }
+
+    let end = i;
+    while (end < ops.length && ops[end].type === 'equal') end++;
+    const run = ops.slice(i, end);
+    const head = i === 0 ? [] : run.slice(0, REVIEW_CONTEXT_LINES);
+    const tail = end === ops.length ? [] : run.slice(-REVIEW_CONTEXT_LINES);
+
+    if (run.length > head.length + tail.length + 1) {
+      head.forEach(op => lines.push(`<span class="diff-line diff-equal">  ${escapeHTML(op.text)}</span>`));
+      lines.push(`<span class="diff-line diff-fold">… ${run.length - head.length - tail.length} unchanged lines</span>`);
+      tail.forEach(op => lines.push(`<span class="diff-line diff-equal">  ${escapeHTML(op.text)}</span>`));
+    } else {
+      run.forEach(op => lines.push(`<span class="diff-line diff-equal">  ${escapeHTML(op.text)}</span>`));
+    }
+    i = end;
+  }
+
+  return lines.join('');
+}
+
+/**
+ * Writes the accepted files into the current project (creating one if needed)
+ */
+export function applyFileReview() {
+  if (!pendingReview) return;
+
+  const accepted = Array.from(document.querySelectorAll('[data-review-path]:checked'))
+    .map(input => input.dataset.reviewPath);
+
+  if (accepted.length === 0) {
+    showStatus('No files selected', 'error');
+    return;
+  }
+
+  if (!currentProject) {
+    let name = 'Imported Extension';
+    try {
+      name = JSON.parse(pendingReview.files['manifest.json']).name || name;
+    } catch (e) {
+      // Keep the default name when the manifest is missing or invalid
+    }
+    setCurrentProject({ name, files: {}, created: Date.now(), modified: Date.now() });
+    document.getElementById('project-name').value = name;
+  }
+
+  accepted.forEach(path => {
+    currentProject.files[path] = pendingReview.files[path];
+  });
+  currentProject.modified = Date.now();
+
+  const onApply = pendingReview.onApply;
+  closeFileReview();
+  if (onApply) onApply(accepted);
+
+  updateFileTree();
+  loadFileIntoEditor(accepted.includes(currentFile) ? currentFile : accepted[0]);
+  showStatus(`Applied ${accepted.length} file${accepted.length === 1 ? '' : 's'} - save to keep them`, 'success');
+}
+
+// Export extension - now handled by export.js
+// (function is defined in export.js)
+
+// Update Live Preview: boots the project in the sandbox page (sandbox.js)
+export function updatePreview() {
+  if (!currentProject) return;
+
+  const previewContainer = document.getElementById('preview-container');
+  if (!previewContainer || !previewContainer.classList.contains('active')) return;
+
+  postToSandbox({ type: 'boot', files: currentProject.files });
+}
+
+// ============================================
+// SANDBOX PREVIEW
+// ============================================
+
+const SANDBOX_LOG_LIMIT = 500;
+let sandboxReady = false;
+let sandboxQueue = [];
+
+// Longest wait for the sandbox to boot the popup and send back a snapshot
+const SANDBOX_SNAPSHOT_TIMEOUT_MS = 8000;
+const pendingSnapshots = new Map();
+let nextSnapshotId = 1;
+
+/**
+ * Sends a message to the sandbox page, queueing it until the page has loaded
+ * @param {Object} message - Message for sandbox.js
+ */
+function postToSandbox(message) {
+  const frame = document.getElementById('preview-frame');
+  if (!sandboxReady || !frame?.contentWindow) {
+    // Only the latest boot matters
+    if (message.type === 'boot') sandboxQueue = sandboxQueue.filter(m => m.type !== 'boot');
+    sandboxQueue.push(message);
+    return;
+  }
+  frame.contentWindow.postMessage({ source: 'remixr-panel', ...message }, '*');
+}
+
+/**
+ * Receives log entries from the sandbox page
+ * @param {MessageEvent} event - Message event
+ */
+export function handleSandboxMessage(event) {
+  const frame = document.getElementById('preview-frame');
+  if (!frame || event.source !== frame.contentWindow) return;
+  const entry = event.data;
+  if (!entry || entry.source !== 'remixr-sandbox') return;
+
+  if (entry.kind === 'ready') {
+    sandboxReady = true;
+    const queued = sandboxQueue;
+    sandboxQueue = [];
+    queued.forEach(postToSandbox);
+    return;
+  }
+
+  if (entry.kind === 'snapshot') {
+    pendingSnapshots.get(entry.id)?.(entry);
+    return;
+  }
+
+  appendSandboxLog(entry);
+}
+
+/**
+ * Boots the current project in the sandbox and captures its popup as an image
+ * @returns {Promise<Blob|null>} - PNG, or null when there is no popup or it could not be captured
+ */
+export function captureSandboxPreview() {
+  if (!currentProject) return Promise.resolve(null);
+
+  const id = nextSnapshotId++;
+  return new Promise(resolve => {
+    const finish = (entry) => {
+      clearTimeout(timer);
+      pendingSnapshots.delete(id);
+      if (entry.error) console.warn('Preview snapshot failed:', entry.error);
+      resolve(entry.blob || null);
+    };
+    const timer = setTimeout(() => finish({ error: 'The sandbox did not respond' }), SANDBOX_SNAPSHOT_TIMEOUT_MS);
+    pendingSnapshots.set(id, finish);
+
+    postToSandbox({ type: 'boot', files: currentProject.files });
+    postToSandbox({ type: 'snapshot', id });
+  });
+}
+
+/**
+ * Adds one entry to the chrome API log pane
+ * @param {Object} entry - Entry posted by sandbox.js
+ */
+function appendSandboxLog(entry) {
+  const log = document.getElementById('sandbox-log');
+  if (!log) return;
+
+  const formatValue = (value) => {
+    if (value === undefined) return '';
+    const text = JSON.stringify(value);
+    return text.length > 200 ? text.slice(0, 200) + '…' : text;
+  };
+
+  const row = document.createElement('div');
+  const time = new Date(entry.time || Date.now()).toLocaleTimeString();
+  let body;
+
+  if (entry.kind === 'call') {
+    const args = (entry.args || []).map(formatValue).join(', ');
+    const outcome = entry.error
+      ? `<span class="sandbox-log-error">✕ ${escapeHTML(entry.error)}</span>`
+      : (entry.result === undefined ? '' : `<span class="sandbox-log-result">→ ${escapeHTML(formatValue(entry.result))}</span>`);
+    row.className = `sandbox-log-entry ${entry.error ? 'error' : 'call'}`;
+    body = `<span class="sandbox-log-api">chrome.${escapeHTML(entry.api)}</span>(${escapeHTML(args)}) ${outcome}`;
+  } else if (entry.kind === 'state') {
+    row.className = 'sandbox-log-entry info';
+    body = escapeHTML(formatValue(entry.state));
+  } else {
+    row.className = `sandbox-log-entry ${entry.level || 'info'}`;
+    body = escapeHTML(entry.text || '');
+  }
+
+  row.innerHTML = `<span class="sandbox-log-time">${time}</span>` +
+    `<span class="sandbox-log-frame">${escapeHTML(entry.frame || '')}</span>${body}`;
+  log.appendChild(row);
+
+  while (log.children.length > SANDBOX_LOG_LIMIT) {
+    log.firstElementChild.remove();
+  }
+  log.scrollTop = log.scrollHeight;
+}
+
+/**
+ * Clears the mocked browser state (storage, tabs, notifications, menus) and reboots
+ */
+export function resetSandboxState() {
+  postToSandbox({ type: 'reset' });
+  appendSandboxLog({ kind: 'console', frame: 'sandbox', level: 'info', text: 'State reset' });
+  updatePreview();
+}
@@ -0,0 +1,1471 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Popup - Generators
+// AI and template generation, the Feature Injector and the Extension Wizard
+
+import { currentFile, currentProject, setCurrentProject } from './state.js';
+import { switchTab } from './main.js';
+import { loadProjects, openProject, updateFileTree } from './projects.js';
+import { loadFileIntoEditor, openFileReview } from './editor.js';
+import {
+  createContextSnapshot,
+  generateLLMPrompt,
+  getActiveTabContext,
+  getCachedContext,
+  updateBuilderContextStatus
+} from './context.js';
+
+// ============================================
+// BUILDER AI GENERATION
+// ============================================
+
+/**
+ * Picks the template generator that best matches a prompt.
+ * @param {string} prompt - The user's extension description
+ * @returns {Function} - One of the generate* template functions below
+ */
+function selectGenerator(prompt) {
+  const p = prompt.toLowerCase();
+  if (/\b(timer|pomodoro|productivity|focus)\b/.test(p)) return generateTimer;
+  if (/\b(extract|scrape|emails?|prices?|phones?)\b/.test(p)) return generateExtractor;
+  if (/\b(monitor|watch|changes?|alert)\b/.test(p)) return generatePageMonitor;
+  if (/\b(highlight|color|style|hide|modify|replace|links?|images?|paragraphs?|buttons?)\b/.test(p)) return generateContentModifier;
+  if (/\b(tool|calculator|converter|utility)\b/.test(p)) return generatePopupTool;
+  return generateGeneric;
+}
+
+/**
+ * Generates a project from the Builder prompt.
+ * The matching template generator produces the scaffold; when an AI provider is
+ * configured the model's multi-file output is offered for review on top of it,
+ * grounded in the cached SITE_CONTEXT of the active tab when one is available.
+ */
+export async function generateExtension() {
+  const promptInput = document.getElementById('builder-prompt');
+  const prompt = promptInput?.value.trim();
+
+  if (!prompt) {
+    showStatus('Describe the extension you want to build', 'error');
+    return;
+  }
+
+  const result = await runGeneration(prompt, await getActiveTabContext());
+
+  setCurrentProject({
+    name: result.scaffold.name,
+    files: result.scaffold.files,
+    generation: result.proposal ? null : result.generation,
+    created: Date.now(),
+    modified: Date.now()
+  });
+
+  openGeneratedProject(result.scaffold);
+
+  if (result.proposal) {
+    openFileReview(result.proposal, {
+      title: 'AI GENERATED FILES',
+      onApply: () => { currentProject.generation = result.generation; }
+    });
+  }
+}
+
+/**
+ * Re-runs generation for the current project with its original prompt and the
+ * latest cached context for the host it was generated against.
+ * The model's output is reviewed against the project's current files.
+ */
+export async function regenerateProject() {
+  const generation = currentProject?.generation;
+  if (!generation) {
+    showStatus('This project was not generated from a prompt', 'error');
+    return;
+  }
+
+  if (!isLLMConfigured(await loadLLMSettings())) {
+    showStatus('Configure an AI provider in ⚙️ settings to regenerate', 'error');
+    return;
+  }
+
+  const context = generation.context ? await getCachedContext(generation.context.url) : null;
+  if (generation.context && !context) {
+    showStatus(`No fresh context for ${generation.context.host} - run 🔮 on that site first`, 'error');
+    return;
+  }
+
+  const result = await runGeneration(generation.prompt, context);
+  if (!result.proposal) return;
+
+  openFileReview(result.proposal, {
+    title: 'REGENERATED FILES',
+    onApply: () => {
+      currentProject.generation = result.generation;
+      updateBuilderContextStatus();
+    }
+  });
+}
+
+/**
+ * Runs the template generator and, when configured, the LLM for a prompt.
+ * @param {string} prompt - The user's extension description
+ * @param {Object|null} context - Cached SITE_CONTEXT to ground the model in
+ * @returns {Promise<{scaffold: Object, proposal: Object|null, generation: Object}>}
+ *   Template files, the model's files (null without a provider or on failure) and the generation record
+ */
+async function runGeneration(prompt, context) {
+  const generator = selectGenerator(prompt);
+  const scaffold = generator(prompt);
+  let proposal = null;
+
+  const settings = await loadLLMSettings();
+  if (isLLMConfigured(settings)) {
+    const source = context ? ` with ${new URL(context.metadata.url).hostname} context` : '';
+    showStatus(`Generating with ${LLM_PROVIDERS[settings.provider].label}${source}...`, 'info');
+    try {
+      proposal = await generateWithLLM(scaffold, prompt, settings, context);
+    } catch (error) {
+      console.error('AI generation error:', error);
+      showStatus(`AI generation failed, using template: ${error.message}`, 'error');
+    }
+  }
+
+  return {
+    scaffold,
+    proposal,
+    generation: {
+      prompt,
+      generator: generator.name,
+      generatedAt: Date.now(),
+      context: proposal && context ? createContextSnapshot(context) : null
+    }
+  };
+}
+
+/**
+ * Shows a freshly generated project in the Builder
+ * @param {Object} generated - { name, files } of the generated project
+ */
+function openGeneratedProject(generated) {
+  const mainFile = generated.files['content.js'] ? 'content.js' : 'popup.js';
+
+  switchTab('code');
+  document.getElementById('project-name').value = currentProject.name;
+  updateFileTree();
+  loadFileIntoEditor(mainFile);
+  showStatus(`Generated "${currentProject.name}"`, 'success');
+}
+
+/**
+ * Asks the configured LLM for a complete extension, using a template scaffold as the starting point.
+ * @param {Object} scaffold - { name, files } as returned by a template generator
+ * @param {string} prompt - The user's extension description
+ * @param {Object} settings - LLM settings
+ * @param {Object|null} context - Cached SITE_CONTEXT injected ahead of the request
+ * @returns {Promise<Object<string, string>>} - The files parsed from the model's reply
+ */
+async function generateWithLLM(scaffold, prompt, settings, context) {
+  const siteContext = context ? `${generateLLMPrompt(context, prompt)}\n\n---\n\n` : '';
+  const draft = Object.entries(scaffold.files)
+    .map(([path, content]) => `\`\`\`${path}\n${content}\n\`\`\``)
+    .join('\n\n');
+
+  const messages = [
+    {
+      role: 'system',
+      content: 'You are an expert Chrome Extension (Manifest V3) developer. ' +
+        'Reply with every file of the finished extension, each in its own fenced code block ' +
+        'whose info string is the file path (for example ```popup.js). Always include manifest.json.'
+    },
+    {
+      role: 'user',
+      content: siteContext +
+        `Extension request: ${prompt}\n\n` +
+        `Starting scaffold:\n\n${draft}\n\n` +
+        'Change, add or drop files as needed so the extension fulfils the request.'
+    }
+  ];
+
+  return parseGeneratedFiles(await callLLM(messages, settings)).files;
+}
+
+function generateContentModifier(prompt) {
+  const template = TEMPLATES['content-modifier'];
+  const name = extractName(prompt) || 'Content Modifier';
+
+  let contentJs = template.files['content.js'];
+
+  // Smart Heuristic: Detect color and element
+  const colorMatch = prompt.match(/\b(red|blue|green|yellow|purple|orange|pink|black|white|#[0-9a-fA-F]{3,6})\b/i);
+  const elementMatch = prompt.match(/\b(links?|paragraphs?|images?|headers?|divs?|spans?|buttons?)\b/i);
+
+  if (colorMatch || elementMatch) {
+    const color = colorMatch ? colorMatch[0].toLowerCase() : 'yellow';
+    const element = elementMatch ? elementMatch[0].toLowerCase() : 'link';
+
+    let selector = 'a';
+    if (element.includes('paragraph')) selector = 'p';
+    if (element.includes('image')) selector = 'img';
+    if (element.includes('header')) selector = 'h1, h2, h3';
+    if (element.includes('div')) selector = 'div';
+    if (element.includes('span')) selector = 'span';
+    if (element.includes('button')) selector = 'button';
+
+    contentJs = `// Content script - Generated by ReMixr for "${name}"
+console.log('${name} active!');
+
+// Logic: Highlight ${element} with ${color}
+const elements = document.querySelectorAll('${selector}');
+elements.forEach(el => {
+  // Apply visual changes
+  el.style.backgroundColor = '${color}';
+  el.style.transition = 'all 0.3s';
+  el.style.boxShadow = '0 0 5px ${color}';
+});`;
+  }
+
+  return {
+    name,
+    files: {
+      'manifest.json': JSON.stringify({
+        ...template.files['manifest.json'],
+        name
+      }, null, 2),
+      'content.js': contentJs,
+      'popup.html': template.files['popup.html'].replace('Content Modifier', name),
+      'popup.js': template.files['popup.js'],
+      'styles.css': template.files['styles.css']
+    }
+  };
+}
+
+function generateTimer(prompt) {
+  const template = TEMPLATES['productivity'];
+  const name = extractName(prompt) || 'Productivity Timer';
+
+  return {
+    name,
+    files: {
+      'manifest.json': JSON.stringify({
+        ...template.files['manifest.json'],
+        name
+      }, null, 2),
+      'background.js': template.files['background.js'],
+      'popup.html': template.files['popup.html'].replace('Productivity Timer', name),
+      'popup.js': template.files['popup.js'],
+      'styles.css': template.files['styles.css']
+    }
+  };
+}
+
+function generateExtractor(prompt) {
+  const template = TEMPLATES['data-extractor'];
+  const name = extractName(prompt) || 'Data Extractor';
+
+  let popupJs = template.files['popup.js'];
+
+  // Smart Heuristic: Custom extraction target
+  const typeMatch = prompt.match(/\b(emails?|prices?|phones?|numbers?)\b/i);
+
+  if (typeMatch) {
+    const type = typeMatch[1].toLowerCase();
+
+    // Create custom extraction logic
+    let extractionLogic = `
+      // Extraction logic for ${type}
+      const text = document.body.innerText;
+      const results = [];
+      // Default fallback
+      if (!text) return ['No text content found'];
+    `;
+
+    if (type.includes('email')) {
+      extractionLogic = `
+      const regex = /[\\w.-]+@[\\w.-]+\\.[\\w.-]+/g;
+      const text = document.body.innerText;
+      return [...new Set(text.match(regex) || [])];`;
+    } else if (type.includes('price')) {
+      extractionLogic = `
+      const regex = /\\$\\d+(?:\\.\\d{2})?/g;
+      const text = document.body.innerText;
+      return [...new Set(text.match(regex) || [])];`;
+    }
+
+    popupJs = `document.getElementById('extract-links').textContent = 'Extract ${type}';
+document.getElementById('extract-links').addEventListener('click', async () => {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  
+  chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: () => {
+      ${extractionLogic}
+    }
+  }, (results) => {
+    displayResults(results[0].result);
+  });
+});
+
+document.getElementById('extract-images').style.display = 'none';
+
+function displayResults(data) {
+  const resultsDiv = document.getElementById('results');
+  if (!data || data.length === 0) {
+      resultsDiv.innerHTML = '<div>No results found</div>';
+      return;
+  }
+  resultsDiv.innerHTML = data.map(item => \`<div>\${item}</div>\`).join('');
+}`;
+  }
+
+  return {
+    name,
+    files: {
+      'manifest.json': JSON.stringify({
+        ...template.files['manifest.json'],
+        name
+      }, null, 2),
+      'popup.html': template.files['popup.html'].replace('Data Extractor', name),
+      'popup.js': popupJs,
+      'styles.css': template.files['styles.css']
+    }
+  };
+}
+
+function generatePageMonitor(prompt) {
+  const template = TEMPLATES['page-monitor'];
+  const name = extractName(prompt) || 'Page Monitor';
+
+  return {
+    name,
+    files: {
+      'manifest.json': JSON.stringify({
+        ...template.files['manifest.json'],
+        name
+      }, null, 2),
+      'popup.html': template.files['popup.html'].replace('Page Monitor', name),
+      'popup.js': template.files['popup.js'],
+      'styles.css': template.files['styles.css']
+    }
+  };
+}
+
+function generatePopupTool(prompt) {
+  const template = TEMPLATES['popup-tool'];
+  const name = extractName(prompt) || 'Popup Toolbox';
+
+  return {
+    name,
+    files: {
+      'manifest.json': JSON.stringify({
+        ...template.files['manifest.json'],
+        name
+      }, null, 2),
+      'popup.html': template.files['popup.html'].replace('Toolbox', name),
+      'popup.js': template.files['popup.js'],
+      'styles.css': template.files['styles.css']
+    }
+  };
+}
+
+function generateGeneric(prompt) {
+  const template = TEMPLATES['blank'];
+  const name = extractName(prompt) || 'My Extension';
+
+  return {
+    name,
+    files: {
+      'manifest.json': JSON.stringify({
+        ...template.files['manifest.json'],
+        name,
+        description: prompt.slice(0, 100)
+      }, null, 2),
+      'popup.html': template.files['popup.html'].replace('My Extension', name),
+      'popup.js': template.files['popup.js'],
+      'styles.css': template.files['styles.css']
+    }
+  };
+}
+
+export function extractName(prompt) {
+  // Try to extract a name from the prompt
+  const match = prompt.match(/(?:create|build|make)\s+(?:an?\s+)?(?:extension\s+)?(?:that\s+)?(.+)/i);
+  if (match) {
+    return match[1].split(/\b(?:to|that)\b/)[0].trim()
+      .split(' ')
+      .map(w => w.charAt(0).toUpperCase() + w.slice(1))
+      .join(' ')
+      .slice(0, 30);
+  }
+  return null;
+}
+
+// ============================================
+// MANIFEST GENERATION HELPERS
+// ============================================
+
+/**
+ * Generates a manifest file object for a Chrome extension.
+ * Note: The full generateExtensionFromWizard function is in the Extension Wizard section below.
+ */
+function generateManifestTemplate(name, description, permissions) {
+  return {
+    manifest_version: 3,
+    name: name,
+    version: '1.0.0',
+    description: description,
+    permissions: permissions || []
+  };
+}
+
+// Feature Injector - Inject features into current project
+export function injectFeatures() {
+  if (!currentProject) {
+    showStatus('No project loaded. Create or load a project first.', 'error');
+    return;
+  }
+
+  const selectedFeatures = {
+    // Core Features
+    storage: document.getElementById('inject-storage')?.checked || false,
+    tabs: document.getElementById('inject-tabs')?.checked || false,
+    notifications: document.getElementById('inject-notifications')?.checked || false,
+    contextMenu: document.getElementById('inject-context-menu')?.checked || false,
+    background: document.getElementById('inject-background')?.checked || false,
+    bookmarks: document.getElementById('inject-bookmarks')?.checked || false,
+    history: document.getElementById('inject-history')?.checked || false,
+    downloads: document.getElementById('inject-downloads')?.checked || false,
+    cookies: document.getElementById('inject-cookies')?.checked || false,
+    webRequest: document.getElementById('inject-web-request')?.checked || false,
+    // UI Components
+    sidePanel: document.getElementById('inject-side-panel')?.checked || false,
+    theme: document.getElementById('inject-theme')?.checked || false,
+    keyboard: document.getElementById('inject-keyboard')?.checked || false,
+    badge: document.getElementById('inject-badge')?.checked || false,
+    // Behaviors
+    syncStorage: document.getElementById('inject-sync-storage')?.checked || false,
+    autoOpen: document.getElementById('inject-auto-open')?.checked || false,
+    persistState: document.getElementById('inject-persist-state')?.checked || false,
+    matchSite: document.getElementById('inject-match-site')?.checked || false,
+    autoRun: document.getElementById('inject-auto-run')?.checked || false,
+    analytics: document.getElementById('inject-analytics')?.checked || false,
+    hotReload: document.getElementById('inject-hot-reload')?.checked || false,
+    errorTracking: document.getElementById('inject-error-tracking')?.checked || false,
+    // Host Permissions
+    hostPerms: document.querySelector('input[name="inject-host-perms"]:checked')?.value || 'active-tab',
+    customHosts: document.getElementById('inject-custom-hosts')?.value.trim() || '',
+    // Framework
+    framework: document.getElementById('inject-framework')?.value || 'none',
+    // Identity & Type
+    name: document.getElementById('inject-name')?.value.trim() || '',
+    description: document.getElementById('inject-description')?.value.trim() || '',
+    extType: document.querySelector('input[name="inject-ext-type"]:checked')?.value || 'none'
+  };
+
+  const hasSelection = Object.values(selectedFeatures).some(v => v);
+  if (!hasSelection) {
+    showStatus('Please select at least one feature to inject', 'error');
+    return;
+  }
+
+  try {
+    let manifest = JSON.parse(currentProject.files['manifest.json']);
+    if (!manifest.permissions) manifest.permissions = [];
+
+    // Identity update
+    if (selectedFeatures.name) {
+      manifest.name = selectedFeatures.name;
+      currentProject.name = selectedFeatures.name;
+    }
+    if (selectedFeatures.description) {
+      manifest.description = selectedFeatures.description;
+    }
+
+    // Type switching
+    if (selectedFeatures.extType !== 'none') {
+      if (selectedFeatures.extType === 'content-script') {
+        if (!manifest.content_scripts) {
+          manifest.content_scripts = [{
+            "matches": ["<all_urls>"],
+            "js": ["content.js"]
+          }];
+          if (!currentProject.files['content.js']) {
+            currentProject.files['content.js'] = '// Content Script\nconsole.log("Content script loaded");\n';
+          }
+        }
+      } else if (selectedFeatures.extType === 'popup') {
+        manifest.action = {
+          "default_popup": "popup.html",
+          "default_icon": "icon48.png"
+        };
+      } else if (selectedFeatures.extType === 'side-panel') {
+        manifest.side_panel = { "default_path": "sidepanel.html" };
+        if (!manifest.permissions.includes('sidePanel')) manifest.permissions.push('sidePanel');
+      } else if (selectedFeatures.extType === 'page-action') {
+        manifest.action = {
+          "default_popup": "popup.html"
+        };
+        // In MV3, Page Action is merged into Action, but we can trigger it conditionally in logic
+      }
+    }
+
+    const permissionsToAdd = [];
+    if (selectedFeatures.storage || selectedFeatures.persistState) permissionsToAdd.push('storage');
+    if (selectedFeatures.tabs) permissionsToAdd.push('tabs');
+    if (selectedFeatures.notifications) permissionsToAdd.push('notifications');
+    if (selectedFeatures.contextMenu) permissionsToAdd.push('contextMenus');
+    if (selectedFeatures.bookmarks) permissionsToAdd.push('bookmarks');
+    if (selectedFeatures.history) permissionsToAdd.push('history');
+    if (selectedFeatures.downloads) permissionsToAdd.push('downloads');
+    if (selectedFeatures.cookies) permissionsToAdd.push('cookies');
+    if (selectedFeatures.webRequest) {
+      permissionsToAdd.push('webRequest');
+      permissionsToAdd.push('webRequestBlocking');
+    }
+
+    permissionsToAdd.forEach(perm => {
+      if (!manifest.permissions.includes(perm)) manifest.permissions.push(perm);
+    });
+
+    // Host Permissions
+    if (!manifest.host_permissions) manifest.host_permissions = [];
+    if (selectedFeatures.hostPerms === 'all-urls') {
+      if (!manifest.host_permissions.includes('<all_urls>')) manifest.host_permissions.push('<all_urls>');
+    } else if (selectedFeatures.hostPerms === 'custom' && selectedFeatures.customHosts) {
+      const hosts = selectedFeatures.customHosts.split(',').map(h => h.trim());
+      hosts.forEach(host => {
+        if (!manifest.host_permissions.includes(host)) manifest.host_permissions.push(host);
+      });
+    }
+
+    if (selectedFeatures.background || selectedFeatures.contextMenu || selectedFeatures.badge || selectedFeatures.autoOpen) {
+      if (!manifest.background) manifest.background = { service_worker: 'background.js' };
+    }
+
+    if (selectedFeatures.sidePanel && !manifest.side_panel) {
+      manifest.side_panel = { default_path: 'sidepanel.html' };
+    }
+
+    if (selectedFeatures.keyboard && !manifest.commands) {
+      manifest.commands = {
+        "_execute_action": {
+          "suggested_key": { "default": "Ctrl+Shift+Y", "mac": "Command+Shift+Y" },
+          "description": "Activate extension"
+        }
+      };
+    }
+
+    currentProject.files['manifest.json'] = JSON.stringify(manifest, null, 2);
+
+    // Framework Boilerplate
+    if (selectedFeatures.framework !== 'none') {
+      if (selectedFeatures.framework === 'react') {
+        currentProject.files['popup.html'] = `<!DOCTYPE html>\n<html>\n<head>\n  <title>React Popup</title>\n  <link rel="stylesheet" href="styles.css">\n</head>\n<body>\n  <div id="root"></div>\n  <script src="popup.js"></script>\n</body>\n</html>`;
+        currentProject.files['popup.js'] = `// React Popup\nimport React from 'react';\nimport ReactDOM from 'react-dom/client';\n\nconst App = () => (\n  <div className="container">\n    <h1>React Extension</h1>\n    <p>Build your React extension here.</p>\n  </div>\n);\n\nconst root = ReactDOM.createRoot(document.getElementById('root'));\nroot.render(<App />);`;
+      } else if (selectedFeatures.framework === 'vue') {
+        currentProject.files['popup.html'] = `<!DOCTYPE html>\n<html>\n<head>\n  <title>Vue Popup</title>\n  <link rel="stylesheet" href="styles.css">\n</head>\n<body>\n  <div id="app">{{ message }}</div>\n  <script src="popup.js"></script>\n</body>\n</html>`;
+        currentProject.files['popup.js'] = `// Vue Popup\nimport { createApp } from 'vue';\n\nconst app = createApp({\n  data() {\n    return {\n      message: 'Hello from Vue!'\n    }\n  }\n});\n\napp.mount('#app');`;
+      } else if (selectedFeatures.framework === 'svelte') {
+        currentProject.files['popup.html'] = `<!DOCTYPE html>\n<html>\n<head>\n  <title>Svelte Popup</title>\n  <link rel="stylesheet" href="styles.css">\n</head>\n<body>\n  <script src="popup.js"></script>\n</body>\n</html>`;
+        currentProject.files['popup.js'] = `// Svelte Popup\nimport App from './App.svelte';\n\nconst app = new App({\n  target: document.body,\n  props: {\n    name: 'Svelte'\n  }\n});\n\nexport default app;`;
+        currentProject.files['App.svelte'] = `<script>\n  export let name;\n</script>\n\n<main>\n  <h1>Hello {name}!</h1>\n  <p>Svelte extension components.</p>\n</main>\n\n<style>\n  main {\n    text-align: center;\n    padding: 1em;\n  }\n</style>`;
+      } else if (selectedFeatures.framework === 'vanilla') {
+        // Basic vanilla structure if it doesn't already exist or if they want to reset
+        currentProject.files['popup.html'] = `<!DOCTYPE html>\n<html>\n<head>\n  <title>Extension Popup</title>\n  <link rel="stylesheet" href="styles.css">\n</head>\n<body>\n  <h1>Extension</h1>\n  <script src="popup.js"></script>\n</body>\n</html>`;
+      }
+    }
+
+    let popupJs = currentProject.files['popup.js'] || '// Extension Logic\n\n';
+
+    if ((selectedFeatures.storage || selectedFeatures.persistState) && !popupJs.includes('chrome.storage')) {
+      const storageType = selectedFeatures.syncStorage ? 'sync' : 'local';
+      popupJs += `\n// Storage (${storageType})\nasync function saveData(key, value) {\n  await chrome.storage.${storageType}.set({ [key]: value });\n}\n\nasync function loadData(key) {\n  const result = await chrome.storage.${storageType}.get([key]);\n  return result[key];\n}\n`;
+    }
+
+    if (selectedFeatures.tabs && !popupJs.includes('chrome.tabs')) {
+      popupJs += `\n// Tabs\nasync function getCurrentTab() {\n  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });\n  return tab;\n}\n\nasync function getAllTabs() {\n  const tabs = await chrome.tabs.query({});\n  return tabs;\n}\n`;
+    }
+
+    if (selectedFeatures.history && !popupJs.includes('chrome.history')) {
+      popupJs += `\n// History\nasync function searchHistory(query, maxResults = 100) {\n  const results = await chrome.history.search({ text: query, maxResults });\n  return results;\n}\n\nasync function getVisits(url) {\n  const visits = await chrome.history.getVisits({ url });\n  return visits;\n}\n`;
+    }
+
+    if (selectedFeatures.bookmarks && !popupJs.includes('chrome.bookmarks')) {
+      popupJs += `\n// Bookmarks\nasync function getAllBookmarks() {\n  const tree = await chrome.bookmarks.getTree();\n  return tree;\n}\n\nasync function createBookmark(title, url) {\n  await chrome.bookmarks.create({ title, url });\n}\n`;
+    }
+
+    if (selectedFeatures.downloads && !popupJs.includes('chrome.downloads')) {
+      popupJs += `\n// Downloads\nfunction downloadFile(url, filename) {\n  chrome.downloads.download({ url, filename });\n}\n`;
+    }
+
+    if (selectedFeatures.notifications && !popupJs.includes('chrome.notifications')) {
+      popupJs += `\n// Notifications\nfunction showNotification(title, message) {\n  chrome.notifications.create({ type: 'basic', iconUrl: 'icon48.png', title, message });\n}\n`;
+    }
+
+    if (selectedFeatures.theme && !popupJs.includes('toggleTheme')) {
+      popupJs += `\n// Theme\nfunction toggleTheme() {\n  const theme = document.documentElement.getAttribute('data-theme') === 'dark' ? 'light' : 'dark';\n  document.documentElement.setAttribute('data-theme', theme);\n  localStorage.setItem('theme', theme);\n}\n\n// Load saved theme\nconst savedTheme = localStorage.getItem('theme') || 'light';\ndocument.documentElement.setAttribute('data-theme', savedTheme);\n`;
+    }
+
+    if (selectedFeatures.matchSite && !popupJs.includes('matchSiteStyles')) {
+      popupJs += `\n// Match site styles\nfunction matchSiteStyles() {\n  chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {\n    chrome.scripting.executeScript({\n      target: { tabId: tab.id },\n      func: () => {\n        const styles = window.getComputedStyle(document.body);\n        return {\n          bg: styles.backgroundColor,\n          color: styles.color,\n          font: styles.fontFamily\n        };\n      }\n    }, (results) => {\n      if (results && results[0]) {\n        const { bg, color, font } = results[0].result;\n        document.body.style.backgroundColor = bg;\n        document.body.style.color = color;\n        document.body.style.fontFamily = font;\n      }\n    });\n  });\n}\n`;
+    }
+
+    if (selectedFeatures.analytics && !popupJs.includes('trackEvent')) {
+      popupJs += `\n// Analytics\nfunction trackEvent(category, action, label) {\n  console.log('Analytics:', { category, action, label, timestamp: Date.now() });\n  // Add your analytics service here\n}\n`;
+    }
+
+    if (selectedFeatures.errorTracking && !popupJs.includes('error tracking')) {
+      popupJs += `\n// Error tracking\nwindow.addEventListener('error', (e) => console.error('Error:', e.message));\nwindow.addEventListener('unhandledrejection', (e) => console.error('Promise rejection:', e.reason));\n`;
+    }
+
+    currentProject.files['popup.js'] = popupJs;
+
+    if (selectedFeatures.background || selectedFeatures.contextMenu || selectedFeatures.badge || selectedFeatures.autoOpen || selectedFeatures.webRequest || selectedFeatures.hotReload) {
+      let backgroundJs = currentProject.files['background.js'] || '// Background\n\n';
+
+      if (selectedFeatures.contextMenu && !backgroundJs.includes('contextMenus')) {
+        backgroundJs += `\nchrome.runtime.onInstalled.addListener(() => {\n  chrome.contextMenus.create({ id: 'action', title: 'Extension Action', contexts: ['selection', 'page'] });\n});\n\nchrome.contextMenus.onClicked.addListener((info, tab) => {\n  console.log('Menu clicked:', info);\n});\n`;
+      }
+
+      if (selectedFeatures.badge && !backgroundJs.includes('setBadgeText')) {
+        backgroundJs += `\nfunction updateBadge(count) {\n  chrome.action.setBadgeText({ text: count > 0 ? String(count) : '' });\n  chrome.action.setBadgeBackgroundColor({ color: '#4CAF50' });\n}\n`;
+      }
+
+      if (selectedFeatures.autoOpen && !backgroundJs.includes('auto-open')) {
+        backgroundJs += `\n// Auto-open side panel\nchrome.tabs.onUpdated.addListener((tabId, changeInfo) => {\n  if (changeInfo.status === 'complete') {\n    chrome.sidePanel.open({ tabId });\n  }\n});\n`;
+      }
+
+      if (selectedFeatures.webRequest && !backgroundJs.includes('webRequest')) {
+        backgroundJs += `\n// Web request interception\nchrome.webRequest.onBeforeRequest.addListener(\n  (details) => {\n    console.log('Request:', details.url);\n    return {};\n  },\n  { urls: ['<all_urls>'] },\n  ['blocking']\n);\n`;
+      }
+
+      if (selectedFeatures.hotReload && !backgroundJs.includes('hot reload')) {
+        backgroundJs += `\n// Hot reload for development\nconst filesInDirectory = dir => new Promise(resolve => {\n  dir.createReader().readEntries(entries => {\n    Promise.all(entries.filter(e => e.name[0] !== '.').map(e =>\n      e.isDirectory ? filesInDirectory(e) : new Promise(resolve => e.file(resolve))\n    )).then(files => [].concat(...files)).then(resolve);\n  });\n});\n\nconst timestampForFilesInDirectory = dir =>\n  filesInDirectory(dir).then(files =>\n    files.map(f => f.name + f.lastModifiedDate).join());\n\nconst reload = () => {\n  chrome.tabs.query({ active: true, currentWindow: true }, tabs => {\n    if (tabs[0]) chrome.tabs.reload(tabs[0].id);\n    chrome.runtime.reload();\n  });\n};\n\nconst watchChanges = (dir, lastTimestamp) => {\n  timestampForFilesInDirectory(dir).then(timestamp => {\n    if (!lastTimestamp || (lastTimestamp === timestamp)) {\n      setTimeout(() => watchChanges(dir, timestamp), 1000);\n    } else {\n      reload();\n    }\n  });\n};\n\nchrome.management.getSelf(self => {\n  if (self.installType === 'development') {\n    chrome.runtime.getPackageDirectoryEntry(dir => watchChanges(dir));\n  }\n});\n`;
+      }
+
+      currentProject.files['background.js'] = backgroundJs;
+    }
+
+    if (selectedFeatures.sidePanel && !currentProject.files['sidepanel.html']) {
+      currentProject.files['sidepanel.html'] = `<!DOCTYPE html>
+<html>
+<head>
+  <title>Side Panel</title>
+  <link rel="stylesheet" href="styles.css">
+</head>
+<body>
+  <h1>Side Panel</h1>
+  <p>Your side panel content here</p>
+  <script src="sidepanel.js"></script>
+</body>
+</html>`;
+
+      currentProject.files['sidepanel.js'] = `// Side panel logic\nconsole.log('Side panel loaded');\n`;
+    }
+
+    if (selectedFeatures.theme) {
+      let css = currentProject.files['styles.css'] || '';
+      if (!css.includes('[data-theme="dark"]')) {
+        css += `\n[data-theme="dark"] body { background: #1a1a1a; color: #e0e0e0; }\n[data-theme="dark"] button { background: #6366f1; }\n`;
+        currentProject.files['styles.css'] = css;
+      }
+    }
+
+    updateFileTree();
+    if (currentFile) loadFileIntoEditor(currentFile);
+    currentProject.modified = Date.now();
+
+    const injected = Object.entries(selectedFeatures).filter(([_, v]) => v).map(([k, _]) => k).join(', ');
+    showStatus(`Features injected: ${injected}`, 'success');
+
+    Object.keys(selectedFeatures).forEach(f => {
+      const id = `inject-${f.replace(/([A-Z])/g, '-$1').toLowerCase()}`;
+      const el = document.getElementById(id);
+      if (el) {
+        if (el.type === 'checkbox') el.checked = false;
+        else if (el.type === 'text' || el.tagName === 'SELECT') el.value = '';
+      }
+    });
+    // Clear radios
+    document.querySelectorAll('input[name="inject-host-perms"][value="active-tab"]').forEach(r => r.checked = true);
+    document.querySelectorAll('input[name="inject-ext-type"][value="none"]').forEach(r => r.checked = true);
+    document.getElementById('inject-framework').value = 'none';
+    document.getElementById('inject-custom-hosts').style.display = 'none';
+
+    // Auto-shrink/collapse the injector for better UI flow
+    const injectorContent = document.getElementById('feature-injector-content');
+    const injectorHeader = document.getElementById('feature-injector-toggle');
+    if (injectorContent) injectorContent.style.display = 'none';
+    if (injectorHeader) injectorHeader.classList.remove('active');
+  } catch (error) {
+    showStatus('Error: ' + error.message, 'error');
+  }
+}
+
+// copyToClipboard handled by utils.js
+
+// downloadAsFile handled by utils.js
+
+// ============================================
+// EXTENSION WIZARD
+// ============================================
+
+export function generateExtensionFromWizard() {
+  const name = document.getElementById('wizard-name').value || 'My Extension';
+  const description = document.getElementById('wizard-description').value || 'A Chrome Extension';
+  const extType = document.querySelector('input[name="ext-type"]:checked').value;
+  const framework = document.getElementById('wizard-framework').value;
+  const hostPerms = document.querySelector('input[name="host-perms"]:checked').value;
+  const customHosts = document.getElementById('wizard-custom-hosts').value;
+
+  // Collect enabled features
+  const features = {
+    background: document.getElementById('feat-background').checked,
+    storage: document.getElementById('feat-storage').checked,
+    tabs: document.getElementById('feat-tabs').checked,
+    contextMenu: document.getElementById('feat-context-menu').checked,
+    notifications: document.getElementById('feat-notifications').checked,
+    bookmarks: document.getElementById('feat-bookmarks').checked,
+    history: document.getElementById('feat-history').checked,
+    downloads: document.getElementById('feat-downloads').checked,
+    cookies: document.getElementById('feat-cookies').checked,
+    webRequest: document.getElementById('feat-web-request').checked
+  };
+
+  // Collect enabled behaviors
+  const behaviors = {
+    matchSite: document.getElementById('behavior-match-site').checked,
+    autoOpen: document.getElementById('behavior-auto-open').checked,
+    persistState: document.getElementById('behavior-persist-state').checked,
+    keyboard: document.getElementById('behavior-keyboard').checked,
+    badge: document.getElementById('behavior-badge').checked,
+    autoRun: document.getElementById('behavior-auto-run').checked,
+    sync: document.getElementById('behavior-sync').checked,
+    theme: document.getElementById('behavior-theme').checked,
+    analytics: document.getElementById('behavior-analytics').checked,
+    hotReload: document.getElementById('behavior-hotreload').checked,
+    errorTracking: document.getElementById('behavior-error-tracking').checked
+  };
+
+  showStatus('Generating extension...', 'info');
+
+  // Generate manifest
+  const manifest = generateManifest(name, description, extType, features, hostPerms, customHosts, behaviors);
+
+  // Generate files based on extension type, features, and behaviors
+  const files = generateExtensionFiles(extType, features, framework, behaviors);
+
+  // Create project (wizard output uses the legacy shape, so normalize it for the store)
+  const project = normalizeProject({
+    name: name,
+    manifest: manifest,
+    files: files,
+    created: Date.now()
+  });
+
+  ProjectStore.save(project).then(async (stored) => {
+    await loadProjects();
+    openProject(cloneProject(stored));
+    showStatus('Extension generated successfully!', 'success');
+  }).catch(error => {
+    console.error('Wizard save error:', error);
+    showStatus('Failed to save generated extension: ' + error.message, 'error');
+  });
+}
+
+function generateManifest(name, description, extType, features, hostPerms, customHosts, behaviors) {
+  const manifest = {
+    manifest_version: 3,
+    name: name,
+    version: '1.0.0',
+    description: description,
+    permissions: []
+  };
+
+  // Add icon references
+  // Icons will be generated during export
+  manifest.icons = {
+    "16": "icons/icon16.png",
+    "48": "icons/icon48.png",
+    "128": "icons/icon128.png"
+  };
+
+  // Configure based on extension type
+  if (extType === 'content-script') {
+    manifest.content_scripts = [{
+      matches: hostPerms === 'custom' ? customHosts.split(',').map(h => h.trim()) : ['<all_urls>'],
+      js: ['content.js'],
+      run_at: 'document_idle'
+    }];
+  } else if (extType === 'popup') {
+    manifest.action = {
+      default_popup: 'popup.html',
+      default_title: name
+    };
+  } else if (extType === 'side-panel') {
+    manifest.action = {
+      default_title: name
+    };
+    manifest.side_panel = {
+      default_path: 'panel.html'
+    };
+  } else if (extType === 'page-action') {
+    manifest.action = {
+      default_title: name
+    };
+  }
+
+  // Add permissions based on features
+  if (features.storage) manifest.permissions.push('storage');
+  if (features.tabs) manifest.permissions.push('tabs');
+  if (features.contextMenu) manifest.permissions.push('contextMenus');
+  if (features.notifications) manifest.permissions.push('notifications');
+  if (features.bookmarks) manifest.permissions.push('bookmarks');
+  if (features.history) manifest.permissions.push('history');
+  if (features.downloads) manifest.permissions.push('downloads');
+  if (features.cookies) manifest.permissions.push('cookies');
+  if (features.webRequest) {
+    manifest.permissions.push('webRequest');
+    manifest.permissions.push('webRequestBlocking');
+  }
+
+  // Add permissions for behaviors
+  if (behaviors.sync) manifest.permissions.push('storage');
+  if (behaviors.keyboard) {
+    manifest.commands = {
+      "_execute_action": {
+        "suggested_key": {
+          "default": "Ctrl+Shift+Y",
+          "mac": "Command+Shift+Y"
+        },
+        "description": "Open extension"
+      },
+      "toggle": {
+        "suggested_key": {
+          "default": "Ctrl+Shift+K",
+          "mac": "Command+Shift+K"
+        },
+        "description": "Toggle extension"
+      }
+    };
+  }
+
+  // Add background service worker if needed
+  if (features.background || features.contextMenu || features.webRequest || behaviors.autoOpen || behaviors.badge || behaviors.errorTracking) {
+    manifest.background = {
+      service_worker: 'background.js'
+    };
+  }
+
+  // Add host permissions
+  if (hostPerms === 'all-urls') {
+    manifest.host_permissions = ['<all_urls>'];
+  } else if (hostPerms === 'custom') {
+    manifest.host_permissions = customHosts.split(',').map(h => h.trim());
+  } else {
+    manifest.permissions.push('activeTab');
+  }
+
+  return JSON.stringify(manifest, null, 2);
+}
+
+function generateExtensionFiles(extType, features, framework, behaviors) {
+  const files = [];
+
+  // Generate appropriate UI file based on type
+  if (extType === 'popup') {
+    files.push({
+      name: 'popup.html',
+      content: generateHTML('popup', framework, behaviors)
+    });
+    files.push({
+      name: 'popup.js',
+      content: generateJS('popup', features, framework, behaviors)
+    });
+    files.push({
+      name: 'popup.css',
+      content: generateCSS(behaviors)
+    });
+  } else if (extType === 'side-panel') {
+    files.push({
+      name: 'panel.html',
+      content: generateHTML('panel', framework, behaviors)
+    });
+    files.push({
+      name: 'panel.js',
+      content: generateJS('panel', features, framework, behaviors)
+    });
+    files.push({
+      name: 'panel.css',
+      content: generateCSS(behaviors)
+    });
+  } else if (extType === 'content-script') {
+    files.push({
+      name: 'content.js',
+      content: generateContentScript(features, behaviors)
+    });
+  }
+
+  // Generate background script if needed
+  if (features.background || features.contextMenu || features.webRequest || behaviors.autoOpen || behaviors.badge || behaviors.errorTracking) {
+    files.push({
+      name: 'background.js',
+      content: generateBackgroundScript(features, behaviors)
+    });
+  }
+
+  // Add README
+  files.push({
+    name: 'README.md',
+    content: generateReadme()
+  });
+
+  return files;
+}
+
+function generateHTML(type, framework, behaviors) {
+  const title = type === 'popup' ? 'Extension Popup' : 'Extension Panel';
+  const themeAttr = behaviors.theme ? ' data-theme="light"' : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+  <link rel="stylesheet" href="${type}.css">
+</head>
+<body${themeAttr}>
+  <div class="container">
+    <h1>Welcome!</h1>
+    <p>Your extension is ready to customize.</p>
+    ${framework === 'vanilla' ? '<div id="app"></div>' : '<div id="root"></div>'}
+    <button id="action-btn" class="btn">Click Me</button>
+    ${behaviors.theme ? '<button id="theme-toggle" class="btn-icon">🌓</button>' : ''}
+  </div>
+  <script src="${type}.js"></script>
+</body>
+</html>`;
+}
+
+function generateJS(type, features, framework, behaviors) {
+  let code = `// ${type.charAt(0).toUpperCase() + type.slice(1)} Script\n\n`;
+
+  if (behaviors.persistState) {
+    code += `// State Management\n`;
+    code += `let state = {};\n\n`;
+    code += `async function loadState() {\n`;
+    code += `  const result = await chrome.storage.${behaviors.sync ? 'sync' : 'local'}.get('state');\n`;
+    code += `  state = result.state || {};\n`;
+    code += `  console.log('State loaded:', state);\n`;
+    code += `}\n\n`;
+    code += `async function saveState() {\n`;
+    code += `  await chrome.storage.${behaviors.sync ? 'sync' : 'local'}.set({ state });\n`;
+    code += `  console.log('State saved:', state);\n`;
+    code += `}\n\n`;
+  }
+
+  if (behaviors.errorTracking) {
+    code += `// Error Tracking\n`;
+    code += `window.addEventListener('error', (event) => {\n`;
+    code += `  console.error('Error tracked:', event.error);\n`;
+    code += `  // Send to analytics or error reporting service\n`;
+    code += `});\n\n`;
+  }
+
+  if (behaviors.matchSite) {
+    code += `// Match Parent Site Style\n`;
+    code += `async function matchParentSiteStyle() {\n`;
+    code += `  try {\n`;
+    code += `    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });\n`;
+    code += `    const response = await chrome.tabs.sendMessage(tab.id, { action: 'extractStyles' });\n`;
+    code += `    \n`;
+    code += `    if (response && response.styles) {\n`;
+    code += `      // Apply extracted styles to extension UI\n`;
+    code += `      const root = document.documentElement;\n`;
+    code += `      root.style.setProperty('--site-bg', response.styles.backgroundColor);\n`;
+    code += `      root.style.setProperty('--site-text', response.styles.textColor);\n`;
+    code += `      root.style.setProperty('--site-accent', response.styles.accentColor);\n`;
+    code += `      root.style.setProperty('--site-font', response.styles.fontFamily);\n`;
+    code += `      \n`;
+    code += `      // Update UI with site colors\n`;
+    code += `      document.body.style.background = response.styles.backgroundColor;\n`;
+    code += `      document.body.style.color = response.styles.textColor;\n`;
+    code += `      document.body.style.fontFamily = response.styles.fontFamily;\n`;
+    code += `      \n`;
+    code += `      console.log('Matched parent site style:', response.styles);\n`;
+    code += `    }\n`;
+    code += `  } catch (error) {\n`;
+    code += `    console.log('Could not extract parent site styles:', error);\n`;
+    code += `  }\n`;
+    code += `}\n\n`;
+  }
+
+  code += `document.addEventListener('DOMContentLoaded', async () => {\n`;
+
+  if (behaviors.persistState) {
+    code += `  await loadState();\n\n`;
+  }
+
+  if (behaviors.matchSite) {
+    code += `  await matchParentSiteStyle();\n\n`;
+  }
+
+  if (behaviors.theme) {
+    code += `  // Theme Support\n`;
+    code += `  const themeToggle = document.getElementById('theme-toggle');\n`;
+    code += `  const savedTheme = localStorage.getItem('theme') || 'light';\n`;
+    code += `  document.body.setAttribute('data-theme', savedTheme);\n\n`;
+    code += `  themeToggle?.addEventListener('click', () => {\n`;
+    code += `    const currentTheme = document.body.getAttribute('data-theme');\n`;
+    code += `    const newTheme = currentTheme === 'light' ? 'dark' : 'light';\n`;
+    code += `    document.body.setAttribute('data-theme', newTheme);\n`;
+    code += `    localStorage.setItem('theme', newTheme);\n`;
+    code += `  });\n\n`;
+  }
+
+  code += `  const btn = document.getElementById('action-btn');\n`;
+  code += `  \n`;
+  code += `  btn.addEventListener('click', async () => {\n`;
+  code += `    console.log('Button clicked!');\n`;
+
+  if (features.storage) {
+    code += `    \n    // Example: Save to storage\n`;
+    code += `    await chrome.storage.local.set({ lastClick: new Date().toISOString() });\n`;
+    code += `    console.log('Saved to storage');\n`;
+  }
+
+  if (features.tabs) {
+    code += `    \n    // Example: Get active tab\n`;
+    code += `    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });\n`;
+    code += `    console.log('Active tab:', tab.url);\n`;
+  }
+
+  if (features.notifications) {
+    code += `    \n    // Example: Show notification\n`;
+    code += `    chrome.notifications.create({\n`;
+    code += `      type: 'basic',\n`;
+    code += `      iconUrl: 'icons/icon48.png',\n`;
+    code += `      title: 'Extension Notification',\n`;
+    code += `      message: 'Button was clicked!'\n`;
+    code += `    });\n`;
+  }
+
+  if (behaviors.analytics) {
+    code += `    \n    // Track usage\n`;
+    code += `    chrome.runtime.sendMessage({ action: 'track', event: 'button_click' });\n`;
+  }
+
+  if (behaviors.persistState) {
+    code += `    \n    // Update and save state\n`;
+    code += `    state.clicks = (state.clicks || 0) + 1;\n`;
+    code += `    await saveState();\n`;
+  }
+
+  code += `  });\n`;
+  code += `});\n`;
+
+  if (behaviors.keyboard) {
+    code += `\n// Keyboard Shortcuts\n`;
+    code += `chrome.commands.onCommand.addListener((command) => {\n`;
+    code += `  console.log('Command received:', command);\n`;
+    code += `  if (command === 'toggle') {\n`;
+    code += `    // Handle toggle action\n`;
+    code += `  }\n`;
+    code += `});\n`;
+  }
+
+  if (behaviors.hotReload) {
+    code += `\n// Hot Reload for Development\n`;
+    code += `if (process.env.NODE_ENV === 'development') {\n`;
+    code += `  chrome.runtime.onMessage.addListener((msg) => {\n`;
+    code += `    if (msg.type === 'reload') location.reload();\n`;
+    code += `  });\n`;
+    code += `}\n`;
+  }
+
+  return code;
+}
+
+function generateCSS(behaviors) {
+  let css = `/* Extension Styles */
+
+:root {
+  --site-bg: #667eea;
+  --site-text: #ffffff;
+  --site-accent: #764ba2;
+  --site-font: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+}
+
+* {
+  margin: 0;
+  padding: 0;
+  box-sizing: border-box;
+}
+
+body {
+  font-family: var(--site-font);
+  background: ${behaviors.matchSite ? 'var(--site-bg)' : 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)'};
+  ${behaviors.matchSite ? 'color: var(--site-text);' : ''}
+  min-width: 300px;
+  min-height: 200px;
+  transition: background 0.3s ease, color 0.3s ease;
+}
+`;
+
+  if (behaviors.theme) {
+    css += `
+body[data-theme="dark"] {
+  background: linear-gradient(135deg, #1a1a2e 0%, #16213e 100%);
+  color: #ffffff;
+}
+
+body[data-theme="dark"] .btn {
+  background: rgba(255, 255, 255, 0.1);
+  border-color: rgba(255, 255, 255, 0.2);
+}
+`;
+  }
+
+  if (behaviors.matchSite) {
+    css += `
+/* Adaptive styling that matches parent site */
+.btn {
+  background: var(--site-accent);
+  border-color: var(--site-accent);
+  color: var(--site-text);
+}
+
+.btn:hover {
+  opacity: 0.9;
+  filter: brightness(1.1);
+}
+`;
+  }
+
+  css += `
+.container {
+  padding: 32px 28px;
+  color: ${behaviors.matchSite ? 'var(--site-text)' : 'white'};
+}
+
+h1 {
+  font-size: 24px;
+  font-weight: 600;
+  margin-bottom: 12px;
+  letter-spacing: -0.5px;
+  color: ${behaviors.matchSite ? 'var(--site-text)' : 'white'};
+}
+
+p {
+  font-size: 14px;
+  opacity: 0.9;
+  margin-bottom: 24px;
+  color: ${behaviors.matchSite ? 'var(--site-text)' : 'white'};
+}
+`;
+
+  if (!behaviors.matchSite) {
+    css += `
+.btn {
+  background: rgba(255, 255, 255, 0.2);
+  border: 1px solid rgba(255, 255, 255, 0.3);
+  border-radius: 12px;
+  padding: 12px 24px;
+  color: white;
+  font-size: 14px;
+  font-weight: 600;
+  cursor: pointer;
+  transition: all 0.2s ease;
+  backdrop-filter: blur(10px);
+}
+
+.btn:hover {
+  background: rgba(255, 255, 255, 0.3);
+  transform: translateY(-2px);
+  box-shadow: 0 8px 24px rgba(0, 0, 0, 0.2);
+}`;
+  } else {
+    css += `
+.btn {
+  border-radius: 12px;
+  padding: 12px 24px;
+  font-size: 14px;
+  font-weight: 600;
+  cursor: pointer;
+  transition: all 0.2s ease;
+  border: none;
+}
+
+.btn:hover {
+  transform: translateY(-2px);
+  box-shadow: 0 8px 24px rgba(0, 0, 0, 0.15);
+}`;
+  }
+
+  return css;
+}
+
+function generateContentScript(features, behaviors) {
+  let code = `// Content Script - Runs on web pages\n\n`;
+  code += `console.log('Extension content script loaded!');\n\n`;
+
+  if (behaviors.matchSite) {
+    code += `// Extract parent site styles for extension to match\n`;
+    code += `function extractParentSiteStyles() {\n`;
+    code += `  const bodyStyles = window.getComputedStyle(document.body);\n`;
+    code += `  const bgColor = bodyStyles.backgroundColor;\n`;
+    code += `  const textColor = bodyStyles.color;\n`;
+    code += `  const fontFamily = bodyStyles.fontFamily;\n`;
+    code += `  \n`;
+    code += `  // Find accent color from links or buttons\n`;
+    code += `  let accentColor = '#6366f1'; // fallback\n`;
+    code += `  const links = document.querySelectorAll('a, button');\n`;
+    code += `  if (links.length > 0) {\n`;
+    code += `    const linkStyle = window.getComputedStyle(links[0]);\n`;
+    code += `    accentColor = linkStyle.color || accentColor;\n`;
+    code += `  }\n`;
+    code += `  \n`;
+    code += `  return {\n`;
+    code += `    backgroundColor: bgColor,\n`;
+    code += `    textColor: textColor,\n`;
+    code += `    accentColor: accentColor,\n`;
+    code += `    fontFamily: fontFamily\n`;
+    code += `  };\n`;
+    code += `}\n\n`;
+  }
+
+  if (behaviors.autoRun) {
+    code += `// Auto-run enhancement\n`;
+    code += `let hasRun = false;\n\n`;
+  }
+
+  code += `// Example: Modify page content\n`;
+  code += `function enhancePage() {\n`;
+
+  if (behaviors.autoRun) {
+    code += `  if (hasRun) return;\n`;
+    code += `  hasRun = true;\n\n`;
+  }
+
+  code += `  // Add your page modifications here\n`;
+  code += `  console.log('Enhancing page:', window.location.href);\n`;
+
+  if (behaviors.analytics) {
+    code += `  \n  // Track page enhancement\n`;
+    code += `  chrome.runtime.sendMessage({ action: 'track', event: 'page_enhanced', url: window.location.href });\n`;
+  }
+
+  code += `}\n\n`;
+
+  if (behaviors.autoRun) {
+    code += `// Auto-run on page load\n`;
+  } else {
+    code += `// Run when page is ready\n`;
+  }
+
+  code += `if (document.readyState === 'loading') {\n`;
+  code += `  document.addEventListener('DOMContentLoaded', enhancePage);\n`;
+  code += `} else {\n`;
+  code += `  enhancePage();\n`;
+  code += `}\n\n`;
+
+  if (features.storage) {
+    code += `// Example: Listen for storage changes\n`;
+    code += `chrome.storage.onChanged.addListener((changes, area) => {\n`;
+    code += `  console.log('Storage changed:', changes);\n`;
+    code += `});\n\n`;
+  }
+
+  code += `// Listen for messages from extension\n`;
+  code += `chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {\n`;
+  code += `  console.log('Message received:', request);\n`;
+
+  if (behaviors.matchSite) {
+    code += `  \n  // Handle style extraction request\n`;
+    code += `  if (request.action === 'extractStyles') {\n`;
+    code += `    const styles = extractParentSiteStyles();\n`;
+    code += `    sendResponse({ styles });\n`;
+    code += `    return true;\n`;
+    code += `  }\n`;
+  }
+
+  code += `  \n  sendResponse({ status: 'ok' });\n`;
+  code += `  return true;\n`;
+  code += `});\n`;
+
+  if (behaviors.errorTracking) {
+    code += `\n// Error tracking\n`;
+    code += `window.addEventListener('error', (event) => {\n`;
+    code += `  chrome.runtime.sendMessage({ \n`;
+    code += `    action: 'error', \n`;
+    code += `    error: event.error.message,\n`;
+    code += `    url: window.location.href\n`;
+    code += `  });\n`;
+    code += `});\n`;
+  }
+
+  return code;
+}
+
+function generateBackgroundScript(features, behaviors) {
+  let code = `// Background Service Worker\n\n`;
+  code += `console.log('Background service worker loaded!');\n\n`;
+
+  if (behaviors.autoOpen) {
+    code += `// Auto-open side panel on install\n`;
+    code += `chrome.runtime.onInstalled.addListener(async () => {\n`;
+    code += `  const tabs = await chrome.tabs.query({ active: true, currentWindow: true });\n`;
+    code += `  if (tabs[0]?.id) {\n`;
+    code += `    try {\n`;
+    code += `      await chrome.sidePanel.open({ tabId: tabs[0].id });\n`;
+    code += `      console.log('Side panel opened automatically');\n`;
+    code += `    } catch (e) {\n`;
+    code += `      console.log('Side panel not available:', e);\n`;
+    code += `    }\n`;
+    code += `  }\n`;
+    code += `});\n\n`;
+  }
+
+  if (behaviors.badge) {
+    code += `// Badge notification system\n`;
+    code += `let badgeCount = 0;\n\n`;
+    code += `function updateBadge(count) {\n`;
+    code += `  badgeCount = count;\n`;
+    code += `  chrome.action.setBadgeText({ text: count > 0 ? count.toString() : '' });\n`;
+    code += `  chrome.action.setBadgeBackgroundColor({ color: '#6366f1' });\n`;
+    code += `}\n\n`;
+  }
+
+  if (behaviors.analytics) {
+    code += `// Analytics tracking\n`;
+    code += `const analytics = {\n`;
+    code += `  events: [],\n`;
+    code += `  track(event, data) {\n`;
+    code += `    this.events.push({ event, data, timestamp: Date.now() });\n`;
+    code += `    console.log('Tracked:', event, data);\n`;
+    code += `    // Send to your analytics service\n`;
+    code += `  }\n`;
+    code += `};\n\n`;
+  }
+
+  if (behaviors.errorTracking) {
+    code += `// Error tracking\n`;
+    code += `const errors = [];\n\n`;
+    code += `function logError(error) {\n`;
+    code += `  errors.push({ error, timestamp: Date.now() });\n`;
+    code += `  console.error('Error logged:', error);\n`;
+    code += `  // Send to error reporting service\n`;
+    code += `}\n\n`;
+  }
+
+  if (features.contextMenu) {
+    code += `// Create context menu\n`;
+    code += `chrome.runtime.onInstalled.addListener(() => {\n`;
+    code += `  chrome.contextMenus.create({\n`;
+    code += `    id: 'main-action',\n`;
+    code += `    title: 'Extension Action',\n`;
+    code += `    contexts: ['selection', 'page']\n`;
+    code += `  });\n`;
+    code += `});\n\n`;
+    code += `chrome.contextMenus.onClicked.addListener((info, tab) => {\n`;
+    code += `  console.log('Context menu clicked:', info);\n`;
+
+    if (behaviors.analytics) {
+      code += `  analytics.track('context_menu_click', { selection: info.selectionText });\n`;
+    }
+
+    code += `});\n\n`;
+  }
+
+  if (features.webRequest) {
+    code += `// Network request interception\n`;
+    code += `chrome.webRequest.onBeforeRequest.addListener(\n`;
+    code += `  (details) => {\n`;
+    code += `    console.log('Request:', details.url);\n`;
+    code += `    return {}; // Can modify or block request\n`;
+    code += `  },\n`;
+    code += `  { urls: ['<all_urls>'] },\n`;
+    code += `  ['blocking']\n`;
+    code += `);\n\n`;
+  }
+
+  code += `// Listen for messages\n`;
+  code += `chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {\n`;
+  code += `  console.log('Message received:', request);\n`;
+
+  if (behaviors.analytics) {
+    code += `  \n  // Track incoming messages\n`;
+    code += `  if (request.action === 'track') {\n`;
+    code += `    analytics.track(request.event, request.data || {});\n`;
+    code += `  }\n`;
+  }
+
+  if (behaviors.errorTracking) {
+    code += `  \n  // Log errors\n`;
+    code += `  if (request.action === 'error') {\n`;
+    code += `    logError(request.error);\n`;
+    code += `  }\n`;
+  }
+
+  if (behaviors.badge) {
+    code += `  \n  // Update badge\n`;
+    code += `  if (request.action === 'updateBadge') {\n`;
+    code += `    updateBadge(request.count);\n`;
+    code += `  }\n`;
+  }
+
+  code += `  \n  sendResponse({ status: 'ok' });\n`;
+  code += `  return true;\n`;
+  code += `});\n`;
+
+  if (behaviors.hotReload) {
+    code += `\n// Hot reload for development\n`;
+    code += `// Note: Chrome extensions can use chrome.runtime.reload() for development\n`;
+    code += `if (typeof chrome !== 'undefined' && chrome.runtime) {\n`;
+    code += `  // Listen for keyboard shortcut (Ctrl+R) to reload extension\n`;
+    code += `  chrome.commands?.onCommand?.addListener((command) => {\n`;
+    code += `    if (command === 'reload-extension') {\n`;
+    code += `      chrome.runtime.reload();\n`;
+    code += `    }\n`;
+    code += `  });\n`;
+    code += `}\n`;
+  }
+
+  return code;
+}
+
+function generateReadme() {
+  return `# Chrome Extension
+
+## Installation
+
+1. Open Chrome and navigate to \`chrome://extensions\`
+2. Enable "Developer mode"
+3. Click "Load unpacked"
+4. Select this extension directory
+
+## Development
+
+Modify the files to customize your extension:
+- \`manifest.json\` - Extension configuration
+- \`popup.html/js/css\` - Popup interface (if applicable)
+- \`content.js\` - Content script for page modifications
+- \`background.js\` - Background service worker
+
+## Features
+
+Built with ReMixr IDE - A meta-extension development environment.
+`;
+}
@@ -0,0 +1,257 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Popup - Icon Studio
+// Builder section that renders the project's icons from a glyph or an uploaded image
+
+import { currentFile, currentProject } from './state.js';
+import { loadFileIntoEditor } from './editor.js';
+import { updateFileTree } from './projects.js';
+import { getActiveTabContext, getCachedContext } from './context.js';
+
+// ============================================
+// ICON STUDIO
+// ============================================
+
+// What the studio shows: the project it belongs to, the icon being edited (upload holds the
+// decoded image until it is applied), which gradient color a palette click fills, and
+// object URLs of the previews so they can be released
+const iconStudio = { project: null, spec: null, upload: null, colorTarget: 0, previewUrls: [], renderId: 0 };
+
+/**
+ * Resets the studio when a different project is open. Called whenever the file tree is redrawn.
+ */
+export function syncIconStudio() {
+  if (!currentProject || iconStudio.project === currentProject) return;
+
+  iconStudio.project = currentProject;
+  iconStudio.spec = currentProject.icon ? { ...currentProject.icon } : defaultIconSpec(currentProject.name);
+  iconStudio.upload = null;
+
+  const glyphSpec = iconStudio.spec.type === 'glyph' ? iconStudio.spec : defaultIconSpec(currentProject.name);
+  document.getElementById('icon-glyph').value = glyphSpec.glyph;
+  document.getElementById('icon-color-start').value = glyphSpec.colors[0];
+  document.getElementById('icon-color-end').value = glyphSpec.colors[1];
+
+  renderIconPreviews();
+  renderIconPalette();
+}
+
+/**
+ * Shows every size side by side. Image icons that are already applied preview the
+ * project's own files; anything else is rendered from the studio inputs.
+ */
+async function renderIconPreviews() {
+  const container = document.getElementById('icon-previews');
+  if (!container || !iconStudio.spec) return;
+
+  const renderId = ++iconStudio.renderId;
+  let blobs;
+  try {
+    if (iconStudio.spec.type === 'image' && !iconStudio.upload) {
+      blobs = ICON_SIZES.map(size => currentProject.files[iconFilePath(size)]);
+    } else {
+      blobs = [];
+      for (const size of ICON_SIZES) {
+        blobs.push(await renderIconBlob(iconStudio.spec, size, iconStudio.upload?.image));
+      }
+    }
+  } catch (error) {
+    console.error('Icon render error:', error);
+    showStatus('Could not render icon: ' + error.message, 'error');
+    return;
+  }
+  // A newer edit started rendering while this one ran
+  if (renderId !== iconStudio.renderId) return;
+
+  iconStudio.previewUrls.forEach(url => URL.revokeObjectURL(url));
+  iconStudio.previewUrls = [];
+  container.innerHTML = '';
+
+  ICON_SIZES.forEach((size, index) => {
+    const preview = document.createElement('div');
+    preview.className = 'icon-preview';
+    if (isBinaryContent(blobs[index])) {
+      const url = URL.createObjectURL(blobs[index]);
+      iconStudio.previewUrls.push(url);
+      const image = document.createElement('img');
+      image.src = url;
+      image.width = size;
+      image.height = size;
+      image.alt = `${size}px icon`;
+      preview.appendChild(image);
+    }
+    preview.append(`${size}`);
+    container.appendChild(preview);
+  });
+}
+
+/**
+ * Offers the colors of the site context the project was generated from,
+ * or of the active tab when it wasn't generated from one
+ */
+async function renderIconPalette() {
+  const container = document.getElementById('icon-palette');
+  if (!container) return;
+
+  const project = currentProject;
+  const snapshot = project?.generation?.context;
+  let context = null;
+  try {
+    context = snapshot ? await getCachedContext(snapshot.url) : await getActiveTabContext();
+  } catch (error) {
+    console.error('Icon palette error:', error);
+  }
+  if (project !== currentProject) return;
+
+  container.innerHTML = '';
+  paletteFromContext(context).forEach(color => {
+    const swatch = document.createElement('button');
+    swatch.className = 'icon-swatch';
+    swatch.style.background = color;
+    swatch.title = color;
+    swatch.dataset.color = color;
+    container.appendChild(swatch);
+  });
+}
+
+/**
+ * Switches to a glyph icon built from the glyph and color inputs
+ */
+function updateGlyphIcon() {
+  const glyph = document.getElementById('icon-glyph').value.trim();
+  iconStudio.spec = {
+    type: 'glyph',
+    glyph: glyph || defaultIconSpec(currentProject?.name).glyph,
+    colors: [document.getElementById('icon-color-start').value, document.getElementById('icon-color-end').value]
+  };
+  iconStudio.upload = null;
+  renderIconPreviews();
+}
+
+/**
+ * Fills the selected gradient color from a palette swatch
+ * @param {string} color - #rrggbb
+ */
+function pickIconColor(color) {
+  const input = document.getElementById(iconStudio.colorTarget === 0 ? 'icon-color-start' : 'icon-color-end');
+  input.value = color;
+  updateGlyphIcon();
+}
+
+/**
+ * Selects which gradient color palette swatches fill
+ * @param {number} index - 0 for the start color, 1 for the end color
+ */
+function selectIconColorTarget(index) {
+  iconStudio.colorTarget = index;
+  document.getElementById('icon-color-start').classList.toggle('selected', index === 0);
+  document.getElementById('icon-color-end').classList.toggle('selected', index === 1);
+}
+
+/**
+ * Previews an uploaded PNG or SVG at every size
+ * @param {File} file - Image picked by the user
+ */
+async function uploadProjectIcon(file) {
+  if (!file) return;
+  if (!['image/png', 'image/svg+xml'].includes(file.type)) {
+    showStatus('Icons must be PNG or SVG', 'error');
+    return;
+  }
+
+  try {
+    const image = await loadIconImage(file);
+    iconStudio.spec = { type: 'image', name: file.name };
+    iconStudio.upload = { blob: file, image };
+  } catch (error) {
+    console.error('Icon upload error:', error);
+    showStatus(error.message, 'error');
+    return;
+  }
+  renderIconPreviews();
+  showStatus(`Previewing ${file.name} - click Use Icon to apply it`, 'info');
+}
+
+/**
+ * Writes the previewed icon into the project: a PNG per size, the SVG source when
+ * there is one, and manifest.json icons. Exports use these files as they are.
+ */
+export async function applyProjectIcon() {
+  if (!currentProject) {
+    showStatus('Create or open a project first', 'error');
+    return;
+  }
+  if (iconStudio.spec.type === 'image' && !iconStudio.upload) {
+    showStatus('The project already uses this icon', 'info');
+    return;
+  }
+
+  let files;
+  let manifest;
+  try {
+    files = await renderProjectIcons(iconStudio.spec, iconStudio.upload);
+    manifest = applyIconsToManifest(currentProject.files['manifest.json']);
+  } catch (error) {
+    console.error('Icon apply error:', error);
+    showStatus('Could not update icon: ' + error.message, 'error');
+    return;
+  }
+
+  if (!files[ICON_SOURCE_PATH]) delete currentProject.files[ICON_SOURCE_PATH];
+  Object.assign(currentProject.files, files);
+  currentProject.files['manifest.json'] = manifest;
+  currentProject.icon = { ...iconStudio.spec };
+  iconStudio.upload = null;
+
+  updateFileTree();
+  if (currentFile === 'manifest.json' || currentFile in files) loadFileIntoEditor(currentFile);
+  renderIconPreviews();
+  showStatus('Icon updated - save to keep it', 'success');
+}
+
+/**
+ * Wires the studio controls
+ */
+export function initIconStudio() {
+  document.getElementById('icon-glyph')?.addEventListener('input', updateGlyphIcon);
+  ['icon-color-start', 'icon-color-end'].forEach((id, index) => {
+    const input = document.getElementById(id);
+    input?.addEventListener('input', updateGlyphIcon);
+    input?.addEventListener('focus', () => selectIconColorTarget(index));
+  });
+  selectIconColorTarget(0);
+
+  document.getElementById('icon-glyph-picks')?.addEventListener('click', (e) => {
+    const pick = e.target.closest('[data-glyph]');
+    if (!pick) return;
+    document.getElementById('icon-glyph').value = pick.dataset.glyph;
+    updateGlyphIcon();
+  });
+  document.getElementById('icon-palette')?.addEventListener('click', (e) => {
+    const swatch = e.target.closest('[data-color]');
+    if (swatch) pickIconColor(swatch.dataset.color);
+  });
+
+  document.getElementById('icon-upload-btn')?.addEventListener('click', () => {
+    document.getElementById('icon-input')?.click();
+  });
+  document.getElementById('icon-input')?.addEventListener('change', (e) => {
+    uploadProjectIcon(e.target.files[0]);
+    e.target.value = '';
+  });
+  document.getElementById('icon-apply-btn')?.addEventListener('click', applyProjectIcon);
+}
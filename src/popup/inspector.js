@@ -0,0 +1,196 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Popup - Inspector Rules
+// Adds the element picked with the Inspector to the open project as a content-script rule,
+// and shows, exports and clears the style edits recorded for its page
+
+import { currentFile, currentProject } from './state.js';
+import { loadFileIntoEditor } from './editor.js';
+import { updateFileTree } from './projects.js';
+
+// ============================================
+// INSPECTOR RULES
+// ============================================
+
+// The last picked element and the page it is on, plus the styles changed in the panel since
+// it was picked, which become the restyle rule
+const inspected = {
+  element: null,
+  url: null,
+  styleEdits: {}
+};
+
+/**
+ * Remembers the element the Inspector just picked
+ * @param {Object} element - elementSelected data from content.js
+ * @param {string} url - URL of the page it was picked on
+ */
+export function setInspectedElement(element, url) {
+  inspected.element = element;
+  inspected.url = url;
+  inspected.styleEdits = {};
+  renderRecordedStyles();
+}
+
+/**
+ * Records a style changed in the inspector panel
+ * @param {string} property - camelCase style name or a --custom-property
+ * @param {string} value
+ */
+export function recordInspectorStyleEdit(property, value) {
+  inspected.styleEdits[property] = value;
+}
+
+/**
+ * Turns the picked element into a rule of the type chosen in the panel and adds it to the
+ * open project's inspector rules script
+ */
+export function addInspectorRuleToProject() {
+  if (!currentProject) {
+    showStatus('Open a project to add the rule to', 'error');
+    return;
+  }
+  if (!inspected.element || !inspected.url) {
+    showStatus('Pick an element with the Inspector first', 'error');
+    return;
+  }
+
+  const type = document.getElementById('inspector-rule-type')?.value || 'hide';
+  const rule = { type, selector: inspected.element.locators?.css || inspected.element.selector };
+
+  if (type === 'restyle') {
+    if (Object.keys(inspected.styleEdits).length === 0) {
+      showStatus('Change a style in the inspector first - those changes become the rule', 'error');
+      return;
+    }
+    rule.styles = { ...inspected.styleEdits };
+  } else if (type === 'replaceText' || type === 'injectButton') {
+    const text = prompt(type === 'replaceText' ? 'Replace the text with:' : 'Button label:', '');
+    if (text === null) return;
+    rule.text = text;
+  }
+
+  let result;
+  try {
+    result = addInspectorRule(currentProject.files, rule, inspected.url);
+  } catch (error) {
+    console.error('Inspector rule error:', error);
+    showStatus('Could not add rule: ' + error.message, 'error');
+    return;
+  }
+
+  Object.assign(currentProject.files, result.files);
+  updateFileTree();
+  if (currentFile in result.files) loadFileIntoEditor(currentFile);
+
+  const registered = result.pattern ? ` and registered it for ${result.pattern}` : '';
+  showStatus(`Added rule to ${result.script}${registered} - save to keep it`, 'success');
+}
+
+// ============================================
+// RECORDED STYLES
+// ============================================
+
+// Host of the inspected page, or null when it is not a web page
+function inspectedHost() {
+  try {
+    const url = new URL(inspected.url);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.hostname : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Shows the inspected host's recorded edits as a stylesheet, each change annotated with
+ * the value the page had before
+ */
+export async function renderRecordedStyles() {
+  const output = document.getElementById('inspector-style-diff');
+  if (!output) return;
+
+  const host = inspectedHost();
+  const edits = host ? await loadStyleEdits(host) : {};
+  const empty = Object.keys(edits).length === 0;
+
+  output.textContent = empty
+    ? `No style edits recorded${host ? ` for ${host}` : ''} - changes made above are kept and re-applied on every visit`
+    : `/* Style edits for ${host} */\n${styleEditsToCss(edits, { annotate: true })}`;
+  ['copy-recorded-styles-btn', 'export-recorded-styles-btn', 'clear-recorded-styles-btn'].forEach(id => {
+    const button = document.getElementById(id);
+    if (button) button.disabled = empty;
+  });
+}
+
+async function copyRecordedStyles() {
+  const host = inspectedHost();
+  if (!host) return;
+  const css = styleEditsToCss(await loadStyleEdits(host));
+  navigator.clipboard.writeText(css).then(() => {
+    showStatus('Recorded styles copied to clipboard!', 'success');
+  });
+}
+
+async function exportRecordedStyles() {
+  if (!currentProject) {
+    showStatus('Open a project to add the styles to', 'error');
+    return;
+  }
+  const host = inspectedHost();
+  if (!host) return;
+
+  let result;
+  try {
+    result = addStyleEditsToProject(currentProject.files, await loadStyleEdits(host), inspected.url);
+  } catch (error) {
+    console.error('Style export error:', error);
+    showStatus('Could not add styles: ' + error.message, 'error');
+    return;
+  }
+
+  Object.assign(currentProject.files, result.files);
+  updateFileTree();
+  if (currentFile in result.files) loadFileIntoEditor(currentFile);
+
+  const registered = result.pattern ? ` and registered it for ${result.pattern}` : '';
+  const skipped = result.skipped
+    ? ` (${result.skipped} edit${result.skipped === 1 ? '' : 's'} inside shadow roots or frames left out)`
+    : '';
+  showStatus(`Added ${host} styles to ${result.path}${registered}${skipped} - save to keep them`, 'success');
+}
+
+async function clearRecordedStyles() {
+  const host = inspectedHost();
+  if (!host || !confirm(`Forget all style edits recorded for ${host}?`)) return;
+  await saveStyleEdits(host, {});
+  showStatus(`Style edits for ${host} cleared`, 'info');
+}
+
+/**
+ * Wires the recorded styles buttons and keeps the view in step with edits made on the page
+ */
+export function initStyleRecorder() {
+  document.getElementById('copy-recorded-styles-btn')?.addEventListener('click', copyRecordedStyles);
+  document.getElementById('export-recorded-styles-btn')?.addEventListener('click', exportRecordedStyles);
+  document.getElementById('clear-recorded-styles-btn')?.addEventListener('click', clearRecordedStyles);
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    const host = inspectedHost();
+    if (area === 'local' && host && changes[styleEditsKey(host)]) renderRecordedStyles();
+  });
+  renderRecordedStyles();
+}
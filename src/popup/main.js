@@ -0,0 +1,923 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Popup - Entry Point
+// Boots the IDE: editor, theme, AI settings, keyboard shortcuts, tabs and event wiring
+
+import { cmEditor, currentFile, currentProject, setEditor } from './state.js';
+import {
+  closeSnapshotDiff,
+  importProjectFromFile,
+  importProjectFromFolder,
+  loadProjects,
+  loadTemplate,
+  renderInstalledExtensions,
+  restoreSnapshot,
+  saveCurrentProject,
+  toggleInstalledExtensionPicker,
+  updateFileTree
+} from './projects.js';
+import {
+  addProjectAssets,
+  applyFileReview,
+  closeFileReview,
+  handleSandboxMessage,
+  openResponseImport,
+  parsePastedResponse,
+  resetSandboxState,
+  updateLintMarkers,
+  updatePreview
+} from './editor.js';
+import {
+  addChatMessage,
+  handleShinyGenerate,
+  initShinyTab,
+  publishShinyProject,
+  updateShinyAccent,
+  updateShinyTheme
+} from './shiny.js';
+import {
+  generateExtension,
+  generateExtensionFromWizard,
+  injectFeatures,
+  regenerateProject
+} from './generators.js';
+import {
+  analyzePermissions,
+  fixManifestPermissions,
+  linkDevFolder,
+  runMacGyver,
+  runProjectOnTab,
+  scheduleDevFolderSync,
+  setLiveReload,
+  testExtension,
+  undoProjectTabRun,
+  updateLiveReloadStatus
+} from './tools.js';
+import { initIconStudio } from './icons.js';
+import {
+  addInspectorRuleToProject,
+  initStyleRecorder,
+  recordInspectorStyleEdit,
+  setInspectedElement
+} from './inspector.js';
+import { renderInspectorLocators, runAnalysis, toggleInspector } from './analyzers.js';
+import { handleNetworkEvent, initNetworkRecorder } from './network.js';
+import {
+  displayExtractionResults,
+  extractSiteContext,
+  generateAIContext,
+  updateBuilderContextStatus
+} from './context.js';
+
+/**
+ * Handles keyboard shortcuts
+ * @param {KeyboardEvent} e - Keyboard event
+ */
+function handleKeyboardShortcuts(e) {
+  // Ignore shortcuts when typing in inputs/textareas (except CodeMirror)
+  const target = e.target;
+  if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA') {
+    return;
+  }
+
+  // Ctrl/Cmd + S: Save project
+  if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+    e.preventDefault();
+    saveCurrentProject();
+    return;
+  }
+
+  // Ctrl/Cmd + E: Export extension
+  if ((e.ctrlKey || e.metaKey) && e.key === 'e') {
+    e.preventDefault();
+    if (currentProject) {
+      exportExtension();
+    } else {
+      showStatus('No project to export', 'error');
+    }
+    return;
+  }
+
+  // Ctrl/Cmd + P: Preview
+  if ((e.ctrlKey || e.metaKey) && e.key === 'p') {
+    e.preventDefault();
+    const previewBtn = document.getElementById('preview-btn');
+    if (previewBtn) {
+      previewBtn.click();
+    }
+    return;
+  }
+
+  // Ctrl/Cmd + N: New project
+  if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
+    e.preventDefault();
+    const template = 'starter';
+    loadTemplate(template);
+    showStatus('New project created from starter template', 'success');
+    return;
+  }
+
+  // Ctrl/Cmd + /: Toggle help
+  if ((e.ctrlKey || e.metaKey) && e.key === '/') {
+    e.preventDefault();
+    showKeyboardHelp();
+    return;
+  }
+
+  // Escape: Close modals/preview
+  if (e.key === 'Escape') {
+    const previewContainer = document.getElementById('preview-container');
+    if (previewContainer && previewContainer.style.display !== 'none') {
+      document.getElementById('close-preview')?.click();
+    }
+  }
+}
+
+/**
+ * Shows keyboard shortcuts help overlay
+ */
+function showKeyboardHelp() {
+  const help = `
+    <div style="padding: 20px; font-family: monospace;">
+      <h2 style="margin-top: 0;">⌨️ Keyboard Shortcuts</h2>
+      <table style="width: 100%; border-collapse: collapse;">
+        <tr><td style="padding: 8px;"><kbd>Ctrl+S</kbd></td><td>Save Project</td></tr>
+        <tr><td style="padding: 8px;"><kbd>Ctrl+E</kbd></td><td>Export Extension</td></tr>
+        <tr><td style="padding: 8px;"><kbd>Ctrl+P</kbd></td><td>Preview</td></tr>
+        <tr><td style="padding: 8px;"><kbd>Ctrl+N</kbd></td><td>New Project</td></tr>
+        <tr><td style="padding: 8px;"><kbd>Ctrl+/</kbd></td><td>Show This Help</td></tr>
+        <tr><td style="padding: 8px;"><kbd>Esc</kbd></td><td>Close Preview/Modal</td></tr>
+      </table>
+      <p style="margin-top: 15px; color: #888; font-size: 12px;">Use Cmd instead of Ctrl on Mac</p>
+      <button onclick="document.getElementById('analysis-results').style.display='none'" 
+              style="margin-top: 15px; padding: 8px 16px; cursor: pointer;">Close</button>
+    </div>
+  `;
+
+  const resultsDiv = document.getElementById('analysis-results');
+  if (resultsDiv) {
+    resultsDiv.innerHTML = help;
+    resultsDiv.style.display = 'block';
+  }
+}
+
+// ============================================================================
+// END VALIDATION & ERROR HANDLING
+// ============================================================================
+
+// ============================================================================
+// THEME MANAGEMENT
+// ============================================================================
+
+/**
+ * Initializes the theme from storage or system preference
+ */
+function initTheme() {
+  chrome.storage.local.get(['theme'], (result) => {
+    const theme = result.theme || (window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark');
+    applyTheme(theme);
+  });
+}
+
+/**
+ * Applies the specified theme to the document
+ * @param {string} theme - 'dark' or 'light'
+ */
+function applyTheme(theme) {
+  document.documentElement.setAttribute('data-theme', theme);
+  // Update CodeMirror theme if it exists
+  if (cmEditor) {
+    cmEditor.setOption('theme', theme === 'dark' ? 'dracula' : 'default');
+  }
+}
+
+/**
+ * Toggles between dark and light themes
+ */
+function toggleTheme() {
+  const currentTheme = document.documentElement.getAttribute('data-theme') || 'dark';
+  const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+
+  applyTheme(newTheme);
+  chrome.storage.local.set({ theme: newTheme });
+  showStatus(`Switched to ${newTheme} mode`, 'info');
+}
+
+// ============================================================================
+// END THEME MANAGEMENT
+// ============================================================================
+
+// ============================================================================
+// AI PROVIDER SETTINGS
+// ============================================================================
+
+/**
+ * Wires up the AI provider settings panel and fills it from storage
+ */
+function initLLMSettingsPanel() {
+  const panel = document.getElementById('settings-panel');
+  if (!panel) return;
+
+  const providerSelect = document.getElementById('llm-provider');
+  const endpointInput = document.getElementById('llm-endpoint');
+  const modelInput = document.getElementById('llm-model');
+  const apiKeyInput = document.getElementById('llm-api-key');
+
+  const updatePlaceholders = () => {
+    const provider = LLM_PROVIDERS[providerSelect.value];
+    endpointInput.placeholder = provider ? provider.defaultEndpoint : 'Provider default';
+    modelInput.placeholder = provider ? provider.defaultModel : 'Provider default';
+  };
+
+  const readForm = () => ({
+    provider: providerSelect.value,
+    endpoint: endpointInput.value.trim(),
+    model: modelInput.value.trim(),
+    apiKey: apiKeyInput.value.trim()
+  });
+
+  loadLLMSettings().then(settings => {
+    providerSelect.value = settings.provider;
+    endpointInput.value = settings.endpoint;
+    modelInput.value = settings.model;
+    apiKeyInput.value = settings.apiKey;
+    updatePlaceholders();
+  });
+
+  providerSelect.addEventListener('change', updatePlaceholders);
+
+  document.getElementById('settings-toggle')?.addEventListener('click', () => {
+    panel.classList.toggle('settings-panel-hidden');
+  });
+
+  document.getElementById('close-settings-panel')?.addEventListener('click', () => {
+    panel.classList.add('settings-panel-hidden');
+  });
+
+  document.getElementById('llm-save-btn')?.addEventListener('click', async () => {
+    const current = await loadLLMSettings();
+    await saveLLMSettings({ ...current, ...readForm() });
+    panel.classList.add('settings-panel-hidden');
+    showStatus('AI provider settings saved', 'success');
+  });
+
+  document.getElementById('llm-test-btn')?.addEventListener('click', async () => {
+    const settings = { ...(await loadLLMSettings()), ...readForm() };
+    if (!isLLMConfigured(settings)) {
+      showStatus('Select a provider (and API key if required) first', 'error');
+      return;
+    }
+
+    showStatus('Testing connection...', 'info');
+    try {
+      await callLLM([{ role: 'user', content: 'Reply with the single word OK.' }], settings);
+      showStatus(`Connected to ${LLM_PROVIDERS[settings.provider].label}`, 'success');
+    } catch (error) {
+      console.error('LLM connection test failed:', error);
+      showStatus(`Connection failed: ${error.message}`, 'error');
+    }
+  });
+}
+
+// ============================================================================
+// END AI PROVIDER SETTINGS
+// ============================================================================
+
+// Pending preview refresh after an edit
+let previewTimeout = null;
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+  // Enable keyboard shortcuts
+  document.addEventListener('keydown', handleKeyboardShortcuts);
+
+  // Init CodeMirror
+  const textarea = document.getElementById('code-editor');
+  if (textarea) {
+    setEditor(CodeMirror.fromTextArea(textarea, {
+      lineNumbers: true,
+      mode: 'javascript',
+      theme: 'dracula',
+      lineWrapping: true,
+      viewportMargin: Infinity,
+      gutters: ['lint-gutter', 'CodeMirror-linenumbers']
+    }));
+
+    // Code editor change handler
+    cmEditor.on('change', () => {
+      if (currentProject && currentFile && !isBinaryContent(currentProject.files[currentFile])) {
+        currentProject.files[currentFile] = cmEditor.getValue();
+        // Debounce preview update
+        clearTimeout(previewTimeout);
+        previewTimeout = setTimeout(() => {
+          updatePreview();
+          updateLintMarkers();
+        }, 500);
+        scheduleDevFolderSync();
+      }
+    });
+  }
+
+  loadProjects();
+  setupEventListeners();
+  switchTab('projects');
+  initTheme();
+});
+
+/**
+ * Sets up all event listeners for the extension builder UI.
+ * Handles tab switching, button clicks, and user interactions.
+ */
+function setupEventListeners() {
+  // Keyboard shortcuts
+  document.addEventListener('keydown', handleKeyboardShortcuts);
+
+  // Tab switching
+  document.querySelectorAll('.tab-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const tab = btn.dataset.tab;
+      switchTab(tab);
+    });
+  });
+
+  // Theme Toggle
+  document.getElementById('theme-toggle')?.addEventListener('click', toggleTheme);
+
+  // Generate button
+  document.getElementById('generate-btn')?.addEventListener('click', generateExtension);
+  document.getElementById('regenerate-btn')?.addEventListener('click', regenerateProject);
+
+  // AI output review
+  document.getElementById('import-response-btn')?.addEventListener('click', openResponseImport);
+  document.getElementById('review-parse')?.addEventListener('click', parsePastedResponse);
+  document.getElementById('review-apply')?.addEventListener('click', applyFileReview);
+  document.getElementById('review-cancel')?.addEventListener('click', closeFileReview);
+
+  // Save button
+  document.getElementById('save-project-btn')?.addEventListener('click', saveCurrentProject);
+
+  // Import existing extensions
+  document.getElementById('import-archive-btn')?.addEventListener('click', () => {
+    document.getElementById('import-archive-input')?.click();
+  });
+  document.getElementById('import-archive-input')?.addEventListener('change', (e) => {
+    importProjectFromFile(e.target.files[0]);
+    e.target.value = '';
+  });
+  document.getElementById('import-folder-btn')?.addEventListener('click', importProjectFromFolder);
+  document.getElementById('remix-installed-btn')?.addEventListener('click', toggleInstalledExtensionPicker);
+  document.getElementById('installed-show-all')?.addEventListener('change', renderInstalledExtensions);
+
+  // Live reload
+  document.getElementById('live-reload-toggle')?.addEventListener('change', (e) => setLiveReload(e.target.checked));
+  document.getElementById('live-reload-folder-btn')?.addEventListener('click', linkDevFolder);
+  updateLiveReloadStatus();
+
+  // Permission analysis
+  document.getElementById('analyze-permissions-btn')?.addEventListener('click', analyzePermissions);
+  document.getElementById('fix-permissions-btn')?.addEventListener('click', fixManifestPermissions);
+  document.getElementById('run-on-tab-btn')?.addEventListener('click', runProjectOnTab);
+  document.getElementById('undo-tab-run-btn')?.addEventListener('click', undoProjectTabRun);
+
+  // Icon studio
+  initIconStudio();
+
+  // Project history
+  document.getElementById('history-restore-all')?.addEventListener('click', () => restoreSnapshot());
+  document.getElementById('history-close')?.addEventListener('click', closeSnapshotDiff);
+
+  // Binary assets
+  document.getElementById('add-asset-btn')?.addEventListener('click', () => {
+    document.getElementById('asset-input')?.click();
+  });
+  document.getElementById('asset-input')?.addEventListener('change', (e) => {
+    addProjectAssets(e.target.files);
+    e.target.value = '';
+  });
+
+  // Test button
+  document.getElementById('test-extension-btn')?.addEventListener('click', testExtension);
+
+  // Export button
+  document.getElementById('export-extension-btn')?.addEventListener('click', exportExtension);
+  document.getElementById('export-store-kit-btn')?.addEventListener('click', exportStoreKit);
+
+  // File tree - Now dynamic
+  updateFileTree();
+
+  // Template cards
+  document.querySelectorAll('.template-card').forEach(card => {
+    card.addEventListener('click', () => {
+      const template = card.dataset.template;
+      loadTemplate(template);
+    });
+  });
+
+  // Code editor auto-save handled by CodeMirror change event
+
+  // Project name change
+  document.getElementById('project-name')?.addEventListener('input', (e) => {
+    if (currentProject) {
+      currentProject.name = e.target.value;
+    }
+  });
+
+  // Preview toggles
+  document.getElementById('preview-btn')?.addEventListener('click', () => {
+    document.getElementById('editor-container').style.display = 'none';
+    const previewContainer = document.getElementById('preview-container');
+    previewContainer.style.display = 'block';
+    previewContainer.classList.add('active');
+    updatePreview();
+  });
+
+  document.getElementById('close-preview')?.addEventListener('click', () => {
+    const previewContainer = document.getElementById('preview-container');
+    previewContainer.style.display = 'none';
+    previewContainer.classList.remove('active');
+    document.getElementById('editor-container').style.display = 'block';
+  });
+
+  window.addEventListener('message', handleSandboxMessage);
+  document.getElementById('sandbox-reload')?.addEventListener('click', updatePreview);
+  document.getElementById('sandbox-reset')?.addEventListener('click', resetSandboxState);
+  document.getElementById('sandbox-clear-log')?.addEventListener('click', () => {
+    document.getElementById('sandbox-log').innerHTML = '';
+  });
+
+  // Analyzer Tools
+  document.getElementById('inspector-toggle')?.addEventListener('change', (e) => {
+    toggleInspector(e.target.checked);
+  });
+
+  // Inspector Toolbar Switcher
+  document.querySelectorAll('.switcher-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const cluster = btn.dataset.cluster;
+      // Update buttons
+      document.querySelectorAll('.switcher-btn').forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+      // Update clusters
+      document.querySelectorAll('.toolbar-cluster').forEach(c => c.classList.remove('active'));
+      document.getElementById(`cluster-${cluster}`)?.classList.add('active');
+    });
+  });
+
+  // SITE_CONTEXT Extraction (Phase 2B)
+  document.getElementById('btn-extract-context')?.addEventListener('click', extractSiteContext);
+
+  document.getElementById('scan-visualize')?.addEventListener('click', () => runAnalysis('visualize'));
+  document.getElementById('scan-sequence')?.addEventListener('click', () => runAnalysis('sequence'));
+  document.getElementById('scan-structure')?.addEventListener('click', () => runAnalysis('structure'));
+  document.getElementById('scan-palette')?.addEventListener('click', () => runAnalysis('palette'));
+  document.getElementById('scan-assets')?.addEventListener('click', () => runAnalysis('assets'));
+  document.getElementById('scan-fonts')?.addEventListener('click', () => runAnalysis('fonts'));
+
+  document.getElementById('scan-storage')?.addEventListener('click', () => runAnalysis('storage'));
+  document.getElementById('scan-workers')?.addEventListener('click', () => runAnalysis('workers'));
+  document.getElementById('scan-perf')?.addEventListener('click', () => runAnalysis('perf'));
+  document.getElementById('scan-stack')?.addEventListener('click', () => runAnalysis('stack'));
+  document.getElementById('scan-a11y')?.addEventListener('click', () => runAnalysis('a11y'));
+  document.getElementById('scan-seo')?.addEventListener('click', () => runAnalysis('seo'));
+  document.getElementById('scan-code')?.addEventListener('click', () => runAnalysis('code'));
+  document.getElementById('scan-net')?.addEventListener('click', () => runAnalysis('net'));
+  document.getElementById('scan-psyche')?.addEventListener('click', () => runAnalysis('psyche'));
+  document.getElementById('scan-archetype')?.addEventListener('click', () => runAnalysis('archetype'));
+  document.getElementById('scan-soul')?.addEventListener('click', () => runAnalysis('soul'));
+  document.getElementById('scan-shadow')?.addEventListener('click', () => runAnalysis('shadow'));
+  document.getElementById('scan-rhetoric')?.addEventListener('click', () => runAnalysis('rhetoric'));
+  document.getElementById('scan-emotion')?.addEventListener('click', () => runAnalysis('emotion'));
+  document.getElementById('scan-strategy')?.addEventListener('click', () => runAnalysis('strategy'));
+
+  document.getElementById('clear-results')?.addEventListener('click', () => {
+    document.getElementById('analysis-results').style.display = 'none';
+  });
+
+  // Fullscreen toggle for visualizations
+  document.getElementById('fullscreen-toggle')?.addEventListener('click', () => {
+    const d3Container = document.getElementById('d3-container');
+    const resultsArea = document.getElementById('analysis-results');
+    const fullscreenBtn = document.getElementById('fullscreen-toggle');
+
+    if (d3Container.classList.contains('fullscreen')) {
+      d3Container.classList.remove('fullscreen');
+      fullscreenBtn.textContent = '⛶';
+      fullscreenBtn.title = 'Toggle Fullscreen';
+    } else {
+      d3Container.classList.add('fullscreen');
+      fullscreenBtn.textContent = '✕';
+      fullscreenBtn.title = 'Exit Fullscreen';
+    }
+  });
+
+  // MacGyver Tools
+  document.getElementById('tool-edit')?.addEventListener('click', () => runMacGyver('toggleEditMode'));
+  document.getElementById('tool-zap')?.addEventListener('click', () => runMacGyver('zapElement'));
+  // Helper to toggle button state and send message
+  const toggleTool = async (btnId, action, successMsg, failMsg) => {
+    const btn = document.getElementById(btnId);
+    if (!btn) return;
+
+    // Toggle visual state immediately for responsiveness
+    const isActive = btn.classList.contains('active');
+
+    // Only toggle class if it's a toggle-able tool (not one-shot)
+    const oneShotTools = ['tool-pii', 'tool-export-links', 'tool-export-colors', 'tool-screenshot', 'tool-specimen'];
+    if (!oneShotTools.includes(btnId)) {
+      btn.classList.toggle('active');
+    }
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab) {
+      chrome.tabs.sendMessage(tab.id, { action: action }, response => {
+        if (chrome.runtime.lastError) {
+          showStatus('Error: Refresh page to use tools', 'error');
+          btn.classList.remove('active'); // Revert on error
+          return;
+        }
+
+        // Handle specific response data
+        if (response) {
+          if (response.active === true || response.status === 'active' || response.status === 'visible') {
+            if (successMsg) showStatus(successMsg, 'success');
+            if (!oneShotTools.includes(btnId)) btn.classList.add('active');
+          } else if (response.active === false || response.status === 'inactive' || response.status === 'hidden') {
+            if (failMsg) showStatus(failMsg, 'info');
+            btn.classList.remove('active');
+          } else if (response.count !== undefined) {
+            showStatus(`${successMsg}: ${response.count}`, 'success');
+            // One-shot tools often don't keep active state
+            setTimeout(() => btn.classList.remove('active'), 200);
+          }
+        }
+      });
+    }
+  };
+
+  // Wire up Visual Forensics
+  document.getElementById('tool-xray')?.addEventListener('click', () => toggleTool('tool-xray', 'toggleXRay', '3D X-Ray Active', 'X-Ray Disabled'));
+  document.getElementById('tool-heatmap')?.addEventListener('click', () => toggleTool('tool-heatmap', 'toggleHeatmap', 'Heatmap Active', 'Heatmap Disabled'));
+  document.getElementById('tool-contrast')?.addEventListener('click', () => toggleTool('tool-contrast', 'toggleContrastMap', 'Contrast Map Active', 'Contrast Map Disabled'));
+  document.getElementById('tool-wireframe')?.addEventListener('click', () => toggleTool('tool-wireframe', 'toggleWireframe', 'Wireframe Active', 'Wireframe Disabled'));
+  document.getElementById('tool-images')?.addEventListener('click', () => toggleTool('tool-images', 'toggleImages', 'Images Hidden', 'Images Visible'));
+  document.getElementById('tool-specimen')?.addEventListener('click', () => runAnalysis('specimen'));
+  document.getElementById('tool-gravity')?.addEventListener('click', () => toggleTool('tool-gravity', 'toggleGravity', 'Gravity Engaged', 'Gravity Reset'));
+  document.getElementById('tool-neural')?.addEventListener('click', () => toggleTool('tool-neural', 'toggleNeural', 'Neural Map Active', 'Neural Hidden'));
+  document.getElementById('tool-ghost')?.addEventListener('click', () => toggleTool('tool-ghost', 'toggleGhost', 'Ghost Trace Active', 'Ghost Trace Faded'));
+
+
+  // Wire up Interaction
+  document.getElementById('tool-god-mode')?.addEventListener('click', () => toggleTool('tool-god-mode', 'toggleGodMode', 'GOD MODE ENABLED', 'God Mode Disabled'));
+  document.getElementById('tool-edit')?.addEventListener('click', () => toggleTool('tool-edit', 'toggleEditMode', 'Edit Mode Active', 'Edit Mode Disabled'));
+  document.getElementById('tool-zap')?.addEventListener('click', () => toggleTool('tool-zap', 'zapElement', 'Zap Mode: Click to Delete', 'Zap Mode Disabled'));
+  document.getElementById('tool-enable')?.addEventListener('click', () => toggleTool('tool-enable', 'enableInputs', 'Inputs Enabled', null));
+  document.getElementById('tool-unmask')?.addEventListener('click', () => toggleTool('tool-unmask', 'showPasswords', 'Passwords Unmasked', null));
+  document.getElementById('tool-kill-sticky')?.addEventListener('click', () => toggleTool('tool-kill-sticky', 'killStickies', 'Sticky Elements Removed', null));
+  document.getElementById('run-omniscience-btn')?.addEventListener('click', async () => {
+    showStatus('Extracting complete object model...', 'info');
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) {
+      showStatus('No active tab found', 'error');
+      return;
+    }
+
+    try {
+      // Set timeout for extraction
+      const timeoutPromise = new Promise((_, reject) =>
+        setTimeout(() => reject(new Error('Extraction timeout')), 30000)
+      );
+
+      const extractionPromise = new Promise((resolve, reject) => {
+        chrome.tabs.sendMessage(tab.id, { action: 'extractCompleteModel' }, response => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+          } else if (response && !response.error) {
+            resolve(response);
+          } else {
+            reject(new Error(response?.error || 'Unknown extraction error'));
+          }
+        });
+      });
+
+      const response = await Promise.race([extractionPromise, timeoutPromise]);
+      displayExtractionResults(response);
+      showStatus('Complete extraction successful!', 'success');
+    } catch (error) {
+      console.error('Extraction failed:', error);
+      showStatus(`Extraction failed: ${error.message}`, 'error');
+    }
+  });
+
+  document.getElementById('btn-extract-context')?.addEventListener('click', async () => {
+    showStatus('Generating AI-ready context...', 'info');
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) {
+      showStatus('No active tab found', 'error');
+      return;
+    }
+
+    try {
+      const timeoutPromise = new Promise((_, reject) =>
+        setTimeout(() => reject(new Error('Context generation timeout')), 30000)
+      );
+
+      const extractionPromise = new Promise((resolve, reject) => {
+        chrome.tabs.sendMessage(tab.id, { action: 'extractCompleteModel' }, response => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+          } else if (response && !response.error) {
+            resolve(response);
+          } else {
+            reject(new Error(response?.error || 'Unknown error'));
+          }
+        });
+      });
+
+      const response = await Promise.race([extractionPromise, timeoutPromise]);
+      const aiContext = generateAIContext(response);
+      downloadAsFile(aiContext, `${response.metadata.domain}_context.md`, 'text/markdown');
+      showStatus('AI context downloaded!', 'success');
+    } catch (error) {
+      console.error('Context generation failed:', error);
+      showStatus(`Context generation failed: ${error.message}`, 'error');
+    }
+  });
+
+  // Wire up Data
+  document.getElementById('tool-sniffer')?.addEventListener('click', () => toggleTool('tool-sniffer', 'toggleEventSniffer', 'Event Sniffer Attached', 'Event Sniffer Detached'));
+  document.getElementById('tool-console')?.addEventListener('click', () => runMacGyver('injectConsole')); // Kept as MacGyver for specific logic
+  document.getElementById('tool-pii')?.addEventListener('click', () => runMacGyver('findEmails'));
+  document.getElementById('tool-export-links')?.addEventListener('click', () => runMacGyver('exportLinks'));
+  document.getElementById('tool-export-colors')?.addEventListener('click', () => runMacGyver('exportColors'));
+  document.getElementById('tool-screenshot')?.addEventListener('click', () => runMacGyver('takeScreenshot'));
+
+  // Reality Engine
+  const applyReality = async (style) => {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab) {
+      chrome.tabs.sendMessage(tab.id, { action: 'applyReality', style }, response => {
+        if (response?.style) showStatus(response.style, 'success');
+      });
+    }
+  };
+
+  document.getElementById('warp-cyberdeck')?.addEventListener('click', () => applyReality('cyberdeck'));
+  document.getElementById('warp-blueprint')?.addEventListener('click', () => applyReality('blueprint'));
+  document.getElementById('warp-brutalist')?.addEventListener('click', () => applyReality('brutalist'));
+  document.getElementById('warp-vaporwave')?.addEventListener('click', () => applyReality('vaporwave'));
+  document.getElementById('warp-glitch')?.addEventListener('click', () => applyReality('glitch'));
+  document.getElementById('warp-reset')?.addEventListener('click', () => applyReality('none'));
+
+  // --- Element Inspector Panel Listeners ---
+  const inspectorPanel = document.getElementById('inspector-panel');
+  const closeInspectorBtn = document.getElementById('close-inspector-panel');
+  const copyCssBtn = document.getElementById('copy-css-btn');
+  const zapElementBtn = document.getElementById('zap-element-btn');
+
+  closeInspectorBtn?.addEventListener('click', () => {
+    inspectorPanel.style.display = 'none';
+  });
+
+  copyCssBtn?.addEventListener('click', () => {
+    const selector = document.getElementById('inspector-element-selector').textContent;
+    const inputs = inspectorPanel.querySelectorAll('[data-prop]');
+    let css = `${selector} {\n`;
+    inputs.forEach(input => {
+      const prop = input.dataset.prop;
+      const value = input.value;
+      if (value) {
+        // Convert camelCase to kebab-case
+        const kebabProp = prop.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+        css += `  ${kebabProp}: ${value};\n`;
+      }
+    });
+    css += `}`;
+    navigator.clipboard.writeText(css).then(() => {
+      showStatus('CSS copied to clipboard!', 'success');
+    });
+  });
+
+  document.getElementById('add-inspector-rule-btn')?.addEventListener('click', addInspectorRuleToProject);
+  initStyleRecorder();
+  initNetworkRecorder();
+
+  zapElementBtn?.addEventListener('click', async () => {
+    const selector = document.getElementById('inspector-element-selector').textContent;
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab) {
+      chrome.tabs.sendMessage(tab.id, {
+        action: 'updateStyle',
+        selector: selector,
+        property: 'display',
+        value: 'none'
+      });
+      inspectorPanel.style.display = 'none';
+      showStatus('Element zapped', 'info');
+    }
+  });
+
+  // Style change listeners
+  inspectorPanel?.querySelectorAll('[data-prop]').forEach(input => {
+    const eventType = input.type === 'range' || input.type === 'color' ? 'input' : 'change';
+    input.addEventListener(eventType, async () => {
+      const selector = document.getElementById('inspector-element-selector').textContent;
+      const property = input.dataset.prop;
+      const value = input.value;
+      recordInspectorStyleEdit(property, value);
+
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tab) {
+        chrome.tabs.sendMessage(tab.id, {
+          action: 'updateStyle',
+          selector: selector,
+          property: property,
+          value: value
+        });
+      }
+    });
+  });
+
+  // --- Global Message Listener for Content Script Communication ---
+  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === 'elementSelected') {
+      const { selector, locators, tagName, styles, variables } = request.data;
+      setInspectedElement(request.data, sender.tab?.url);
+
+      // Update UI
+      const panel = document.getElementById('inspector-panel');
+      const tagEl = document.getElementById('inspector-element-tag');
+      const selectorEl = document.getElementById('inspector-element-selector');
+      const varList = document.getElementById('inspector-variables-list');
+
+      if (panel && tagEl && selectorEl) {
+        panel.style.display = 'flex';
+        tagEl.textContent = tagName.toUpperCase();
+        selectorEl.textContent = selector;
+        renderInspectorLocators(locators);
+
+        // Populate styles
+        panel.querySelectorAll('[data-prop]').forEach(input => {
+          const prop = input.dataset.prop;
+          if (styles[prop]) {
+            let value = styles[prop];
+            if (input.type === 'color' && value.startsWith('rgb')) {
+              value = rgbToHex(value);
+            }
+            input.value = value;
+          }
+        });
+
+        // Populate Variables
+        if (varList) {
+          varList.innerHTML = '';
+          const entries = Object.entries(variables || {});
+          if (entries.length === 0) {
+            varList.innerHTML = '<div style="font-size: 9px; opacity: 0.5; text-align:center;">No CSS Variables detected</div>';
+          } else {
+            entries.forEach(([name, value]) => {
+              const row = document.createElement('div');
+              row.className = 'style-row';
+              row.innerHTML = `
+                <span title="${name}" style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap; max-width: 100px;">${name}</span>
+                <input type="text" value="${value}" class="style-input variable-input" data-var="${name}">
+              `;
+              varList.appendChild(row);
+
+              // Add change listener
+              row.querySelector('input').addEventListener('change', async (e) => {
+                recordInspectorStyleEdit(name, e.target.value);
+                const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+                if (tab) {
+                  chrome.tabs.sendMessage(tab.id, {
+                    action: 'updateStyle',
+                    selector: selector,
+                    property: name,
+                    value: e.target.value
+                  });
+                }
+              });
+            });
+          }
+        }
+
+        showStatus(`Inspecting: ${tagName}`, 'info');
+      }
+    } else if (request.action === 'networkEvent') {
+      handleNetworkEvent(request.event, sender.tab?.id);
+    }
+    return true;
+  });
+
+  // Helper for color conversion
+  function rgbToHex(rgb) {
+    const match = rgb.match(/^rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*(\d+(?:\.\d+)?))?\)$/);
+    if (!match) return '#000000';
+
+    const r = parseInt(match[1]);
+    const g = parseInt(match[2]);
+    const b = parseInt(match[3]);
+
+    return "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
+  }
+
+  // VS Code Section Toggles
+  document.querySelectorAll('.vscode-section-header').forEach(header => {
+    header.addEventListener('click', () => {
+      const section = header.closest('.vscode-section');
+      section.classList.toggle('collapsed');
+
+      const content = section.querySelector('.vscode-section-content');
+      if (content) {
+        content.style.display = section.classList.contains('collapsed') ? 'none' : 'block';
+      }
+    });
+  });
+
+  // Wizard generate extension button
+  document.getElementById('generate-extension-btn')?.addEventListener('click', generateExtensionFromWizard);
+
+  // Feature Injector inject button
+  document.getElementById('inject-features-btn')?.addEventListener('click', injectFeatures);
+
+  // Shiny Tab Listeners
+  document.getElementById('shiny-generate-btn')?.addEventListener('click', handleShinyGenerate);
+  document.getElementById('shiny-prompt')?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleShinyGenerate();
+    }
+  });
+
+  document.querySelectorAll('.view-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      document.querySelectorAll('.view-btn').forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+      const wrapper = document.getElementById('canvas-wrapper');
+      wrapper.className = `canvas-wrapper ${btn.dataset.view}`;
+    });
+  });
+
+  document.querySelectorAll('.swatch').forEach(swatch => {
+    swatch.addEventListener('click', () => {
+      document.querySelectorAll('.swatch').forEach(s => s.classList.remove('active'));
+      swatch.classList.add('active');
+      updateShinyTheme(swatch.dataset.theme);
+    });
+  });
+
+  document.getElementById('shiny-accent-picker')?.addEventListener('input', (e) => {
+    updateShinyAccent(e.target.value);
+  });
+
+  document.getElementById('shiny-magic-polish')?.addEventListener('click', () => {
+    addChatMessage('ai', 'Polishing your design with modern aesthetics...', '🪄');
+    handleShinyGenerate('Make the design more premium with better spacing, refined typography, and subtle shadows.');
+  });
+
+  document.getElementById('shiny-publish-btn')?.addEventListener('click', publishShinyProject);
+
+  // AI Provider Settings
+  initLLMSettingsPanel();
+  document.getElementById('shiny-code-toggle')?.addEventListener('click', () => {
+    if (currentProject) {
+      switchTab('code');
+    }
+  });
+}
+
+// Switch tabs
+/**
+ * Switches between different tabs in the ReMixr IDE.
+ * @param {string} tabName - Name of the tab to switch to ('projects', 'templates', 'code', 'ui', 'analyzer', 'tools')
+ */
+export function switchTab(tabName) {
+  document.querySelectorAll('.tab-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.tab === tabName);
+  });
+
+  document.querySelectorAll('.tab-content').forEach(content => {
+    content.classList.toggle('active', content.id === `${tabName}-tab`);
+  });
+
+  if (tabName === 'ui') {
+    initShinyTab();
+  }
+
+  if (tabName === 'code') {
+    updateBuilderContextStatus();
+  }
+}
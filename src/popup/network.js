@@ -0,0 +1,272 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Popup - Network Recorder
+// Records the active tab's fetch, XHR, WebSocket and EventSource traffic with the page-world
+// recorder from lib/network-recorder.js and shows it as a filterable timeline
+
+import { ensureContentScripts } from './analyzers.js';
+
+// ============================================
+// NETWORK RECORDER
+// ============================================
+
+// Entries by request id, in the order they started, and the tab they come from
+const timeline = new Map();
+let recordingTabId = null;
+let renderPending = false;
+
+const KIND_LABELS = { fetch: 'Fetch', xhr: 'XHR', websocket: 'WS', eventsource: 'SSE' };
+
+/**
+ * Starts or stops recording the active tab
+ */
+async function toggleNetworkRecorder() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return;
+  if (recordingTabId === tab.id) {
+    await stopRecording(tab);
+  } else {
+    await startRecording(tab);
+  }
+}
+
+async function startRecording(tab) {
+  try {
+    // content.js relays the recorder's events; tabs opened before install don't have it yet
+    await ensureContentScripts(tab.id);
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      world: 'MAIN',
+      func: installNetworkRecorder,
+      args: [NETWORK_RECORDER_DEFAULTS]
+    });
+  } catch (error) {
+    console.error('Network recorder error:', error);
+    showStatus('Could not record this page: ' + error.message, 'error');
+    return;
+  }
+
+  if (recordingTabId !== tab.id) timeline.clear();
+  recordingTabId = tab.id;
+  // Catch up on what was recorded while the popup was closed
+  chrome.tabs.sendMessage(tab.id, { action: 'getNetworkLog' }, response => {
+    if (chrome.runtime.lastError || !response) return;
+    response.events.forEach(event => mergeNetworkEvent(timeline, event));
+    renderNetworkTimeline();
+  });
+  updateRecordButton();
+  renderNetworkTimeline();
+  showStatus('Recording network traffic - bodies are capped and credentials redacted', 'success');
+}
+
+async function stopRecording(tab) {
+  try {
+    await chrome.scripting.executeScript({ target: { tabId: tab.id }, world: 'MAIN', func: stopNetworkRecorder });
+  } catch (e) {
+    // The tab navigated away or closed, which removed the recorder anyway
+  }
+  recordingTabId = null;
+  updateRecordButton();
+  showStatus('Network recording stopped', 'info');
+}
+
+function updateRecordButton() {
+  const button = document.getElementById('network-record-btn');
+  if (button) {
+    button.textContent = recordingTabId === null ? 'Record' : 'Stop';
+    button.classList.toggle('recording', recordingTabId !== null);
+  }
+  document.getElementById('scan-net-live')?.classList.toggle('active', recordingTabId !== null);
+}
+
+/**
+ * Adds an event relayed by content.js to the timeline
+ * @param {Object} event - From installNetworkRecorder
+ * @param {number} tabId - Tab the event came from
+ */
+export function handleNetworkEvent(event, tabId) {
+  if (tabId !== recordingTabId) return;
+  mergeNetworkEvent(timeline, event);
+  // Busy pages send many events at once; render them together
+  if (renderPending) return;
+  renderPending = true;
+  setTimeout(() => {
+    renderPending = false;
+    renderNetworkTimeline();
+  }, 100);
+}
+
+function currentFilter() {
+  return {
+    query: document.getElementById('network-filter')?.value || '',
+    kind: document.getElementById('network-kind')?.value || 'all',
+    failedOnly: document.getElementById('network-failed-only')?.checked || false
+  };
+}
+
+function formatSize(size) {
+  if (size == null) return '';
+  return size < 1024 ? `${size} B` : `${(size / 1024).toFixed(1)} KB`;
+}
+
+function entryStatus(entry) {
+  if (entry.error) return entry.error;
+  if (entry.status === null) return 'pending';
+  if (entry.kind === 'websocket' || entry.kind === 'eventsource') {
+    return entry.end === null ? 'open' : `closed${entry.closeCode ? ` (${entry.closeCode})` : ''}`;
+  }
+  return `${entry.status} ${entry.statusText}`.trim();
+}
+
+function detailSection(title, content) {
+  const section = document.createElement('div');
+  section.className = 'network-detail-section';
+  const heading = document.createElement('div');
+  heading.className = 'style-group-label';
+  heading.textContent = title;
+  const body = document.createElement('pre');
+  body.className = 'network-detail-body';
+  body.textContent = content;
+  section.append(heading, body);
+  return section;
+}
+
+function formatHeaders(headers) {
+  return Object.entries(headers).map(([name, value]) => `${name}: ${value}`).join('\n');
+}
+
+function formatBody(body) {
+  if (!body) return '';
+  return body.truncated ? `${body.text}\n… (${formatSize(body.size)} in total)` : body.text;
+}
+
+function renderEntry(entry, range) {
+  const row = document.createElement('details');
+  row.className = 'network-entry';
+  row.classList.toggle('network-entry-failed', isFailedNetworkEntry(entry));
+
+  const summary = document.createElement('summary');
+  const kind = document.createElement('span');
+  kind.className = `network-kind network-kind-${entry.kind}`;
+  kind.textContent = KIND_LABELS[entry.kind] || entry.kind;
+  const method = document.createElement('span');
+  method.className = 'network-method';
+  method.textContent = entry.method;
+  const url = document.createElement('span');
+  url.className = 'network-url';
+  url.textContent = entry.url;
+  url.title = entry.url;
+  const status = document.createElement('span');
+  status.className = 'network-status';
+  status.textContent = entryStatus(entry);
+
+  // Waterfall bar: where the request sits between the first start and the last end
+  const bar = document.createElement('span');
+  bar.className = 'network-bar';
+  const fill = document.createElement('span');
+  const end = entry.end ?? range.end;
+  fill.style.left = `${((entry.start - range.start) / range.span) * 100}%`;
+  fill.style.width = `${Math.max(((end - entry.start) / range.span) * 100, 1)}%`;
+  bar.appendChild(fill);
+  bar.title = entry.end === null ? 'Still running' : `${Math.round(entry.end - entry.start)} ms`;
+
+  summary.append(kind, method, url, status, bar);
+  row.appendChild(summary);
+
+  // Details are built when the row is opened, so long timelines stay cheap to render
+  row.addEventListener('toggle', () => {
+    if (!row.open || row.querySelector('.network-detail')) return;
+    const detail = document.createElement('div');
+    detail.className = 'network-detail';
+    if (Object.keys(entry.requestHeaders).length) detail.appendChild(detailSection('Request Headers', formatHeaders(entry.requestHeaders)));
+    if (entry.requestBody) detail.appendChild(detailSection('Request Body', formatBody(entry.requestBody)));
+    if (Object.keys(entry.responseHeaders).length) detail.appendChild(detailSection('Response Headers', formatHeaders(entry.responseHeaders)));
+    if (entry.responseBody) detail.appendChild(detailSection('Response Body', formatBody(entry.responseBody)));
+    if (entry.frames.length) {
+      const frames = entry.frames.map(frame => `${frame.direction === 'sent' ? '↑' : '↓'}${frame.type && frame.type !== 'message' ? ` [${frame.type}]` : ''} ${formatBody(frame.body)}`);
+      detail.appendChild(detailSection(`Frames (${entry.frames.length})`, frames.join('\n')));
+    }
+    if (!detail.childNodes.length) detail.textContent = 'Nothing captured yet';
+    row.appendChild(detail);
+  });
+  return row;
+}
+
+/**
+ * Redraws the timeline with the current filters
+ */
+export function renderNetworkTimeline() {
+  const list = document.getElementById('network-timeline');
+  if (!list) return;
+
+  const entries = Array.from(timeline.values());
+  const shown = filterNetworkEntries(entries, currentFilter());
+  const count = document.getElementById('network-count');
+  if (count) count.textContent = shown.length === entries.length ? `${entries.length}` : `${shown.length} of ${entries.length}`;
+
+  list.innerHTML = '';
+  if (shown.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-state';
+    empty.textContent = entries.length
+      ? 'No requests match the filters'
+      : recordingTabId === null ? 'Press Record, then use the page' : 'Waiting for traffic...';
+    list.appendChild(empty);
+    return;
+  }
+
+  const now = Date.now();
+  const start = Math.min(...shown.map(entry => entry.start));
+  const end = Math.max(...shown.map(entry => entry.end ?? now));
+  const range = { start, end, span: Math.max(end - start, 1) };
+  shown.forEach(entry => list.appendChild(renderEntry(entry, range)));
+}
+
+function copyNetworkTimeline() {
+  const shown = filterNetworkEntries(Array.from(timeline.values()), currentFilter());
+  navigator.clipboard.writeText(JSON.stringify(shown, null, 2)).then(() => {
+    showStatus(`${shown.length} network entries copied as JSON`, 'success');
+  });
+}
+
+function clearNetworkTimeline() {
+  timeline.clear();
+  if (recordingTabId !== null) {
+    chrome.tabs.sendMessage(recordingTabId, { action: 'clearNetworkLog' });
+  }
+  renderNetworkTimeline();
+}
+
+/**
+ * Wires the network panel's controls
+ */
+export function initNetworkRecorder() {
+  const panel = document.getElementById('network-panel');
+  document.getElementById('scan-net-live')?.addEventListener('click', () => {
+    if (panel) panel.hidden = false;
+    renderNetworkTimeline();
+  });
+  document.getElementById('network-record-btn')?.addEventListener('click', toggleNetworkRecorder);
+  document.getElementById('network-copy-btn')?.addEventListener('click', copyNetworkTimeline);
+  document.getElementById('network-clear-btn')?.addEventListener('click', clearNetworkTimeline);
+  document.getElementById('network-close-btn')?.addEventListener('click', () => {
+    if (panel) panel.hidden = true;
+  });
+  document.getElementById('network-filter')?.addEventListener('input', renderNetworkTimeline);
+  document.getElementById('network-kind')?.addEventListener('change', renderNetworkTimeline);
+  document.getElementById('network-failed-only')?.addEventListener('change', renderNetworkTimeline);
+}
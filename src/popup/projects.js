@@ -0,0 +1,634 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Popup - Projects
+// Project list, import, templates, saving and version history
+
+import {
+  cmEditor,
+  currentFile,
+  currentProject,
+  projects,
+  setCurrentFile,
+  setCurrentProject,
+  setProjects
+} from './state.js';
+import { switchTab } from './main.js';
+import {
+  REVIEW_CONTEXT_LINES,
+  closeFileReview,
+  loadFileIntoEditor,
+  updateLintMarkers
+} from './editor.js';
+import { loadDevFolder, syncDevFolder } from './tools.js';
+import { updateBuilderContextStatus } from './context.js';
+import { syncIconStudio } from './icons.js';
+
+/**
+ * Loads extension projects from the project store.
+ * Retrieves saved projects (migrating legacy storage on first run) and renders them in the UI.
+ */
+export async function loadProjects() {
+  try {
+    setProjects(await ProjectStore.list());
+  } catch (error) {
+    console.error('Project store error:', error);
+    showStatus('Failed to load projects: ' + error.message, 'error');
+    setProjects([]);
+  }
+  renderProjectsList();
+}
+
+/**
+ * Renders the list of extension projects in the Projects tab.
+ * Displays project cards with name, icon, and modification date.
+ */
+function renderProjectsList() {
+  const projectsList = document.getElementById('projects-list');
+
+  if (projects.length === 0) {
+    projectsList.innerHTML = '<p class="empty-state">No projects yet. Create your first extension!</p>';
+    return;
+  }
+
+  projectsList.innerHTML = projects.map(project => `
+    <div class="project-item" data-id="${escapeHTML(project.id)}">
+      <button class="project-delete-btn" title="Delete project">×</button>
+      <div class="project-icon">📦</div>
+      <div class="project-name">${escapeHTML(project.name)}</div>
+      <div class="project-meta">Modified: ${new Date(project.modified).toLocaleDateString()}</div>
+    </div>
+  `).join('');
+
+  // Add click handlers
+  document.querySelectorAll('.project-item').forEach(item => {
+    item.addEventListener('click', (e) => {
+      if (e.target.classList.contains('project-delete-btn')) {
+        deleteProject(item.dataset.id);
+      } else {
+        loadProject(item.dataset.id);
+      }
+    });
+  });
+}
+
+// Create new project
+document.getElementById('new-project-btn')?.addEventListener('click', () => {
+  setCurrentProject({
+    name: 'My Extension',
+    files: {
+      'manifest.json': JSON.stringify({
+        manifest_version: 3,
+        name: 'My Extension',
+        version: '1.0.0',
+        description: 'Description of my extension',
+        permissions: ['activeTab'],
+        action: {
+          default_popup: 'popup.html'
+        }
+      }, null, 2)
+    },
+    created: Date.now(),
+    modified: Date.now()
+  });
+
+  switchTab('code');
+  updateFileTree();
+  loadFileIntoEditor('manifest.json');
+  document.getElementById('project-name').value = currentProject.name;
+  showStatus('New project created', 'success');
+});
+
+/**
+ * Loads a specific project by ID and opens it in the builder.
+ * The dashboard only holds summaries, so the files are read from the store here.
+ * @param {string} id - The stable project ID
+ */
+async function loadProject(id) {
+  let project;
+  try {
+    project = await ProjectStore.get(id);
+  } catch (error) {
+    console.error('Project load error:', error);
+    showStatus('Failed to load project: ' + error.message, 'error');
+    return;
+  }
+
+  if (!project) {
+    showStatus('Project not found', 'error');
+    return;
+  }
+
+  openProject(cloneProject(project));
+  showStatus('Project loaded', 'success');
+}
+
+/**
+ * Opens a project object in the builder
+ * @param {Object} project - The project to edit
+ */
+export function openProject(project) {
+  setCurrentProject(project);
+  setCurrentFile('manifest.json');
+
+  switchTab('code');
+  updateFileTree();
+  loadFileIntoEditor('manifest.json');
+  document.getElementById('project-name').value = currentProject.name;
+  updateBuilderContextStatus();
+  closeSnapshotDiff();
+  renderProjectHistory();
+  loadDevFolder();
+}
+
+/**
+ * Deletes a project after user confirmation.
+ * @param {string} id - The stable ID of the project to delete
+ */
+async function deleteProject(id) {
+  if (confirm('Are you sure you want to delete this project?')) {
+    await ProjectStore.remove(id);
+    if (currentProject?.id === id) delete currentProject.id;
+    await loadProjects();
+    showStatus('Project deleted', 'success');
+  }
+}
+
+/**
+ * Imports a .zip or .crx package picked by the user as a new project
+ * @param {File} file - The selected package
+ */
+export async function importProjectFromFile(file) {
+  if (!file) return;
+  showStatus(`Importing ${file.name}...`, 'info');
+
+  try {
+    const files = await readArchiveFiles(await file.arrayBuffer());
+    await saveImportedProject(files, file.name);
+  } catch (error) {
+    console.error('Import error:', error);
+    showStatus('Import failed: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Imports an unpacked extension folder chosen with the directory picker
+ */
+export async function importProjectFromFolder() {
+  if (!window.showDirectoryPicker) {
+    showStatus('Folder import is not supported in this browser', 'error');
+    return;
+  }
+
+  let dirHandle;
+  try {
+    dirHandle = await window.showDirectoryPicker({ mode: 'read' });
+  } catch (error) {
+    if (error.name !== 'AbortError') showStatus('Could not open folder: ' + error.message, 'error');
+    return;
+  }
+
+  showStatus(`Importing ${dirHandle.name}...`, 'info');
+  try {
+    const files = await readDirectoryFiles(dirHandle);
+    await saveImportedProject(files, dirHandle.name);
+  } catch (error) {
+    console.error('Import error:', error);
+    showStatus('Import failed: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Shows or hides the installed extension picker, refreshing the list when shown
+ */
+export function toggleInstalledExtensionPicker() {
+  const panel = document.getElementById('installed-extensions-panel');
+  panel.classList.toggle('installed-extensions-hidden');
+  if (!panel.classList.contains('installed-extensions-hidden')) {
+    renderInstalledExtensions();
+  }
+}
+
+/**
+ * Lists installed extensions that can be remixed into projects
+ */
+export async function renderInstalledExtensions() {
+  const list = document.getElementById('installed-extensions-list');
+  const includeAll = document.getElementById('installed-show-all')?.checked;
+
+  let extensions;
+  try {
+    extensions = await listRemixableExtensions(includeAll);
+  } catch (error) {
+    console.error('Management API error:', error);
+    list.innerHTML = `<p class="empty-state">Could not list extensions: ${escapeHTML(error.message)}</p>`;
+    return;
+  }
+
+  if (extensions.length === 0) {
+    list.innerHTML = `<p class="empty-state">${includeAll ? 'No other extensions installed' : 'No unpacked extensions installed'}</p>`;
+    return;
+  }
+
+  list.innerHTML = extensions.map(info => `
+    <div class="installed-extension" data-extension-id="${info.id}">
+      <div class="installed-extension-name">${escapeHTML(info.name)} <span class="installed-extension-version">v${escapeHTML(info.version)}</span></div>
+      <div class="installed-extension-meta">${info.installType}${info.enabled ? '' : ' · disabled'}</div>
+      <button class="btn btn-primary btn-small">Remix</button>
+    </div>
+  `).join('');
+
+  list.querySelectorAll('.installed-extension').forEach(item => {
+    const info = extensions.find(ext => ext.id === item.dataset.extensionId);
+    item.querySelector('button').addEventListener('click', () => remixInstalledExtension(info));
+  });
+}
+
+/**
+ * Copies an installed extension's readable source into a new project
+ * @param {Object} info - chrome.management ExtensionInfo
+ */
+async function remixInstalledExtension(info) {
+  showStatus(`Reading ${info.name}...`, 'info');
+
+  try {
+    const { files, skipped, manifestReadable, manifestError } = await readInstalledExtensionFiles(info);
+    if (skipped.length > 0) {
+      console.warn(`Skipped unreadable files from ${info.name}:`, skipped);
+    }
+
+    await saveImportedProject(files, `${info.name} (${info.id})`);
+    document.getElementById('installed-extensions-panel').classList.add('installed-extensions-hidden');
+
+    if (!manifestReadable) {
+      console.warn(`${info.name}: ${manifestError}`);
+      showStatus(`${info.name}: ${manifestError} - manifest rebuilt from extension info. Use Import Folder for the full source`, 'warning');
+    } else if (skipped.length > 0) {
+      showStatus(`Remixed ${info.name}; ${skipped.length} files were not readable and were skipped`, 'warning');
+    }
+  } catch (error) {
+    console.error('Remix error:', error);
+    showStatus('Remix failed: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Validates imported files, stores them as a new project and opens it
+ * @param {Object<string, string|Blob>} files - Imported files
+ * @param {string} source - File or folder name the files came from
+ */
+async function saveImportedProject(files, source) {
+  const { project, validation } = createImportedProject(files, source);
+  const stored = await ProjectStore.save(project, { message: `Imported from ${source}` });
+
+  await loadProjects();
+  openProject(cloneProject(stored));
+
+  const count = Object.keys(stored.files).length;
+  if (!validation.valid) {
+    validation.errors.forEach(err => console.error('  - ' + err));
+    showStatus(`Imported ${count} files with ${validation.errors.length} manifest errors`, 'error');
+  } else {
+    showStatus(`Imported "${stored.name}" (${count} files)`, 'success');
+  }
+}
+
+/**
+ * Updates the file tree UI to display all files in the current project.
+ * Files are sorted alphabetically and made clickable to load in editor.
+ */
+export function updateFileTree() {
+  const container = document.getElementById('file-tree');
+  if (!container || !currentProject) return;
+
+  container.innerHTML = '';
+
+  Object.keys(currentProject.files).sort().forEach(filename => {
+    const item = document.createElement('div');
+    item.className = 'file-item';
+    if (filename === currentFile) item.classList.add('active');
+    item.dataset.file = filename;
+    item.textContent = filename;
+
+    item.addEventListener('click', () => {
+      loadFileIntoEditor(filename);
+      document.querySelectorAll('.file-item').forEach(f => f.classList.remove('active'));
+      item.classList.add('active');
+    });
+
+    container.appendChild(item);
+  });
+
+  syncIconStudio();
+}
+
+// Load template
+/**
+ * Loads a predefined extension template into the current project.
+ * @param {string} templateName - Name of the template to load (e.g., 'starter', 'content-modifier')
+ */
+export function loadTemplate(templateName) {
+  const template = TEMPLATES[templateName];
+  if (!template) return;
+
+  setCurrentProject({
+    name: template.name,
+    files: {},
+    created: Date.now(),
+    modified: Date.now()
+  });
+
+  // Convert template files to strings
+  for (const [filename, content] of Object.entries(template.files)) {
+    if (typeof content === 'object') {
+      currentProject.files[filename] = JSON.stringify(content, null, 2);
+    } else {
+      currentProject.files[filename] = content;
+    }
+  }
+
+  switchTab('code');
+  document.getElementById('project-name').value = currentProject.name;
+  setCurrentFile('manifest.json');
+  updateFileTree();
+  loadFileIntoEditor('manifest.json');
+  showStatus(`Template "${template.name}" loaded`, 'success');
+}
+
+// ============================================
+// PROJECT HISTORY
+// ============================================
+
+// Snapshot currently shown in the diff view: { id, createdAt, files }
+let openSnapshot = null;
+
+/**
+ * Lists the current project's snapshots in the HISTORY sidebar section
+ */
+async function renderProjectHistory() {
+  const list = document.getElementById('history-list');
+  if (!list) return;
+
+  if (!currentProject?.id) {
+    list.innerHTML = '<div class="history-empty">Save the project to start its history</div>';
+    return;
+  }
+
+  let snapshots;
+  try {
+    snapshots = await ProjectStore.listSnapshots(currentProject.id);
+  } catch (error) {
+    console.error('History error:', error);
+    list.innerHTML = '<div class="history-empty">History unavailable</div>';
+    return;
+  }
+
+  if (snapshots.length === 0) {
+    list.innerHTML = '<div class="history-empty">No snapshots yet</div>';
+    return;
+  }
+
+  list.innerHTML = snapshots.map(snapshot => {
+    const counts = [
+      snapshot.added.length ? `+${snapshot.added.length}` : '',
+      snapshot.modified.length ? `~${snapshot.modified.length}` : '',
+      snapshot.deleted.length ? `-${snapshot.deleted.length}` : ''
+    ].filter(Boolean).join(' ');
+
+    return `
+      <div class="history-item${openSnapshot?.id === snapshot.id ? ' active' : ''}" data-snapshot-id="${snapshot.id}">
+        <div class="history-item-time">${new Date(snapshot.createdAt).toLocaleString()}</div>
+        <div class="history-item-message">${escapeHTML(snapshot.message || 'Saved')}</div>
+        <div class="history-item-changes">${counts}</div>
+      </div>
+    `;
+  }).join('');
+
+  list.querySelectorAll('.history-item').forEach(item => {
+    item.addEventListener('click', () => openSnapshotDiff(item.dataset.snapshotId));
+  });
+}
+
+/**
+ * Shows a side-by-side diff of a snapshot against the project as it is now
+ * @param {string} snapshotId - Snapshot to compare
+ */
+async function openSnapshotDiff(snapshotId) {
+  if (!currentProject?.id) return;
+
+  const files = await ProjectStore.getSnapshotFiles(currentProject.id, snapshotId);
+  if (!files) {
+    showStatus('Snapshot not found', 'error');
+    return;
+  }
+
+  const snapshots = await ProjectStore.listSnapshots(currentProject.id);
+  const createdAt = snapshots.find(snapshot => snapshot.id === snapshotId)?.createdAt;
+  openSnapshot = { id: snapshotId, createdAt, files };
+
+  closeFileReview();
+  document.getElementById('history-title').textContent = `SNAPSHOT · ${new Date(createdAt).toLocaleString()}`;
+  document.getElementById('editor-container').style.display = 'none';
+  document.getElementById('history-container').classList.remove('review-container-hidden');
+
+  renderSnapshotDiff();
+  renderProjectHistory();
+}
+
+export function closeSnapshotDiff() {
+  if (!openSnapshot) return;
+  openSnapshot = null;
+  document.getElementById('history-container').classList.add('review-container-hidden');
+  document.getElementById('editor-container').style.display = 'block';
+  cmEditor?.refresh();
+  renderProjectHistory();
+}
+
+/**
+ * Renders one card per file that differs between the open snapshot and the project
+ */
+function renderSnapshotDiff() {
+  const container = document.getElementById('history-files');
+  const before = openSnapshot.files;
+  const after = currentProject.files;
+
+  const paths = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).sort()
+    .filter(path => !sameFileContent(before[path], after[path]));
+
+  if (paths.length === 0) {
+    container.innerHTML = '<p class="empty-state">The project matches this snapshot</p>';
+    return;
+  }
+
+  container.innerHTML = paths.map(path => {
+    const status = !(path in before) ? 'new' : !(path in after) ? 'deleted' : 'modified';
+    const binary = isBinaryContent(before[path]) || isBinaryContent(after[path]);
+    const body = binary
+      ? '<div class="history-binary">Binary file changed</div>'
+      : renderSideBySideDiff(diffLines(before[path] || '', after[path] || ''));
+
+    return `
+      <div class="review-file">
+        <div class="review-file-header">
+          <span class="review-status ${status}">${status}</span>
+          <code class="review-path">${escapeHTML(path)}</code>
+          <button class="btn btn-secondary btn-small" data-restore-path="${escapeHTML(path)}">Restore file</button>
+        </div>
+        ${body}
+      </div>
+    `;
+  }).join('');
+
+  container.querySelectorAll('[data-restore-path]').forEach(button => {
+    button.addEventListener('click', () => restoreSnapshot(button.dataset.restorePath));
+  });
+}
+
+/**
+ * Renders diff ops as a two-column table (snapshot left, current right).
+ * Adjacent removals and additions are paired on the same row.
+ * @param {Array<{type: string, text: string}>} ops - Output of diffLines
+ * @returns {string}
+ */
+function renderSideBySideDiff(ops) {
+  const rows = [];
+  const cell = (op, side) => op
+    ? `<td class="diff-cell diff-${op.type === 'equal' ? 'equal' : side}">${escapeHTML(op.text)}</td>`
+    : '<td class="diff-cell diff-empty"></td>';
+
+  let i = 0;
+  while (i < ops.length) {
+    if (ops[i].type === 'equal') {
+      let end = i;
+      while (end < ops.length && ops[end].type === 'equal') end++;
+      const run = ops.slice(i, end);
+      const head = i === 0 ? [] : run.slice(0, REVIEW_CONTEXT_LINES);
+      const tail = end === ops.length ? [] : run.slice(-REVIEW_CONTEXT_LINES);
+      const folded = run.length > head.length + tail.length + 1;
+
+      (folded ? head : run).forEach(op => rows.push(`<tr>${cell(op)}${cell(op)}</tr>`));
+      if (folded) {
+        rows.push(`<tr><td class="diff-cell diff-fold" colspan="2">… ${run.length - head.length - tail.length} unchanged lines</td></tr>`);
+        tail.forEach(op => rows.push(`<tr>${cell(op)}${cell(op)}</tr>`));
+      }
+      i = end;
+      continue;
+    }
+
+    const removed = [];
+    const added = [];
+    while (i < ops.length && ops[i].type !== 'equal') {
+      (ops[i].type === 'remove' ? removed : added).push(ops[i]);
+      i++;
+    }
+    for (let row = 0; row < Math.max(removed.length, added.length); row++) {
+      rows.push(`<tr>${cell(removed[row], 'remove')}${cell(added[row], 'add')}</tr>`);
+    }
+  }
+
+  return `<table class="history-diff"><thead><tr><th>Snapshot</th><th>Current</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+/**
+ * Restores one file, or the whole project, from the open snapshot and saves the result
+ * as a new snapshot so the restore itself can be undone.
+ * @param {string} [path] - File to restore; omitted to restore every file
+ */
+export async function restoreSnapshot(path) {
+  if (!openSnapshot || !currentProject) return;
+
+  const snapshotFiles = openSnapshot.files;
+  const when = new Date(openSnapshot.createdAt).toLocaleString();
+
+  if (path) {
+    if (path in snapshotFiles) currentProject.files[path] = snapshotFiles[path];
+    else delete currentProject.files[path];
+  } else {
+    currentProject.files = { ...snapshotFiles };
+  }
+
+  const message = path ? `Restored ${path} from ${when}` : `Restored project from ${when}`;
+  if (!(await persistCurrentProject(message))) return;
+
+  updateFileTree();
+  if (!(currentFile in currentProject.files)) setCurrentFile(Object.keys(currentProject.files)[0]);
+  if (currentFile) loadFileIntoEditor(currentFile);
+
+  if (path) {
+    renderSnapshotDiff();
+  } else {
+    closeSnapshotDiff();
+  }
+  showStatus(message, 'success');
+}
+
+// Save current project
+export async function saveCurrentProject() {
+  if (!currentProject) {
+    showStatus('No project to save', 'error');
+    return;
+  }
+
+  // Update file content from editor if currently editing
+  if (cmEditor && currentFile && !isBinaryContent(currentProject.files[currentFile])) {
+    currentProject.files[currentFile] = cmEditor.getValue();
+  }
+
+  // Lint manifest.json before saving (problems are marked in the editor gutter)
+  if (typeof currentProject.files['manifest.json'] === 'string') {
+    const diagnostics = lintManifest(currentProject.files['manifest.json'], currentProject.files);
+    const errors = diagnostics.filter(d => d.severity === 'error');
+    const warnings = diagnostics.filter(d => d.severity === 'warning');
+
+    if (errors.length > 0) {
+      showStatus(`Save warning: ${errors.length} manifest errors detected`, 'error');
+    } else if (warnings.length > 0) {
+      showStatus(`Saved with ${warnings.length} manifest warnings`, 'success');
+    } else {
+      showStatus('Project saved! ✓', 'success');
+    }
+    updateLintMarkers();
+  } else {
+    showStatus('Project saved!', 'success');
+  }
+
+  const messageInput = document.getElementById('snapshot-message');
+  if (await persistCurrentProject(messageInput?.value.trim()) && messageInput) {
+    messageInput.value = '';
+  }
+}
+
+/**
+ * Writes the current project to the store, recording a history snapshot
+ * @param {string} [message] - Optional snapshot message
+ * @returns {Promise<boolean>} - Whether the save succeeded
+ */
+export async function persistCurrentProject(message) {
+  try {
+    const stored = await ProjectStore.save(currentProject, { message });
+    currentProject.id = stored.id;
+    currentProject.modified = stored.modified;
+  } catch (error) {
+    console.error('Save error:', error);
+    showStatus('Save failed: ' + error.message, 'error');
+    return false;
+  }
+
+  await loadProjects();
+  renderProjectHistory();
+  await syncDevFolder(true);
+  return true;
+}
@@ -0,0 +1,292 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Popup - Shiny UI Builder
+// Chat-driven visual UI generation in the UI tab
+
+import { setCurrentProject } from './state.js';
+import { switchTab } from './main.js';
+import { updateFileTree } from './projects.js';
+import { loadFileIntoEditor } from './editor.js';
+import { extractName } from './generators.js';
+
+// SHINY LOGIC
+let shinyProject = null;
+let shinyHistory = [];
+
+export function initShinyTab() {
+  if (!shinyProject) {
+    // Initial state
+    shinyProject = {
+      name: 'shiny_project_1',
+      html: `<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: sans-serif; display: flex; align-items: center; justify-content: center; height: 100vh; margin: 0; background: #f8f9fa; }
+    .card { background: white; padding: 2rem; border-radius: 1rem; box-shadow: 0 4px 6px rgba(0,0,0,0.1); text-align: center; }
+    h1 { color: #333; margin-bottom: 0.5rem; }
+    p { color: #666; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>Hello Shiny!</h1>
+    <p>Describe your ideas to start designing.</p>
+  </div>
+</body>
+</html>`,
+      theme: 'light',
+      accent: '#6366f1'
+    };
+    updateShinyPreview();
+  }
+}
+
+export async function handleShinyGenerate(overridePrompt) {
+  const promptInput = document.getElementById('shiny-prompt');
+  const prompt = overridePrompt || promptInput.value.trim();
+
+  if (!prompt) return;
+
+  if (!overridePrompt) promptInput.value = '';
+
+  addChatMessage('user', prompt);
+
+  // Show loading
+  const wrapper = document.getElementById('canvas-wrapper');
+  const loader = document.querySelector('.loader-container');
+  wrapper.classList.add('loading');
+  loader.style.display = 'block';
+
+  try {
+    const response = await generateVisualUI(prompt);
+    shinyProject.html = response.html;
+    shinyHistory.push({ role: 'user', content: prompt }, { role: 'assistant', content: response.analysis });
+    updateShinyPreview();
+    addChatMessage('ai', escapeHTML(response.analysis), '✨');
+  } catch (error) {
+    console.error('Shiny generation error:', error);
+    addChatMessage('ai', `Sorry, I encountered an error while generating your design: ${escapeHTML(error.message)}`, '⚠️');
+  } finally {
+    wrapper.classList.remove('loading');
+    loader.style.display = 'none';
+  }
+}
+
+export function addChatMessage(role, text, icon = null) {
+  const history = document.getElementById('shiny-chat-history');
+  const msg = document.createElement('div');
+  msg.className = `chat-message ${role}`;
+
+  const iconHtml = role === 'ai' ? `<div class="chat-icon">${icon || '✨'}</div>` : '';
+
+  msg.innerHTML = `
+    ${iconHtml}
+    <div class="chat-bubble">${text}</div>
+  `;
+
+  history.appendChild(msg);
+  history.scrollTop = history.scrollHeight;
+}
+
+function updateShinyPreview() {
+  const frame = document.getElementById('shiny-preview-frame');
+  if (frame && shinyProject) {
+    const blob = new Blob([shinyProject.html], { type: 'text/html' });
+    frame.src = URL.createObjectURL(blob);
+  }
+}
+
+export function updateShinyTheme(theme) {
+  if (!shinyProject) return;
+  shinyProject.theme = theme;
+
+  // Patch HTML with theme
+  let bg = '#ffffff', fg = '#333333';
+  if (theme === 'dark') { bg = '#121212'; fg = '#f1f1f1'; }
+  else if (theme === 'glass') { bg = 'rgba(255,255,255,0.7)'; fg = '#111'; }
+
+  // Simple replacement or addition of styles
+  const stylePatch = `\n<style id="shiny-theme-patch">body { background: ${bg} !important; color: ${fg} !important; }</style>`;
+  if (shinyProject.html.includes('id="shiny-theme-patch"')) {
+    shinyProject.html = shinyProject.html.replace(/<style id="shiny-theme-patch">.*?<\/style>/s, stylePatch);
+  } else {
+    shinyProject.html = shinyProject.html.replace('</head>', `${stylePatch}\n</head>`);
+  }
+  updateShinyPreview();
+}
+
+export function updateShinyAccent(color) {
+  if (!shinyProject) return;
+  shinyProject.accent = color;
+
+  const stylePatch = `\n<style id="shiny-accent-patch">.accent-bg { background-color: ${color} !important; } .accent-text { color: ${color} !important; } button, .btn-primary { background: ${color} !important; }</style>`;
+  if (shinyProject.html.includes('id="shiny-accent-patch"')) {
+    shinyProject.html = shinyProject.html.replace(/<style id="shiny-accent-patch">.*?<\/style>/s, stylePatch);
+  } else {
+    shinyProject.html = shinyProject.html.replace('</head>', `${stylePatch}\n</head>`);
+  }
+  updateShinyPreview();
+}
+
+async function generateVisualUI(prompt) {
+  const settings = await loadLLMSettings();
+  if (isLLMConfigured(settings)) {
+    return generateVisualUIWithLLM(prompt, settings);
+  }
+
+  // No provider configured: fall back to the built-in generation heuristics
+  const lowerPrompt = prompt.toLowerCase();
+  let themeColor = shinyProject?.accent || '#6366f1';
+
+  let html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+        :root { --accent: ${themeColor}; --bg: #ffffff; --text: #1a1a1a; }
+        body { font-family: 'Inter', system-ui, sans-serif; background: var(--bg); color: var(--text); padding: 20px; margin: 0; transition: all 0.3s ease; }
+        .container { max-width: 600px; margin: 0 auto; }
+        header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 2rem; }
+        h1 { font-size: 1.5rem; font-weight: 700; margin: 0; }
+        .btn { padding: 10px 20px; border-radius: 8px; border: none; background: var(--accent); color: white; cursor: pointer; font-weight: 600; transition: opacity 0.2s; }
+        .btn:hover { opacity: 0.9; }
+        .card-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 1rem; }
+        .card { background: rgba(0,0,0,0.05); padding: 1rem; border-radius: 12px; border: 1px solid rgba(0,0,0,0.1); }
+        .card h3 { margin-top: 0; font-size: 1rem; }
+        .input-group { margin-bottom: 1rem; }
+        input { width: 100%; padding: 10px; border-radius: 6px; border: 1px solid #ddd; box-sizing: border-box; }
+        .footer { margin-top: 2rem; border-top: 1px solid #eee; padding-top: 1rem; font-size: 0.8rem; color: #888; text-align: center; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <header>
+            <h1>${extractName(prompt) || 'My App'}</h1>
+            <button class="btn">Action</button>
+        </header>
+        
+        <div class="content">
+            ${generateContentHtml(prompt)}
+        </div>
+
+        <div class="footer">
+            Built with ReMixr Shiny
+        </div>
+    </div>
+</body>
+</html>`;
+
+  return {
+    html: html,
+    analysis: `I've designed a layout for "${extractName(prompt) || 'your app'}" with a clean, modern aesthetic. I added a responsive grid and matching components based on your request.`
+  };
+}
+
+/**
+ * Asks the configured LLM to redesign the Shiny canvas.
+ * The current HTML and recent chat turns are sent along so prompts can iterate on the design.
+ * @param {string} prompt - The user's design request
+ * @param {Object} settings - LLM settings
+ * @returns {Promise<{html: string, analysis: string}>}
+ */
+async function generateVisualUIWithLLM(prompt, settings) {
+  const messages = [
+    {
+      role: 'system',
+      content: 'You are a senior UI designer building browser extension popups. ' +
+        'Reply with one complete, self-contained HTML document (inline CSS, no external scripts) in a single ```html code block, ' +
+        'followed by one or two sentences describing what you changed.'
+    },
+    ...shinyHistory.slice(-6),
+    {
+      role: 'user',
+      content: `Current design:\n\`\`\`html\n${shinyProject?.html || ''}\n\`\`\`\n\nAccent color: ${shinyProject?.accent || '#6366f1'}\n\nRequest: ${prompt}`
+    }
+  ];
+
+  const reply = await callLLM(messages, settings);
+  const html = extractCodeBlock(reply);
+  if (!/<html[\s>]|<body[\s>]|<div[\s>]/i.test(html)) {
+    throw new Error('The model did not return any HTML');
+  }
+
+  const analysis = reply.replace(/```[\s\S]*?```/g, '').trim() ||
+    `Updated the design using ${LLM_PROVIDERS[settings.provider].label}.`;
+
+  return { html, analysis };
+}
+
+function generateContentHtml(prompt) {
+  const p = prompt.toLowerCase();
+  if (p.includes('list') || p.includes('tasks')) {
+    return `
+            <div class="input-group">
+                <input type="text" placeholder="Add new item...">
+            </div>
+            <div class="card-grid">
+                <div class="card"><h3>Task 1</h3><p>Complete documentation</p></div>
+                <div class="card"><h3>Task 2</h3><p>Review design system</p></div>
+                <div class="card"><h3>Task 3</h3><p>Deploy to production</p></div>
+            </div>`;
+  } else if (p.includes('form') || p.includes('contact')) {
+    return `
+            <div class="card">
+                <div class="input-group"><label>Name</label><input type="text"></div>
+                <div class="input-group"><label>Email</label><input type="email"></div>
+                <div class="input-group"><label>Message</label><textarea style="width:100%; min-height:100px; padding:10px; border-radius:6px; border:1px solid #ddd;"></textarea></div>
+                <button class="btn" style="width:100%">Submit</button>
+            </div>`;
+  } else {
+    return `
+            <div class="card" style="text-align:center; padding: 3rem 1rem;">
+                <h2>Welcome to ${extractName(prompt) || 'App'}</h2>
+                <p>Start by describing more features you want to add.</p>
+                <div style="display:flex; gap:10px; justify-content:center; margin-top:1.5rem;">
+                    <button class="btn">Get Started</button>
+                    <button class="btn" style="background:#eee; color:#333;">Learn More</button>
+                </div>
+            </div>`;
+  }
+}
+
+export function publishShinyProject() {
+  if (!shinyProject) return;
+
+  setCurrentProject({
+    name: document.getElementById('shiny-project-title').textContent,
+    files: {
+      'manifest.json': JSON.stringify({
+        manifest_version: 3,
+        name: document.getElementById('shiny-project-title').textContent,
+        version: '1.0.0',
+        action: { default_popup: 'popup.html' }
+      }, null, 2),
+      'popup.html': shinyProject.html,
+      'popup.js': '// Generated by Shiny Designer\nconsole.log("Ready.");',
+      'styles.css': '/* Embedded in HTML */'
+    },
+    created: Date.now(),
+    modified: Date.now()
+  });
+
+  switchTab('code');
+  updateFileTree();
+  loadFileIntoEditor('popup.html');
+  showStatus('Project published to Builder!', 'success');
+}
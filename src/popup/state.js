@@ -0,0 +1,40 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Popup - Shared State
+// The open project, file and editor. Other modules read these live bindings and
+// change them through the setters, since imported bindings are read-only.
+
+export let currentProject = null;
+export let currentFile = 'manifest.json';
+export let projects = [];
+export let cmEditor = null;
+
+export function setCurrentProject(project) {
+  currentProject = project;
+}
+
+export function setCurrentFile(path) {
+  currentFile = path;
+}
+
+export function setProjects(list) {
+  projects = list;
+}
+
+export function setEditor(editor) {
+  cmEditor = editor;
+}
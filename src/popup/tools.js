@@ -0,0 +1,521 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ReMixr Popup - Tools
+// Live reload, permission analysis, running on the active tab, loading and MacGyver tools
+
+import { currentFile, currentProject } from './state.js';
+import { switchTab } from './main.js';
+import { persistCurrentProject } from './projects.js';
+import { loadFileIntoEditor } from './editor.js';
+
+// ============================================
+// LIVE RELOAD
+// ============================================
+
+// Folder a project is synced to, and what was last written there.
+// project ties the link to one open project so a newly created project never writes into it.
+const devFolder = { project: null, handle: null, written: new Map(), timer: null };
+
+// Pause in typing before edits are written to the dev folder
+const LIVE_RELOAD_DEBOUNCE_MS = 400;
+
+/**
+ * Restores the dev folder link for the project that was just opened
+ */
+export async function loadDevFolder() {
+  clearTimeout(devFolder.timer);
+  devFolder.project = currentProject;
+  devFolder.handle = null;
+  devFolder.written = new Map();
+
+  if (currentProject?.id) {
+    try {
+      devFolder.handle = await ProjectStore.getDevFolder(currentProject.id);
+    } catch (error) {
+      console.error('Dev folder error:', error);
+    }
+  }
+  updateLiveReloadStatus();
+}
+
+/**
+ * Asks for a folder to write the project to and turns live reload on
+ */
+export async function linkDevFolder() {
+  if (!currentProject) return;
+  if (!window.showDirectoryPicker) {
+    showStatus('Live reload needs the File System Access API', 'error');
+    return;
+  }
+
+  let handle;
+  try {
+    handle = await window.showDirectoryPicker({ mode: 'readwrite', id: 'remixr-dev-folder' });
+  } catch (error) {
+    if (error.name !== 'AbortError') showStatus('Could not open folder: ' + error.message, 'error');
+    return;
+  }
+
+  devFolder.project = currentProject;
+  devFolder.handle = handle;
+  devFolder.written = new Map();
+  currentProject.liveReload = true;
+
+  // The link is stored per project, so the project needs an ID first
+  if (!currentProject.id && !(await persistCurrentProject('Linked live reload folder'))) return;
+  await ProjectStore.setDevFolder(currentProject.id, handle);
+
+  await syncDevFolder(true);
+  updateLiveReloadStatus();
+}
+
+/**
+ * @returns {FileSystemDirectoryHandle|null} - Dev folder of the open project, if linked
+ */
+function currentDevFolder() {
+  return devFolder.project === currentProject ? devFolder.handle : null;
+}
+
+/**
+ * Writes the project (with the reload agent) to the dev folder when live reload is on
+ * @param {boolean} interactive - Called from a user action, so a permission prompt may be shown
+ */
+export async function syncDevFolder(interactive = false) {
+  if (!currentProject?.liveReload || !currentDevFolder()) return;
+
+  try {
+    if (!(await ensureDirectoryWritable(devFolder.handle, interactive))) {
+      updateLiveReloadStatus('Save to grant folder access');
+      return;
+    }
+
+    const files = buildDevFolderFiles(currentProject.files, Date.now());
+    const changes = await writeFilesToDirectory(devFolder.handle, files, devFolder.written);
+    if (changes > 0) {
+      updateLiveReloadStatus(`Synced ${new Date().toLocaleTimeString()}`);
+    }
+  } catch (error) {
+    console.error('Live reload sync error:', error);
+    updateLiveReloadStatus('Sync failed: ' + error.message);
+  }
+}
+
+/**
+ * Schedules a dev folder write after the user stops typing
+ */
+export function scheduleDevFolderSync() {
+  if (!currentProject?.liveReload || !currentDevFolder()) return;
+  clearTimeout(devFolder.timer);
+  devFolder.timer = setTimeout(() => syncDevFolder(false), LIVE_RELOAD_DEBOUNCE_MS);
+}
+
+/**
+ * Turns live reload on or off for the open project
+ * @param {boolean} enabled - New state
+ */
+export async function setLiveReload(enabled) {
+  if (!currentProject) return;
+
+  if (enabled && !currentDevFolder()) {
+    await linkDevFolder();
+  } else {
+    currentProject.liveReload = enabled;
+    if (enabled) await syncDevFolder(true);
+  }
+  updateLiveReloadStatus();
+}
+
+/**
+ * Reflects the live reload state in the PROJECT section
+ * @param {string} [detail] - Extra status text such as the last sync time
+ */
+export function updateLiveReloadStatus(detail) {
+  const toggle = document.getElementById('live-reload-toggle');
+  const status = document.getElementById('live-reload-status');
+  if (!toggle || !status) return;
+
+  toggle.checked = !!(currentProject?.liveReload && currentDevFolder());
+  toggle.disabled = !currentProject;
+
+  if (!currentDevFolder()) {
+    status.textContent = 'Writes the project to a folder and reloads it on every change';
+  } else {
+    status.textContent = `📁 ${devFolder.handle.name}${detail ? ' · ' + detail : ''}`;
+  }
+}
+
+// ============================================
+// PERMISSION ANALYSIS
+// ============================================
+
+let lastPermissionAnalysis = null;
+
+/**
+ * Scans the project's JavaScript for chrome.* calls and reports permission mismatches
+ */
+export function analyzePermissions() {
+  const report = document.getElementById('permission-report');
+  const fixButton = document.getElementById('fix-permissions-btn');
+  if (!currentProject) {
+    showStatus('No project to analyze', 'error');
+    return;
+  }
+
+  const analysis = analyzeProjectPermissions(currentProject);
+  lastPermissionAnalysis = analysis;
+
+  if (analysis.error) {
+    report.innerHTML = `<div class="permission-item error">${escapeHTML(analysis.error)}</div>`;
+    fixButton.classList.add('fix-permissions-hidden');
+    return;
+  }
+
+  const callSites = permission => analysis.used[permission]
+    .slice(0, 3)
+    .map(site => `${site.file}:${site.line} chrome.${site.api}`)
+    .join('\n');
+
+  const items = [
+    ...analysis.missing.map(permission =>
+      `<div class="permission-item error" title="${escapeHTML(callSites(permission))}">Missing <code>${permission}</code> - calls will throw</div>`),
+    ...analysis.unused.map(permission =>
+      `<div class="permission-item warning">Unused <code>${escapeHTML(permission)}</code> - no calls found</div>`),
+    ...analysis.hostAccess.map(site =>
+      `<div class="permission-item warning">chrome.${site.api} (${escapeHTML(site.file)}:${site.line}) needs activeTab or host_permissions</div>`)
+  ];
+
+  const usedCount = Object.keys(analysis.used).length;
+  report.innerHTML = items.length > 0
+    ? items.join('')
+    : `<div class="permission-item ok">Permissions match the code (${usedCount} in use)</div>`;
+  fixButton.classList.toggle('fix-permissions-hidden', items.length === 0);
+}
+
+/**
+ * Applies the last analysis to manifest.json
+ */
+export function fixManifestPermissions() {
+  if (!currentProject || !lastPermissionAnalysis) return;
+
+  try {
+    currentProject.files['manifest.json'] = applyPermissionFixes(currentProject.files['manifest.json'], lastPermissionAnalysis);
+  } catch (error) {
+    showStatus('Could not update manifest: ' + error.message, 'error');
+    return;
+  }
+
+  if (currentFile === 'manifest.json') loadFileIntoEditor('manifest.json');
+  analyzePermissions();
+  showStatus('Manifest permissions updated - save to keep them', 'success');
+}
+
+// ============================================
+// RUN ON TAB
+// ============================================
+
+let lastTabRun = null;
+
+/**
+ * Injects the project's content scripts into the active tab
+ */
+export async function runProjectOnTab() {
+  if (!currentProject) {
+    showStatus('No project to run', 'error');
+    return;
+  }
+
+  const report = document.getElementById('tab-run-report');
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return;
+
+  try {
+    const injection = await runContentScriptsOnTab(currentProject, tab);
+    // Undo covers every run on the tab, not just the latest
+    if (lastTabRun && lastTabRun.tabId === tab.id) {
+      injection.css = lastTabRun.css.concat(injection.css);
+    }
+    lastTabRun = injection;
+
+    const failures = injection.results.filter(result => result.error);
+    report.innerHTML = [
+      ...injection.results.map(result => result.error
+        ? `<div class="tab-run-item error">${escapeHTML(result.path)}: ${escapeHTML(result.error)}</div>`
+        : `<div class="tab-run-item ok">${escapeHTML(result.path)}</div>`),
+      ...injection.missing.map(path => `<div class="tab-run-item warning">${escapeHTML(path)} is not in the project</div>`),
+      ...injection.limitations.map(note => `<div class="tab-run-item note">${escapeHTML(note)}</div>`)
+    ].join('');
+    document.getElementById('undo-tab-run-btn').disabled = false;
+
+    if (failures.length > 0) {
+      showStatus(`Ran on ${new URL(tab.url).hostname} with ${failures.length} error(s)`, 'warning');
+    } else {
+      const world = injection.world === 'MAIN' ? ' in the page\'s main world - see the notes below' : '';
+      showStatus(`Ran ${injection.results.length} file(s) on ${new URL(tab.url).hostname}${world}`, injection.world === 'MAIN' ? 'warning' : 'success');
+    }
+  } catch (error) {
+    console.error('Run on tab failed:', error);
+    report.innerHTML = `<div class="tab-run-item error">${escapeHTML(error.message)}</div>`;
+    showStatus('Could not run on this tab: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Removes what the last run injected and reloads the tab
+ */
+export async function undoProjectTabRun() {
+  if (!lastTabRun) return;
+
+  try {
+    await undoContentScripts(lastTabRun);
+    showStatus('Injected styles removed and tab reloaded', 'success');
+  } catch (error) {
+    console.error('Undo failed:', error);
+    showStatus('Could not undo: ' + error.message, 'error');
+  }
+
+  lastTabRun = null;
+  document.getElementById('undo-tab-run-btn').disabled = true;
+  document.getElementById('tab-run-report').innerHTML = '';
+}
+
+// Test extension
+export async function testExtension() {
+  if (!currentProject) {
+    showStatus('No project to test', 'error');
+    return;
+  }
+
+  // Link a dev folder first so the guide can point at it and later saves reload automatically
+  if (!currentDevFolder() && window.showDirectoryPicker) {
+    await linkDevFolder();
+  }
+
+  showStatus('Loading test guide...', 'info');
+  switchTab('analyzer');
+
+  const container = document.getElementById('analysis-results');
+  const content = document.getElementById('result-content');
+  const title = document.getElementById('result-title');
+
+  container.style.display = 'block';
+  document.getElementById('d3-container').style.display = 'none';
+  content.style.display = 'block';
+  title.textContent = 'Deployment Guide';
+
+  const folderName = currentDevFolder() ? escapeHTML(devFolder.handle.name) : null;
+  content.innerHTML = `
+    <div class="analysis-item">
+      <h4>How to Load Your Extension</h4>
+      <div style="margin-top:10px; border-left: 2px solid var(--accent-color); padding-left:12px; font-size:12px; line-height:1.6; color:var(--text-secondary);">
+        1. Open <code style="color:var(--text-primary); background:var(--bg-tertiary); padding:2px 4px;">chrome://extensions/</code> in a new tab.<br>
+        2. Enable <strong>Developer mode</strong> in the top right.<br>
+        3. Click <strong>Load unpacked</strong>.<br>
+        ${folderName
+          ? `4. Select the <strong>${folderName}</strong> folder ReMixr writes this project to.`
+          : '4. Select the directory you exported from ReMixr (Extract the ZIP first).'}
+      </div>
+    </div>
+    <div class="analysis-item">
+      <h4>Iterating</h4>
+      <p style="font-size:11px; color:var(--text-dim);">${folderName
+        ? 'Live reload is on: every save (and every pause while typing) rewrites the folder and the extension reloads itself within a second. Reload open tabs to pick up content script changes.'
+        : 'After making changes here, re-export and click the "Reload" icon on the extension card in the Chrome Extensions page.'}</p>
+    </div>
+    <button id="dismiss-guide-btn" class="btn btn-secondary btn-small" style="margin-top:20px; width:100%;">Dismiss Guide</button>
+  `;
+  document.getElementById('dismiss-guide-btn').addEventListener('click', () => {
+    container.style.display = 'none';
+  });
+}
+
+// MACGYVER TOOLS (OPERATIONS)
+export async function runMacGyver(action) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return;
+
+  showStatus(`Running ${action}...`, 'info');
+
+  chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: MacGyverTools[action]
+  }, (results) => {
+    if (results && results[0] && results[0].result) {
+      const result = results[0].result;
+
+      // Handle special command prefixes from tab
+      if (typeof result === 'string') {
+        if (result.startsWith('COPIED:')) {
+          showStatus(result.replace('COPIED:', ''), 'success');
+        } else if (result.startsWith('COPY_ME:')) {
+          const textToCopy = result.replace('COPY_ME:', '');
+          navigator.clipboard.writeText(textToCopy).then(() => {
+            showStatus('Copied to clipboard!', 'success');
+          }).catch(err => {
+            console.error('Clipboard error:', err);
+            showStatus('Copy failed - use console', 'error');
+          });
+        } else if (result === 'SCREENSHOT') {
+          chrome.tabs.captureVisibleTab(null, { format: 'png' }, (dataUrl) => {
+            const a = document.createElement('a');
+            a.href = dataUrl;
+            a.download = `screenshot_${Date.now()}.png`;
+            a.click();
+            showStatus('Screenshot saved', 'success');
+          });
+        } else {
+          showStatus('Operation complete', 'success');
+        }
+      } else {
+        showStatus('Operation complete', 'success');
+      }
+    }
+  });
+}
+
+const MacGyverTools = {
+  // Reality Distortion
+  toggleEditMode: () => {
+    document.designMode = document.designMode === 'on' ? 'off' : 'on';
+    return document.designMode === 'on' ? 'COPIED:Edit Mode ON' : 'COPIED:Edit Mode OFF';
+  },
+
+  zapElement: () => {
+    const handler = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      e.target.remove();
+      document.removeEventListener('click', handler, true);
+      document.removeEventListener('mouseover', hoverHandler, true);
+      if (window.zapHoverEl) window.zapHoverEl.style.outline = '';
+    };
+    const hoverHandler = (e) => {
+      if (window.zapHoverEl) window.zapHoverEl.style.outline = '';
+      window.zapHoverEl = e.target;
+      e.target.style.outline = '2px solid red';
+    };
+    document.addEventListener('click', handler, true);
+    document.addEventListener('mouseover', hoverHandler, true);
+    return 'COPIED:Click element to ZAP';
+  },
+
+  toggleWireframe: () => {
+    if (window.wireframeActive) {
+      const style = document.getElementById('remixr-wireframe');
+      if (style) style.remove();
+      window.wireframeActive = false;
+    } else {
+      const style = document.createElement('style');
+      style.id = 'remixr-wireframe';
+      style.textContent = `* { outline: 1px solid rgba(100, 100, 255, 0.5) !important; background: rgba(0, 0, 0, 0.02)!important; color: black!important; }`;
+      document.head.appendChild(style);
+      window.wireframeActive = true;
+    }
+  },
+
+  toggleImages: () => {
+    document.querySelectorAll('img, video, canvas, svg').forEach(el => {
+      el.style.opacity = el.style.opacity === '0' ? '1' : '0';
+    });
+  },
+
+  // Lock Picking
+  showPasswords: () => {
+    let count = 0;
+    document.querySelectorAll('input[type="password"]').forEach(el => {
+      el.type = 'text';
+      el.style.backgroundColor = '#fee2e2';
+      count++;
+    });
+    return `COPIED:Unmasked ${count} fields`;
+  },
+
+  enableInputs: () => {
+    let count = 0;
+    document.querySelectorAll('input, button, select, textarea').forEach(el => {
+      if (el.disabled || el.readOnly) {
+        el.disabled = false;
+        el.readOnly = false;
+        el.style.border = '2px solid #4ade80';
+        count++;
+      }
+    });
+    return `COPIED:Enabled ${count} content controls`;
+  },
+
+  killStickies: () => {
+    document.querySelectorAll('*').forEach(el => {
+      const style = window.getComputedStyle(el);
+      if (style.position === 'fixed' || style.position === 'sticky') {
+        el.style.position = 'relative';
+        el.style.zIndex = 'auto';
+      }
+    });
+    document.body.style.overflow = 'auto';
+    return 'COPIED:Stickies flattened';
+  },
+
+  findEmails: () => {
+    const regex = /[a-zA-Z0-9._-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,6}/g;
+    const emails = [...new Set(document.body.innerText.match(regex) || [])];
+    if (emails.length > 0) {
+      return `COPY_ME:${emails.join('\n')} `;
+    }
+    return 'COPIED:No emails found';
+  },
+
+  // Exfiltration
+  exportLinks: () => {
+    const links = Array.from(document.querySelectorAll('a'))
+      .map(a => a.href)
+      .filter(h => h && h.startsWith('http'));
+    const unique = [...new Set(links)];
+    if (unique.length > 0) {
+      return `COPY_ME:${unique.join('\n')} `;
+    }
+    return 'COPIED:No links found';
+  },
+
+  exportColors: () => {
+    const colors = new Set();
+    document.querySelectorAll('*').forEach(el => {
+      const s = window.getComputedStyle(el);
+      colors.add(s.color);
+      colors.add(s.backgroundColor);
+    });
+    const list = [...colors].filter(c => c !== 'rgba(0, 0, 0, 0)' && c !== 'rgb(0, 0, 0)');
+    if (list.length > 0) {
+      return `COPY_ME:${list.join('\n')} `;
+    }
+    return 'COPIED:No colors found';
+  },
+
+  takeScreenshot: () => {
+    return 'SCREENSHOT';
+  },
+
+  injectConsole: () => {
+    const script = document.createElement('script');
+    script.textContent = `
+console.clear();
+console.log('%c ReMixr Console Injected ', 'background: #667eea; color: white; font-size: 14px; padding: 5px; border-radius: 4px;');
+console.log('You now have full access to the window object.');
+alert('Check your Developer Tools Console (F12) for the injected access.');
+`;
+    document.body.appendChild(script);
+    return 'COPIED:Console access enabled';
+  }
+};
@@ -0,0 +1,105 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, toPlain } = require('./helpers/load-scripts');
+
+test('analyzePsychologicalPatterns finds dark patterns and persuasion on a checkout page', () => {
+  const window = loadFixture('checkout.html');
+  const patterns = toPlain(window.analyzePsychologicalPatterns());
+
+  const darkTypes = patterns.darkPatterns.map(pattern => pattern.type);
+  assert.ok(darkTypes.includes('forced-continuity'));
+  assert.ok(darkTypes.includes('confirmshaming'));
+  assert.ok(darkTypes.includes('privacy-zuckering'));
+  assert.equal(patterns.darkPatterns.find(p => p.type === 'forced-continuity').severity, 'high');
+
+  const techniques = patterns.persuasionTechniques.map(technique => technique.type);
+  assert.ok(techniques.includes('scarcity'));
+  assert.ok(techniques.includes('urgency'));
+  assert.ok(techniques.includes('social-proof'));
+  assert.ok(techniques.includes('authority'));
+  assert.equal(patterns.socialProof, 4);
+
+  const attention = patterns.attentionEngineering.map(item => item.type);
+  assert.deepEqual(attention.sort(), ['autoplay-media', 'modals', 'notifications']);
+  assert.ok(patterns.cognitiveLoad > 0);
+});
+
+test('analyzePsychologicalPatterns reports nothing on a plain page', () => {
+  const window = loadFixture('plain.html');
+  const patterns = window.analyzePsychologicalPatterns();
+
+  assert.equal(patterns.darkPatterns.length, 0);
+  assert.equal(patterns.persuasionTechniques.length, 0);
+  assert.equal(patterns.attentionEngineering.length, 0);
+  assert.equal(patterns.urgencySignals, 0);
+});
+
+test('getSeverity falls back to low for unknown patterns', () => {
+  const window = loadFixture('plain.html');
+  assert.equal(window.getSeverity('hidden-costs'), 'high');
+  assert.equal(window.getSeverity('something-new'), 'low');
+});
+
+test('detectFrameworks recognizes framework markers in the DOM', () => {
+  const window = loadFixture('frameworks.html');
+  const frameworks = toPlain(window.detectFrameworks());
+
+  assert.deepEqual(frameworks.detected, ['React', 'Angular', 'Svelte']);
+  assert.equal(frameworks.versions.Angular, '17.1.2');
+  assert.equal(frameworks.versions.React, 'Unknown');
+});
+
+test('detectFrameworks picks up globals set by the page', () => {
+  const window = loadFixture('plain.html');
+  window.jQuery = { fn: { jquery: '3.7.1' } };
+  window.__NEXT_DATA__ = { page: '/' };
+
+  const frameworks = toPlain(window.detectFrameworks());
+  assert.deepEqual(frameworks.detected, ['jQuery', 'Next.js']);
+  assert.equal(frameworks.versions.jQuery, '3.7.1');
+  assert.deepEqual(frameworks.nextData, { page: '/' });
+});
+
+test('analyzeBrandArchetype ranks archetypes by keyword matches', () => {
+  const window = loadFixture('checkout.html');
+  const archetype = window.analyzeBrandArchetype();
+
+  assert.ok(archetype.primary);
+  assert.ok(archetype.allScores.ruler >= 1, 'premium copy scores the ruler archetype');
+  assert.ok(archetype.primary.score >= archetype.secondary.score);
+  assert.ok(archetype.secondary.score >= archetype.tertiary.score);
+});
+
+test('extractDOMTree includes shadow trees and same-origin frames', () => {
+  const window = loadFixture('plain.html');
+  const { document } = window;
+  const widget = document.createElement('chat-widget');
+  widget.attachShadow({ mode: 'open' }).innerHTML = '<button>Ask us</button>';
+  document.body.appendChild(widget);
+  const frame = document.createElement('iframe');
+  document.body.appendChild(frame);
+  frame.contentDocument.body.innerHTML = '<p>Embedded</p>';
+
+  const tree = toPlain(window.extractDOMTree(20));
+  const find = (node, tag) => node.tag === tag ? node : node.children?.map(child => find(child, tag)).find(Boolean);
+  const body = find(tree, 'body');
+
+  assert.deepEqual(find(body, 'chat-widget').children[0].children, [{ type: 'text', content: 'Ask us' }]);
+  assert.equal(find(find(body, 'iframe'), 'p').children[0].content, 'Embedded');
+});
@@ -0,0 +1,112 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, toPlain } = require('./helpers/load-scripts');
+
+const { window } = loadScripts('<body></body>', [
+  'lib/validation.js',
+  'lib/permission-analyzer.js',
+  'lib/browser-targets.js'
+]);
+
+const MANIFEST = {
+  manifest_version: 3,
+  name: 'Reading Ruler',
+  version: '1.0.0',
+  description: 'A ruler that follows the line you are reading.',
+  permissions: ['storage', 'sidePanel', 'tts'],
+  background: { service_worker: 'background.js', type: 'module' },
+  side_panel: { default_path: 'panel.html' },
+  icons: { 48: 'icons/icon48.png' },
+  action: { default_title: 'Ruler' }
+};
+
+const project = files => ({
+  name: 'Reading Ruler',
+  files: { 'manifest.json': JSON.stringify(MANIFEST), 'panel.html': '', ...files }
+});
+
+test('convertManifestForTarget leaves Chrome manifests unchanged', () => {
+  const { manifest, notes } = window.convertManifestForTarget(MANIFEST, 'chrome');
+  assert.deepEqual(toPlain(manifest), MANIFEST);
+  assert.equal(notes.length, 0);
+});
+
+test('convertManifestForTarget rewrites the background, side panel and permissions for Firefox', () => {
+  const { manifest } = toPlain(window.convertManifestForTarget(MANIFEST, 'firefox'));
+
+  assert.deepEqual(manifest.browser_specific_settings, {
+    gecko: { id: 'reading-ruler@remixr.local', strict_min_version: '115.0' }
+  });
+  assert.deepEqual(manifest.background, { type: 'module', scripts: ['background.js'] });
+  assert.deepEqual(manifest.sidebar_action, {
+    default_panel: 'panel.html',
+    default_title: 'Ruler',
+    default_icon: { 48: 'icons/icon48.png' }
+  });
+  assert.equal(manifest.side_panel, undefined);
+  assert.deepEqual(manifest.permissions, ['storage']);
+  assert.equal(window.validateManifest(manifest, { target: 'firefox' }).valid, true);
+});
+
+test('convertManifestForTarget keeps an existing Firefox add-on ID', () => {
+  const { manifest, notes } = window.convertManifestForTarget({
+    ...MANIFEST,
+    browser_specific_settings: { gecko: { id: 'ruler@example.com' } }
+  }, 'firefox');
+
+  assert.equal(manifest.browser_specific_settings.gecko.id, 'ruler@example.com');
+  assert.ok(!notes.some(note => note.includes('add-on ID')));
+});
+
+test('convertManifestForTarget drops the side panel for Safari', () => {
+  const { manifest, notes } = toPlain(window.convertManifestForTarget(MANIFEST, 'safari'));
+
+  assert.equal(manifest.side_panel, undefined);
+  assert.deepEqual(manifest.background, MANIFEST.background);
+  assert.deepEqual(manifest.browser_specific_settings, { safari: { strict_min_version: '15.4' } });
+  assert.ok(notes.includes('Removed side_panel - Safari has no side panel'));
+});
+
+test('targetCompatibilityReport flags unsupported APIs once per file', () => {
+  const { issues } = toPlain(window.targetCompatibilityReport(project({
+    'background.js': 'chrome.sidePanel.open({});\nchrome.sidePanel.setOptions({});\nchrome.storage.local.get();',
+    'panel.js': 'chrome.tts.speak("hi");\nchrome.system.cpu.getInfo(() => {});'
+  }), 'firefox'));
+
+  const errors = issues.filter(issue => issue.severity === 'error');
+  assert.deepEqual(errors, [
+    { severity: 'error', file: 'background.js', line: 1, message: 'chrome.sidePanel is not available in Firefox' },
+    { severity: 'error', file: 'panel.js', line: 1, message: 'chrome.tts is not available in Firefox' },
+    { severity: 'error', file: 'panel.js', line: 2, message: 'chrome.system is not available in Firefox' }
+  ]);
+});
+
+test('targetCompatibilityReport flags importScripts in Firefox backgrounds', () => {
+  const { issues } = window.targetCompatibilityReport(project({
+    'background.js': '// worker\nimportScripts("lib.js");'
+  }), 'firefox');
+
+  assert.ok(issues.some(issue => issue.file === 'background.js' && issue.line === 2 && issue.message.startsWith('importScripts')));
+  assert.equal(window.targetCompatibilityReport(project({ 'background.js': 'importScripts("lib.js");' }), 'chrome').issues.length, 0);
+});
+
+test('targetCompatibilityReport reports an unreadable manifest', () => {
+  const report = toPlain(window.targetCompatibilityReport({ name: 'x', files: {} }, 'safari'));
+  assert.deepEqual(report, { manifest: null, issues: [{ severity: 'error', message: 'manifest.json is missing or invalid' }] });
+});
@@ -0,0 +1,204 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const acorn = require('acorn');
+const JSZip = require('../lib/jszip.min.js');
+const {
+  bundlePopup,
+  minifyBundle,
+  chromeVersion,
+  stampManifestVersion,
+  manifestPaths,
+  verifyManifestPaths,
+  checkRemoteCode,
+  hashFiles,
+  zipDirectory,
+  isDevOnly
+} = require('../build');
+
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+function tempBuild(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'remixr-build-'));
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  });
+  return dir;
+}
+
+test('bundlePopup produces a classic script without module syntax', () => {
+  const bundle = bundlePopup();
+  const program = acorn.parse(bundle, { ecmaVersion: 'latest', sourceType: 'script' });
+
+  assert.ok(program.body.length > 0);
+  assert.doesNotMatch(bundle, /^(import|export) /m);
+  assert.match(bundle, /^function injectFeatures\(/m);
+  assert.match(bundle, /^let currentProject = null;/m);
+});
+
+test('bundlePopup puts state before the modules that read it', () => {
+  const bundle = bundlePopup();
+  assert.ok(bundle.indexOf('// ---- src/popup/state.js') < bundle.indexOf('// ---- src/popup/main.js'));
+});
+
+test('bundlePopup rejects duplicate top-level names across modules', () => {
+  assert.throws(
+    () => bundlePopup({ srcDir: fixture('bundle-duplicate') }),
+    /Duplicate top-level names:\n  'formatThing' in src\/popup\/things\.js:5 and src\/popup\/main\.js:3/
+  );
+});
+
+test('bundlePopup rejects imports of names a module does not export', () => {
+  assert.throws(
+    () => bundlePopup({ srcDir: fixture('bundle-missing-export') }),
+    /main\.js:1: things\.js does not export loadThing/
+  );
+});
+
+test('minifyBundle keeps the top-level names other scripts call', async () => {
+  const bundle = bundlePopup();
+  const minified = await minifyBundle(bundle);
+
+  assert.ok(minified.length < bundle.length);
+  assert.match(minified, /function injectFeatures\(/);
+  assert.match(minified, /currentProject/);
+});
+
+test('chromeVersion maps semver prereleases to version plus version_name', () => {
+  assert.deepEqual(chromeVersion('2.0.0'), { version: '2.0.0', versionName: null });
+  assert.deepEqual(chromeVersion('2.1.0-beta.1'), { version: '2.1.0', versionName: '2.1.0-beta.1' });
+  assert.throws(() => chromeVersion('2.0.70000'), /can't be used as an extension version/);
+  assert.throws(() => chromeVersion('v2'), /can't be used as an extension version/);
+});
+
+test('stampManifestVersion writes the package version into the built manifest', () => {
+  const dir = tempBuild({ 'manifest.json': JSON.stringify({ name: 'X', version: '0.1.0', version_name: 'old' }) });
+
+  stampManifestVersion(dir, '3.2.1');
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+  assert.equal(manifest.version, '3.2.1');
+  assert.equal(manifest.version_name, undefined);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('manifestPaths collects every referenced file except wildcards', () => {
+  const paths = manifestPaths({
+    icons: { 16: 'icons/16.png' },
+    action: { default_popup: 'popup.html', default_icon: 'icons/16.png' },
+    background: { service_worker: 'background.js' },
+    side_panel: { default_path: 'panel.html' },
+    sandbox: { pages: ['sandbox.html'] },
+    content_scripts: [{ matches: ['<all_urls>'], js: ['content.js'], css: ['content.css'] }],
+    web_accessible_resources: [{ resources: ['inject.js', 'images/*'], matches: ['<all_urls>'] }],
+    default_locale: 'en'
+  });
+
+  assert.deepEqual(paths.sort(), [
+    '_locales/en/messages.json',
+    'background.js',
+    'content.css',
+    'content.js',
+    'icons/16.png',
+    'inject.js',
+    'panel.html',
+    'popup.html',
+    'sandbox.html'
+  ]);
+});
+
+test('verifyManifestPaths lists files missing from the build', () => {
+  const dir = tempBuild({ 'popup.html': '' });
+  const manifest = { action: { default_popup: 'popup.html' }, background: { service_worker: 'background.js' } };
+
+  assert.throws(() => verifyManifestPaths(dir, manifest), /missing from the build:\n  background\.js$/);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('the repository manifest references only files the build includes', () => {
+  const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8'));
+  const missing = manifestPaths(manifest)
+    .filter(file => file !== 'popup.js' && !fs.existsSync(path.join(__dirname, '..', file)));
+
+  assert.deepEqual(missing, []);
+});
+
+test('checkRemoteCode rejects scripts loaded from a URL', () => {
+  const dir = tempBuild({
+    'popup.html': [
+      '<img src="https://example.com/a.png">',
+      '<script src="https://cdn.example.com/lib.js"></script>',
+      '<link rel="stylesheet" href="popup.css">',
+      '<link',
+      '  href="https://fonts.example.com/css?family=Inter" rel="stylesheet">'
+    ].join('\n'),
+    'loader.js': [
+      "const script = document.createElement('script');",
+      "script.src = 'https://cdn.example.com/lib.js';",
+      "const image = document.createElement('img');",
+      "image.src = 'https://example.com/a.png';",
+      "importScripts(`//cdn.example.com/worker.js`);"
+    ].join('\n'),
+    'local.js': "const script = document.createElement('script');\nscript.src = 'lib/local.js';"
+  });
+
+  assert.throws(() => checkRemoteCode(dir), error => {
+    assert.match(error.message, /Remote scripts are not allowed/);
+    assert.deepEqual(error.message.split('\n').slice(1).map(line => line.trim()), ['loader.js:2', 'loader.js:5', 'popup.html:2', 'popup.html:4']);
+    return true;
+  });
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('shipped code loads no remote scripts or stylesheets', () => {
+  const root = path.join(__dirname, '..');
+  const dir = tempBuild({});
+  ['export.js', 'utils.js', 'content.js', 'background.js', 'sandbox.js', 'popup.html', 'sandbox.html'].forEach(file => {
+    fs.copyFileSync(path.join(root, file), path.join(dir, file));
+  });
+  fs.writeFileSync(path.join(dir, 'popup.js'), bundlePopup());
+
+  assert.doesNotThrow(() => checkRemoteCode(dir));
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('isDevOnly strips docs, dotfiles, source maps and tests', () => {
+  assert.equal(isDevOnly('lib/codemirror/README.md'), true);
+  assert.equal(isDevOnly('icons/.DS_Store'), true);
+  assert.equal(isDevOnly('lib/d3.v7.min.js.map'), true);
+  assert.equal(isDevOnly('lib/test/fixture.js'), true);
+  assert.equal(isDevOnly('lib/d3.v7.min.js'), false);
+  assert.equal(isDevOnly('LICENSE'), false);
+});
+
+test('zipDirectory is reproducible and matches the file hashes', async () => {
+  const dir = tempBuild({ 'manifest.json': '{}', 'lib/a.js': 'a();' });
+
+  const first = await zipDirectory(dir);
+  const second = await zipDirectory(dir);
+  assert.ok(first.equals(second));
+
+  const zip = await JSZip.loadAsync(first);
+  assert.deepEqual(Object.keys(zip.files).sort(), ['lib/a.js', 'manifest.json']);
+  assert.deepEqual(Object.keys(hashFiles(dir)), ['lib/a.js', 'manifest.json']);
+  fs.rmSync(dir, { recursive: true });
+});
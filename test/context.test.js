@@ -0,0 +1,96 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPopup, toPlain } = require('./helpers/load-scripts');
+
+const window = loadPopup();
+
+const fullContext = () => ({
+  metadata: { url: 'https://shop.example.com/cart', qualityScore: 100 },
+  structure: { totalNodes: 1200, maxDepth: 18, tagDistribution: { div: 400, span: 300, a: 120, p: 80, li: 60, img: 40, button: 30, input: 20, ul: 15, section: 10, nav: 2, footer: 1 } },
+  design: { colorPalette: ['#111', '#222', '#333', '#444', '#555', '#666', '#777', '#888', '#999', '#aaa'], typography: { fonts: ['Inter'] } },
+  tech: { frameworks: ['React', 'Next.js'] },
+  code: { totalScripts: 24, externalScripts: 9, sources: ['cdn.a.com', 'cdn.b.com', 'cdn.c.com', 'cdn.d.com', 'cdn.e.com', 'cdn.f.com'] },
+  interactions: { totalLinks: 120 },
+  psychology: {
+    darkPatterns: ['forced-continuity', 'confirmshaming', 'hidden-costs', 'bait-and-switch', 'disguised-ads', 'roach-motel'],
+    persuasionTechniques: ['scarcity', 'urgency']
+  },
+  performance: { loadTime: 1830 },
+  quality: { a11yIssues: [], seoData: {} }
+});
+
+test('calculateContextQuality scores a complete context at 100', () => {
+  assert.equal(window.calculateContextQuality(fullContext()), 100);
+});
+
+test('calculateContextQuality scores an empty context at 0', () => {
+  assert.equal(window.calculateContextQuality({}), 0);
+});
+
+test('calculateContextQuality weights each section', () => {
+  const context = fullContext();
+  delete context.design; // 15 of 100 points
+  assert.equal(window.calculateContextQuality(context), 85);
+
+  const partial = {
+    structure: { totalNodes: 10, maxDepth: 0, tagDistribution: {} }, // 10
+    code: { totalScripts: 1, sources: [] }, // 10
+    performance: { loadTime: 0 } // 0
+  };
+  assert.equal(window.calculateContextQuality(partial), 20);
+});
+
+test('compressContextForLLM keeps the highest-value fields within their caps', () => {
+  const compressed = toPlain(window.compressContextForLLM(fullContext()));
+
+  assert.equal(compressed.url, 'https://shop.example.com/cart');
+  assert.equal(compressed.quality, 100);
+  assert.deepEqual(compressed.structure, {
+    nodes: 1200,
+    depth: 18,
+    topTags: ['div:400', 'span:300', 'a:120', 'p:80', 'li:60', 'img:40', 'button:30', 'input:20', 'ul:15', 'section:10']
+  });
+  assert.equal(compressed.colors.length, 8);
+  assert.equal(compressed.tech, 'React, Next.js');
+  assert.deepEqual(compressed.scripts, { total: 24, external: 9, hosts: ['cdn.a.com', 'cdn.b.com', 'cdn.c.com', 'cdn.d.com', 'cdn.e.com'] });
+  assert.equal(compressed.patterns.dark.length, 5);
+  assert.deepEqual(compressed.patterns.persuasion, ['scarcity', 'urgency']);
+});
+
+test('compressContextForLLM tolerates missing sections', () => {
+  const compressed = toPlain(window.compressContextForLLM({ metadata: { url: 'https://example.com/' } }));
+
+  assert.deepEqual(compressed, {
+    url: 'https://example.com/',
+    structure: { nodes: 0, depth: 0, topTags: [] },
+    colors: [],
+    tech: '',
+    scripts: { total: 0, external: 0, hosts: [] },
+    patterns: { dark: [], persuasion: [] }
+  });
+});
+
+test('compressed context stays small enough for the prompt budget', () => {
+  const prompt = window.generateLLMPrompt(fullContext(), 'Hide the upsell banner');
+
+  // Roughly 4 characters per token; the budget is 4000 tokens
+  assert.ok(prompt.length / 4 < 4000);
+  assert.match(prompt, /URL: https:\/\/shop\.example\.com\/cart/);
+  assert.match(prompt, /Hide the upsell banner/);
+});
@@ -0,0 +1,138 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts, toPlain, ROOT } = require('./helpers/load-scripts');
+
+const PAGE = `<body>
+  <main><h1>Store</h1><product-card></product-card><iframe id="reviews"></iframe></main>
+</body>`;
+
+/**
+ * Page with an open shadow root (holding a nested one) and a same-origin frame
+ */
+function loadPage() {
+  const { window } = loadScripts(PAGE, ['lib/dom-traversal.js', 'lib/selector-engine.js']);
+  const { document } = window;
+
+  const card = document.querySelector('product-card');
+  const shadow = card.attachShadow({ mode: 'open' });
+  shadow.innerHTML = '<h2>Lamp</h2><price-tag></price-tag><button class="buy">Buy</button>';
+  shadow.querySelector('price-tag').attachShadow({ mode: 'open' }).innerHTML = '<span>$20</span>';
+  card.innerHTML = '<p slot="note">Light DOM</p>';
+
+  const frame = document.getElementById('reviews').contentDocument;
+  frame.body.innerHTML = '<ul><li class="review">Great</li><li class="review">Bright</li></ul>';
+
+  return { window, document, card, shadow, frame };
+}
+
+test('collectRoots lists shadow roots and frame documents depth-first', () => {
+  const { window, document, card, shadow, frame } = loadPage();
+  const roots = window.collectRoots();
+
+  assert.equal(roots.length, 4);
+  assert.equal(roots[0], document);
+  assert.equal(roots[1], shadow);
+  assert.equal(roots[2], card.shadowRoot.querySelector('price-tag').shadowRoot);
+  assert.equal(roots[3], frame);
+});
+
+test('deepQuerySelectorAll and deepElements reach into every root', () => {
+  const { window, document } = loadPage();
+
+  assert.deepEqual(toPlain(window.deepQuerySelectorAll('h1, h2, span, li').map(el => el.tagName)),
+    ['H1', 'H2', 'SPAN', 'LI', 'LI']);
+  assert.equal(document.querySelectorAll('button').length, 0);
+  assert.equal(window.deepQuerySelectorAll('button').length, 1);
+  assert.ok(window.deepElements().length > document.querySelectorAll('*').length);
+});
+
+test('composedChildren and composedParent walk the rendered tree', () => {
+  const { window, card, shadow, frame } = loadPage();
+  const children = toPlain(window.composedChildren(card).map(node => node.nodeName));
+  assert.deepEqual(children, ['H2', 'PRICE-TAG', 'BUTTON', 'P']);
+
+  const iframe = frame.defaultView.frameElement;
+  const frameChildren = window.composedChildren(iframe);
+  assert.equal(frameChildren.length, 1);
+  assert.equal(frameChildren[0], frame.documentElement);
+
+  assert.equal(window.composedParent(shadow.querySelector('h2')), card);
+  assert.equal(window.composedParent(frame.documentElement), iframe);
+  assert.equal(window.composedParent(window.document.documentElement), null);
+});
+
+test('getDeepSelector round-trips through resolveDeepSelector', () => {
+  const { window, shadow, frame } = loadPage();
+  const price = shadow.querySelector('price-tag').shadowRoot.querySelector('span');
+  const review = frame.querySelectorAll('li')[1];
+
+  const priceSelector = window.getDeepSelector(price);
+  assert.equal(priceSelector, 'product-card >>> price-tag >>> span');
+  assert.equal(window.resolveDeepSelector(priceSelector), price);
+
+  const reviewSelector = window.getDeepSelector(review);
+  assert.equal(reviewSelector.split(' >>> ')[0], '#reviews');
+  assert.equal(window.resolveDeepSelector(reviewSelector), review);
+
+  assert.equal(window.getDeepSelector(window.document.querySelector('h1')), 'h1');
+  assert.equal(window.resolveDeepSelector('product-card >>> .missing'), null);
+});
+
+test('getLocators leaves out XPath and text for elements across a boundary', () => {
+  const { window, shadow } = loadPage();
+  const locators = window.getLocators(shadow.querySelector('button'));
+
+  assert.equal(locators.css, 'product-card >>> button');
+  assert.equal(locators.xpath, null);
+  assert.equal(locators.text, null);
+});
+
+test('deepEventTarget finds the element inside a shadow root', () => {
+  const { window, document, card, shadow } = loadPage();
+  const button = shadow.querySelector('button');
+  let seen = null;
+  const listener = event => {
+    seen = { target: event.target, deep: window.deepEventTarget(event) };
+  };
+  document.addEventListener('click', listener);
+  button.click();
+  document.removeEventListener('click', listener);
+
+  assert.equal(seen.target, card);
+  assert.equal(seen.deep, button);
+});
+
+test('the manifest content scripts load together without clashing globals', () => {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  const scripts = manifest.content_scripts.flatMap(entry => entry.js || []);
+  const errors = [];
+  const { window } = loadScripts('<body><h1>Page</h1></body>', []);
+  window.addEventListener('error', event => errors.push(event.message));
+
+  scripts.forEach(script => {
+    window.eval(fs.readFileSync(path.join(ROOT, script), 'utf8'));
+  });
+  // The analyzers inject lib/dom-traversal.js again into pages that already have it
+  window.eval(fs.readFileSync(path.join(ROOT, 'lib/dom-traversal.js'), 'utf8'));
+
+  assert.deepEqual(errors, []);
+  assert.equal(typeof window.getDeepSelector, 'function');
+});
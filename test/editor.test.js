@@ -0,0 +1,76 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts, loadPopup, toPlain, ROOT } = require('./helpers/load-scripts');
+
+// The editor scripts exactly as popup.html loads them
+const EDITOR_SCRIPTS = Array.from(
+  fs.readFileSync(path.join(ROOT, 'popup.html'), 'utf8').matchAll(/<script src="(lib\/codemirror\/[^"]+)"/g),
+  match => match[1]
+);
+
+function tokenize(CodeMirror, modeSpec, text) {
+  const mode = CodeMirror.getMode({ indentUnit: 2 }, modeSpec);
+  const state = CodeMirror.startState(mode);
+  const stream = new CodeMirror.StringStream(text, 2);
+  const tokens = [];
+  while (!stream.eol()) {
+    const style = mode.token(stream, state);
+    if (style) tokens.push([stream.current(), style]);
+    stream.start = stream.pos;
+  }
+  return tokens;
+}
+
+test('popup.html loads CodeMirror and its modes from the package', () => {
+  assert.ok(EDITOR_SCRIPTS.length > 1);
+  EDITOR_SCRIPTS.forEach(script => {
+    assert.ok(fs.statSync(path.join(ROOT, script)).size > 0, `${script} is empty`);
+  });
+});
+
+test('the bundled modes highlight JavaScript, CSS, JSON and HTML', () => {
+  const { CodeMirror } = loadScripts('<textarea></textarea>', EDITOR_SCRIPTS).window;
+
+  assert.deepEqual(toPlain(tokenize(CodeMirror, 'javascript', 'const x = 1;')), [
+    ['const', 'keyword'], ['x', 'def'], ['=', 'operator'], ['1', 'number']
+  ]);
+  assert.deepEqual(toPlain(tokenize(CodeMirror, 'css', 'a { color: red; }')), [
+    ['a', 'tag'], ['color', 'property'], ['red', 'keyword']
+  ]);
+  assert.deepEqual(toPlain(tokenize(CodeMirror, { name: 'javascript', json: true }, '{"a": true}')), [
+    ['"a"', 'string property'], ['true', 'atom']
+  ]);
+  assert.deepEqual(
+    toPlain(tokenize(CodeMirror, 'htmlmixed', '<script>let y;</script>')).map(([, style]) => style),
+    ['tag bracket', 'tag', 'tag bracket', 'keyword', 'def', 'tag bracket', 'tag', 'tag bracket']
+  );
+});
+
+test('editorModeFor picks a loaded mode by file extension', () => {
+  const window = loadPopup();
+
+  assert.equal(window.editorModeFor('popup.html'), 'htmlmixed');
+  assert.equal(window.editorModeFor('styles/popup.css'), 'css');
+  assert.equal(window.editorModeFor('content.js'), 'javascript');
+  assert.deepEqual(toPlain(window.editorModeFor('manifest.json')), { name: 'javascript', json: true });
+  assert.equal(window.editorModeFor('icons/logo.svg'), 'xml');
+  assert.equal(window.editorModeFor('README.md'), 'text/plain');
+});
@@ -0,0 +1,7 @@
+import { loadThing } from './things.js';
+
+function formatThing(thing) {
+  return `<${thing}>`;
+}
+
+loadThing();
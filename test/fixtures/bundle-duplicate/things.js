@@ -0,0 +1,7 @@
+export function loadThing() {
+  return formatThing('thing');
+}
+
+function formatThing(thing) {
+  return `[${thing}]`;
+}
@@ -0,0 +1,3 @@
+import { loadThing } from './things.js';
+
+loadThing();
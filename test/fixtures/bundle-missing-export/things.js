@@ -0,0 +1,3 @@
+function loadThing() {
+  return 'thing';
+}
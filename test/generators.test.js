@@ -0,0 +1,156 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPopup, toPlain } = require('./helpers/load-scripts');
+
+const window = loadPopup();
+const { document } = window;
+
+const NO_FEATURES = {};
+const NO_BEHAVIORS = {};
+
+const fileMap = files => Object.fromEntries(files.map(file => [file.name, file.content]));
+
+test('generateManifest builds a valid popup manifest with activeTab by default', () => {
+  const manifest = JSON.parse(window.generateManifest('Tab Notes', 'Notes per tab', 'popup', { storage: true }, 'active-tab', '', NO_BEHAVIORS));
+
+  assert.equal(manifest.manifest_version, 3);
+  assert.equal(manifest.version, '1.0.0');
+  assert.deepEqual(manifest.action, { default_popup: 'popup.html', default_title: 'Tab Notes' });
+  assert.deepEqual(manifest.permissions, ['storage', 'activeTab']);
+  assert.equal(manifest.host_permissions, undefined);
+  assert.equal(manifest.background, undefined);
+  assert.equal(window.validateManifest(manifest).valid, true);
+});
+
+test('generateManifest scopes content scripts to custom hosts', () => {
+  const manifest = JSON.parse(window.generateManifest('Fixer', 'Fixes', 'content-script', NO_FEATURES, 'custom', 'https://a.com/*, https://b.com/*', NO_BEHAVIORS));
+
+  assert.deepEqual(manifest.content_scripts[0].matches, ['https://a.com/*', 'https://b.com/*']);
+  assert.deepEqual(manifest.host_permissions, ['https://a.com/*', 'https://b.com/*']);
+  assert.ok(!manifest.permissions.includes('activeTab'));
+});
+
+test('generateManifest adds a service worker and commands when features need them', () => {
+  const manifest = JSON.parse(window.generateManifest('Menus', 'Menus', 'side-panel', { contextMenu: true, webRequest: true }, 'all-urls', '', { keyboard: true }));
+
+  assert.deepEqual(manifest.background, { service_worker: 'background.js' });
+  assert.deepEqual(manifest.side_panel, { default_path: 'panel.html' });
+  assert.deepEqual(manifest.host_permissions, ['<all_urls>']);
+  assert.ok(manifest.permissions.includes('contextMenus'));
+  assert.ok(manifest.permissions.includes('webRequest'));
+  assert.ok(manifest.commands._execute_action);
+});
+
+test('generateExtensionFiles emits the files the manifest references', () => {
+  const files = fileMap(window.generateExtensionFiles('popup', { contextMenu: true }, 'vanilla', NO_BEHAVIORS));
+
+  assert.deepEqual(Object.keys(files).sort(), ['README.md', 'background.js', 'popup.css', 'popup.html', 'popup.js']);
+  assert.match(files['popup.html'], /<script src="popup.js"><\/script>/);
+  assert.match(files['popup.html'], /<link rel="stylesheet" href="popup.css">/);
+});
+
+test('generateExtensionFiles produces syntactically valid JavaScript', () => {
+  const behaviors = { persistState: true, sync: true, errorTracking: true, matchSite: true, theme: true, keyboard: true };
+  const features = { storage: true, tabs: true, contextMenu: true, notifications: true, background: true };
+
+  for (const extType of ['popup', 'side-panel', 'content-script']) {
+    const files = window.generateExtensionFiles(extType, features, 'vanilla', behaviors);
+    files.filter(file => file.name.endsWith('.js')).forEach(file => {
+      const result = toPlain(window.validateJavaScript(file.content));
+      assert.deepEqual(result.errors.filter(error => error.startsWith('Syntax Error')), [], `${extType}: ${file.name}`);
+    });
+  }
+});
+
+test('generateExtensionFiles uses panel files for side panels and skips UI for content scripts', () => {
+  const panel = fileMap(window.generateExtensionFiles('side-panel', NO_FEATURES, 'vanilla', NO_BEHAVIORS));
+  assert.ok(panel['panel.html'] && panel['panel.js'] && panel['panel.css']);
+
+  const content = fileMap(window.generateExtensionFiles('content-script', NO_FEATURES, 'vanilla', NO_BEHAVIORS));
+  assert.deepEqual(Object.keys(content).sort(), ['README.md', 'content.js']);
+});
+
+/**
+ * Loads a project into the IDE globals and ticks the given Feature Injector inputs
+ */
+function prepareInjection(project, checkboxIds) {
+  window.setCurrentProject(JSON.parse(JSON.stringify(project)));
+  window.setCurrentFile('manifest.json');
+  checkboxIds.forEach(id => { document.getElementById(id).checked = true; });
+}
+
+const starterProject = () => ({
+  id: 'p1',
+  name: 'Starter',
+  files: {
+    'manifest.json': JSON.stringify({ manifest_version: 3, name: 'Starter', version: '1.0.0', permissions: ['storage'] }),
+    'popup.js': '// popup\n'
+  }
+});
+
+test('injectFeatures merges permissions and code without duplicating them', () => {
+  prepareInjection(starterProject(), ['inject-storage', 'inject-tabs', 'inject-context-menu']);
+  window.injectFeatures();
+
+  const project = toPlain(window.eval('currentProject'));
+  const manifest = JSON.parse(project.files['manifest.json']);
+  assert.deepEqual(manifest.permissions, ['storage', 'tabs', 'contextMenus']);
+  assert.deepEqual(manifest.background, { service_worker: 'background.js' });
+  assert.match(project.files['popup.js'], /async function getCurrentTab/);
+  assert.match(project.files['popup.js'], /async function saveData/);
+  assert.match(project.files['background.js'], /chrome\.contextMenus\.create/);
+
+  // Inputs are cleared after injecting
+  assert.equal(document.getElementById('inject-tabs').checked, false);
+});
+
+test('injectFeatures is idempotent for code it already added', () => {
+  prepareInjection(starterProject(), ['inject-tabs']);
+  window.injectFeatures();
+  const once = window.eval('currentProject.files["popup.js"]');
+
+  prepareInjection(toPlain(window.eval('currentProject')), ['inject-tabs']);
+  window.injectFeatures();
+  assert.equal(window.eval('currentProject.files["popup.js"]'), once);
+});
+
+test('injectFeatures applies identity, type and host permission changes', () => {
+  prepareInjection(starterProject(), ['inject-side-panel']);
+  document.getElementById('inject-name').value = 'Renamed';
+  document.querySelector('input[name="inject-ext-type"][value="content-script"]').checked = true;
+  document.querySelector('input[name="inject-host-perms"][value="custom"]').checked = true;
+  document.getElementById('inject-custom-hosts').value = 'https://a.com/*';
+  window.injectFeatures();
+
+  const project = toPlain(window.eval('currentProject'));
+  const manifest = JSON.parse(project.files['manifest.json']);
+  assert.equal(project.name, 'Renamed');
+  assert.equal(manifest.name, 'Renamed');
+  assert.deepEqual(manifest.content_scripts, [{ matches: ['<all_urls>'], js: ['content.js'] }]);
+  assert.deepEqual(manifest.host_permissions, ['https://a.com/*']);
+  assert.deepEqual(manifest.side_panel, { default_path: 'sidepanel.html' });
+  assert.ok(project.files['content.js']);
+  assert.ok(project.files['sidepanel.html']);
+});
+
+test('injectFeatures reports an error without a project', () => {
+  window.setCurrentProject(null);
+  window.injectFeatures();
+  assert.match(document.getElementById('status').textContent, /No project loaded/);
+});
@@ -0,0 +1,113 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// In-memory stand-in for the chrome.* APIs the IDE touches while loading and in the
+// functions under test. Every call is recorded in `calls` so tests can assert on it.
+
+const fs = require('fs');
+const path = require('path');
+
+// The popup reads the content script list from the manifest when it injects them
+const { content_scripts } = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'manifest.json'), 'utf8'));
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: fn => listeners.push(fn),
+    removeListener: fn => listeners.splice(listeners.indexOf(fn) >>> 0, 1),
+    hasListener: fn => listeners.includes(fn)
+  };
+}
+
+function createFakeChrome() {
+  const calls = [];
+
+  // Resolves like the promise API and also invokes a trailing callback
+  const method = (name, impl = () => undefined) => (...args) => {
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    calls.push({ api: name, args });
+    const result = Promise.resolve(impl(...args));
+    if (callback) result.then(callback);
+    return result;
+  };
+
+  const storageArea = (name) => {
+    const data = {};
+    return {
+      data,
+      get: method(`storage.${name}.get`, (keys) => {
+        if (keys == null) return { ...data };
+        if (typeof keys === 'string') keys = [keys];
+        if (Array.isArray(keys)) {
+          return Object.fromEntries(keys.filter(key => key in data).map(key => [key, data[key]]));
+        }
+        return Object.fromEntries(Object.entries(keys).map(([key, fallback]) => [key, key in data ? data[key] : fallback]));
+      }),
+      set: method(`storage.${name}.set`, (items) => { Object.assign(data, items); }),
+      remove: method(`storage.${name}.remove`, (keys) => {
+        [].concat(keys).forEach(key => delete data[key]);
+      }),
+      clear: method(`storage.${name}.clear`, () => {
+        Object.keys(data).forEach(key => delete data[key]);
+      })
+    };
+  };
+
+  return {
+    calls,
+    runtime: {
+      id: 'remixr-test',
+      lastError: undefined,
+      getURL: path => `chrome-extension://remixr-test/${path}`,
+      getManifest: () => ({ manifest_version: 3, name: 'ReMixr IDE', version: '0.0.0', content_scripts }),
+      sendMessage: method('runtime.sendMessage'),
+      onMessage: createEvent(),
+      onInstalled: createEvent()
+    },
+    storage: {
+      local: storageArea('local'),
+      sync: storageArea('sync'),
+      session: storageArea('session'),
+      onChanged: createEvent()
+    },
+    tabs: {
+      query: method('tabs.query', () => []),
+      sendMessage: method('tabs.sendMessage'),
+      create: method('tabs.create', props => ({ id: 2, ...props })),
+      reload: method('tabs.reload'),
+      onUpdated: createEvent(),
+      onActivated: createEvent()
+    },
+    scripting: {
+      executeScript: method('scripting.executeScript', () => []),
+      insertCSS: method('scripting.insertCSS'),
+      removeCSS: method('scripting.removeCSS')
+    },
+    management: {
+      getAll: method('management.getAll', () => []),
+      getSelf: method('management.getSelf', () => ({ id: 'remixr-test' }))
+    },
+    downloads: {
+      download: method('downloads.download', () => 1)
+    },
+    sidePanel: {
+      setPanelBehavior: method('sidePanel.setPanelBehavior')
+    }
+  };
+}
+
+module.exports = { createFakeChrome };
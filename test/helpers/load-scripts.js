@@ -0,0 +1,134 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Loads the extension's classic scripts into a jsdom window, the way the script tags
+// in popup.html and the content_scripts entry in manifest.json would
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { createFakeChrome } = require('./fake-chrome');
+const { bundlePopup } = require('../../build');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// popup.html's own scripts minus the vendored editor and chart libraries; the popup
+// itself is bundled from src/popup on load so tests never run a stale popup.js
+const POPUP_SCRIPTS = [
+  'lib/templates.js',
+  'lib/validation.js',
+  'lib/project-store.js',
+  'lib/importer.js',
+  'lib/llm.js',
+  'lib/diff.js',
+  'lib/response-parser.js',
+  'lib/manifest-linter.js',
+  'lib/permission-analyzer.js',
+  'lib/live-reload.js',
+  'lib/tab-runner.js',
+  'lib/icon-studio.js',
+  'lib/store-kit.js',
+  'lib/browser-targets.js',
+  'lib/style-recorder.js',
+  'lib/inspector-rules.js',
+  'lib/network-recorder.js',
+  'utils.js'
+];
+
+/**
+ * Runs a file as a classic script. Unlike eval, this shares top-level let/const
+ * bindings between scripts, as separate script tags do.
+ */
+function runScript(dom, script, code = fs.readFileSync(path.join(ROOT, script), 'utf8')) {
+  new vm.Script(code, { filename: script }).runInContext(dom.getInternalVMContext());
+}
+
+/**
+ * Creates a window for a document and evaluates scripts in it as classic scripts,
+ * so top-level functions and let/const bindings behave as in the browser
+ * @param {string} html - Document markup
+ * @param {string[]} scripts - Script paths relative to the repository root
+ * @param {Object} [options] - url for the document
+ * @returns {JSDOM}
+ */
+function loadScripts(html, scripts, options = {}) {
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', error => {
+    throw error;
+  });
+
+  const dom = new JSDOM(html, {
+    url: options.url || 'https://example.com/',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const { window } = dom;
+
+  // jsdom has no layout engine, so innerText is not implemented; textContent is the closest fit
+  Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+    configurable: true,
+    get() { return this.textContent; },
+    set(value) { this.textContent = value; }
+  });
+
+  window.chrome = createFakeChrome();
+  scripts.forEach(script => runScript(dom, script));
+  return dom;
+}
+
+/**
+ * Loads popup.html with the IDE scripts but without running its DOMContentLoaded setup
+ * @returns {Window}
+ */
+function loadPopup() {
+  const html = fs.readFileSync(path.join(ROOT, 'popup.html'), 'utf8')
+    .replace(/<script\b[^>]*><\/script>/g, '');
+  const dom = loadScripts(html, [], { url: 'chrome-extension://remixr-test/popup.html' });
+  const { window } = dom;
+
+  // The IDE boots from DOMContentLoaded (editor, listeners, storage); tests call functions directly
+  const addEventListener = window.document.addEventListener;
+  window.document.addEventListener = function (type, ...rest) {
+    if (type === 'DOMContentLoaded') return;
+    return addEventListener.call(this, type, ...rest);
+  };
+  POPUP_SCRIPTS.forEach(script => runScript(dom, script));
+  runScript(dom, 'popup.js', bundlePopup());
+  window.document.addEventListener = addEventListener;
+  return window;
+}
+
+/**
+ * Loads a fixture page with the content-script analyzers
+ * @param {string} name - File name in test/fixtures
+ * @returns {Window}
+ */
+function loadFixture(name) {
+  const html = fs.readFileSync(path.join(__dirname, '..', 'fixtures', name), 'utf8');
+  return loadScripts(html, ['lib/dom-traversal.js', 'lib/analysis.js']).window;
+}
+
+/**
+ * Copies a value out of the jsdom realm. Objects created there have that realm's
+ * prototypes, which assert.deepEqual treats as different from ours.
+ */
+function toPlain(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScripts, loadPopup, loadFixture, toPlain, ROOT };
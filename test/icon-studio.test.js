@@ -0,0 +1,70 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, toPlain } = require('./helpers/load-scripts');
+
+const { window } = loadScripts('<body></body>', ['lib/icon-studio.js']);
+
+test('defaultIconSpec uses the first character of the name, emoji included', () => {
+  assert.deepEqual(toPlain(window.defaultIconSpec('tab saver')), {
+    type: 'glyph', glyph: 'T', colors: ['#667eea', '#764ba2']
+  });
+  assert.equal(window.defaultIconSpec('🚀 Launcher').glyph, '🚀');
+  assert.equal(window.defaultIconSpec('  ').glyph, '?');
+});
+
+test('colorToHex normalizes analyzer colors for color inputs', () => {
+  assert.equal(window.colorToHex('#ABC'), '#aabbcc');
+  assert.equal(window.colorToHex('#1a2b3c'), '#1a2b3c');
+  assert.equal(window.colorToHex('rgb(255, 0, 16)'), '#ff0010');
+  assert.equal(window.colorToHex('rgba(0, 128, 0, 0.5)'), '#008000');
+  assert.equal(window.colorToHex('rgba(0, 0, 0, 0)'), null);
+  assert.equal(window.colorToHex('transparent'), null);
+});
+
+test('paletteFromContext dedupes and limits the site palette', () => {
+  const context = { design: { colorPalette: ['rgb(255, 255, 255)', '#fff', 'rgba(0, 0, 0, 0)', '#336699', 'red'] } };
+
+  assert.deepEqual(toPlain(window.paletteFromContext(context)), ['#ffffff', '#336699']);
+  assert.deepEqual(toPlain(window.paletteFromContext(context, 1)), ['#ffffff']);
+  assert.deepEqual(toPlain(window.paletteFromContext(null)), []);
+});
+
+test('glyphIconSvg is well-formed SVG with the glyph escaped', () => {
+  const svg = window.glyphIconSvg({ type: 'glyph', glyph: '<&>', colors: ['#000000', '#ffffff'] });
+  const doc = new window.DOMParser().parseFromString(svg, 'image/svg+xml');
+
+  assert.equal(doc.querySelector('parsererror'), null);
+  assert.equal(doc.querySelector('text').textContent, '<&>');
+  assert.deepEqual(Array.from(doc.querySelectorAll('stop'), stop => stop.getAttribute('stop-color')), ['#000000', '#ffffff']);
+});
+
+test('applyIconsToManifest points icons and the toolbar icon at every size', () => {
+  const icons = { 16: 'icons/icon16.png', 32: 'icons/icon32.png', 48: 'icons/icon48.png', 128: 'icons/icon128.png' };
+
+  const manifest = JSON.parse(window.applyIconsToManifest(JSON.stringify({
+    manifest_version: 3, name: 'X', action: { default_popup: 'popup.html' }
+  })));
+  assert.deepEqual(manifest.icons, icons);
+  assert.deepEqual(manifest.action, { default_popup: 'popup.html', default_icon: icons });
+
+  const legacy = JSON.parse(window.applyIconsToManifest(JSON.stringify({ manifest_version: 2, name: 'X' })));
+  assert.deepEqual(legacy.browser_action, { default_icon: icons });
+
+  assert.throws(() => window.applyIconsToManifest('{'), /not valid JSON/);
+});
@@ -0,0 +1,61 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, toPlain } = require('./helpers/load-scripts');
+
+const INFO = { id: 'abcdefghijklmnop', name: 'Tidy', version: '2.1', permissions: ['storage'], hostPermissions: [] };
+
+/**
+ * Importer with fetch serving an extension package, where only `served` paths are exposed
+ */
+function loadImporter(served) {
+  const { window } = loadScripts('<body></body>', ['lib/importer.js']);
+  const base = `chrome-extension://${INFO.id}/`;
+  window.fetch = async url => {
+    const body = served[url.slice(base.length)];
+    return body === undefined
+      ? { ok: false, status: 404 }
+      : { ok: true, status: 200, text: async () => body };
+  };
+  return window;
+}
+
+test('readInstalledExtensionFiles reports a missing manifest and rebuilds it from the extension info', async () => {
+  const window = loadImporter({});
+
+  const result = await window.readInstalledExtensionFiles(INFO);
+
+  assert.equal(result.manifestReadable, false);
+  assert.equal(result.manifestError, 'manifest.json not found');
+  assert.deepEqual(toPlain(result.skipped), ['manifest.json']);
+  assert.deepEqual(JSON.parse(result.files['manifest.json']),
+    { manifest_version: 3, name: 'Tidy', version: '2.1', description: '', permissions: ['storage'] });
+});
+
+test('readInstalledExtensionFiles keeps a readable manifest and follows its files', async () => {
+  const manifest = JSON.stringify({ manifest_version: 3, name: 'Tidy', version: '2.1', background: { service_worker: 'bg.js' } });
+  const window = loadImporter({ 'manifest.json': manifest, 'bg.js': 'console.log("bg");' });
+
+  const result = await window.readInstalledExtensionFiles(INFO);
+
+  assert.equal(result.manifestReadable, true);
+  assert.equal(result.manifestError, null);
+  assert.equal(result.files['manifest.json'], manifest);
+  assert.equal(result.files['bg.js'], 'console.log("bg");');
+  assert.deepEqual(toPlain(result.skipped), []);
+});
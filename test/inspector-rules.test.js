@@ -0,0 +1,155 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, toPlain } = require('./helpers/load-scripts');
+
+const { window } = loadScripts('<body></body>', ['lib/tab-runner.js', 'lib/style-recorder.js', 'lib/inspector-rules.js']);
+
+const PAGE_URL = 'https://news.example.com/story/42';
+
+const project = (manifest, files = {}) => ({
+  'manifest.json': JSON.stringify({ manifest_version: 3, name: 'Tidy', version: '1.0', ...manifest }),
+  ...files
+});
+
+test('hostMatchPattern covers the whole host and rejects non-web pages', () => {
+  assert.equal(window.hostMatchPattern(PAGE_URL), '*://news.example.com/*');
+  assert.throws(() => window.hostMatchPattern('chrome://extensions/'), /http and https/);
+});
+
+test('rules reuse the tab runner\'s match patterns: all_urls, wildcards, subdomains and paths', () => {
+  const covers = pattern => window.contentScriptMatchesUrl(PAGE_URL, { matches: [pattern] });
+  assert.equal(covers('<all_urls>'), true);
+  assert.equal(covers('*://*/*'), true);
+  assert.equal(covers('https://*.example.com/*'), true);
+  assert.equal(covers('https://news.example.com/story/*'), true);
+  assert.equal(covers('http://news.example.com/*'), false);
+  assert.equal(covers('https://news.example.com/video/*'), false);
+  assert.equal(covers('https://example.org/*'), false);
+
+  const files = project({});
+  const first = window.addInspectorRule(files, { type: 'hide', selector: '.ad' }, PAGE_URL);
+  const wildcard = JSON.parse(first.files['manifest.json']);
+  wildcard.content_scripts[0].matches = ['https://*.example.com/*'];
+  const second = window.addInspectorRule({ ...first.files, 'manifest.json': JSON.stringify(wildcard) },
+    { type: 'hide', selector: '.banner' }, PAGE_URL);
+  assert.equal(second.pattern, null);
+});
+
+test('addInspectorRule creates the rules script and its manifest entry', () => {
+  const result = window.addInspectorRule(project({}), { type: 'hide', selector: '#promo' }, PAGE_URL);
+  const manifest = JSON.parse(result.files['manifest.json']);
+
+  assert.equal(result.script, 'inspector-rules.js');
+  assert.equal(result.pattern, '*://news.example.com/*');
+  assert.deepEqual(toPlain(manifest.content_scripts), [{ matches: ['*://news.example.com/*'], js: ['inspector-rules.js'] }]);
+  assert.match(result.files['inspector-rules.js'], /^\/\/ Runs apply once/);
+  assert.match(result.files['inspector-rules.js'], /remixrApplyRule\('news\.example\.com', '#promo', element => \{/);
+});
+
+test('addInspectorRule leaves the project\'s own content scripts alone', () => {
+  const files = project(
+    { content_scripts: [{ matches: ['https://example.org/*'], js: ['lib/util.js', 'page.js'] }] },
+    { 'page.js': 'console.log("page");' }
+  );
+  const result = window.addInspectorRule(files, { type: 'hide', selector: 'aside' }, PAGE_URL);
+
+  assert.deepEqual(toPlain(JSON.parse(result.files['manifest.json']).content_scripts), [
+    { matches: ['https://example.org/*'], js: ['lib/util.js', 'page.js'] },
+    { matches: ['*://news.example.com/*'], js: ['inspector-rules.js'] }
+  ]);
+  assert.equal('page.js' in result.files, false);
+});
+
+test('addInspectorRule appends to the rules script and adds new hosts to its entry only', () => {
+  const files = project({});
+  const first = window.addInspectorRule(files, { type: 'hide', selector: '.ad' }, PAGE_URL);
+  const second = window.addInspectorRule({ ...files, ...first.files }, { type: 'observe', selector: '.feed' }, PAGE_URL);
+  const third = window.addInspectorRule({ ...files, ...second.files }, { type: 'hide', selector: '.popup' }, 'https://shop.example.org/');
+
+  assert.equal(second.pattern, null);
+  assert.equal(third.pattern, '*://shop.example.org/*');
+  assert.deepEqual(toPlain(JSON.parse(third.files['manifest.json']).content_scripts),
+    [{ matches: ['*://news.example.com/*', '*://shop.example.org/*'], js: ['inspector-rules.js'] }]);
+  assert.equal(third.files['inspector-rules.js'].match(/function remixrApplyRule\(/g).length, 1);
+  assert.equal(third.files['inspector-rules.js'].match(/\/\/ Inspector rule/g).length, 3);
+});
+
+test('addInspectorRule reports an invalid manifest', () => {
+  assert.throws(() => window.addInspectorRule({ 'manifest.json': '{' }, { type: 'hide', selector: 'p' }, PAGE_URL),
+    /manifest.json is not valid JSON/);
+});
+
+test('generated rules run on the page, including on elements added later', async () => {
+  const rules = [
+    { type: 'hide', selector: '#promo' },
+    { type: 'restyle', selector: 'h1', styles: { backgroundColor: 'yellow', '--accent': 'red' } },
+    { type: 'replaceText', selector: '.byline', text: 'It\'s "quoted"' },
+    { type: 'injectButton', selector: 'h1', text: 'Save' },
+    { type: 'observe', selector: '.feed' },
+    { type: 'hide', selector: '.ad' }
+  ];
+  let files = project({});
+  rules.forEach(rule => {
+    files = { ...files, ...window.addInspectorRule(files, rule, PAGE_URL).files };
+  });
+  const code = files['inspector-rules.js'];
+
+  const page = loadScripts(
+    '<body><div id="promo">Sale</div><h1>Title</h1><p class="byline">Staff</p><ul class="feed"></ul></body>',
+    [],
+    { url: PAGE_URL }
+  ).window;
+  page.eval(code);
+
+  assert.equal(page.document.getElementById('promo').style.display, 'none');
+  assert.equal(page.document.querySelector('h1').style.backgroundColor, 'yellow');
+  assert.equal(page.document.querySelector('h1').style.getPropertyValue('--accent'), 'red');
+  assert.equal(page.document.querySelector('.byline').textContent, 'It\'s "quoted"');
+  assert.equal(page.document.querySelector('h1 + button').textContent, 'Save');
+
+  const ad = page.document.createElement('div');
+  ad.className = 'ad';
+  page.document.body.appendChild(ad);
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.equal(ad.style.display, 'none');
+
+  const other = loadScripts('<body><div id="promo"></div></body>', [], { url: 'https://example.org/' }).window;
+  other.eval(code);
+  assert.equal(other.document.getElementById('promo').style.display, '');
+});
+
+test('generated rules follow selectors into shadow roots, including content added later', async () => {
+  const { files } = window.addInspectorRule(project({}), { type: 'hide', selector: 'news-ticker >>> .ad' }, PAGE_URL);
+
+  const page = loadScripts('<body><news-ticker></news-ticker></body>', [], { url: PAGE_URL }).window;
+  const shadow = page.document.querySelector('news-ticker').attachShadow({ mode: 'open' });
+  shadow.innerHTML = '<div class="ad">Buy</div>';
+  page.eval(files['inspector-rules.js']);
+  assert.equal(shadow.querySelector('.ad').style.display, 'none');
+
+  const late = page.document.createElement('div');
+  late.className = 'ad';
+  shadow.appendChild(late);
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.equal(late.style.display, 'none');
+});
+
+test('inspectorRuleCode rejects unknown rule types', () => {
+  assert.throws(() => window.inspectorRuleCode({ type: 'explode', selector: 'p', host: 'x' }), /Unknown rule type: explode/);
+});
@@ -0,0 +1,293 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts, loadPopup, toPlain, ROOT } = require('./helpers/load-scripts');
+
+const PAGE_URL = 'https://app.example.com/dashboard';
+
+const tick = (ms = 20) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Page with the recorder installed over stand-in network APIs. jsdom has no fetch,
+ * WebSocket or EventSource, so the page gets Node's fetch types and small fakes.
+ */
+function loadRecordedPage(respond, options = {}) {
+  const { window } = loadScripts('<body></body>', ['lib/network-recorder.js'], { url: PAGE_URL });
+  const events = [];
+  window.addEventListener('message', event => {
+    if (event.data?.source === 'remixr-network') events.push(toPlain(event.data.event));
+  });
+
+  window.Headers = Headers;
+  window.fetch = async (input, init) => respond(input, init);
+
+  window.XMLHttpRequest = class extends window.EventTarget {
+    open(method, url) {
+      this.url = url;
+    }
+    setRequestHeader() {}
+    send() {
+      Object.assign(this, { status: 201, statusText: 'Created', responseType: '', responseText: '{"id":7,"sessionId":"s3cr3t"}' });
+      setTimeout(() => this.dispatchEvent(new window.Event('loadend')));
+    }
+    getAllResponseHeaders() {
+      return 'content-type: application/json\r\nset-cookie: sid=abc\r\n';
+    }
+  };
+
+  window.WebSocket = class extends window.EventTarget {
+    constructor(url) {
+      super();
+      this.url = url;
+      this.sent = [];
+    }
+    send(data) {
+      this.sent.push(data);
+    }
+  };
+
+  window.EventSource = class extends window.EventTarget {
+    constructor(url) {
+      super();
+      this.url = url;
+    }
+  };
+
+  const result = window.installNetworkRecorder({ ...toPlain(window.eval('NETWORK_RECORDER_DEFAULTS')), ...options });
+  return { window, events, result };
+}
+
+test('fetch is recorded with redacted headers, query and JSON body', async () => {
+  const { window, events } = loadRecordedPage(() => new Response('{"user":{"name":"Ada","apiKey":"k-123"}}', {
+    status: 200,
+    headers: { 'content-type': 'application/json', 'set-cookie': 'sid=abc' }
+  }));
+
+  const response = await window.fetch('/api/users?page=2&token=abc', {
+    method: 'post',
+    headers: { Authorization: 'Bearer abc', 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: 'ada@example.com', password: 'hunter2' })
+  });
+  assert.equal((await response.json()).user.apiKey, 'k-123', 'the page still gets the real response');
+  await tick();
+
+  const [request, reply, body] = events;
+  assert.equal(request.phase, 'request');
+  assert.equal(request.method, 'POST');
+  assert.equal(request.url, 'https://app.example.com/api/users?page=2&token=%5Bredacted%5D');
+  assert.equal(request.requestHeaders.authorization, '[redacted]');
+  assert.equal(request.requestHeaders['content-type'], 'application/json');
+  assert.deepEqual(JSON.parse(request.requestBody.text), { email: 'ada@example.com', password: '[redacted]' });
+
+  assert.equal(reply.phase, 'response');
+  assert.equal(reply.status, 200);
+  assert.equal(reply.responseHeaders['set-cookie'], '[redacted]');
+  assert.equal(body.phase, 'body');
+  assert.deepEqual(JSON.parse(body.responseBody.text), { user: { name: 'Ada', apiKey: '[redacted]' } });
+  assert.ok([request, reply, body].every(event => event.id === request.id && event.kind === 'fetch'));
+});
+
+test('bodies are capped, and redaction still applies to the cut text', async () => {
+  const long = JSON.stringify({ token: 'abc', items: 'x'.repeat(500) });
+  const { window, events } = loadRecordedPage(() => new Response(long, { headers: { 'content-type': 'application/json' } }),
+    { maxBodyLength: 100 });
+
+  await window.fetch('/api/feed', { method: 'POST', body: 'q=lamps&session=xyz' });
+  await tick();
+
+  const { responseBody } = events.find(event => event.phase === 'body');
+  assert.equal(responseBody.truncated, true);
+  assert.equal(responseBody.size >= 100, true);
+  assert.match(responseBody.text, /^\{"token":"\[redacted\]","items":"x+$/);
+  assert.equal(events[0].requestBody.text, 'q=lamps&session=%5Bredacted%5D');
+});
+
+test('binary responses are described without being cloned', async () => {
+  let clones = 0;
+  const { window, events } = loadRecordedPage(() => {
+    const response = new Response(new Uint8Array(2048), {
+      headers: { 'content-type': 'image/png', 'content-length': '2048' }
+    });
+    const clone = response.clone.bind(response);
+    response.clone = () => {
+      clones++;
+      return clone();
+    };
+    return response;
+  });
+
+  const response = await window.fetch('/logo.png');
+  assert.equal((await response.arrayBuffer()).byteLength, 2048);
+  await tick();
+
+  assert.equal(clones, 0);
+  assert.deepEqual(events.find(event => event.phase === 'body').responseBody,
+    { text: '[image/png, 2048 bytes]', size: 2048, truncated: false });
+});
+
+test('failed fetches are recorded and still reject', async () => {
+  const { window, events } = loadRecordedPage(() => {
+    throw new TypeError('Failed to fetch');
+  });
+
+  await assert.rejects(window.fetch('https://down.example.com/'), /Failed to fetch/);
+  await tick();
+  assert.equal(events[1].phase, 'error');
+  assert.equal(events[1].error, 'Failed to fetch');
+});
+
+test('XMLHttpRequest, WebSocket and EventSource traffic is recorded', async () => {
+  const { window, events } = loadRecordedPage(() => new Response(''));
+
+  const xhr = new window.XMLHttpRequest();
+  xhr.open('put', '/api/items/7');
+  xhr.setRequestHeader('X-CSRF-Token', 't0k3n');
+  xhr.send('{"name":"Lamp"}');
+
+  const socket = new window.WebSocket('wss://app.example.com/live?access_key=zz');
+  socket.send('{"subscribe":"prices"}');
+  socket.dispatchEvent(new window.MessageEvent('message', { data: '{"price":20,"signature":"sig"}' }));
+  assert.deepEqual(socket.sent, ['{"subscribe":"prices"}'], 'frames still reach the real socket');
+
+  const stream = new window.EventSource('/events');
+  stream.addEventListener('price', () => {});
+  stream.dispatchEvent(new window.MessageEvent('price', { data: '42' }));
+  await tick();
+
+  const xhrResponse = events.find(event => event.kind === 'xhr' && event.phase === 'response');
+  assert.equal(events.find(event => event.kind === 'xhr').requestHeaders['x-csrf-token'], '[redacted]');
+  assert.equal(xhrResponse.status, 201);
+  assert.equal(xhrResponse.responseHeaders['set-cookie'], '[redacted]');
+  assert.deepEqual(JSON.parse(xhrResponse.responseBody.text), { id: 7, sessionId: '[redacted]' });
+
+  const socketEvents = events.filter(event => event.kind === 'websocket');
+  assert.equal(socketEvents[0].url, 'wss://app.example.com/live?access_key=%5Bredacted%5D');
+  assert.deepEqual(socketEvents.filter(event => event.phase === 'frame').map(event => [event.direction, event.body.text]),
+    [['sent', '{"subscribe":"prices"}'], ['received', '{"price":20,"signature":"[redacted]"}']]);
+
+  const streamFrame = events.find(event => event.kind === 'eventsource' && event.phase === 'frame');
+  assert.equal(streamFrame.type, 'price');
+  assert.equal(streamFrame.body.text, '42');
+});
+
+test('a stopped recorder passes calls through without posting', async () => {
+  const { window, events } = loadRecordedPage(() => new Response('ok'));
+  assert.equal(window.stopNetworkRecorder(), true);
+  await window.fetch('/api/ping');
+  await tick();
+  assert.deepEqual(events, []);
+
+  const again = window.installNetworkRecorder(toPlain(window.eval('NETWORK_RECORDER_DEFAULTS')));
+  assert.equal(again.installed, false, 'installing again resumes the existing wrappers');
+  await window.fetch('/api/ping');
+  await tick();
+  assert.equal(events.length, 3);
+});
+
+test('mergeNetworkEvent and filterNetworkEntries build the timeline', () => {
+  const { window } = loadScripts('<body></body>', ['lib/network-recorder.js']);
+  const timeline = new window.Map();
+  [
+    { id: 'a-1', kind: 'fetch', phase: 'request', method: 'GET', url: 'https://x.test/api/cart', time: 1000 },
+    { id: 'a-2', kind: 'websocket', phase: 'request', method: 'WS', url: 'wss://x.test/live', time: 1010 },
+    { id: 'a-1', kind: 'fetch', phase: 'response', status: 404, statusText: 'Not Found', duration: 80, time: 1080 },
+    { id: 'a-2', kind: 'websocket', phase: 'frame', direction: 'received', body: { text: 'hi' }, time: 1020 },
+    { id: 'a-1', kind: 'fetch', phase: 'body', responseBody: { text: 'missing' }, time: 1090 }
+  ].forEach(event => window.mergeNetworkEvent(timeline, event));
+
+  const entries = Array.from(timeline.values());
+  assert.equal(entries[0].status, 404);
+  assert.equal(entries[0].end, 1080);
+  assert.equal(entries[0].responseBody.text, 'missing');
+  assert.equal(entries[1].frames.length, 1);
+
+  const ids = filter => toPlain(window.filterNetworkEntries(entries, filter).map(entry => entry.id));
+  assert.deepEqual(ids({ query: 'CART' }), ['a-1']);
+  assert.deepEqual(ids({ query: '404' }), ['a-1']);
+  assert.deepEqual(ids({ kind: 'websocket' }), ['a-2']);
+  assert.deepEqual(ids({ failedOnly: true }), ['a-1']);
+  assert.deepEqual(ids({}), ['a-1', 'a-2']);
+});
+
+test('content.js relays recorder events and keeps them for the popup', async () => {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  const { window } = loadScripts('<body></body>', manifest.content_scripts[0].js, { url: PAGE_URL });
+  const event = { id: 'p-1', kind: 'fetch', phase: 'request', method: 'GET', url: `${PAGE_URL}/api`, time: 1 };
+
+  window.dispatchEvent(new window.MessageEvent('message', { data: { source: 'remixr-network', event }, source: window }));
+  window.dispatchEvent(new window.MessageEvent('message', { data: { source: 'remixr-network', event: { id: 'forged' } } }));
+
+  const relayed = window.chrome.calls.filter(call => call.api === 'runtime.sendMessage');
+  assert.deepEqual(toPlain(relayed.map(call => call.args[0])), [{ action: 'networkEvent', event }]);
+
+  const [onMessage] = window.chrome.runtime.onMessage.listeners;
+  const log = await new Promise(resolve => onMessage({ action: 'getNetworkLog' }, {}, resolve));
+  assert.deepEqual(toPlain(log), { events: [event] });
+  await new Promise(resolve => onMessage({ action: 'clearNetworkLog' }, {}, resolve));
+  assert.deepEqual(toPlain(await new Promise(resolve => onMessage({ action: 'getNetworkLog' }, {}, resolve))), { events: [] });
+});
+
+test('the popup installs the recorder in the main world and renders relayed events', async () => {
+  const window = loadPopup();
+  window.chrome.tabs.query = async () => [{ id: 7, url: PAGE_URL }];
+  window.initNetworkRecorder();
+
+  window.document.getElementById('scan-net-live').click();
+  assert.equal(window.document.getElementById('network-panel').hidden, false);
+  window.document.getElementById('network-record-btn').click();
+  await tick();
+
+  const install = window.chrome.calls.find(call => call.api === 'scripting.executeScript' && call.args[0].world === 'MAIN');
+  assert.equal(install.args[0].func.name, 'installNetworkRecorder');
+  assert.equal(window.document.getElementById('network-record-btn').textContent, 'Stop');
+
+  window.handleNetworkEvent({ id: 'p-1', kind: 'fetch', phase: 'request', method: 'GET', url: `${PAGE_URL}/api/cart`, time: 1 }, 7);
+  window.handleNetworkEvent({ id: 'p-1', kind: 'fetch', phase: 'response', status: 500, duration: 30, time: 31 }, 7);
+  window.handleNetworkEvent({ id: 'other', kind: 'fetch', phase: 'request', method: 'GET', url: 'https://elsewhere.test/', time: 1 }, 8);
+  await tick(150);
+
+  const rows = window.document.querySelectorAll('#network-timeline .network-entry');
+  assert.equal(rows.length, 1);
+  assert.ok(rows[0].classList.contains('network-entry-failed'));
+  assert.match(rows[0].querySelector('.network-status').textContent, /^500/);
+
+  window.document.getElementById('network-kind').value = 'websocket';
+  window.document.getElementById('network-kind').dispatchEvent(new window.Event('change'));
+  assert.equal(window.document.querySelectorAll('#network-timeline .network-entry').length, 0);
+  assert.equal(window.document.getElementById('network-count').textContent, '0 of 1');
+});
+
+test('the popup injects the content scripts only into tabs that do not have them yet', async () => {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  const injectedFiles = async loaded => {
+    const window = loadPopup();
+    const { executeScript } = window.chrome.scripting;
+    window.chrome.scripting.executeScript = (details, ...rest) =>
+      details.files ? executeScript(details, ...rest) : Promise.resolve([{ result: loaded }]);
+    window.chrome.tabs.query = async () => [{ id: 7, url: PAGE_URL }];
+    window.initNetworkRecorder();
+    window.document.getElementById('network-record-btn').click();
+    await tick();
+    return window.chrome.calls.filter(call => call.api === 'scripting.executeScript').map(call => toPlain(call.args[0].files));
+  };
+
+  assert.deepEqual(await injectedFiles(false), [manifest.content_scripts[0].js]);
+  assert.deepEqual(await injectedFiles(true), []);
+});
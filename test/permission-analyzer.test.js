@@ -0,0 +1,39 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, toPlain } = require('./helpers/load-scripts');
+
+const { window } = loadScripts('<body></body>', ['lib/permission-analyzer.js']);
+
+test('permissions a manifest key needs are not unused and survive applyPermissionFixes', () => {
+  const manifest = JSON.stringify({
+    manifest_version: 3,
+    name: 'Blocker',
+    version: '1.0',
+    permissions: ['declarativeNetRequest', 'sidePanel', 'storage', 'alarms'],
+    declarative_net_request: { rule_resources: [{ id: 'rules', enabled: true, path: 'rules.json' }] },
+    side_panel: { default_path: 'panel.html' }
+  });
+  const project = { files: { 'manifest.json': manifest, 'panel.js': 'chrome.storage.local.get("rules");' } };
+
+  const analysis = window.analyzeProjectPermissions(project);
+
+  assert.deepEqual(toPlain(analysis.unused), ['alarms']);
+  assert.deepEqual(toPlain(JSON.parse(window.applyPermissionFixes(manifest, analysis)).permissions),
+    ['declarativeNetRequest', 'sidePanel', 'storage']);
+});
@@ -0,0 +1,36 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+test('sameFileContent matches a snapshot Blob with the open project Blob it was saved from', async () => {
+  const { window } = loadScripts('<body></body>', ['lib/project-store.js']);
+  const { ProjectStore, Blob } = window.eval('({ ProjectStore, Blob })');
+  const icon = bytes => new Blob([new Uint8Array(bytes)], { type: 'image/png' });
+
+  const saved = await ProjectStore.save({ name: 'Tidy', files: { 'icon.png': icon([1, 2, 3]), 'a.js': 'x' } });
+  const [snapshot] = await ProjectStore.listSnapshots(saved.id);
+  const before = await ProjectStore.getSnapshotFiles(saved.id, snapshot.id);
+  const after = (await ProjectStore.get(saved.id)).files;
+
+  assert.notEqual(before['icon.png'], after['icon.png']);
+  assert.equal(window.sameFileContent(before['icon.png'], after['icon.png']), true);
+  assert.equal(window.sameFileContent(before['a.js'], after['a.js']), true);
+  assert.equal(window.sameFileContent(before['icon.png'], icon([1, 2, 4, 8])), false);
+  assert.equal(window.sameFileContent(before['icon.png'], undefined), false);
+});
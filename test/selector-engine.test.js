@@ -0,0 +1,107 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const PAGE = `<body>
+  <header class="site-header Header_root__x9Kq2">
+    <nav><a href="/">Home</a><a href="/docs">Docs</a></nav>
+  </header>
+  <main id="content">
+    <form>
+      <input name="email" class="css-1q2w3e">
+      <button data-testid="submit-order" class="sc-bdfBwQ btn">Order</button>
+      <button class="btn is-active">Cancel</button>
+    </form>
+    <ul class="items">
+      <li class="item"><span>One</span></li>
+      <li class="item"><span>Two</span></li>
+      <li class="item"><span>Two</span></li>
+    </ul>
+    <section class="css-9a8b7c"></section>
+    <section class="panel"></section>
+    <div id=":r3:"><p>Generated parent</p></div>
+    <div id="2col"><p>Numeric id</p></div>
+  </main>
+</body>`;
+
+const { window } = loadScripts(PAGE, ['lib/dom-traversal.js', 'lib/selector-engine.js']);
+const { document } = window;
+const $ = selector => document.querySelector(selector);
+
+test('isGeneratedName spots CSS-in-JS, CSS module and framework names', () => {
+  ['css-1q2w3e', 'sc-bdfBwQ', 'Header_root__x9Kq2', ':r3:', 'makeStyles-root-12', 'item-48213', 'a1B2c3'].forEach(name => {
+    assert.equal(window.isGeneratedName(name), true, name);
+  });
+  ['btn', 'site-header', 'items', 'content', 'submit-order', 'h2'].forEach(name => {
+    assert.equal(window.isGeneratedName(name), false, name);
+  });
+});
+
+test('getUniqueSelector prefers IDs and test attributes over classes', () => {
+  assert.equal(window.getUniqueSelector($('main')), '#content');
+  assert.equal(window.getUniqueSelector($('[data-testid]')), 'button[data-testid="submit-order"]');
+  assert.equal(window.getUniqueSelector($('input')), 'input[name="email"]');
+});
+
+test('getUniqueSelector skips generated and state classes', () => {
+  assert.equal(window.getUniqueSelector($('header')), 'header');
+  assert.equal(window.getUniqueSelector($('.items')), 'ul');
+  assert.equal(window.getUniqueSelector($('.css-9a8b7c')), '#content > section:nth-of-type(1)');
+  assert.equal(window.getUniqueSelector($('.panel')), 'section.panel');
+  assert.equal(window.getUniqueSelector(document.querySelectorAll('button')[1]), 'form > button:nth-of-type(2)');
+});
+
+test('getUniqueSelector anchors on the nearest unique ancestor', () => {
+  const second = document.querySelectorAll('li span')[1];
+  assert.equal(window.getUniqueSelector(second), 'ul > li:nth-of-type(2) > span');
+  assert.equal(window.getUniqueSelector($('a[href="/docs"]')), 'nav > a:nth-of-type(2)');
+  assert.equal(window.getUniqueSelector($('[id=":r3:"] p')), '#content > div:nth-of-type(1) > p');
+});
+
+test('getUniqueSelector escapes IDs that are not valid identifiers', () => {
+  const selector = window.getUniqueSelector($('[id="2col"]'));
+  assert.equal(document.querySelector(selector), $('[id="2col"]'));
+});
+
+test('every generated selector matches only its element', () => {
+  document.querySelectorAll('body *').forEach(el => {
+    const selector = window.getUniqueSelector(el);
+    assert.equal(window.isUniqueSelector(selector, el), true, selector);
+  });
+});
+
+test('getXPath anchors on stable IDs and indexes repeated siblings', () => {
+  const second = document.querySelectorAll('li span')[1];
+  assert.equal(window.getXPath(second), '//*[@id="content"]/ul/li[2]/span');
+  assert.equal(window.getXPath($('header a')), '/html/body/header/nav/a[1]');
+  assert.equal(window.getXPath($('[id=":r3:"] p')), '//*[@id="content"]/div[1]/p');
+});
+
+test('getTextLocator only returns text that identifies one element', () => {
+  assert.equal(window.getTextLocator($('header a')), '//a[normalize-space()="Home"]');
+  assert.equal(window.getTextLocator(document.querySelectorAll('li span')[1]), null);
+  assert.equal(window.getTextLocator($('main')), null);
+});
+
+test('getLocators returns all three locators', () => {
+  const locators = window.getLocators(document.querySelectorAll('button')[1]);
+  assert.equal(locators.css, 'form > button:nth-of-type(2)');
+  assert.equal(locators.xpath, '//*[@id="content"]/form/button[2]');
+  assert.equal(locators.text, '//button[normalize-space()="Cancel"]');
+});
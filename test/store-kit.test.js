@@ -0,0 +1,84 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, toPlain } = require('./helpers/load-scripts');
+
+const { window } = loadScripts('<body></body>', ['lib/manifest-linter.js', 'lib/store-kit.js']);
+
+const MANIFEST = {
+  manifest_version: 3,
+  name: 'Tab Notes',
+  version: '1.2.0',
+  description: 'Keep notes next to the tabs they are about.',
+  permissions: ['tabs', 'storage', 'fontSettings'],
+  host_permissions: ['https://*.example.com/*'],
+  content_scripts: [{ matches: ['https://docs.example.org/*'], js: ['content.js'] }],
+  icons: { 16: 'icons/icon16.png', 128: 'icons/icon128.png' },
+  action: { default_popup: 'popup.html' }
+};
+
+const FILES = {
+  'popup.html': '<html></html>',
+  'content.js': '',
+  'icons/icon16.png': new window.Blob(['png']),
+  'icons/icon128.png': new window.Blob(['png'])
+};
+
+test('storeListingProblems passes a complete Manifest V3 extension', () => {
+  assert.deepEqual(toPlain(window.storeListingProblems(JSON.stringify(MANIFEST), FILES)), []);
+});
+
+test('storeListingProblems blocks what the store rejects', () => {
+  const manifest = { ...MANIFEST, manifest_version: 2, description: ' ', icons: { 16: 'icons/icon16.png' } };
+  const messages = window.storeListingProblems(JSON.stringify(manifest), FILES)
+    .filter(problem => problem.severity === 'error')
+    .map(problem => problem.message);
+
+  assert.ok(messages.includes('The Chrome Web Store only accepts Manifest V3 extensions'));
+  assert.ok(messages.includes('A description is required - it is shown in the store listing'));
+  assert.ok(messages.includes('A 128x128 icon is required'));
+});
+
+test('storeListingProblems reports lint errors and warns about access to all sites', () => {
+  const manifest = { ...MANIFEST, host_permissions: ['<all_urls>'], icons: { 128: 'icons/missing.png' } };
+  const problems = toPlain(window.storeListingProblems(JSON.stringify(manifest), FILES));
+
+  assert.ok(problems.some(problem => problem.severity === 'error' && /icons\/missing\.png/.test(problem.message)));
+  assert.ok(problems.some(problem => problem.severity === 'warning' && /in-depth review/.test(problem.message)));
+});
+
+test('permissionJustificationsText covers every permission and the sites it touches', () => {
+  const text = window.permissionJustificationsText(MANIFEST);
+
+  assert.match(text, /^Permission justifications - Tab Notes 1\.2\.0\n/);
+  assert.match(text, /\[tabs\]\nTab Notes uses tabs to read the URL and title of open tabs\./);
+  assert.match(text, /\[storage\]\nTab Notes uses storage to save the user's settings and data locally\./);
+  assert.match(text, /\[fontSettings\]\nTab Notes uses fontSettings to use the chrome\.fontSettings API\./);
+  assert.match(text, /\[Host permissions\]\n.*https:\/\/\*\.example\.com\/\*, https:\/\/docs\.example\.org\/\*/);
+});
+
+test('privacyPracticesText checks the data categories the permissions reach', () => {
+  const text = window.privacyPracticesText(MANIFEST);
+
+  assert.match(text, /## Single purpose\n\nKeep notes next to the tabs they are about\./);
+  assert.match(text, /- \[x\] Web history \(via tabs\)/);
+  assert.match(text, /- \[x\] Website content \(via Host permissions\)/);
+  assert.match(text, /- \[ \] Location/);
+  assert.match(text, /- \[ \] Personally identifiable information/);
+  assert.match(text, /No, I am not using remote code/);
+});
@@ -0,0 +1,175 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts, toPlain, ROOT } = require('./helpers/load-scripts');
+
+const PAGE_URL = 'https://shop.example.com/cart';
+
+const { window } = loadScripts('<body><h1>Cart</h1></body>', ['lib/dom-traversal.js', 'lib/tab-runner.js', 'lib/style-recorder.js', 'lib/inspector-rules.js'], {
+  url: PAGE_URL
+});
+
+const project = manifest => ({
+  'manifest.json': JSON.stringify({ manifest_version: 3, name: 'Shop', version: '1.0', ...manifest })
+});
+
+test('recordStyleEdit keeps the first original value and drops reverted edits', () => {
+  let edits = window.recordStyleEdit({}, 'h1', 'backgroundColor', 'yellow', 'rgba(0, 0, 0, 0)');
+  edits = window.recordStyleEdit(edits, 'h1', 'backgroundColor', 'pink', 'yellow');
+  edits = window.recordStyleEdit(edits, 'h1', 'fontSize', '40px', '32px');
+  assert.deepEqual(toPlain(edits), {
+    h1: {
+      'background-color': { value: 'pink', original: 'rgba(0, 0, 0, 0)' },
+      'font-size': { value: '40px', original: '32px' }
+    }
+  });
+
+  edits = window.recordStyleEdit(edits, 'h1', 'fontSize', '32px', '40px');
+  edits = window.recordStyleEdit(edits, 'h1', 'backgroundColor', '', 'pink');
+  assert.deepEqual(toPlain(edits), {});
+});
+
+test('styleEditsToCss writes important declarations, optionally annotated', () => {
+  const edits = window.recordStyleEdit({}, 'button[data-testid="buy"]', '--accent', 'red', '');
+  const withColor = window.recordStyleEdit(edits, 'h1', 'color', 'blue', 'rgb(0, 0, 0)');
+
+  assert.equal(window.styleEditsToCss(withColor),
+    'button[data-testid="buy"] {\n  --accent: red !important;\n}\n\nh1 {\n  color: blue !important;\n}\n');
+  assert.match(window.styleEditsToCss(withColor, { annotate: true }), /color: blue !important; \/\* was rgb\(0, 0, 0\) \*\//);
+});
+
+test('saveStyleEdits stores edits per host and removes the key when empty', async () => {
+  const edits = window.recordStyleEdit({}, 'h1', 'color', 'blue');
+  await window.saveStyleEdits('shop.example.com', edits);
+  assert.deepEqual(toPlain(window.chrome.storage.local.data), { 'styleEdits_shop.example.com': toPlain(edits) });
+  assert.deepEqual(toPlain(await window.loadStyleEdits('shop.example.com')), toPlain(edits));
+  assert.deepEqual(toPlain(await window.loadStyleEdits('other.example.com')), {});
+
+  await window.saveStyleEdits('shop.example.com', {});
+  assert.deepEqual(toPlain(window.chrome.storage.local.data), {});
+});
+
+test('applyStyleEdits keeps one style element in step with the edits', () => {
+  const { document } = window;
+  window.applyStyleEdits(document, window.recordStyleEdit({}, 'h1', 'color', 'blue'));
+  window.applyStyleEdits(document, window.recordStyleEdit({}, 'h1', 'color', 'green'));
+
+  assert.equal(document.querySelectorAll('#remixr-style-edits').length, 1);
+  assert.equal(window.getComputedStyle(document.querySelector('h1')).color, 'rgb(0, 128, 0)');
+
+  window.applyStyleEdits(document, {});
+  assert.equal(document.getElementById('remixr-style-edits'), null);
+});
+
+test('applyStyleEdits puts edits inside a shadow root into that root', () => {
+  const { document } = window;
+  const host = document.createElement('shop-badge');
+  document.body.appendChild(host);
+  host.attachShadow({ mode: 'open' }).innerHTML = '<span class="count">3</span>';
+
+  let edits = window.recordStyleEdit({}, 'shop-badge >>> span.count', 'color', 'red');
+  edits = window.recordStyleEdit(edits, 'h1', 'color', 'blue');
+  window.applyStyleEdits(document, edits);
+
+  assert.match(host.shadowRoot.getElementById('remixr-style-edits').textContent, /^span\.count \{/);
+  assert.doesNotMatch(document.getElementById('remixr-style-edits').textContent, />>>/);
+
+  window.applyStyleEdits(document, window.recordStyleEdit({}, 'h1', 'color', 'blue'));
+  assert.equal(host.shadowRoot.getElementById('remixr-style-edits'), null);
+  assert.ok(document.getElementById('remixr-style-edits'));
+
+  window.applyStyleEdits(document, {});
+  host.remove();
+});
+
+test('addStyleEditsToProject adds a stylesheet with a content_scripts entry for the host', () => {
+  const edits = window.recordStyleEdit({}, 'h1', 'color', 'blue');
+  const result = window.addStyleEditsToProject(project({}), edits, PAGE_URL);
+
+  assert.equal(result.path, 'styles/shop.example.com.css');
+  assert.equal(result.pattern, '*://shop.example.com/*');
+  assert.deepEqual(toPlain(JSON.parse(result.files['manifest.json']).content_scripts),
+    [{ matches: ['*://shop.example.com/*'], css: ['styles/shop.example.com.css'] }]);
+  assert.equal(result.files['styles/shop.example.com.css'],
+    '/* ReMixr style edits: shop.example.com */\nh1 {\n  color: blue !important;\n}\n');
+});
+
+test('addStyleEditsToProject leaves out edits inside shadow roots and frames', () => {
+  let edits = window.recordStyleEdit({}, 'h1', 'color', 'blue');
+  edits = window.recordStyleEdit(edits, 'shop-badge >>> span.count', 'color', 'red');
+  const result = window.addStyleEditsToProject(project({}), edits, PAGE_URL);
+
+  assert.equal(result.skipped, 1);
+  assert.doesNotMatch(result.files[result.path], /span\.count/);
+});
+
+test('addStyleEditsToProject keeps each host in its own stylesheet and entry', () => {
+  let files = project({ content_scripts: [{ matches: ['<all_urls>'], js: ['content.js'] }] });
+  const first = window.addStyleEditsToProject(files, window.recordStyleEdit({}, '.ad', 'display', 'none'), 'https://a.example.com/');
+  files = { ...files, ...first.files };
+  const second = window.addStyleEditsToProject(files, window.recordStyleEdit({}, 'body', 'background', 'red'), 'https://b.other.org/');
+  files = { ...files, ...second.files };
+
+  assert.deepEqual(toPlain(JSON.parse(files['manifest.json']).content_scripts), [
+    { matches: ['<all_urls>'], js: ['content.js'] },
+    { matches: ['*://a.example.com/*'], css: ['styles/a.example.com.css'] },
+    { matches: ['*://b.other.org/*'], css: ['styles/b.other.org.css'] }
+  ]);
+  assert.match(files['styles/a.example.com.css'], /\.ad \{/);
+  assert.doesNotMatch(files['styles/a.example.com.css'], /background/);
+  assert.match(files['styles/b.other.org.css'], /body \{/);
+  assert.doesNotMatch(files['styles/b.other.org.css'], /\.ad/);
+});
+
+test('addStyleEditsToProject replaces the host stylesheet on re-export', () => {
+  const files = project({});
+  const first = window.addStyleEditsToProject(files, window.recordStyleEdit({}, 'h1', 'color', 'blue'), PAGE_URL);
+  const second = window.addStyleEditsToProject({ ...files, ...first.files },
+    window.recordStyleEdit({}, 'h1', 'color', 'red'), PAGE_URL);
+
+  assert.equal(second.pattern, null);
+  assert.equal(JSON.parse(second.files['manifest.json']).content_scripts.length, 1);
+  assert.match(second.files[second.path], /color: red/);
+  assert.doesNotMatch(second.files[second.path], /color: blue/);
+});
+
+test('content.js records inspector edits and re-applies them on the next visit', async () => {
+  const page = '<body><h1>Cart</h1></body>';
+  const scripts = ['lib/dom-traversal.js', 'lib/selector-engine.js', 'lib/style-recorder.js', 'content.js'];
+  const first = loadScripts(page, scripts, { url: PAGE_URL }).window;
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  const [onMessage] = first.chrome.runtime.onMessage.listeners;
+  const response = await new Promise(resolve => {
+    onMessage({ action: 'updateStyle', selector: 'h1', property: 'color', value: 'blue' }, {}, resolve);
+  });
+  assert.deepEqual(toPlain(response), { success: true });
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  const stored = first.chrome.storage.local.data['styleEdits_shop.example.com'];
+  assert.equal(stored.h1.color.value, 'blue');
+
+  // A fresh page of the same host, with the stored edits already there when content.js starts
+  const revisit = loadScripts(page, scripts.slice(0, -1), { url: 'https://shop.example.com/checkout' }).window;
+  revisit.chrome.storage.local.data['styleEdits_shop.example.com'] = stored;
+  revisit.eval(fs.readFileSync(path.join(ROOT, 'content.js'), 'utf8'));
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.equal(revisit.getComputedStyle(revisit.document.querySelector('h1')).color, 'rgb(0, 0, 255)');
+});
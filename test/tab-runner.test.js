@@ -0,0 +1,82 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, toPlain } = require('./helpers/load-scripts');
+
+const TAB = { id: 4, url: 'https://news.example.com/story' };
+
+const project = () => ({
+  files: {
+    'manifest.json': JSON.stringify({
+      manifest_version: 3,
+      name: 'Tidy',
+      version: '1.0',
+      content_scripts: [
+        { matches: ['*://news.example.com/*'], js: ['late.js'] },
+        { matches: ['<all_urls>'], js: ['early.js'], css: ['early.css'], run_at: 'document_start' },
+        { matches: ['https://example.org/*'], js: ['other.js'] }
+      ]
+    }),
+    'early.js': 'console.log("early");',
+    'early.css': 'body { color: red; }',
+    'late.js': 'console.log("late");'
+  }
+});
+
+test('runContentScriptsOnTab uses a user script world when the userScripts API is on', async () => {
+  const { window } = loadScripts('<body></body>', ['lib/tab-runner.js']);
+  const executed = [];
+  window.chrome.userScripts = {
+    getScripts: async () => [],
+    configureWorld: async () => {},
+    execute: async injection => {
+      executed.push(toPlain(injection));
+      return [{ frameId: 0, error: injection.js[0].code.includes('late') ? 'ReferenceError: x is not defined' : undefined }];
+    }
+  };
+
+  const injection = await window.runContentScriptsOnTab(project(), TAB);
+
+  assert.equal(injection.world, 'USER_SCRIPT');
+  assert.deepEqual(executed.map(call => [call.world, call.injectImmediately, call.js[0].code.split('\n')[0]]),
+    [['USER_SCRIPT', true, 'console.log("early");'], ['USER_SCRIPT', false, 'console.log("late");']]);
+  assert.deepEqual(toPlain(injection.results), [
+    { path: 'early.css', error: null },
+    { path: 'early.js', error: null },
+    { path: 'late.js', error: 'ReferenceError: x is not defined' }
+  ]);
+  assert.ok(injection.limitations.some(note => note.includes('no other chrome.* APIs')));
+  assert.equal(window.chrome.calls.some(call => call.api === 'scripting.executeScript'), false);
+});
+
+test('runContentScriptsOnTab falls back to the main world and says how that differs', async () => {
+  const { window } = loadScripts('<body></body>', ['lib/tab-runner.js']);
+  window.chrome.userScripts = {
+    getScripts: async () => {
+      throw new Error('The userScripts API is not available');
+    }
+  };
+
+  const injection = await window.runContentScriptsOnTab(project(), TAB);
+  const scripts = window.chrome.calls.filter(call => call.api === 'scripting.executeScript');
+
+  assert.equal(injection.world, 'MAIN');
+  assert.deepEqual(scripts.map(call => [call.args[0].world, call.args[0].args[1]]), [['MAIN', 'early.js'], ['MAIN', 'late.js']]);
+  assert.ok(injection.limitations.some(note => note.includes('Content Security Policy blocks inline scripts')));
+  assert.ok(injection.limitations.some(note => note.includes('no chrome.* APIs')));
+});
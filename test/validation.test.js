@@ -0,0 +1,148 @@
+/*
+ * Copyright 2026 John Kost
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPopup, toPlain } = require('./helpers/load-scripts');
+
+const window = loadPopup();
+
+const validManifest = () => ({
+  manifest_version: 3,
+  name: 'Link Highlighter',
+  version: '1.0.0',
+  description: 'Highlights links',
+  icons: { 16: 'icons/icon16.png' },
+  permissions: ['storage', 'activeTab'],
+  background: { service_worker: 'background.js' },
+  action: { default_popup: 'popup.html' }
+});
+
+test('validateManifest accepts a complete MV3 manifest', () => {
+  const result = toPlain(window.validateManifest(validManifest()));
+  assert.deepEqual(result, { valid: true, errors: [], warnings: [] });
+});
+
+test('validateManifest reports missing required fields', () => {
+  const result = window.validateManifest({});
+  assert.equal(result.valid, false);
+  assert.ok(result.errors.includes('Missing required field: manifest_version'));
+  assert.ok(result.errors.includes('Missing required field: name'));
+  assert.ok(result.errors.includes('Missing required field: version'));
+  assert.ok(result.warnings.includes('Missing recommended field: description'));
+});
+
+test('validateManifest rejects Manifest V2 constructs', () => {
+  const manifest = {
+    ...validManifest(),
+    manifest_version: 2,
+    browser_action: { default_popup: 'popup.html' },
+    background: { scripts: ['background.js'], persistent: false }
+  };
+  const { errors } = window.validateManifest(manifest);
+
+  assert.ok(errors.includes('Chrome only supports Manifest V3 (manifest_version: 3)'));
+  assert.ok(errors.includes('Manifest V3 uses "action" instead of "browser_action" or "page_action"'));
+  assert.ok(errors.includes('Manifest V3 requires background.service_worker (not background.scripts)'));
+  assert.ok(errors.some(error => error.includes('background.persistent')));
+});
+
+test('validateManifest holds Firefox and Safari to their own background rules', () => {
+  const firefox = window.validateManifest({
+    ...validManifest(),
+    manifest_version: 2,
+    browser_action: { default_popup: 'popup.html' },
+    background: { scripts: ['background.js'], persistent: false }
+  }, { target: 'firefox' });
+  assert.equal(firefox.valid, true);
+  assert.ok(firefox.warnings.includes('Manifest V2 is deprecated - prefer manifest_version: 3'));
+
+  const worker = window.validateManifest(validManifest(), { target: 'firefox' });
+  assert.ok(worker.errors.some(error => error.startsWith('Firefox requires background.scripts')));
+
+  assert.equal(window.validateManifest(validManifest(), { target: 'safari' }).valid, true);
+});
+
+test('validateManifest checks version format and store length limits', () => {
+  const result = window.validateManifest({
+    ...validManifest(),
+    version: '1.0-beta',
+    name: 'N'.repeat(46),
+    description: 'D'.repeat(133)
+  });
+
+  assert.ok(result.errors.includes('Invalid version format (use X.Y.Z format)'));
+  assert.ok(result.warnings.includes('Extension name exceeds recommended length (45 chars)'));
+  assert.ok(result.warnings.includes('Description exceeds Chrome Web Store limit (132 chars)'));
+});
+
+test('validateManifest warns about broad access and content scripts without files', () => {
+  const result = window.validateManifest({
+    ...validManifest(),
+    permissions: ['tabs', 'debugger'],
+    host_permissions: ['<all_urls>'],
+    content_scripts: [{ matches: [] }]
+  });
+
+  assert.ok(result.errors.includes('content_scripts[0]: Missing required field "matches"'));
+  assert.ok(result.warnings.includes('content_scripts[0]: No js or css files specified'));
+  assert.ok(result.warnings.some(warning => warning.startsWith('Sensitive permissions detected: debugger')));
+  assert.ok(result.warnings.includes('Consider using "activeTab" instead of "tabs" for better privacy'));
+  assert.ok(result.warnings.includes('Extension requests access to ALL websites - consider limiting scope'));
+});
+
+test('validateJavaScript accepts valid code', () => {
+  const result = toPlain(window.validateJavaScript('const x = 1;\nchrome.runtime.sendMessage({ x });'));
+  assert.deepEqual(result, { valid: true, errors: [] });
+});
+
+test('validateJavaScript reports syntax errors', () => {
+  const result = window.validateJavaScript('function broken( {');
+  assert.equal(result.valid, false);
+  assert.match(result.errors[0], /^Syntax Error: /);
+});
+
+test('validateJavaScript flags eval and deprecated MV2 APIs', () => {
+  const { errors } = window.validateJavaScript('eval("1");\nchrome.browserAction.setBadgeText({});\nchrome.extension.getURL("x");');
+
+  assert.ok(errors.includes('Security: eval() is not allowed in Chrome extensions (CSP violation)'));
+  assert.ok(errors.includes('API: chrome.browserAction is deprecated - use chrome.action in Manifest V3'));
+  assert.ok(errors.includes('API: chrome.extension is deprecated - use chrome.runtime'));
+});
+
+test('auditPermissions gives minimal manifests a perfect score', () => {
+  const result = window.auditPermissions({});
+  assert.equal(result.score, 100);
+  assert.ok(result.recommendations[0].includes('Minimal permissions'));
+});
+
+test('auditPermissions deducts for broad and sensitive permissions', () => {
+  const result = window.auditPermissions({
+    permissions: ['tabs', 'history', 'cookies'],
+    host_permissions: ['<all_urls>']
+  });
+
+  assert.equal(result.score, 100 - 30 - 15 - 10 - 10);
+  assert.equal(result.recommendations.length, 4);
+});
+
+test('auditPermissions credits activeTab and default storage quota', () => {
+  const result = window.auditPermissions({ permissions: ['activeTab', 'storage'] });
+
+  assert.equal(result.score, 100);
+  assert.ok(result.recommendations.some(item => item.includes('activeTab')));
+  assert.ok(result.recommendations.some(item => item.includes('default quota')));
+});
@@ -121,6 +121,30 @@ function generateId() {
     return 'id-' + Math.random().toString(36).substr(2, 9);
 }
 
+/**
+ * Computes a short, stable hash of a string (djb2)
+ * @param {string} str - The string to hash
+ * @returns {string} - Hex-encoded hash
+ */
+function hashString(str) {
+    let hash = 5381;
+    for (let i = 0; i < str.length; i++) {
+        hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Formats a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - e.g. "512 B", "4.2 KB", "1.3 MB"
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 /**
  * Escapes HTML characters to prevent XSS
  * @param {string} unsafe - The unsafe string